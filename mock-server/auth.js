@@ -0,0 +1,177 @@
+import { randomBytes, randomUUID, scryptSync, timingSafeEqual } from "node:crypto";
+import { sendJson, sendError, readJson, getBearerToken } from "./http.js";
+
+// Short by default so refresh-on-401 is easy to exercise
+const ACCESS_TOKEN_TTL = Number(process.env.MOCK_ACCESS_TOKEN_TTL) || 15 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+const users = new Map(); // id -> user (with password hash)
+const accessTokens = new Map(); // token -> { userId, expiresAt }
+const refreshTokens = new Map(); // token -> userId
+// Anonymous data attached to accounts: userId -> { anonymous_ids, favorites, reviews }
+const claims = new Map();
+
+const hashPassword = (password, salt = randomBytes(16).toString("hex")) =>
+  `${salt}:${scryptSync(password, salt, 32).toString("hex")}`;
+
+const verifyPassword = (password, stored) => {
+  const [salt, hash] = stored.split(":");
+  const candidate = scryptSync(password, salt, 32);
+  return timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+};
+
+const publicUser = ({ id, name, email, created_at }) => ({
+  id,
+  name,
+  email,
+  created_at,
+});
+
+const issueSession = (user) => {
+  const access_token = randomBytes(24).toString("hex");
+  const refresh_token = randomBytes(32).toString("hex");
+  accessTokens.set(access_token, {
+    userId: user.id,
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL * 1000,
+  });
+  refreshTokens.set(refresh_token, user.id);
+  return {
+    user: publicUser(user),
+    access_token,
+    refresh_token,
+    expires_in: ACCESS_TOKEN_TTL,
+  };
+};
+
+const findUserByEmail = (email) =>
+  [...users.values()].find((user) => user.email === email);
+
+/**
+ * Resolve the user of a request from its bearer token
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} User or null when missing/expired
+ */
+export const authenticate = (req) => {
+  const token = getBearerToken(req);
+  const entry = token && accessTokens.get(token);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now()) {
+    accessTokens.delete(token);
+    return null;
+  }
+  return users.get(entry.userId) || null;
+};
+
+/**
+ * Identifiers that count as the user of a request: the account and the
+ * anonymous device identifiers it claimed
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string[]|null} Null for requests without a valid token
+ */
+export const getRequestIdentities = (req) => {
+  const user = authenticate(req);
+  if (!user) return null;
+  return [user.id, ...(claims.get(user.id)?.anonymous_ids || [])];
+};
+
+const validateRegistration = ({ name, email, password }) => {
+  const errors = {};
+  if (!name?.trim()) errors.name = "Nama wajib diisi";
+  if (!email?.trim()) errors.email = "Email wajib diisi";
+  else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.email = "Format email tidak valid";
+  else if (findUserByEmail(email.trim().toLowerCase())) errors.email = "Email sudah terdaftar";
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Kata sandi minimal ${MIN_PASSWORD_LENGTH} karakter`;
+  }
+  return errors;
+};
+
+const register = async (req, res) => {
+  const body = await readJson(req);
+  const errors = validateRegistration(body);
+  if (Object.keys(errors).length) {
+    return sendError(res, 422, "Data pendaftaran tidak valid", errors);
+  }
+
+  const user = {
+    id: randomUUID(),
+    name: body.name.trim(),
+    email: body.email.trim().toLowerCase(),
+    password: hashPassword(body.password),
+    created_at: new Date().toISOString(),
+  };
+  users.set(user.id, user);
+  sendJson(res, 201, { success: true, data: issueSession(user) });
+};
+
+const login = async (req, res) => {
+  const { email, password } = await readJson(req);
+  const user = email && findUserByEmail(email.trim().toLowerCase());
+  if (!user || !password || !verifyPassword(password, user.password)) {
+    return sendError(res, 401, "Email atau kata sandi salah");
+  }
+  sendJson(res, 200, { success: true, data: issueSession(user) });
+};
+
+const refresh = async (req, res) => {
+  const { refresh_token } = await readJson(req);
+  const userId = refresh_token && refreshTokens.get(refresh_token);
+  const user = userId && users.get(userId);
+  if (!user) {
+    return sendError(res, 401, "Sesi berakhir, silakan masuk kembali");
+  }
+  // Rotate: the old refresh token can't be used again
+  refreshTokens.delete(refresh_token);
+  sendJson(res, 200, { success: true, data: issueSession(user) });
+};
+
+const logout = async (req, res) => {
+  const { refresh_token } = await readJson(req);
+  refreshTokens.delete(refresh_token);
+  accessTokens.delete(getBearerToken(req));
+  sendJson(res, 200, { success: true, message: "Berhasil keluar" });
+};
+
+const me = (req, res) => {
+  const user = authenticate(req);
+  if (!user) return sendError(res, 401, "Token tidak valid atau kedaluwarsa");
+  sendJson(res, 200, { success: true, data: publicUser(user) });
+};
+
+// Attach a device's anonymous favorites and reviews to the account
+const claim = async (req, res) => {
+  const user = authenticate(req);
+  if (!user) return sendError(res, 401, "Token tidak valid atau kedaluwarsa");
+
+  const { anonymous_id, favorites = [], reviews = [] } = await readJson(req);
+  if (!anonymous_id) {
+    return sendError(res, 422, "Data tidak valid", {
+      anonymous_id: "anonymous_id wajib diisi",
+    });
+  }
+
+  const existing = claims.get(user.id) || {
+    anonymous_ids: [],
+    favorites: [],
+    reviews: [],
+  };
+  claims.set(user.id, {
+    anonymous_ids: [...new Set([...existing.anonymous_ids, anonymous_id])],
+    favorites: [...new Set([...existing.favorites, ...favorites.map(String)])],
+    reviews: [...new Set([...existing.reviews, ...reviews.map(String)])],
+  });
+
+  sendJson(res, 200, {
+    success: true,
+    data: { favorites: favorites.length, reviews: reviews.length },
+  });
+};
+
+export const authRoutes = {
+  "POST /api/v1/auth/register": register,
+  "POST /api/v1/auth/login": login,
+  "POST /api/v1/auth/refresh": refresh,
+  "POST /api/v1/auth/logout": logout,
+  "GET /api/v1/auth/me": me,
+  "POST /api/v1/auth/claim": claim,
+};
@@ -0,0 +1,77 @@
+// Small helpers shared by the mock server routes
+
+/**
+ * Send a JSON response in the API's { success, data, message } shape
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+export const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+export const sendError = (res, status, message, errors) => {
+  sendJson(res, status, {
+    success: false,
+    message,
+    ...(errors ? { errors } : {}),
+  });
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+export const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(new Error("Body bukan JSON yang valid"));
+      }
+    });
+    req.on("error", reject);
+  });
+
+/**
+ * Get the bearer token of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null}
+ */
+export const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+};
+
+/**
+ * Read a raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Larger bodies are rejected with `tooLarge: true`
+ * @returns {Promise<Buffer>}
+ */
+export const readBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      // Keep reading (and dropping) the rest so an error can still be sent
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > maxBytes) {
+        reject(Object.assign(new Error("Body terlalu besar"), { tooLarge: true }));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+    req.on("error", reject);
+  });
@@ -0,0 +1,91 @@
+// Local mock of the Resep Nusantara API for development and testing.
+// Run with `npm run mock:server`, then start the app with
+// VITE_API_BASE_URL=http://localhost:4000 to use it for everything
+// (or VITE_AUTH_BASE_URL for accounts only). Starts with the bundled
+// recipes; data is kept in memory and lost on restart.
+import { createServer } from "node:http";
+import { sendError } from "./http.js";
+import { authRoutes } from "./auth.js";
+import { recipeRoutes } from "./recipes.js";
+import { uploadRoutes } from "./upload.js";
+
+const PORT = Number(process.env.MOCK_PORT) || 4000;
+
+const routes = {
+  ...authRoutes,
+  ...recipeRoutes,
+  ...uploadRoutes,
+};
+
+// "GET /api/v1/recipes/:id" -> matcher returning { id } or null
+const matchers = Object.entries(routes).map(([route, handler]) => {
+  const [method, pattern] = route.split(" ");
+  const names = [];
+  const regex = new RegExp(
+    `^${pattern.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return "([^/]+)";
+    })}$`
+  );
+  return { method, regex, names, handler };
+});
+
+const findRoute = (method, pathname) => {
+  for (const route of matchers) {
+    if (route.method !== method) continue;
+    const match = pathname.match(route.regex);
+    if (match) {
+      const params = Object.fromEntries(
+        route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])])
+      );
+      return { handler: route.handler, params };
+    }
+  }
+  return null;
+};
+
+const server = createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    "GET, POST, PUT, PATCH, DELETE, OPTIONS"
+  );
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  let pathname;
+  let searchParams;
+  let route;
+  try {
+    ({ pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`));
+    route = findRoute(req.method, pathname);
+  } catch {
+    // Malformed percent-encoding in a path parameter (URIError) or URL
+    sendError(res, 400, "Alamat permintaan tidak valid");
+    return;
+  }
+
+  if (!route) {
+    sendError(res, 404, `Endpoint ${req.method} ${pathname} tidak ditemukan`);
+    return;
+  }
+
+  try {
+    await route.handler(req, res, {
+      params: route.params,
+      query: Object.fromEntries(searchParams),
+    });
+  } catch (error) {
+    console.error(error);
+    sendError(res, 400, error.message || "Permintaan tidak valid");
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock API berjalan di http://localhost:${PORT}`);
+});
@@ -0,0 +1,419 @@
+import { randomUUID } from "node:crypto";
+import { sendJson, sendError, readJson } from "./http.js";
+import { authenticate, getRequestIdentities } from "./auth.js";
+import { createSeedRecipes, SEED_OWNER } from "../src/data/seedRecipes.js";
+import { queryRecipes, summarizeReviews, MAX_PAGE_SIZE, SORT_FIELDS } from "../src/utils/recipeQuery.js";
+
+// Same slugs as src/config/categories.js
+const CATEGORIES = ["makanan", "minuman"];
+const DIFFICULTIES = ["mudah", "sedang", "sulit"];
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 1000;
+
+// Good enough for the bundled recipes: "2 butir telur", "Garam secukupnya"
+const splitIngredient = (line) => {
+  const leading = line.match(/^([\d½¼¾][\d/.,½¼¾-]*\s*(?:[a-z]+)?)\s+(.+)$/i);
+  if (leading) return { quantity: leading[1], name: leading[2] };
+  const toTaste = line.match(/^(.+?)\s+(secukupnya|sesuai selera)$/i);
+  if (toTaste) return { name: toTaste[1], quantity: toTaste[2] };
+  return { name: line, quantity: "" };
+};
+
+const recipes = new Map(createSeedRecipes(splitIngredient).map((recipe) => [recipe.id, recipe]));
+const reviews = new Map(); // id -> review
+const favorites = new Map(); // "<user_identifier>:<recipe_id>" -> favorite
+const revisions = new Map(); // recipe id -> [revision], oldest first
+
+const withRatings = (recipe) => ({
+  ...recipe,
+  ...summarizeReviews([...reviews.values()].filter((review) => review.recipe_id === recipe.id)),
+});
+
+const isWholeNumber = (value, min) =>
+  value !== "" && value !== null && Number.isInteger(Number(value)) && Number(value) >= min;
+
+/**
+ * Check a recipe body the way the API does. Errors are keyed by field, with
+ * list items as "ingredients.0.name" and "steps.2".
+ * @param {Object} body - Recipe data (steps as texts)
+ * @param {boolean} partial - Only check the fields that are present (PATCH)
+ * @returns {Object} Field -> message
+ */
+const validateRecipe = (body, partial = false) => {
+  const errors = {};
+  const has = (field) => !partial || body[field] !== undefined;
+
+  if (has("name")) {
+    if (typeof body.name !== "string" || !body.name.trim()) errors.name = "Nama resep wajib diisi";
+    else if (body.name.trim().length > MAX_NAME_LENGTH) errors.name = `Nama resep maksimal ${MAX_NAME_LENGTH} karakter`;
+  }
+  if (has("description") && body.description && String(body.description).length > MAX_TEXT_LENGTH) {
+    errors.description = `Deskripsi maksimal ${MAX_TEXT_LENGTH} karakter`;
+  }
+  if (has("category") && !CATEGORIES.includes(body.category)) {
+    errors.category = `Kategori harus salah satu dari: ${CATEGORIES.join(", ")}`;
+  }
+  if (has("difficulty") && !DIFFICULTIES.includes(body.difficulty)) {
+    errors.difficulty = `Tingkat kesulitan harus salah satu dari: ${DIFFICULTIES.join(", ")}`;
+  }
+  if (has("prep_time") && !isWholeNumber(body.prep_time, 0)) {
+    errors.prep_time = "Waktu persiapan harus bilangan bulat 0 atau lebih";
+  }
+  if (has("cook_time") && !isWholeNumber(body.cook_time, 0)) {
+    errors.cook_time = "Waktu memasak harus bilangan bulat 0 atau lebih";
+  }
+  if (has("servings") && !isWholeNumber(body.servings, 1)) {
+    errors.servings = "Jumlah porsi minimal 1";
+  }
+  if (has("image_url") && body.image_url && !/^(https?:\/\/|\/uploads\/)/.test(body.image_url)) {
+    errors.image_url = "URL gambar tidak valid";
+  }
+
+  if (has("ingredients")) {
+    if (!Array.isArray(body.ingredients) || !body.ingredients.length) {
+      errors.ingredients = "Minimal satu bahan harus ditambahkan";
+    } else {
+      body.ingredients.forEach((ingredient, index) => {
+        if (!ingredient?.name?.trim()) errors[`ingredients.${index}.name`] = "Nama bahan wajib diisi";
+        if (!ingredient?.quantity?.trim()) errors[`ingredients.${index}.quantity`] = "Takaran bahan wajib diisi";
+      });
+    }
+  }
+  if (has("steps")) {
+    if (!Array.isArray(body.steps) || !body.steps.length) {
+      errors.steps = "Minimal satu langkah harus ditambahkan";
+    } else {
+      body.steps.forEach((step, index) => {
+        if (typeof step !== "string" || !step.trim()) errors[`steps.${index}`] = "Langkah tidak boleh kosong";
+      });
+    }
+  }
+  return errors;
+};
+
+const validateListQuery = (query) => {
+  const errors = {};
+  if (query.page !== undefined && !isWholeNumber(query.page, 1)) errors.page = "page harus bilangan bulat 1 atau lebih";
+  if (query.limit !== undefined && (!isWholeNumber(query.limit, 1) || Number(query.limit) > MAX_PAGE_SIZE)) {
+    errors.limit = `limit harus antara 1 dan ${MAX_PAGE_SIZE}`;
+  }
+  if (query.category && !CATEGORIES.includes(query.category)) errors.category = "Kategori tidak dikenal";
+  if (query.difficulty && !DIFFICULTIES.includes(query.difficulty)) errors.difficulty = "Tingkat kesulitan tidak dikenal";
+  if (query.sort_by && !SORT_FIELDS.includes(query.sort_by)) errors.sort_by = "Kolom pengurutan tidak dikenal";
+  if (query.order && !["asc", "desc"].includes(query.order)) errors.order = "order harus asc atau desc";
+  return errors;
+};
+
+// Stored shape: what GET returns
+const toRecipe = (id, body, existing = {}) => ({
+  ...existing,
+  ...body,
+  id,
+  name: body.name?.trim() ?? existing.name,
+  description: body.description?.trim() ?? existing.description ?? "",
+  prep_time: body.prep_time !== undefined ? Number(body.prep_time) : existing.prep_time,
+  cook_time: body.cook_time !== undefined ? Number(body.cook_time) : existing.cook_time,
+  servings: body.servings !== undefined ? Number(body.servings) : existing.servings,
+  image_url: body.image_url ?? existing.image_url ?? "",
+  ingredients: body.ingredients
+    ? body.ingredients.map((ingredient) => ({
+        id: randomUUID(),
+        name: ingredient.name.trim(),
+        quantity: ingredient.quantity.trim(),
+      }))
+    : existing.ingredients,
+  steps: body.steps
+    ? body.steps.map((instruction, index) => ({
+        id: randomUUID(),
+        step_number: index + 1,
+        instruction: instruction.trim(),
+      }))
+    : existing.steps,
+  created_by: existing.created_by ?? body.created_by ?? null,
+  created_at: existing.created_at ?? new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+  version: (existing.version ?? 0) + 1,
+});
+
+/**
+ * Whether a change was made to an older copy than the stored one. Clients
+ * send the `version` they edited (or its `updated_at`); without either the
+ * change is applied as is.
+ */
+const isStale = (recipe, body) => {
+  if (body.version !== undefined && body.version !== null) {
+    return Number(body.version) !== recipe.version;
+  }
+  if (body.updated_at) return new Date(body.updated_at).getTime() !== new Date(recipe.updated_at).getTime();
+  return false;
+};
+
+/**
+ * Whether a request may change a recipe. The demo recipes belong to nobody;
+ * logged-in users may change recipes made by their account or a device they
+ * claimed; anonymous PUT, PATCH and DELETE bodies carry the creator, which
+ * must match.
+ */
+const canModify = (req, recipe, body = {}) => {
+  if (recipe.created_by === SEED_OWNER) return false;
+  const identities = getRequestIdentities(req);
+  if (identities) return identities.includes(recipe.created_by);
+  return Boolean(body.created_by) && body.created_by === recipe.created_by;
+};
+
+// Who made a change: the logged-in account, or who an anonymous client says it is
+const authorOf = (req, body) => {
+  const user = authenticate(req);
+  if (user) return { id: user.id, name: user.name };
+  if (body.updated_by?.id) return { id: String(body.updated_by.id), name: body.updated_by.name || null };
+  return body.created_by ? { id: body.created_by, name: null } : null;
+};
+
+// Every saved version is kept, like GET /revisions returns it
+const addRevision = (recipe, author) => {
+  const revision = {
+    id: randomUUID(),
+    recipe_id: recipe.id,
+    version: recipe.version,
+    saved_at: recipe.updated_at,
+    author,
+    recipe: {
+      name: recipe.name,
+      description: recipe.description,
+      category: recipe.category,
+      difficulty: recipe.difficulty,
+      prep_time: recipe.prep_time,
+      cook_time: recipe.cook_time,
+      servings: recipe.servings,
+      image_url: recipe.image_url,
+      ingredients: recipe.ingredients.map(({ name, quantity }) => ({ name, quantity })),
+      steps: recipe.steps.map(({ step_number, instruction }) => ({ step_number, instruction })),
+    },
+  };
+  revisions.set(recipe.id, [...(revisions.get(recipe.id) || []), revision]);
+};
+
+const findRecipe = (res, id) => {
+  const recipe = recipes.get(id);
+  if (!recipe) sendError(res, 404, "Resep tidak ditemukan");
+  return recipe;
+};
+
+// ---- Recipes ----------------------------------------------------------------
+
+const listRecipes = (req, res, { query }) => {
+  const errors = validateListQuery(query);
+  if (Object.keys(errors).length) {
+    return sendError(res, 422, "Parameter tidak valid", errors);
+  }
+  const result = queryRecipes([...recipes.values()].map(withRatings), query);
+  sendJson(res, 200, { success: true, ...result });
+};
+
+const getRecipe = (req, res, { params }) => {
+  const recipe = findRecipe(res, params.id);
+  if (recipe) sendJson(res, 200, { success: true, data: withRatings(recipe) });
+};
+
+const createRecipe = async (req, res) => {
+  const body = await readJson(req);
+  // A retried create (its first attempt timed out) gets the recipe it made
+  const created = body.client_id
+    ? [...recipes.values()].find((recipe) => recipe.client_id === body.client_id)
+    : null;
+  if (created) {
+    return sendJson(res, 200, { success: true, message: "Resep sudah dibuat", data: withRatings(created) });
+  }
+  const errors = validateRecipe(body);
+  if (Object.keys(errors).length) {
+    return sendError(res, 422, "Data resep tidak valid", errors);
+  }
+  const author = authorOf(req, body);
+  const recipe = { ...toRecipe(randomUUID(), body), updated_by: author };
+  recipes.set(recipe.id, recipe);
+  addRevision(recipe, author);
+  sendJson(res, 201, { success: true, message: "Resep berhasil dibuat", data: withRatings(recipe) });
+};
+
+const changeRecipe = (partial) => async (req, res, { params }) => {
+  const recipe = findRecipe(res, params.id);
+  if (!recipe) return;
+  const body = await readJson(req);
+  if (!canModify(req, recipe, body)) {
+    return sendError(res, 403, "Anda tidak memiliki izin untuk mengubah resep ini");
+  }
+  // The current copy goes along so the client can merge
+  if (isStale(recipe, body)) {
+    return sendJson(res, 409, {
+      success: false,
+      message: "Resep sudah diubah oleh orang lain sejak Anda membukanya",
+      data: withRatings(recipe),
+    });
+  }
+  const errors = validateRecipe(body, partial);
+  if (Object.keys(errors).length) {
+    return sendError(res, 422, "Data resep tidak valid", errors);
+  }
+  const author = authorOf(req, body);
+  const updated = {
+    ...toRecipe(
+      recipe.id,
+      body,
+      partial ? recipe : { created_by: recipe.created_by, created_at: recipe.created_at, version: recipe.version }
+    ),
+    updated_by: author,
+  };
+  recipes.set(updated.id, updated);
+  addRevision(updated, author);
+  sendJson(res, 200, { success: true, message: "Resep berhasil diperbarui", data: withRatings(updated) });
+};
+
+const deleteRecipe = async (req, res, { params }) => {
+  const recipe = findRecipe(res, params.id);
+  if (!recipe) return;
+  const body = await readJson(req);
+  if (!canModify(req, recipe, body)) {
+    return sendError(res, 403, "Anda tidak memiliki izin untuk menghapus resep ini");
+  }
+  recipes.delete(recipe.id);
+  revisions.delete(recipe.id);
+  [...reviews.values()]
+    .filter((review) => review.recipe_id === recipe.id)
+    .forEach((review) => reviews.delete(review.id));
+  [...favorites.entries()]
+    .filter(([, favorite]) => favorite.recipe_id === recipe.id)
+    .forEach(([key]) => favorites.delete(key));
+  sendJson(res, 200, { success: true, message: "Resep berhasil dihapus" });
+};
+
+const listRevisions = (req, res, { params }) => {
+  if (!findRecipe(res, params.id)) return;
+  const data = [...(revisions.get(params.id) || [])].reverse();
+  sendJson(res, 200, { success: true, data });
+};
+
+// ---- Reviews ----------------------------------------------------------------
+
+const validateReview = (body, partial = false) => {
+  const errors = {};
+  if (!partial && !body.user_identifier?.trim()) errors.user_identifier = "user_identifier wajib diisi";
+  if (!partial || body.rating !== undefined) {
+    if (!isWholeNumber(body.rating, 1) || Number(body.rating) > 5) errors.rating = "Rating harus bilangan bulat 1 sampai 5";
+  }
+  if (body.comment && String(body.comment).length > MAX_TEXT_LENGTH) {
+    errors.comment = `Komentar maksimal ${MAX_TEXT_LENGTH} karakter`;
+  }
+  return errors;
+};
+
+const listReviews = (req, res, { params }) => {
+  if (!findRecipe(res, params.id)) return;
+  const data = [...reviews.values()]
+    .filter((review) => review.recipe_id === params.id)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  sendJson(res, 200, { success: true, data });
+};
+
+const createReview = async (req, res, { params }) => {
+  if (!findRecipe(res, params.id)) return;
+  const body = await readJson(req);
+  const errors = validateReview(body);
+  if (Object.keys(errors).length) {
+    return sendError(res, 422, "Data ulasan tidak valid", errors);
+  }
+  const now = new Date().toISOString();
+  const review = {
+    id: randomUUID(),
+    recipe_id: params.id,
+    user_identifier: body.user_identifier.trim(),
+    rating: Number(body.rating),
+    comment: String(body.comment || "").trim(),
+    created_at: now,
+    updated_at: now,
+  };
+  reviews.set(review.id, review);
+  sendJson(res, 201, { success: true, message: "Ulasan berhasil ditambahkan", data: review });
+};
+
+const updateReview = async (req, res, { params }) => {
+  const review = reviews.get(params.id);
+  if (!review) return sendError(res, 404, "Ulasan tidak ditemukan");
+  const body = await readJson(req);
+  const errors = validateReview(body, true);
+  if (Object.keys(errors).length) {
+    return sendError(res, 422, "Data ulasan tidak valid", errors);
+  }
+  const updated = {
+    ...review,
+    rating: body.rating !== undefined ? Number(body.rating) : review.rating,
+    comment: body.comment !== undefined ? String(body.comment).trim() : review.comment,
+    updated_at: new Date().toISOString(),
+  };
+  reviews.set(updated.id, updated);
+  sendJson(res, 200, { success: true, message: "Ulasan berhasil diperbarui", data: updated });
+};
+
+const deleteReview = (req, res, { params }) => {
+  if (!reviews.delete(params.id)) return sendError(res, 404, "Ulasan tidak ditemukan");
+  sendJson(res, 200, { success: true, message: "Ulasan berhasil dihapus" });
+};
+
+// ---- Favorites --------------------------------------------------------------
+
+const listFavorites = (req, res, { query }) => {
+  if (!query.user_identifier) {
+    return sendError(res, 422, "Parameter tidak valid", {
+      user_identifier: "user_identifier wajib diisi",
+    });
+  }
+  const data = [...favorites.values()]
+    .filter((favorite) => favorite.user_identifier === query.user_identifier)
+    .filter((favorite) => recipes.has(favorite.recipe_id))
+    .map((favorite) => ({ ...favorite, recipe: withRatings(recipes.get(favorite.recipe_id)) }));
+  sendJson(res, 200, { success: true, data });
+};
+
+const toggleFavorite = async (req, res) => {
+  const body = await readJson(req);
+  const errors = {};
+  if (!body.recipe_id) errors.recipe_id = "recipe_id wajib diisi";
+  if (!body.user_identifier) errors.user_identifier = "user_identifier wajib diisi";
+  if (Object.keys(errors).length) {
+    return sendError(res, 422, "Data favorit tidak valid", errors);
+  }
+  const recipeId = String(body.recipe_id);
+  if (!findRecipe(res, recipeId)) return;
+
+  const key = `${body.user_identifier}:${recipeId}`;
+  const existing = favorites.has(key);
+  if (existing) {
+    favorites.delete(key);
+  } else {
+    favorites.set(key, {
+      recipe_id: recipeId,
+      user_identifier: body.user_identifier,
+      created_at: new Date().toISOString(),
+    });
+  }
+  sendJson(res, 200, {
+    success: true,
+    message: existing ? "Dihapus dari favorit" : "Ditambahkan ke favorit",
+    data: { recipe_id: recipeId, is_favorited: !existing },
+  });
+};
+
+export const recipeRoutes = {
+  "GET /api/v1/recipes": listRecipes,
+  "POST /api/v1/recipes": createRecipe,
+  "GET /api/v1/recipes/:id": getRecipe,
+  "PUT /api/v1/recipes/:id": changeRecipe(false),
+  "PATCH /api/v1/recipes/:id": changeRecipe(true),
+  "DELETE /api/v1/recipes/:id": deleteRecipe,
+  "GET /api/v1/recipes/:id/revisions": listRevisions,
+  "GET /api/v1/recipes/:id/reviews": listReviews,
+  "POST /api/v1/recipes/:id/reviews": createReview,
+  "PUT /api/v1/reviews/:id": updateReview,
+  "DELETE /api/v1/reviews/:id": deleteReview,
+  "GET /api/v1/favorites": listFavorites,
+  "POST /api/v1/favorites/toggle": toggleFavorite,
+};
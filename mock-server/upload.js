@@ -0,0 +1,98 @@
+import { randomUUID } from "node:crypto";
+import { sendJson, sendError, readBody } from "./http.js";
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+// Room for the multipart boundaries and headers around the file
+const MAX_BODY_SIZE = MAX_FILE_SIZE + 64 * 1024;
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const files = new Map(); // "<id>.<ext>" -> { type, data }
+
+/**
+ * Find a file field in a multipart/form-data body
+ * @param {Buffer} body - Raw body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @param {string} field - Field name
+ * @returns {Object|null} { type, data }
+ */
+const findFilePart = (body, boundary, field) => {
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    const part = body.subarray(start + delimiter.length + 2, next - 2); // drop CRLFs
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString();
+      const name = headers.match(/name="([^"]*)"/i)?.[1];
+      if (name === field && /filename="/i.test(headers)) {
+        return {
+          type: headers.match(/content-type:\s*([^\r\n;]+)/i)?.[1].trim().toLowerCase() || "",
+          data: part.subarray(headerEnd + 4),
+        };
+      }
+    }
+    start = next;
+  }
+  return null;
+};
+
+const uploadImage = async (req, res) => {
+  const boundary = (req.headers["content-type"] || "").match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary) {
+    return sendError(res, 422, "Gunakan multipart/form-data", { image: "Gambar wajib diunggah" });
+  }
+
+  let body;
+  try {
+    body = await readBody(req, MAX_BODY_SIZE);
+  } catch (error) {
+    if (error.tooLarge) return sendError(res, 413, "Ukuran gambar maksimal 5MB");
+    throw error;
+  }
+
+  const file = findFilePart(body, boundary[1] || boundary[2], "image");
+  if (!file || !file.data.length) {
+    return sendError(res, 422, "Data unggahan tidak valid", { image: "Gambar wajib diunggah" });
+  }
+  if (!EXTENSIONS[file.type]) {
+    return sendError(res, 422, "Data unggahan tidak valid", {
+      image: "Format gambar harus JPG, PNG atau WEBP",
+    });
+  }
+  if (file.data.length > MAX_FILE_SIZE) {
+    return sendError(res, 413, "Ukuran gambar maksimal 5MB");
+  }
+
+  const name = `${randomUUID()}.${EXTENSIONS[file.type]}`;
+  files.set(name, { type: file.type, data: Buffer.from(file.data) });
+  sendJson(res, 201, {
+    success: true,
+    message: "Gambar berhasil diunggah",
+    data: { url: `http://${req.headers.host}/uploads/${name}` },
+  });
+};
+
+const getUpload = (req, res, { params }) => {
+  const file = files.get(params.file);
+  if (!file) return sendError(res, 404, "File tidak ditemukan");
+  res.writeHead(200, {
+    "Content-Type": file.type,
+    "Content-Length": file.data.length,
+    "Cache-Control": "public, max-age=31536000, immutable",
+  });
+  res.end(file.data);
+};
+
+export const uploadRoutes = {
+  "POST /api/v1/upload": uploadImage,
+  "GET /uploads/:file": getUpload,
+};
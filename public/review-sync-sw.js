@@ -0,0 +1,151 @@
+// Loaded into the generated service worker via workbox.importScripts
+// (vite.config.js). Sends reviews written offline when the browser fires the
+// "sync-reviews" Background Sync event, even if the app is closed.
+//
+// Records live in the "pending_reviews" store written by
+// src/services/reviewSyncService.js. Keep the names below in sync with it.
+
+const REVIEW_DB_NAME = "resep_nusantara";
+const REVIEW_STORE = "pending_reviews";
+const REVIEW_SYNC_TAG = "sync-reviews";
+// A 'sending' claim older than this is treated as abandoned
+const REVIEW_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+const openReviewDatabase = () =>
+  new Promise((resolve, reject) => {
+    // No version: never upgrade from here, the app owns the schema
+    const request = indexedDB.open(REVIEW_DB_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const getPendingIds = (db) =>
+  new Promise((resolve, reject) => {
+    const request = db
+      .transaction(REVIEW_STORE, "readonly")
+      .objectStore(REVIEW_STORE)
+      .getAllKeys();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Read, change and write one record in a single transaction, so the app
+// can't claim the same review in between
+const updateReview = (db, clientId, updater) =>
+  new Promise((resolve, reject) => {
+    const transaction = db.transaction(REVIEW_STORE, "readwrite");
+    const store = transaction.objectStore(REVIEW_STORE);
+    let written;
+
+    const request = store.get(clientId);
+    request.onsuccess = () => {
+      written = updater(request.result);
+      if (written !== undefined) {
+        store.put(written);
+      }
+    };
+
+    transaction.oncomplete = () => resolve(written);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+const claimReview = (db, clientId) =>
+  updateReview(db, clientId, (record) => {
+    if (!record) return undefined;
+    const abandoned =
+      record.status === "sending" &&
+      Date.now() - new Date(record.claimed_at).getTime() >
+        REVIEW_CLAIM_TIMEOUT_MS;
+    if (record.status !== "pending" && !abandoned) return undefined;
+    return {
+      ...record,
+      status: "sending",
+      claimed_at: new Date().toISOString(),
+    };
+  });
+
+const setReviewState = (db, clientId, changes) =>
+  updateReview(db, clientId, (record) =>
+    record ? { ...record, ...changes } : undefined
+  );
+
+const syncPendingReviews = async () => {
+  const db = await openReviewDatabase();
+  if (!db.objectStoreNames.contains(REVIEW_STORE)) {
+    db.close();
+    return;
+  }
+
+  let sent = 0;
+  let networkError = null;
+
+  try {
+    const ids = await getPendingIds(db);
+
+    for (const clientId of ids) {
+      const record = await claimReview(db, clientId);
+      if (!record) continue;
+
+      // Written by the app, which refreshes it whenever the session changes
+      const headers = { "Content-Type": "application/json" };
+      if (record.access_token) {
+        headers.Authorization = `Bearer ${record.access_token}`;
+      }
+
+      let response;
+      try {
+        response = await fetch(record.url, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(record.body),
+        });
+      } catch (error) {
+        await setReviewState(db, clientId, {
+          status: "pending",
+          claimed_at: null,
+        });
+        networkError = error;
+        break;
+      }
+
+      if (response.ok) {
+        const json = await response.json().catch(() => ({}));
+        // The app links its local copy and removes the record on next start
+        await setReviewState(db, clientId, {
+          status: "synced",
+          server_review: json.data || null,
+        });
+        sent++;
+      } else if (response.status === 401) {
+        // Token expired: leave it for the app, which can refresh the session
+        await setReviewState(db, clientId, {
+          status: "pending",
+          claimed_at: null,
+        });
+      } else {
+        const json = await response.json().catch(() => ({}));
+        await setReviewState(db, clientId, {
+          status: "failed",
+          error: json.message || `HTTP ${response.status}`,
+        });
+      }
+    }
+  } finally {
+    db.close();
+  }
+
+  if (sent > 0) {
+    const windows = await self.clients.matchAll({ type: "window" });
+    windows.forEach((client) => client.postMessage({ type: "REVIEWS_SYNCED" }));
+  }
+
+  // Rejecting tells the browser to retry the sync later
+  if (networkError) throw networkError;
+};
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === REVIEW_SYNC_TAG) {
+    event.waitUntil(syncPendingReviews());
+  }
+});
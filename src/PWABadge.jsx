@@ -1,4 +1,5 @@
 // src/PWABadge.jsx
+import { useEffect, useState } from 'react'
 import { useRegisterSW } from 'virtual:pwa-register/react'
 
 function PWABadge() {
@@ -25,23 +26,53 @@ function PWABadge() {
     },
   })
 
+  // Recipe JSON answered from the runtime cache because the API couldn't be
+  // reached (offline or server down), as reported by the service worker.
+  // The cache answer and the failed refresh arrive in either order.
+  const [servingCache, setServingCache] = useState(false)
+
+  useEffect(() => {
+    const fromCache = new Set()
+    const unreachable = new Set()
+    const handleMessage = (event) => {
+      const { type, url } = event.data || {}
+      if (type === 'API_CACHE_HIT') fromCache.add(url)
+      else if (type === 'API_UNREACHABLE') unreachable.add(url)
+      else if (type === 'API_REACHABLE') {
+        fromCache.clear()
+        unreachable.clear()
+        setServingCache(false)
+        return
+      }
+      else return
+      if (fromCache.has(url) && unreachable.has(url)) setServingCache(true)
+    }
+    navigator.serviceWorker?.addEventListener('message', handleMessage)
+    return () => navigator.serviceWorker?.removeEventListener('message', handleMessage)
+  }, [])
+
   function close() {
     setOfflineReady(false)
     setNeedRefresh(false)
+    setServingCache(false)
   }
 
   return (
-    <div className="fixed bottom-0 right-0 m-4 z-50" role="alert" aria-labelledby="toast-message">
-      {(offlineReady || needRefresh) && (
+    <div className="fixed bottom-0 right-0 m-4 z-50 print:hidden" role="alert" aria-labelledby="toast-message">
+      {(offlineReady || needRefresh || servingCache) && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 p-4 min-w-[320px] max-w-md">
           <div className="mb-3">
-            {offlineReady ? (
+            {needRefresh ? (
               <span id="toast-message" className="text-sm text-gray-700 dark:text-gray-200">
-                App ready to work offline
+                New content available, click on reload button to update.
+              </span>
+            ) : servingCache ? (
+              <span id="toast-message" className="text-sm text-gray-700 dark:text-gray-200">
+                Unable to reach the server. Showing cached recipes, which may be out of date.
               </span>
             ) : (
               <span id="toast-message" className="text-sm text-gray-700 dark:text-gray-200">
-                New content available, click on reload button to update.
+                App ready to work offline
               </span>
             )}
           </div>
@@ -1,26 +1,59 @@
-import { useState } from 'react';
-import { Filter, X, ChevronDown, SlidersHorizontal } from 'lucide-react';
+import { useState, useRef, useEffect } from 'react';
+import { Filter, X, ChevronDown, SlidersHorizontal, Search, ShoppingBasket, Plus } from 'lucide-react';
+import { usePantry } from '../../hooks/usePantry';
+import { STAPLES } from '../../utils/pantryMatcher';
+
+const DEFAULT_SORT = { sortBy: 'created_at', order: 'desc' };
 
 /**
  * AdvancedFilter Component
  * Enhanced filter panel with multiple options (NO category filter - already separate pages)
+ * Pantry mode swaps the search bar for a list of ingredients the user has at home
+ * initialFilters is followed when it changes, so back/forward through URL filters updates the panel
+ * defaultSort is the category's own order, used on reset and not counted as an active filter
  */
-export default function AdvancedFilter({ onFilterChange, onSearchChange, initialFilters = {} }) {
+export default function AdvancedFilter({
+  onFilterChange,
+  onSearchChange,
+  onPantryModeChange,
+  initialFilters = {},
+  defaultSort = DEFAULT_SORT,
+}) {
   const [isOpen, setIsOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState(initialFilters.search || '');
+  const [pantryMode, setPantryMode] = useState(Boolean(initialFilters.pantryMode));
+  const [pantryInput, setPantryInput] = useState('');
+  const { pantry, addItems, removeItem, clearItems, setAssumeStaples } = usePantry();
+  const searchTimeoutRef = useRef(null);
+
+  // Drop a pending search when the filter unmounts
+  useEffect(() => () => clearTimeout(searchTimeoutRef.current), []);
+
+  // Follow filters changed from outside (browser back/forward, shared links)
+  const { search, difficulty, sortBy, order, prepTimeMax } = initialFilters;
+  const { sortBy: defaultSortBy, order: defaultOrder } = defaultSort;
+  useEffect(() => {
+    setSearchQuery(search || '');
+    setFilters({
+      difficulty: difficulty || '',
+      sortBy: sortBy || defaultSortBy,
+      order: order || defaultOrder,
+      prepTimeMax: prepTimeMax || '',
+    });
+  }, [search, difficulty, sortBy, order, prepTimeMax, defaultSortBy, defaultOrder]);
   const [filters, setFilters] = useState({
     difficulty: initialFilters.difficulty || '',
-    sortBy: initialFilters.sortBy || 'created_at',
-    order: initialFilters.order || 'desc',
+    sortBy: initialFilters.sortBy || defaultSortBy,
+    order: initialFilters.order || defaultOrder,
     prepTimeMax: initialFilters.prepTimeMax || '',
   });
 
-  // Debounce search
+  // Debounce search; each keystroke replaces the pending search
   const handleSearchChange = (value) => {
     setSearchQuery(value);
+    clearTimeout(searchTimeoutRef.current);
     if (onSearchChange) {
-      // Simple debounce
-      setTimeout(() => {
+      searchTimeoutRef.current = setTimeout(() => {
         onSearchChange(value);
       }, 300);
     }
@@ -36,15 +69,28 @@ export default function AdvancedFilter({ onFilterChange, onSearchChange, initial
     }
   };
 
+  const handleModeChange = (nextPantryMode) => {
+    setPantryMode(nextPantryMode);
+    if (onPantryModeChange) {
+      onPantryModeChange(nextPantryMode);
+    }
+  };
+
+  const handleAddPantryItems = () => {
+    addItems(pantryInput);
+    setPantryInput('');
+  };
+
   const handleReset = () => {
     const resetFilters = {
       difficulty: '',
-      sortBy: 'created_at',
-      order: 'desc',
+      sortBy: defaultSortBy,
+      order: defaultOrder,
       prepTimeMax: '',
     };
     setFilters(resetFilters);
     setSearchQuery('');
+    clearTimeout(searchTimeoutRef.current);
     
     if (onFilterChange) {
       onFilterChange(resetFilters);
@@ -54,22 +100,115 @@ export default function AdvancedFilter({ onFilterChange, onSearchChange, initial
     }
   };
 
-  const activeFilterCount = Object.values(filters).filter(v => 
-    v && v !== 'created_at' && v !== 'desc'
-  ).length + (searchQuery ? 1 : 0);
+  const activeFilterCount = [
+    filters.difficulty,
+    filters.prepTimeMax,
+    filters.sortBy !== defaultSortBy,
+    filters.order !== defaultOrder,
+    searchQuery,
+  ].filter(Boolean).length;
 
   return (
     <div className="mb-6 space-y-4">
-      {/* Search Bar - Always Visible */}
-      <div>
-        <input
-          type="text"
-          value={searchQuery}
-          onChange={(e) => handleSearchChange(e.target.value)}
-          placeholder="Cari resep..."
-          className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white shadow-sm"
-        />
-      </div>
+      {/* Mode Toggle */}
+      {onPantryModeChange && (
+        <div className="inline-flex p-1 bg-white border border-slate-300 rounded-xl shadow-sm">
+          <button
+            onClick={() => handleModeChange(false)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+              !pantryMode ? 'bg-blue-500 text-white' : 'text-slate-600 hover:bg-slate-50'
+            }`}
+          >
+            <Search className="w-4 h-4" />
+            Cari Resep
+          </button>
+          <button
+            onClick={() => handleModeChange(true)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+              pantryMode ? 'bg-blue-500 text-white' : 'text-slate-600 hover:bg-slate-50'
+            }`}
+          >
+            <ShoppingBasket className="w-4 h-4" />
+            Bahan di Rumah
+          </button>
+        </div>
+      )}
+
+      {pantryMode ? (
+        /* Pantry Input */
+        <div className="bg-white border border-slate-300 rounded-xl p-4 shadow-sm space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={pantryInput}
+              onChange={(e) => setPantryInput(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleAddPantryItems();
+                }
+              }}
+              placeholder="Bahan yang kamu punya, mis. telur, tomat, bawang merah"
+              className="flex-1 px-4 py-2.5 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+            />
+            <button
+              onClick={handleAddPantryItems}
+              disabled={!pantryInput.trim()}
+              className="flex items-center gap-1 px-4 py-2.5 bg-blue-500 text-white rounded-xl hover:bg-blue-600 disabled:opacity-50 transition-all font-medium"
+            >
+              <Plus className="w-4 h-4" />
+              Tambah
+            </button>
+          </div>
+
+          {pantry.items.length > 0 ? (
+            <div className="flex flex-wrap items-center gap-2">
+              {pantry.items.map((item) => (
+                <span
+                  key={item}
+                  className="inline-flex items-center gap-1 px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm"
+                >
+                  {item}
+                  <button onClick={() => removeItem(item)} aria-label={`Hapus ${item}`}>
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+              <button
+                onClick={clearItems}
+                className="text-sm text-red-600 hover:text-red-700 font-medium"
+              >
+                Hapus semua
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-slate-500">
+              Tambahkan bahan yang ada di dapurmu, resep akan diurutkan dari yang paling lengkap.
+            </p>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={pantry.assumeStaples}
+              onChange={(e) => setAssumeStaples(e.target.checked)}
+              className="rounded border-slate-300"
+            />
+            Anggap bahan dasar selalu ada ({STAPLES.join(', ')})
+          </label>
+        </div>
+      ) : (
+        /* Search Bar */
+        <div>
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => handleSearchChange(e.target.value)}
+            placeholder="Cari resep..."
+            className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white shadow-sm"
+          />
+        </div>
+      )}
 
       {/* Filter & Sort Toggle Button */}
       <button
@@ -140,38 +279,42 @@ export default function AdvancedFilter({ onFilterChange, onSearchChange, initial
               </select>
             </div>
 
-            {/* Sort By */}
-            <div>
-              <label className="block text-sm font-medium text-slate-700 mb-2">
-                Urutkan Berdasarkan
-              </label>
-              <select
-                value={filters.sortBy}
-                onChange={(e) => handleFilterChange('sortBy', e.target.value)}
-                className="w-full px-4 py-2.5 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
-              >
-                <option value="created_at">Terbaru</option>
-                <option value="name">Nama (A-Z)</option>
-                <option value="prep_time">Waktu Persiapan</option>
-                <option value="cook_time">Waktu Masak</option>
-                <option value="difficulty">Kesulitan</option>
-              </select>
-            </div>
+            {/* Sort By & Order (pantry results are ranked by ingredients instead) */}
+            {!pantryMode && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    Urutkan Berdasarkan
+                  </label>
+                  <select
+                    value={filters.sortBy}
+                    onChange={(e) => handleFilterChange('sortBy', e.target.value)}
+                    className="w-full px-4 py-2.5 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                  >
+                    <option value="created_at">Terbaru</option>
+                    <option value="name">Nama (A-Z)</option>
+                    <option value="prep_time">Waktu Persiapan</option>
+                    <option value="cook_time">Waktu Masak</option>
+                    <option value="difficulty">Kesulitan</option>
+                  </select>
+                </div>
 
-            {/* Order */}
-            <div>
-              <label className="block text-sm font-medium text-slate-700 mb-2">
-                Urutan
-              </label>
-              <select
-                value={filters.order}
-                onChange={(e) => handleFilterChange('order', e.target.value)}
-                className="w-full px-4 py-2.5 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
-              >
-                <option value="desc">Descending (Besar → Kecil)</option>
-                <option value="asc">Ascending (Kecil → Besar)</option>
-              </select>
-            </div>
+                {/* Order */}
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    Urutan
+                  </label>
+                  <select
+                    value={filters.order}
+                    onChange={(e) => handleFilterChange('order', e.target.value)}
+                    className="w-full px-4 py-2.5 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                  >
+                    <option value="desc">Descending (Besar → Kecil)</option>
+                    <option value="asc">Ascending (Kecil → Besar)</option>
+                  </select>
+                </div>
+              </>
+            )}
           </div>
 
           {/* Active Filters Display */}
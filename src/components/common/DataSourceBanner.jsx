@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { HardDrive, RefreshCw, RotateCcw } from "lucide-react";
+import { useDataSource } from "../../hooks/useDataSource";
+import dataSourceService, { LOCAL_REASONS } from "../../services/dataSourceService";
+import localDataService from "../../services/localDataService";
+import toastService from "../../services/toastService";
+
+/**
+ * DataSourceBanner Component
+ * Tells the user the app is running on local (demo) data, why, and offers
+ * to try the server again or start the demo data over
+ */
+export default function DataSourceBanner({ onReset }) {
+  const { local, reason } = useDataSource();
+  const [busy, setBusy] = useState(false);
+
+  if (!local) return null;
+
+  const handleRetry = async () => {
+    setBusy(true);
+    try {
+      const status = await dataSourceService.detect();
+      if (status.local) {
+        toastService.warning("Server masih belum bisa dihubungi. Data lokal tetap digunakan.");
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm("Hapus semua resep, ulasan dan favorit lokal lalu kembalikan resep contoh?")) {
+      return;
+    }
+    setBusy(true);
+    try {
+      await localDataService.reset();
+      onReset?.();
+    } catch (error) {
+      console.error("Error resetting local data:", error);
+      toastService.error("Gagal mengatur ulang data lokal.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200 text-amber-800 text-sm print:hidden">
+      <div className="max-w-7xl mx-auto px-4 py-2 flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
+        <p className="flex items-center gap-2 flex-1">
+          <HardDrive className="w-4 h-4 flex-shrink-0" />
+          {reason === LOCAL_REASONS.UNREACHABLE
+            ? "Server tidak dapat dihubungi. Aplikasi memakai data lokal; perubahan hanya tersimpan di perangkat ini."
+            : "Mode demo: resep, ulasan dan favorit disimpan di perangkat ini."}
+        </p>
+        <div className="flex gap-2">
+          {reason === LOCAL_REASONS.UNREACHABLE && (
+            <button
+              onClick={handleRetry}
+              disabled={busy}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg bg-white border border-amber-300 hover:bg-amber-100 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw className={`w-3.5 h-3.5 ${busy ? "animate-spin" : ""}`} />
+              Hubungkan lagi
+            </button>
+          )}
+          <button
+            onClick={handleReset}
+            disabled={busy}
+            className="flex items-center gap-1 px-3 py-1 rounded-lg hover:bg-amber-100 transition-colors disabled:opacity-50"
+          >
+            <RotateCcw className="w-3.5 h-3.5" />
+            Atur ulang data contoh
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,15 +1,11 @@
 import { useState, useEffect } from "react";
 import { Heart } from "lucide-react";
-import {
-  addToFavorites,
-  removeFromFavorites,
-  isRecipeFavorited,
-  loadFavorites,
-} from "../../utils/draftStorage";
+import favoriteService from "../../services/favoriteService";
 
 /**
  * FavoriteButton Component
- * Toggles favorite status with localStorage support
+ * Toggles favorite status instantly, then syncs it with the server
+ * (rolled back if the server rejects it)
  * Can work with either recipe object or recipeId
  */
 export default function FavoriteButton({
@@ -45,7 +41,7 @@ export default function FavoriteButton({
       setCurrentRecipe(recipe);
     } else if (recipeId) {
       // If only recipeId is provided, try to find the recipe in existing favorites
-      const favorites = loadFavorites();
+      const favorites = favoriteService.getLocalFavorites();
       const existingRecipe = favorites.find((fav) => fav.id === recipeId);
       if (existingRecipe) {
         setCurrentRecipe(existingRecipe);
@@ -64,12 +60,19 @@ export default function FavoriteButton({
     }
   }, [recipe, recipeId]);
 
-  // Check if recipe is favorited on mount
+  // Check if recipe is favorited on mount, and follow syncs and rollbacks
   useEffect(() => {
-    if (currentRecipe?.id) {
-      const favorited = isRecipeFavorited(currentRecipe.id);
+    if (!currentRecipe?.id) return;
+
+    setIsFavorited(favoriteService.isFavorited(currentRecipe.id));
+    return favoriteService.subscribe((event) => {
+      const favorited = favoriteService.isFavorited(currentRecipe.id);
       setIsFavorited(favorited);
-    }
+      // A rollback undoes the optimistic count change too
+      if (event.type === "failed" && event.recipeId === currentRecipe.id) {
+        setFavoriteCount((count) => Math.max(0, count + (favorited ? 1 : -1)));
+      }
+    });
   }, [currentRecipe]);
 
   const handleToggle = async (e) => {
@@ -83,33 +86,18 @@ export default function FavoriteButton({
     setIsAnimating(true);
     setTimeout(() => setIsAnimating(false), 300);
 
-    let newFavoritedState;
-
-    if (isFavorited) {
-      // Remove from favorites
-      newFavoritedState = false;
-      removeFromFavorites(currentRecipe.id);
-      setFavoriteCount((prev) => Math.max(0, prev - 1));
-    } else {
-      // Add to favorites
-      newFavoritedState = true;
-      addToFavorites(currentRecipe);
-      setFavoriteCount((prev) => prev + 1);
-    }
+    const newFavoritedState = !isFavorited;
+    setFavoriteCount((prev) => Math.max(0, prev + (newFavoritedState ? 1 : -1)));
 
-    setIsFavorited(newFavoritedState);
+    // Updates the local mirror (and notifies other components) right away
+    const result = favoriteService.setFavorite(currentRecipe, newFavoritedState);
 
     // Call parent callback if provided
     if (onToggle) {
       onToggle(currentRecipe.id, newFavoritedState);
     }
 
-    // Dispatch custom event for other components to listen to
-    window.dispatchEvent(
-      new CustomEvent("favoritesUpdated", {
-        detail: { recipeId: currentRecipe.id, favorited: newFavoritedState },
-      })
-    );
+    await result;
   };
 
   // If no recipe data is available at all, don't render the button
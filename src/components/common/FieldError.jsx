@@ -0,0 +1,12 @@
+/**
+ * FieldError Component
+ * Message under a form field that failed validation
+ */
+export default function FieldError({ message, className = "" }) {
+  if (!message) return null;
+  return (
+    <p className={`mt-1 text-sm text-red-600 ${className}`} role="alert">
+      {message}
+    </p>
+  );
+}
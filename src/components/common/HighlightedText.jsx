@@ -0,0 +1,15 @@
+/**
+ * HighlightedText Component
+ * Renders search highlight segments ({ text, match }) with the matches marked
+ */
+export default function HighlightedText({ segments, className = "bg-yellow-200/80 text-inherit rounded px-0.5" }) {
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className={className}>
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+}
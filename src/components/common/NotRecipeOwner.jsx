@@ -0,0 +1,52 @@
+import { ShieldAlert, ArrowLeft, Eye } from "lucide-react";
+
+/**
+ * NotRecipeOwner Component
+ * Shown instead of edit/delete when the recipe belongs to someone else
+ */
+export default function NotRecipeOwner({
+  recipeName,
+  onViewRecipe,
+  onBack,
+  message = "Hanya pembuat resep yang dapat mengubah atau menghapusnya.",
+}) {
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 bg-gradient-to-br from-slate-50 via-white to-blue-50">
+      <div className="max-w-md w-full bg-white/80 backdrop-blur-sm rounded-3xl shadow-xl border border-white/60 p-8 text-center">
+        <div className="w-16 h-16 rounded-full bg-amber-100 text-amber-600 flex items-center justify-center mx-auto mb-4">
+          <ShieldAlert className="w-8 h-8" />
+        </div>
+        <h1 className="text-2xl font-bold text-slate-800 mb-2">
+          Ini bukan resep Anda
+        </h1>
+        {recipeName && (
+          <p className="font-medium text-slate-700 mb-2">
+            &ldquo;{recipeName}&rdquo;
+          </p>
+        )}
+        <p className="text-slate-600 mb-6">{message}</p>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          {onBack && (
+            <button
+              onClick={onBack}
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-3 border border-slate-300 text-slate-700 rounded-xl hover:bg-slate-50 transition-colors font-medium"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Kembali
+            </button>
+          )}
+          {onViewRecipe && (
+            <button
+              onClick={onViewRecipe}
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors font-medium"
+            >
+              <Eye className="w-4 h-4" />
+              Lihat Resep
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
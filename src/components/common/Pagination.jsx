@@ -0,0 +1,60 @@
+/**
+ * Pagination Component
+ * Numbered pages with previous/next, for people who prefer (or need)
+ * pages over infinite scrolling
+ */
+export default function Pagination({ page, totalPages, total, onPageChange, color = "blue" }) {
+  if (!totalPages || totalPages <= 1) return null;
+
+  // First, last and two pages around the current one
+  const numbers = [...new Set([1, page - 2, page - 1, page, page + 1, page + 2, totalPages])]
+    .filter((number) => number >= 1 && number <= totalPages)
+    .sort((a, b) => a - b);
+
+  const buttonClass = `px-6 py-3 bg-white/80 backdrop-blur border border-slate-300 rounded-xl hover:bg-${color}-50 hover:border-${color}-400 disabled:opacity-50 disabled:cursor-not-allowed transition-all font-medium text-slate-700`;
+
+  return (
+    <nav aria-label="Navigasi halaman" className="mt-12 flex flex-col md:flex-row items-center justify-center gap-4">
+      <button
+        onClick={() => onPageChange(Math.max(1, page - 1))}
+        disabled={page === 1}
+        className={buttonClass}
+      >
+        ← Sebelumnya
+      </button>
+
+      <div className="flex flex-col items-center gap-2 bg-white/60 backdrop-blur px-4 py-2 rounded-xl border border-white/40">
+        <ol className="flex items-center gap-1">
+          {numbers.map((number, index) => (
+            <li key={number} className="flex items-center gap-1">
+              {index > 0 && number - numbers[index - 1] > 1 && (
+                <span className="px-1 text-slate-400" aria-hidden="true">…</span>
+              )}
+              <button
+                onClick={() => onPageChange(number)}
+                aria-current={number === page ? "page" : undefined}
+                aria-label={`Halaman ${number}`}
+                className={`min-w-9 h-9 px-2 rounded-lg font-semibold transition-all ${
+                  number === page
+                    ? `bg-${color}-500 text-white`
+                    : "text-slate-700 hover:bg-white"
+                }`}
+              >
+                {number}
+              </button>
+            </li>
+          ))}
+        </ol>
+        {total != null && <span className="text-slate-500 text-sm">({total} resep)</span>}
+      </div>
+
+      <button
+        onClick={() => onPageChange(Math.min(totalPages, page + 1))}
+        disabled={page === totalPages}
+        className={buttonClass}
+      >
+        Selanjutnya →
+      </button>
+    </nav>
+  );
+}
@@ -0,0 +1,86 @@
+import { ChefHat, Check, ShoppingBasket } from "lucide-react";
+import FavoriteButton from "./FavoriteButton";
+
+/**
+ * PantryResults Component
+ * Recipes ranked by how many of their ingredients the user already has,
+ * with what is still missing for each
+ */
+export default function PantryResults({ results, onRecipeClick, color = "blue" }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
+      {results.map(({ recipe, matched, missing, staples, coverage }) => {
+        const percent = Math.round(coverage * 100);
+        return (
+          <div
+            key={recipe.id}
+            onClick={() => onRecipeClick && onRecipeClick(recipe.id)}
+            className="flex gap-4 bg-white/60 backdrop-blur-sm border border-white/40 rounded-2xl p-4 shadow-lg hover:shadow-xl transition-all cursor-pointer"
+          >
+            <div className="relative w-24 h-24 md:w-28 md:h-28 shrink-0 rounded-xl overflow-hidden bg-slate-100 flex items-center justify-center">
+              {recipe.image_url ? (
+                <img
+                  src={recipe.image_url}
+                  alt={recipe.name}
+                  loading="lazy"
+                  className="w-full h-full object-cover"
+                  onError={(e) => {
+                    e.target.style.display = "none";
+                  }}
+                />
+              ) : (
+                <ChefHat className="w-8 h-8 text-slate-400" />
+              )}
+              <div className="absolute top-1 right-1">
+                <FavoriteButton recipe={recipe} size="sm" />
+              </div>
+            </div>
+
+            <div className="flex-1 min-w-0">
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <h3 className="font-bold text-slate-800 line-clamp-2">{recipe.name}</h3>
+                <span
+                  className={`shrink-0 text-xs font-bold px-2 py-1 rounded-full ${
+                    missing.length === 0
+                      ? "bg-green-100 text-green-700"
+                      : `bg-${color}-100 text-${color}-700`
+                  }`}
+                >
+                  {missing.length === 0 ? "Bisa dimasak!" : `${percent}%`}
+                </span>
+              </div>
+
+              <div className="h-1.5 bg-slate-200 rounded-full overflow-hidden mb-3">
+                <div
+                  className={`h-full rounded-full ${
+                    missing.length === 0 ? "bg-green-500" : `bg-${color}-500`
+                  }`}
+                  style={{ width: `${percent}%` }}
+                />
+              </div>
+
+              <p className="text-sm text-slate-600 flex items-start gap-1.5 mb-1">
+                <Check className="w-4 h-4 text-green-600 shrink-0 mt-0.5" />
+                <span>
+                  Punya {matched.length} dari {matched.length + missing.length} bahan
+                  {staples.length > 0 && (
+                    <span className="text-slate-400"> (+ bahan dasar)</span>
+                  )}
+                </span>
+              </p>
+
+              {missing.length > 0 && (
+                <p className="text-sm text-slate-600 flex items-start gap-1.5">
+                  <ShoppingBasket className="w-4 h-4 text-amber-600 shrink-0 mt-0.5" />
+                  <span>
+                    Kurang: <span className="text-slate-800">{missing.join(", ")}</span>
+                  </span>
+                </p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import { useState } from "react";
+import { CloudOff, RefreshCw, AlertCircle, Trash2, Loader, GitMerge } from "lucide-react";
+import { useOutbox } from "../../hooks/useOutbox";
+import { OUTBOX_STATUS } from "../../services/outboxService";
+import revisionService from "../../services/revisionService";
+import RecipeConflictModal from "../modals/RecipeConflictModal";
+import { formatRelativeTime } from "../../utils/helpers";
+
+/**
+ * PendingChanges Component
+ * Lists recipe changes waiting in the offline outbox.
+ * Pass recipeId to only show changes for one recipe.
+ * Edits that conflict with a newer version on the server open the merge.
+ */
+export default function PendingChanges({ recipeId, title = "Perubahan Tertunda" }) {
+  const {
+    entries,
+    pendingCount,
+    failedCount,
+    conflictCount,
+    blockedCount,
+    isOnline,
+    replay,
+    retry,
+    discard,
+    resolveConflict,
+  } = useOutbox(recipeId);
+  const [merging, setMerging] = useState(null);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const getLabel = (id) =>
+    entries.find((entry) => entry.id === id)?.label || "perubahan sebelumnya";
+
+  // Compare against the copy the edit was made on; without it every
+  // difference counts as the user's own change
+  const handleMerge = async (entry) => {
+    const theirs = entry.latest;
+    const base =
+      (await revisionService.getRevisionContent(entry.recipeId, entry.payload)) || theirs;
+    setMerging({ entry, base, mine: { ...base, ...entry.payload }, theirs });
+  };
+
+  const handleResolve = async (merged) => {
+    const { entry } = merging;
+    setMerging(null);
+    await resolveConflict(entry.id, merged);
+  };
+
+  const stuckCount = failedCount + conflictCount;
+  const summary = [
+    pendingCount > 0 &&
+      (isOnline
+        ? `${pendingCount} perubahan sedang dikirim`
+        : `${pendingCount} perubahan menunggu koneksi`),
+    failedCount > 0 && `${failedCount} perubahan gagal dikirim`,
+    conflictCount > 0 && `${conflictCount} perubahan perlu digabungkan`,
+    blockedCount > 0 && `${blockedCount} perubahan menunggu`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const handleDiscard = (id) => {
+    if (window.confirm("Buang perubahan ini? Perubahan tidak akan dikirim ke server.")) {
+      discard(id);
+    }
+  };
+
+  return (
+    <div
+      className={`rounded-2xl border p-4 md:p-6 ${
+        stuckCount > 0
+          ? "bg-red-50 border-red-200"
+          : "bg-amber-50 border-amber-200"
+      }`}
+    >
+      <div className="flex items-start justify-between gap-4 mb-3">
+        <div className="flex items-center gap-3">
+          <div
+            className={`w-10 h-10 rounded-full flex items-center justify-center ${
+              stuckCount > 0
+                ? "bg-red-100 text-red-600"
+                : "bg-amber-100 text-amber-600"
+            }`}
+          >
+            {stuckCount > 0 ? (
+              <AlertCircle className="w-5 h-5" />
+            ) : (
+              <CloudOff className="w-5 h-5" />
+            )}
+          </div>
+          <div>
+            <h3 className="font-semibold text-slate-800">{title}</h3>
+            <p className="text-sm text-slate-600">
+              {summary}
+            </p>
+          </div>
+        </div>
+        {isOnline && pendingCount > 0 && (
+          <button
+            onClick={replay}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-amber-700 hover:bg-amber-100 rounded-lg transition-colors"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span className="hidden md:inline">Kirim Sekarang</span>
+          </button>
+        )}
+      </div>
+
+      <ul className="space-y-2">
+        {entries.map((entry) => (
+          <li
+            key={entry.id}
+            className="flex items-center justify-between gap-3 bg-white/70 rounded-xl px-4 py-3 border border-white/60"
+          >
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-slate-700 truncate">
+                {entry.label || entry.type}
+              </p>
+              <p className="text-xs text-slate-500">
+                {entry.status === OUTBOX_STATUS.FAILED
+                  ? `Gagal: ${entry.error}`
+                  : entry.status === OUTBOX_STATUS.BLOCKED
+                  ? `Menunggu "${getLabel(entry.blockedBy)}"`
+                  : entry.status === OUTBOX_STATUS.CONFLICT
+                  ? "Resep sudah diubah di server. Gabungkan perubahan Anda."
+                  : entry.status === OUTBOX_STATUS.SYNCING
+                  ? "Mengirim..."
+                  : `Menunggu · ${formatRelativeTime(entry.createdAt)}`}
+              </p>
+            </div>
+            <div className="flex items-center gap-1 flex-shrink-0">
+              {entry.status === OUTBOX_STATUS.SYNCING && (
+                <Loader className="w-4 h-4 text-amber-600 animate-spin" />
+              )}
+              {entry.status === OUTBOX_STATUS.CONFLICT && (
+                <button
+                  onClick={() => handleMerge(entry)}
+                  className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                  title="Gabungkan"
+                >
+                  <GitMerge className="w-4 h-4" />
+                </button>
+              )}
+              {entry.status === OUTBOX_STATUS.FAILED && (
+                <button
+                  onClick={() => retry(entry.id)}
+                  className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                  title="Coba lagi"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                </button>
+              )}
+              {entry.status !== OUTBOX_STATUS.SYNCING && (
+                <button
+                  onClick={() => handleDiscard(entry.id)}
+                  className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                  title="Buang perubahan"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {merging && (
+        <RecipeConflictModal
+          key={merging.entry.id}
+          isOpen
+          base={merging.base}
+          mine={merging.mine}
+          theirs={merging.theirs}
+          onResolve={handleResolve}
+          onClose={() => setMerging(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { Minus, Plus, Users, RotateCcw } from "lucide-react";
+
+/**
+ * ServingsStepper Component
+ * Pick how many servings to cook; shows a reset button when changed
+ */
+export default function ServingsStepper({
+  value,
+  originalValue,
+  onChange,
+  min = 1,
+  max = 50,
+  color = "blue",
+}) {
+  const changed = originalValue != null && value !== originalValue;
+
+  return (
+    <div className="flex items-center gap-2">
+      <Users className="w-4 h-4 text-slate-500" />
+      <div className="flex items-center bg-white/70 border border-white/60 rounded-full shadow-sm">
+        <button
+          type="button"
+          onClick={() => onChange(Math.max(min, value - 1))}
+          disabled={value <= min}
+          className="p-2 rounded-full text-slate-600 hover:bg-slate-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+          aria-label="Kurangi porsi"
+        >
+          <Minus className="w-4 h-4" />
+        </button>
+        <span className="min-w-[4.5rem] text-center text-sm font-semibold text-slate-700">
+          {value} porsi
+        </span>
+        <button
+          type="button"
+          onClick={() => onChange(Math.min(max, value + 1))}
+          disabled={value >= max}
+          className="p-2 rounded-full text-slate-600 hover:bg-slate-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+          aria-label="Tambah porsi"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+      {changed && (
+        <button
+          type="button"
+          onClick={() => onChange(originalValue)}
+          className={`p-2 rounded-full text-${color}-600 hover:bg-${color}-50 transition-colors`}
+          title={`Kembali ke ${originalValue} porsi`}
+          aria-label="Kembalikan porsi awal"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+}
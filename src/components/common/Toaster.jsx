@@ -0,0 +1,59 @@
+import { CheckCircle, Info, AlertTriangle, AlertCircle, X } from "lucide-react";
+import { useToasts } from "../../hooks/useToasts";
+import { TOAST_TYPES } from "../../services/toastService";
+
+const STYLES = {
+  [TOAST_TYPES.SUCCESS]: { icon: CheckCircle, box: "border-green-200", iconColor: "text-green-600" },
+  [TOAST_TYPES.INFO]: { icon: Info, box: "border-blue-200", iconColor: "text-blue-600" },
+  [TOAST_TYPES.WARNING]: { icon: AlertTriangle, box: "border-amber-200", iconColor: "text-amber-600" },
+  [TOAST_TYPES.ERROR]: { icon: AlertCircle, box: "border-red-200", iconColor: "text-red-600" },
+};
+
+/**
+ * Toaster Component
+ * Shows the toasts from toastService, rendered once at the app root
+ */
+export default function Toaster() {
+  const { toasts, dismiss } = useToasts();
+
+  return (
+    <div
+      className="fixed top-4 inset-x-4 sm:left-auto sm:right-4 sm:w-96 z-[60] flex flex-col gap-2 pointer-events-none print:hidden"
+      aria-live="polite"
+    >
+      {toasts.map((toast) => {
+        const { icon: Icon, box, iconColor } = STYLES[toast.type] || STYLES[TOAST_TYPES.INFO];
+        return (
+          <div
+            key={toast.id}
+            role={toast.type === TOAST_TYPES.ERROR ? "alert" : "status"}
+            className={`pointer-events-auto bg-white rounded-xl shadow-lg border ${box} p-4 flex items-start gap-3`}
+          >
+            <Icon className={`w-5 h-5 flex-shrink-0 mt-0.5 ${iconColor}`} />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-slate-700 break-words">{toast.message}</p>
+              {toast.action && (
+                <button
+                  onClick={() => {
+                    toast.action.onClick();
+                    dismiss(toast.id);
+                  }}
+                  className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-700"
+                >
+                  {toast.action.label}
+                </button>
+              )}
+            </div>
+            <button
+              onClick={() => dismiss(toast.id)}
+              className="p-1 -m-1 text-slate-400 hover:text-slate-600 rounded-lg transition-colors"
+              aria-label="Tutup"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
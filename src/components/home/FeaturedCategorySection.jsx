@@ -0,0 +1,183 @@
+import { Clock, Star } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { useRecipes } from '../../hooks/useRecipes';
+
+/**
+ * FeaturedCategorySection Component
+ * Newest recipes of one category on the home page. How many, and whether
+ * cards are stacked (vertical) or side by side (horizontal), come from the
+ * category's `featured` entry in src/config/categories.js
+ */
+export default function FeaturedCategorySection({ category, onRecipeClick, onNavigate }) {
+  const { slug, label, title, theme, featured, icon: CategoryIcon } = category;
+  const isHorizontal = featured.layout === 'horizontal';
+
+  const { recipes, loading, error } = useRecipes({
+    category: slug,
+    limit: featured.limit,
+    sort_by: category.defaultSort.sortBy,
+    order: category.defaultSort.order
+  });
+
+  const [visibleCards, setVisibleCards] = useState(new Set());
+  const cardRefs = useRef([]);
+
+  useEffect(() => {
+    const cardObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          const index = parseInt(entry.target.dataset.index);
+          setTimeout(() => {
+            setVisibleCards(prev => new Set(prev).add(index));
+          }, index * 200);
+        }
+      });
+    }, { threshold: 0.1 });
+
+    cardRefs.current.forEach((ref, index) => {
+      if (ref) {
+        ref.dataset.index = index;
+        cardObserver.observe(ref);
+      }
+    });
+
+    return () => {
+      cardObserver.disconnect();
+    };
+  }, [recipes]);
+
+  if (loading) {
+    return (
+      <section>
+        <h2 className="text-xl md:text-3xl font-bold text-slate-800 mb-6">{title}</h2>
+        <div className="text-center py-12">
+          <div className={`animate-spin rounded-full h-12 w-12 border-b-2 ${theme.spinner} mx-auto`}></div>
+          <p className="mt-4 text-gray-600">Memuat resep {label.toLowerCase()}...</p>
+        </div>
+      </section>
+    );
+  }
+
+  if (error) {
+    return (
+      <section>
+        <h2 className="text-xl md:text-3xl font-bold text-slate-800 mb-6">{title}</h2>
+        <div className="text-center py-12">
+          <p className="text-red-600">Error: {error}</p>
+        </div>
+      </section>
+    );
+  }
+
+  if (!recipes || recipes.length === 0) {
+    return (
+      <section>
+        <h2 className="text-xl md:text-3xl font-bold text-slate-800 mb-6">{title}</h2>
+        <div className="text-center py-12">
+          <p className="text-gray-600">Belum ada resep {label.toLowerCase()}</p>
+        </div>
+      </section>
+    );
+  }
+
+  const renderDetails = (recipe) => (
+    <>
+      <div className={`flex items-center justify-between ${isHorizontal ? 'mb-2' : 'mb-3'} md:mb-4`}>
+        <span className={`text-xs font-semibold ${theme.text} ${theme.bg} px-2 md:px-3 py-1 md:py-1.5 rounded-full`}>
+          {label}
+        </span>
+        {recipe.average_rating > 0 && (
+          <div className="flex items-center space-x-1 bg-white/90 px-2 py-1 rounded-full">
+            <Star className="w-3 h-3 md:w-4 md:h-4 text-yellow-500 fill-current" />
+            <span className="text-xs md:text-sm font-semibold text-slate-700">
+              {recipe.average_rating.toFixed(1)}
+            </span>
+          </div>
+        )}
+      </div>
+
+      <h3 className={`font-bold text-slate-800 ${isHorizontal ? 'mb-2 text-sm' : 'mb-3 text-base'} md:mb-4 md:text-xl ${theme.title} transition-colors duration-200 line-clamp-2`}>
+        {recipe.name}
+      </h3>
+
+      <div className="flex items-center justify-between text-xs md:text-sm text-slate-600">
+        <div className="flex items-center space-x-1 md:space-x-2 bg-white/70 px-2 md:px-3 py-1 md:py-2 rounded-full">
+          <Clock className="w-3 h-3 md:w-4 md:h-4" />
+          <span className="font-medium">{recipe.prep_time || featured.defaultPrepTime} menit</span>
+        </div>
+        <div className="flex items-center space-x-1 md:space-x-2 bg-white/70 px-2 md:px-3 py-1 md:py-2 rounded-full">
+          <CategoryIcon className="w-3 h-3 md:w-4 md:h-4" />
+          <span className="font-medium">{recipe.difficulty || 'mudah'}</span>
+        </div>
+      </div>
+    </>
+  );
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-6 md:mb-8">
+        <h2 className="text-xl md:text-3xl font-bold text-slate-800">{title}</h2>
+        <button
+          onClick={() => onNavigate && onNavigate(slug)}
+          className="text-slate-500 hover:text-slate-600 font-medium text-xs md:text-sm transition-colors duration-200 hover:underline"
+        >
+          Lihat Semua
+        </button>
+      </div>
+
+      <div className={`grid grid-cols-1 ${isHorizontal ? 'md:grid-cols-2' : 'md:grid-cols-3'} gap-4 md:gap-8`}>
+        {recipes.map((recipe, index) => (
+          <div
+            key={recipe.id}
+            ref={el => cardRefs.current[index] = el}
+            className={`group transform transition-all duration-700 ${
+              visibleCards.has(index)
+                ? 'translate-y-0 opacity-100'
+                : 'translate-y-8 opacity-0'
+            }`}
+          >
+            <div
+              onClick={() => onRecipeClick && onRecipeClick(recipe.id, slug)}
+              className={`relative bg-white/15 backdrop-blur-xl border border-white/25 rounded-2xl md:rounded-3xl overflow-hidden shadow-lg md:shadow-2xl ${theme.shadow} transition-all duration-500 cursor-pointer group-hover:scale-105 group-hover:bg-white/20`}>
+
+              <div className={`absolute inset-0 bg-linear-to-br from-white/5 via-transparent ${theme.glow} opacity-0 group-hover:opacity-100 transition-opacity duration-500`} />
+
+              {isHorizontal ? (
+                <div className="flex">
+                  {/* Recipe Image */}
+                  <div className="h-29 w-28 md:h-48 md:w-48 flex-shrink-0 overflow-hidden">
+                    <img
+                      src={recipe.image_url}
+                      alt={recipe.name}
+                      className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
+                    />
+                  </div>
+
+                  <div className="relative z-10 p-4 md:p-8 flex-1 flex flex-col justify-center">
+                    {renderDetails(recipe)}
+                  </div>
+                </div>
+              ) : (
+                <>
+                  {/* Recipe Image */}
+                  <div className="relative h-32 md:h-56 overflow-hidden">
+                    <img
+                      src={recipe.image_url}
+                      alt={recipe.name}
+                      className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
+                    />
+                    <div className="absolute inset-0 bg-gradient-to-t from-black/20 via-transparent to-transparent" />
+                  </div>
+
+                  <div className="relative z-10 p-4 md:p-8">
+                    {renderDetails(recipe)}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
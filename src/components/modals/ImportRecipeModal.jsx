@@ -0,0 +1,448 @@
+import { useState, useEffect } from "react";
+import {
+  X,
+  FileUp,
+  Loader,
+  AlertTriangle,
+  Info,
+  Plus,
+  ArrowLeft,
+  CheckCircle,
+} from "lucide-react";
+import importService from "../../services/importService";
+import { getImportWarnings, IMPORT_SOURCES } from "../../utils/recipeImport";
+import { CATEGORIES } from "../../config/categories";
+
+const SOURCE_LABELS = {
+  [IMPORT_SOURCES.TEXT]: "Teks",
+  [IMPORT_SOURCES.SCHEMA_ORG]: "Data resep (schema.org)",
+  [IMPORT_SOURCES.EXPORT]: "File ekspor Resep Nusantara",
+};
+
+const inputClass =
+  "w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500";
+
+/**
+ * ImportRecipeModal Component
+ * Paste or drop a recipe (text, schema.org JSON-LD/HTML, our own export or a
+ * link), then review and fix what was read before it fills the create form
+ */
+export default function ImportRecipeModal({ isOpen, onClose, onImport, shared }) {
+  const [input, setInput] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [draft, setDraft] = useState(null);
+  const [dragging, setDragging] = useState(false);
+
+  const showResults = (found) => {
+    setResults(found);
+    setSelected(0);
+    setDraft(found[0].recipe);
+  };
+
+  const run = async (parse) => {
+    try {
+      setLoading(true);
+      setError("");
+      showResults(await parse());
+    } catch (err) {
+      setError(err.message || "Resep tidak bisa dibaca");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Something shared to the app is read straight away
+  useEffect(() => {
+    if (!isOpen || !shared) return;
+    let cancelled = false;
+    setInput([shared.title, shared.text, shared.url].filter(Boolean).join("\n"));
+    setLoading(true);
+    setError("");
+    importService
+      .parseShared(shared)
+      .then((found) => {
+        if (cancelled) return;
+        setResults(found);
+        setSelected(0);
+        setDraft(found[0].recipe);
+      })
+      .catch((err) => !cancelled && setError(err.message || "Resep tidak bisa dibaca"))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, shared]);
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    setInput("");
+    setError("");
+    setResults([]);
+    setDraft(null);
+    onClose();
+  };
+
+  const handleRead = () => {
+    const text = input.trim();
+    // A bare link: try to open the page
+    if (/^https?:\/\/\S+$/i.test(text)) {
+      run(() => importService.parseUrl(text));
+    } else {
+      run(() => Promise.resolve().then(() => importService.parseText(text)));
+    }
+  };
+
+  const handleFile = (file) => {
+    if (file) run(() => importService.parseFile(file));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const handleSelect = (index) => {
+    setSelected(index);
+    setDraft(results[index].recipe);
+  };
+
+  const updateDraft = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateIngredient = (index, field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      ingredients: prev.ingredients.map((ingredient, i) =>
+        i === index ? { ...ingredient, [field]: value } : ingredient
+      ),
+    }));
+  };
+
+  const updateStep = (index, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === index ? value : step)),
+    }));
+  };
+
+  const removeItem = (field, index) => {
+    setDraft((prev) => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }));
+  };
+
+  const handleApply = () => {
+    onImport({
+      ...draft,
+      ingredients: draft.ingredients.filter((ingredient) => ingredient.name.trim()),
+      steps: draft.steps.filter((step) => step.trim()),
+    });
+    handleClose();
+  };
+
+  const result = results[selected];
+  const warnings = draft ? getImportWarnings(draft) : [];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fadeIn">
+      <div className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col animate-slideUp">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-slate-200">
+          <h3 className="text-xl font-bold text-slate-800">
+            {draft ? "Periksa Hasil Impor" : "Impor Resep"}
+          </h3>
+          <button
+            onClick={handleClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+              <p className="text-red-600 text-sm">{error}</p>
+            </div>
+          )}
+
+          {/* Step 1: paste, drop or link */}
+          {!draft && (
+            <>
+              <p className="text-sm text-slate-600">
+                Tempel teks resep, tautan halaman resep, kode JSON-LD/HTML, atau file
+                ekspor dari aplikasi ini.
+              </p>
+              <textarea
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                rows={10}
+                placeholder={"Nasi Goreng\n\nBahan:\n- 2 piring nasi\n- 2 butir telur\n\nCara Membuat:\n1. Tumis bumbu...\n\natau https://..."}
+                className={`${inputClass} font-mono text-sm resize-y`}
+              />
+              <label
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragging(true);
+                }}
+                onDragLeave={() => setDragging(false)}
+                onDrop={handleDrop}
+                className={`flex items-center justify-center gap-3 border-2 border-dashed rounded-xl p-6 cursor-pointer transition-colors ${
+                  dragging ? "border-blue-400 bg-blue-50" : "border-slate-300 hover:border-blue-400"
+                }`}
+              >
+                <FileUp className="w-6 h-6 text-blue-600" />
+                <span className="text-sm text-slate-600">
+                  Pilih atau jatuhkan file .json, .html atau .txt
+                </span>
+                <input
+                  type="file"
+                  accept=".json,.jsonld,.html,.htm,.txt,application/json,application/ld+json,text/html,text/plain"
+                  onChange={(e) => handleFile(e.target.files[0])}
+                  className="hidden"
+                />
+              </label>
+            </>
+          )}
+
+          {/* Step 2: review */}
+          {draft && (
+            <>
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="px-3 py-1 rounded-full bg-slate-100 text-slate-700">
+                  Sumber: {SOURCE_LABELS[result.source]}
+                </span>
+                {results.length > 1 && (
+                  <select
+                    value={selected}
+                    onChange={(e) => handleSelect(Number(e.target.value))}
+                    className="px-3 py-1 border border-slate-300 rounded-full"
+                  >
+                    {results.map((item, index) => (
+                      <option key={index} value={index}>
+                        {item.recipe.name || `Resep ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              {(result.notes.length > 0 || warnings.length > 0) && (
+                <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 space-y-1">
+                  {result.notes.map((note) => (
+                    <p key={note} className="text-sm text-amber-800 flex gap-2">
+                      <Info className="w-4 h-4 shrink-0 mt-0.5" />
+                      {note}
+                    </p>
+                  ))}
+                  {warnings.map((warning) => (
+                    <p key={warning} className="text-sm text-amber-800 flex gap-2">
+                      <AlertTriangle className="w-4 h-4 shrink-0 mt-0.5" />
+                      {warning}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex gap-4">
+                {draft.image_url && (
+                  <img
+                    src={draft.image_url}
+                    alt={draft.name}
+                    className="w-24 h-24 object-cover rounded-lg shrink-0"
+                  />
+                )}
+                <div className="flex-1 space-y-3">
+                  <input
+                    value={draft.name}
+                    onChange={(e) => updateDraft("name", e.target.value)}
+                    placeholder="Nama resep"
+                    className={inputClass}
+                  />
+                  <select
+                    value={draft.category}
+                    onChange={(e) => updateDraft("category", e.target.value)}
+                    className={inputClass}
+                  >
+                    {CATEGORIES.map(({ slug, label }) => (
+                      <option key={slug} value={slug}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <textarea
+                value={draft.description}
+                onChange={(e) => updateDraft("description", e.target.value)}
+                placeholder="Deskripsi"
+                rows={2}
+                className={`${inputClass} resize-none`}
+              />
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {[
+                  ["prep_time", "Persiapan (menit)"],
+                  ["cook_time", "Memasak (menit)"],
+                  ["servings", "Porsi"],
+                ].map(([field, label]) => (
+                  <label key={field} className="text-xs text-slate-600">
+                    {label}
+                    <input
+                      type="number"
+                      min="1"
+                      value={draft[field]}
+                      onChange={(e) => updateDraft(field, e.target.value)}
+                      className={`${inputClass} mt-1 ${draft[field] ? "" : "border-amber-400"}`}
+                    />
+                  </label>
+                ))}
+                <label className="text-xs text-slate-600">
+                  Kesulitan
+                  <select
+                    value={draft.difficulty}
+                    onChange={(e) => updateDraft("difficulty", e.target.value)}
+                    className={`${inputClass} mt-1`}
+                  >
+                    <option value="mudah">Mudah</option>
+                    <option value="sedang">Sedang</option>
+                    <option value="sulit">Sulit</option>
+                  </select>
+                </label>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-slate-700 mb-2">
+                  Bahan ({draft.ingredients.length})
+                </p>
+                <div className="space-y-2">
+                  {draft.ingredients.map((ingredient, index) => (
+                    <div key={index} className="flex gap-2">
+                      <input
+                        value={ingredient.quantity}
+                        onChange={(e) => updateIngredient(index, "quantity", e.target.value)}
+                        placeholder="Jumlah"
+                        className={`${inputClass} w-28 ${ingredient.quantity ? "" : "border-amber-400"}`}
+                      />
+                      <input
+                        value={ingredient.name}
+                        onChange={(e) => updateIngredient(index, "name", e.target.value)}
+                        placeholder="Nama bahan"
+                        className={`${inputClass} flex-1`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeItem("ingredients", index)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                        aria-label="Hapus bahan"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateDraft("ingredients", [...draft.ingredients, { name: "", quantity: "" }])
+                    }
+                    className="text-sm text-blue-600 hover:underline flex items-center gap-1"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Tambah bahan
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-slate-700 mb-2">
+                  Langkah ({draft.steps.length})
+                </p>
+                <div className="space-y-2">
+                  {draft.steps.map((step, index) => (
+                    <div key={index} className="flex gap-2">
+                      <span className="w-7 h-7 mt-1 shrink-0 bg-blue-600 text-white rounded-full flex items-center justify-center text-xs font-bold">
+                        {index + 1}
+                      </span>
+                      <textarea
+                        value={step}
+                        onChange={(e) => updateStep(index, e.target.value)}
+                        rows={2}
+                        className={`${inputClass} flex-1 resize-none`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeItem("steps", index)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg self-start"
+                        aria-label="Hapus langkah"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => updateDraft("steps", [...draft.steps, ""])}
+                    className="text-sm text-blue-600 hover:underline flex items-center gap-1"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Tambah langkah
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex gap-3 p-6 bg-slate-50 rounded-b-2xl">
+          {draft ? (
+            <>
+              <button
+                onClick={() => setDraft(null)}
+                className="flex-1 px-4 py-3 border border-slate-300 text-slate-700 rounded-xl hover:bg-slate-100 transition-colors font-medium flex items-center justify-center gap-2"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Kembali
+              </button>
+              <button
+                onClick={handleApply}
+                className="flex-1 px-4 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors font-medium flex items-center justify-center gap-2"
+              >
+                <CheckCircle className="w-4 h-4" />
+                Pakai Resep Ini
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={handleClose}
+                className="flex-1 px-4 py-3 border border-slate-300 text-slate-700 rounded-xl hover:bg-slate-100 transition-colors font-medium"
+              >
+                Batal
+              </button>
+              <button
+                onClick={handleRead}
+                disabled={loading || !input.trim()}
+                className="flex-1 px-4 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                {loading ? (
+                  <>
+                    <Loader className="w-4 h-4 animate-spin" />
+                    Membaca...
+                  </>
+                ) : (
+                  "Baca Resep"
+                )}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { useMemo, useState } from "react";
+import { X, GitMerge, AlertTriangle, Check } from "lucide-react";
+import {
+  diffRecipes,
+  describeValue,
+  getDefaultSide,
+  mergeRecipes,
+  summarizeMerge,
+  CHANGE_STATUS,
+  MERGE_SIDES,
+} from "../../utils/recipeMerge";
+
+const STATUS_BADGES = {
+  [CHANGE_STATUS.MINE]: { label: "Diubah oleh Anda", className: "bg-blue-100 text-blue-700" },
+  [CHANGE_STATUS.THEIRS]: { label: "Diubah di tempat lain", className: "bg-amber-100 text-amber-700" },
+  [CHANGE_STATUS.SAME]: { label: "Diubah sama persis", className: "bg-green-100 text-green-700" },
+  [CHANGE_STATUS.CONFLICT]: { label: "Bentrok", className: "bg-red-100 text-red-700" },
+};
+
+const formatValue = (change, value) => {
+  if (change.field === "image_url" && value) {
+    return <img src={value} alt="" className="w-16 h-16 object-cover rounded-lg" />;
+  }
+  const text = describeValue(change, value);
+  if (text === null) return <em className="text-slate-400">(tidak ada)</em>;
+  return text || (
+    <em className="text-slate-400">{change.field === "image_url" ? "(tanpa gambar)" : "(kosong)"}</em>
+  );
+};
+
+/**
+ * RecipeConflictModal Component
+ * Shown when saving an edit fails because the recipe was changed elsewhere
+ * in the meantime. Lists every field, ingredient and step that changed in
+ * the original, the latest version and the edit, lets the user pick a side
+ * where both changed, and hands back the merged recipe to save again.
+ */
+export default function RecipeConflictModal({ isOpen, base, mine, theirs, onResolve, onClose }) {
+  const changes = useMemo(
+    () => (isOpen ? diffRecipes(base, mine, theirs) : []),
+    [isOpen, base, mine, theirs]
+  );
+  const [choices, setChoices] = useState({});
+
+  if (!isOpen) return null;
+
+  const changed = changes.filter((change) => change.status !== CHANGE_STATUS.UNCHANGED);
+  const { conflicts, unresolved } = summarizeMerge(changes, choices);
+
+  const choose = (key, side) => setChoices((prev) => ({ ...prev, [key]: side }));
+
+  const chooseAll = (side) => {
+    setChoices(Object.fromEntries(changed.map((change) => [change.key, side])));
+  };
+
+  const handleResolve = () => {
+    onResolve(mergeRecipes(mine, changes, choices));
+  };
+
+  const renderSide = (change, side, title) => {
+    const selected = (choices[change.key] || getDefaultSide(change)) === side;
+    return (
+      <button
+        type="button"
+        onClick={() => choose(change.key, side)}
+        aria-pressed={selected}
+        className={`text-left rounded-xl border p-3 transition-colors ${
+          selected
+            ? "border-blue-500 bg-blue-50 ring-1 ring-blue-500"
+            : "border-slate-200 hover:border-blue-300"
+        }`}
+      >
+        <span className="flex items-center gap-1 text-xs font-medium text-slate-500 mb-1">
+          {selected && <Check className="w-3 h-3 text-blue-600" />}
+          {title}
+        </span>
+        <span className="block text-sm text-slate-700 break-words whitespace-pre-line">
+          {formatValue(change, change[side])}
+        </span>
+      </button>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fadeIn">
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] flex flex-col animate-slideUp">
+        {/* Header */}
+        <div className="flex items-start justify-between gap-4 p-6 border-b border-slate-200">
+          <div className="flex items-start gap-3">
+            <div className="w-10 h-10 rounded-full flex items-center justify-center bg-amber-100 text-amber-600 flex-shrink-0">
+              <AlertTriangle className="w-5 h-5" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-slate-800">Resep Sudah Diubah</h3>
+              <p className="text-sm text-slate-600 mt-1">
+                Seseorang menyimpan perubahan pada resep ini setelah Anda mulai mengedit.
+                Pilih versi yang dipakai untuk setiap bagian, lalu simpan lagi.
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+            aria-label="Tutup"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-slate-600">
+              {changed.length} bagian berubah
+              {conflicts > 0 && ` · ${conflicts} bentrok`}
+              {unresolved > 0 && ` · ${unresolved} belum dipilih`}
+            </p>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => chooseAll(MERGE_SIDES.MINE)}
+                className="px-3 py-1.5 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50"
+              >
+                Pakai semua versi saya
+              </button>
+              <button
+                type="button"
+                onClick={() => chooseAll(MERGE_SIDES.THEIRS)}
+                className="px-3 py-1.5 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50"
+              >
+                Pakai semua versi terbaru
+              </button>
+            </div>
+          </div>
+
+          {changed.length === 0 && (
+            <p className="text-sm text-slate-500 text-center py-6">
+              Isi resep tidak berbeda. Simpan lagi untuk memakai versi terbaru.
+            </p>
+          )}
+
+          <ul className="space-y-3">
+            {changed.map((change) => {
+              const badge = STATUS_BADGES[change.status];
+              const needsChoice =
+                change.status === CHANGE_STATUS.CONFLICT && !choices[change.key];
+              return (
+                <li
+                  key={change.key}
+                  className={`rounded-xl border p-4 ${
+                    needsChoice ? "border-red-200 bg-red-50/40" : "border-slate-200"
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-3 mb-3">
+                    <span className="font-medium text-slate-800">{change.label}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${badge.className}`}>
+                      {badge.label}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                    <div className="rounded-xl bg-slate-50 p-3">
+                      <span className="block text-xs font-medium text-slate-500 mb-1">Asli</span>
+                      <span className="block text-sm text-slate-500 break-words whitespace-pre-line">
+                        {formatValue(change, change.base)}
+                      </span>
+                    </div>
+                    {renderSide(change, MERGE_SIDES.THEIRS, "Versi terbaru")}
+                    {renderSide(change, MERGE_SIDES.MINE, "Versi Anda")}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        {/* Actions */}
+        <div className="flex gap-3 p-6 bg-slate-50 rounded-b-2xl">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-3 border border-slate-300 text-slate-700 rounded-xl hover:bg-white transition-colors font-medium"
+          >
+            Lanjut Mengedit
+          </button>
+          <button
+            onClick={handleResolve}
+            disabled={unresolved > 0}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <GitMerge className="w-4 h-4" />
+            Gabungkan
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,16 +1,17 @@
 import { Plus } from 'lucide-react';
 import logoUrl from '../../assets/LOGORN.png';
+import { CATEGORIES } from '../../config/categories';
 
 export default function DesktopNavbar({ currentPage, onNavigate, onCreateRecipe }) {
   const navItems = [
     { id: 'home', label: 'Beranda' },
-    { id: 'makanan', label: 'Makanan' },
-    { id: 'minuman', label: 'Minuman' },
+    ...CATEGORIES.map(({ slug, label }) => ({ id: slug, label })),
+    { id: 'belanja', label: 'Belanja' },
     { id: 'profile', label: 'Profile' }
   ];
 
   return (
-    <nav className="hidden md:block shadow-lg border-b border-blue-100 sticky top-0 z-50 backdrop-blur-sm bg-white/95">
+    <nav className="hidden md:block print:hidden shadow-lg border-b border-blue-100 sticky top-0 z-50 backdrop-blur-sm bg-white/95">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-20">
           
@@ -1,10 +1,11 @@
-import { Home, ChefHat, Coffee, User, Plus } from 'lucide-react';
+import { Home, ShoppingCart, User, Plus } from 'lucide-react';
+import { CATEGORIES } from '../../config/categories';
 
 export default function MobileNavbar({ currentPage, onNavigate, onCreateRecipe }) {
   const navItems = [
     { id: 'home', label: 'Beranda', icon: Home },
-    { id: 'makanan', label: 'Makanan', icon: ChefHat },
-    { id: 'minuman', label: 'Minuman', icon: Coffee },
+    ...CATEGORIES.map(({ slug, label, icon }) => ({ id: slug, label, icon })),
+    { id: 'belanja', label: 'Belanja', icon: ShoppingCart },
     { id: 'profile', label: 'Profile', icon: User }
   ];
 
@@ -14,14 +15,14 @@ export default function MobileNavbar({ currentPage, onNavigate, onCreateRecipe }
       {onCreateRecipe && (
         <button
           onClick={onCreateRecipe}
-          className="md:hidden fixed bottom-20 right-4 z-50 w-14 h-14 bg-blue-600 text-white rounded-full shadow-lg hover:bg-blue-700 transition-all hover:scale-110 flex items-center justify-center"
+          className="md:hidden print:hidden fixed bottom-20 right-4 z-50 w-14 h-14 bg-blue-600 text-white rounded-full shadow-lg hover:bg-blue-700 transition-all hover:scale-110 flex items-center justify-center"
         >
           <Plus className="w-6 h-6" />
         </button>
       )}
 
       {/* Bottom Navigation */}
-      <nav className="md:hidden fixed bottom-0 left-0 right-0 bg-white border-t border-gray-100 px-4 py-1 z-50">
+      <nav className="md:hidden print:hidden fixed bottom-0 left-0 right-0 bg-white border-t border-gray-100 px-4 py-1 z-50">
       <div className="flex items-center justify-around max-w-sm mx-auto">
         {navItems.map((item) => {
           const IconComponent = item.icon;
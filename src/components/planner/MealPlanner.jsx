@@ -0,0 +1,459 @@
+import { useState, useEffect } from "react";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Clock,
+  Heart,
+  Search,
+  X,
+  Minus,
+  Plus,
+  ShoppingCart,
+  Share2,
+  Trash2,
+  GripVertical,
+} from "lucide-react";
+import { useRecipes } from "../../hooks/useRecipes";
+import { useFavorites } from "../../hooks/useFavorites";
+import { useMealPlan } from "../../hooks/useMealPlan";
+import { addRecipeToShoppingList } from "../../hooks/useShoppingList";
+import recipeService from "../../services/recipeService";
+import {
+  MEAL_SLOTS,
+  DAY_NAMES,
+  getSlotKey,
+  getWeekStart,
+  shiftWeek,
+  getWeekDates,
+  getDayTotalMinutes,
+  formatMinutes,
+} from "../../utils/mealPlan";
+import { buildShoppingList, shoppingListToText } from "../../utils/shoppingList";
+
+const DRAG_TYPE = "application/x-resep-planner";
+
+/**
+ * MealPlanner Component
+ * 7 days × meal slots. Recipes are dragged from the picker (or tapped, then a
+ * slot tapped, on touch screens) into slots; filled slots can be dragged around.
+ */
+export default function MealPlanner({ onRecipeClick, onNavigate }) {
+  const [weekStart, setWeekStart] = useState(() => getWeekStart());
+  const [source, setSource] = useState("favorites"); // 'favorites', 'recipes'
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [selectedRecipe, setSelectedRecipe] = useState(null);
+  const [dragOverKey, setDragOverKey] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const { slots, setSlot, moveSlot, setServings, updateRecipe, clearSlot, clearWeek } =
+    useMealPlan(weekStart);
+  const { favorites } = useFavorites();
+  const { recipes, loading: recipesLoading } = useRecipes({
+    search: search || undefined,
+    limit: 12,
+  });
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const weekDates = getWeekDates(weekStart);
+  const plannedCount = Object.keys(slots).length;
+  const pickerRecipes = (source === "favorites" ? favorites : recipes).filter(
+    (recipe) =>
+      source !== "favorites" ||
+      !search ||
+      recipe.name?.toLowerCase().includes(search.toLowerCase())
+  );
+
+  const handleDragStart = (e, payload) => {
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(payload));
+    e.dataTransfer.effectAllowed = payload.fromKey ? "move" : "copy";
+  };
+
+  const handleDrop = (e, slotKey) => {
+    e.preventDefault();
+    setDragOverKey(null);
+    try {
+      const payload = JSON.parse(e.dataTransfer.getData(DRAG_TYPE) || "null");
+      if (!payload) return;
+      if (payload.fromKey) {
+        moveSlot(payload.fromKey, slotKey);
+      } else if (payload.recipe) {
+        setSlot(slotKey, payload.recipe);
+      }
+    } catch (error) {
+      console.error("Error dropping recipe:", error);
+    }
+  };
+
+  const handleSlotClick = (slotKey) => {
+    if (!selectedRecipe) return;
+    setSlot(slotKey, selectedRecipe);
+    setSelectedRecipe(null);
+  };
+
+  const handleClearWeek = () => {
+    if (window.confirm("Kosongkan rencana menu minggu ini?")) {
+      clearWeek();
+    }
+  };
+
+  /**
+   * Planned recipes with their ingredients, fetching any that were planned
+   * from a list without ingredients
+   */
+  const loadPlannedRecipes = async () => {
+    const entries = Object.values(slots);
+    const missing = [
+      ...new Set(
+        entries
+          .filter((slot) => !slot.recipe.ingredients?.length)
+          .map((slot) => String(slot.recipe.id))
+      ),
+    ];
+
+    const fetched = {};
+    await Promise.all(
+      missing.map(async (id) => {
+        try {
+          const response = await recipeService.getRecipeById(id);
+          if (response?.data) {
+            fetched[id] = response.data;
+            updateRecipe(response.data);
+          }
+        } catch (error) {
+          console.warn(`Could not load ingredients for recipe ${id}:`, error);
+        }
+      })
+    );
+
+    return entries.map((slot) => ({
+      ...slot,
+      recipe: fetched[String(slot.recipe.id)]
+        ? { ...slot.recipe, ingredients: fetched[String(slot.recipe.id)].ingredients || [] }
+        : slot.recipe,
+    }));
+  };
+
+  const handleAddToShoppingList = async () => {
+    setExporting(true);
+    try {
+      const entries = await loadPlannedRecipes();
+
+      // The same recipe on several days is bought once, for all servings
+      const byRecipe = new Map();
+      entries.forEach(({ recipe, servings }) => {
+        const current = byRecipe.get(String(recipe.id));
+        byRecipe.set(String(recipe.id), {
+          recipe,
+          servings: (current?.servings || 0) + servings,
+        });
+      });
+      byRecipe.forEach(({ recipe, servings }) => {
+        addRecipeToShoppingList(recipe, servings);
+      });
+
+      if (window.confirm("Bahan menu minggu ini ditambahkan ke daftar belanja. Buka daftar belanja?")) {
+        onNavigate?.("belanja");
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleShareIngredients = async () => {
+    setExporting(true);
+    try {
+      const entries = await loadPlannedRecipes();
+      const list = {
+        checked: [],
+        recipes: entries.map(({ recipe, servings }) => ({
+          ...recipe,
+          baseServings: recipe.servings,
+          servings,
+        })),
+      };
+      const title = `Bahan Menu Minggu ${weekDates[0].toLocaleDateString("id-ID", {
+        day: "numeric",
+        month: "long",
+      })}`;
+      const text = shoppingListToText(buildShoppingList(list), [], title);
+
+      if (navigator.share) {
+        await navigator.share({ title: "Bahan Menu Mingguan", text });
+      } else {
+        await navigator.clipboard.writeText(text);
+        alert("Daftar bahan berhasil disalin ke clipboard!");
+      }
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("Error sharing meal plan ingredients:", error);
+        alert("Gagal membagikan daftar bahan.");
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Week navigation & export */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setWeekStart((week) => shiftWeek(week, -1))}
+            className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors"
+            aria-label="Minggu sebelumnya"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <div className="text-center min-w-[12rem]">
+            <p className="font-semibold text-gray-800">
+              {weekDates[0].toLocaleDateString("id-ID", { day: "numeric", month: "short" })}
+              {" – "}
+              {weekDates[6].toLocaleDateString("id-ID", {
+                day: "numeric",
+                month: "short",
+                year: "numeric",
+              })}
+            </p>
+            {weekStart !== getWeekStart() && (
+              <button
+                onClick={() => setWeekStart(getWeekStart())}
+                className="text-xs text-blue-600 hover:underline"
+              >
+                Kembali ke minggu ini
+              </button>
+            )}
+          </div>
+          <button
+            onClick={() => setWeekStart((week) => shiftWeek(week, 1))}
+            className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors"
+            aria-label="Minggu berikutnya"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={handleAddToShoppingList}
+            disabled={!plannedCount || exporting}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 transition-colors"
+          >
+            <ShoppingCart className="w-4 h-4" />
+            Ke Daftar Belanja
+          </button>
+          <button
+            onClick={handleShareIngredients}
+            disabled={!plannedCount || exporting}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+          >
+            <Share2 className="w-4 h-4" />
+            Bagikan Bahan
+          </button>
+          <button
+            onClick={handleClearWeek}
+            disabled={!plannedCount}
+            className="flex items-center gap-2 px-4 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 disabled:opacity-50 transition-colors"
+          >
+            <Trash2 className="w-4 h-4" />
+            Kosongkan
+          </button>
+        </div>
+      </div>
+
+      {/* Recipe picker */}
+      <div className="bg-gray-50 rounded-lg p-4">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-3">
+          <div className="flex gap-2">
+            <button
+              onClick={() => setSource("favorites")}
+              className={`flex items-center gap-1 px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                source === "favorites"
+                  ? "bg-blue-500 text-white"
+                  : "bg-white text-gray-600 hover:bg-gray-100"
+              }`}
+            >
+              <Heart className="w-4 h-4" />
+              Favorit
+            </button>
+            <button
+              onClick={() => setSource("recipes")}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                source === "recipes"
+                  ? "bg-blue-500 text-white"
+                  : "bg-white text-gray-600 hover:bg-gray-100"
+              }`}
+            >
+              Semua Resep
+            </button>
+          </div>
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Cari resep..."
+              className="w-full pl-9 pr-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-300"
+            />
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500 mb-2">
+          {selectedRecipe
+            ? `Ketuk slot untuk menempatkan "${selectedRecipe.name}"`
+            : "Seret resep ke slot, atau ketuk resep lalu ketuk slot"}
+        </p>
+
+        <div className="flex gap-2 overflow-x-auto pb-2">
+          {source === "recipes" && recipesLoading ? (
+            <p className="text-sm text-gray-400 py-2">Memuat resep...</p>
+          ) : pickerRecipes.length === 0 ? (
+            <p className="text-sm text-gray-400 py-2">
+              {source === "favorites"
+                ? "Belum ada resep favorit"
+                : "Resep tidak ditemukan"}
+            </p>
+          ) : (
+            pickerRecipes.map((recipe) => (
+              <button
+                key={recipe.id}
+                draggable
+                onDragStart={(e) => handleDragStart(e, { recipe })}
+                onClick={() =>
+                  setSelectedRecipe((current) =>
+                    current?.id === recipe.id ? null : recipe
+                  )
+                }
+                className={`flex-shrink-0 flex items-center gap-2 pl-2 pr-3 py-2 rounded-lg border text-left text-sm cursor-grab active:cursor-grabbing transition-colors ${
+                  selectedRecipe?.id === recipe.id
+                    ? "bg-blue-50 border-blue-400"
+                    : "bg-white border-gray-200 hover:border-blue-300"
+                }`}
+              >
+                <GripVertical className="w-4 h-4 text-gray-300" />
+                <span className="max-w-[10rem] truncate font-medium text-gray-700">
+                  {recipe.name}
+                </span>
+              </button>
+            ))
+          )}
+        </div>
+      </div>
+
+      {/* Week grid */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 xl:grid-cols-7 gap-4">
+        {weekDates.map((date, day) => {
+          const totalMinutes = getDayTotalMinutes(slots, day);
+
+          return (
+            <div key={day} className="bg-white rounded-lg border border-gray-200 p-3">
+              <div className="mb-3">
+                <p className="font-semibold text-gray-800">{DAY_NAMES[day]}</p>
+                <p className="text-xs text-gray-500">
+                  {date.toLocaleDateString("id-ID", { day: "numeric", month: "short" })}
+                </p>
+                {totalMinutes > 0 && (
+                  <p className="flex items-center gap-1 text-xs text-blue-600 mt-1">
+                    <Clock className="w-3 h-3" />
+                    {formatMinutes(totalMinutes)}
+                  </p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                {MEAL_SLOTS.map((meal) => {
+                  const slotKey = getSlotKey(day, meal.id);
+                  const slot = slots[slotKey];
+
+                  return (
+                    <div
+                      key={meal.id}
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        setDragOverKey(slotKey);
+                      }}
+                      onDragLeave={() => setDragOverKey(null)}
+                      onDrop={(e) => handleDrop(e, slotKey)}
+                      onClick={() => handleSlotClick(slotKey)}
+                      className={`rounded-lg border p-2 min-h-[4.5rem] transition-colors ${
+                        dragOverKey === slotKey
+                          ? "border-blue-400 bg-blue-50"
+                          : selectedRecipe
+                          ? "border-dashed border-blue-300 cursor-pointer hover:bg-blue-50"
+                          : slot
+                          ? "border-gray-200 bg-gray-50"
+                          : "border-dashed border-gray-200"
+                      }`}
+                    >
+                      <p className="text-[11px] uppercase tracking-wide text-gray-400 mb-1">
+                        {meal.emoji} {meal.label}
+                      </p>
+                      {slot && (
+                        <div
+                          draggable
+                          onDragStart={(e) => handleDragStart(e, { fromKey: slotKey })}
+                          className="cursor-grab active:cursor-grabbing"
+                        >
+                          <div className="flex items-start justify-between gap-1">
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                onRecipeClick?.(slot.recipe.id, slot.recipe.category);
+                              }}
+                              className="text-sm font-medium text-gray-800 text-left line-clamp-2 hover:text-blue-600"
+                            >
+                              {slot.recipe.name}
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                clearSlot(slotKey);
+                              }}
+                              className="text-gray-300 hover:text-red-500 transition-colors"
+                              aria-label="Hapus dari rencana"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                          <div className="flex items-center gap-1 mt-1 text-xs text-gray-500">
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setServings(slotKey, Math.max(1, slot.servings - 1));
+                              }}
+                              className="p-0.5 rounded hover:bg-gray-200"
+                              aria-label="Kurangi porsi"
+                            >
+                              <Minus className="w-3 h-3" />
+                            </button>
+                            <span>{slot.servings} porsi</span>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setServings(slotKey, slot.servings + 1);
+                              }}
+                              className="p-0.5 rounded hover:bg-gray-200"
+                              aria-label="Tambah porsi"
+                            >
+                              <Plus className="w-3 h-3" />
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,295 @@
+import { useState, useEffect, useMemo, useRef } from "react";
+import {
+  X,
+  ChevronLeft,
+  ChevronRight,
+  Timer,
+  Play,
+  Pause,
+  Trash2,
+  Sun,
+  CheckCircle,
+} from "lucide-react";
+import { useWakeLock } from "../../hooks/useWakeLock";
+import {
+  useCookingTimers,
+  getRemainingSeconds,
+} from "../../hooks/useCookingTimers";
+import { detectTimers, formatCountdown } from "../../utils/stepTimers";
+import {
+  loadCookingProgress,
+  saveCookingProgress,
+  clearCookingProgress,
+} from "../../utils/cookingProgress";
+
+const SWIPE_THRESHOLD = 60;
+
+/**
+ * CookingMode Component
+ * Full-screen, one step at a time, with timers found in the step text.
+ * Progress (current step and timers) is saved so cooking can resume after a reload.
+ */
+export default function CookingMode({ recipe, color = "blue", onClose }) {
+  const steps = recipe.steps || [];
+  const [saved] = useState(() => loadCookingProgress(recipe.id));
+  const [stepIndex, setStepIndex] = useState(() =>
+    Math.min(saved?.step || 0, Math.max(steps.length - 1, 0))
+  );
+  const { timers, now, startTimer, togglePause, removeTimer } =
+    useCookingTimers(saved?.timers || []);
+  const { locked } = useWakeLock(true);
+  const touchStartX = useRef(null);
+  const containerRef = useRef(null);
+
+  const step = steps[stepIndex];
+  const isLastStep = stepIndex === steps.length - 1;
+  const stepTimers = useMemo(
+    () => detectTimers(step?.instruction),
+    [step?.instruction]
+  );
+
+  useEffect(() => {
+    saveCookingProgress(recipe.id, { step: stepIndex, timers });
+  }, [recipe.id, stepIndex, timers]);
+
+  // Full screen where supported; the overlay alone is enough elsewhere
+  useEffect(() => {
+    const element = containerRef.current;
+    element?.requestFullscreen?.().catch(() => {});
+    return () => {
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, []);
+
+  const goTo = (index) => {
+    setStepIndex(Math.max(0, Math.min(steps.length - 1, index)));
+  };
+
+  const handleFinish = () => {
+    clearCookingProgress(recipe.id);
+    onClose();
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "ArrowRight") setStepIndex((i) => Math.min(steps.length - 1, i + 1));
+      if (e.key === "ArrowLeft") setStepIndex((i) => Math.max(0, i - 1));
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [steps.length, onClose]);
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return;
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+
+    if (deltaX <= -SWIPE_THRESHOLD) goTo(stepIndex + 1);
+    if (deltaX >= SWIPE_THRESHOLD) goTo(stepIndex - 1);
+  };
+
+  const handleStartTimer = (timer) => {
+    startTimer({
+      label: `Langkah ${stepIndex + 1} · ${timer.label}`,
+      seconds: timer.seconds,
+      stepIndex,
+    });
+  };
+
+  // Step text with the detected durations as tappable timer buttons
+  const renderInstruction = () => {
+    const text = step?.instruction || "";
+    const parts = [];
+    let cursor = 0;
+
+    stepTimers.forEach((timer) => {
+      parts.push(text.slice(cursor, timer.index));
+      parts.push(
+        <button
+          key={timer.index}
+          onClick={() => handleStartTimer(timer)}
+          className={`inline-flex items-center gap-1 px-2 rounded-lg bg-${color}-100 text-${color}-700 hover:bg-${color}-200 transition-colors`}
+          title="Mulai timer"
+        >
+          <Timer className="w-6 h-6" />
+          {timer.label}
+        </button>
+      );
+      cursor = timer.index + timer.length;
+    });
+    parts.push(text.slice(cursor));
+
+    return parts;
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="fixed inset-0 z-[60] bg-white flex flex-col"
+      onTouchStart={handleTouchStart}
+      onTouchEnd={handleTouchEnd}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4 px-4 md:px-8 py-4 border-b border-slate-200">
+        <div className="min-w-0">
+          <p className="text-sm text-slate-500">
+            Langkah {steps.length ? stepIndex + 1 : 0} dari {steps.length}
+          </p>
+          <h2 className="text-lg font-bold text-slate-800 truncate">
+            {recipe.name}
+          </h2>
+        </div>
+        <div className="flex items-center gap-3">
+          {locked && (
+            <span
+              className="hidden sm:inline-flex items-center gap-1 text-xs text-amber-600"
+              title="Layar tidak akan mati selama mode memasak"
+            >
+              <Sun className="w-4 h-4" />
+              Layar tetap menyala
+            </span>
+          )}
+          <button
+            onClick={onClose}
+            className="p-2 rounded-full text-slate-600 hover:bg-slate-100 transition-colors"
+            aria-label="Tutup mode memasak"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+      </div>
+
+      {/* Progress */}
+      <div className="h-1.5 bg-slate-100">
+        <div
+          className={`h-full bg-${color}-500 transition-all duration-300`}
+          style={{
+            width: `${steps.length ? ((stepIndex + 1) / steps.length) * 100 : 0}%`,
+          }}
+        />
+      </div>
+
+      {/* Step */}
+      <div className="flex-1 overflow-y-auto px-6 md:px-16 py-8 flex flex-col justify-center">
+        {step ? (
+          <>
+            <div
+              className={`w-14 h-14 rounded-full bg-${color}-600 text-white flex items-center justify-center font-bold text-2xl mb-6`}
+            >
+              {step.step_number || stepIndex + 1}
+            </div>
+            <p className="text-2xl md:text-4xl leading-relaxed text-slate-800 font-medium">
+              {renderInstruction()}
+            </p>
+
+            {stepTimers.length > 0 && (
+              <div className="flex flex-wrap gap-3 mt-8">
+                {stepTimers.map((timer) => (
+                  <button
+                    key={timer.index}
+                    onClick={() => handleStartTimer(timer)}
+                    className={`flex items-center gap-2 px-5 py-3 rounded-xl bg-${color}-600 text-white text-lg font-medium hover:bg-${color}-700 transition-colors`}
+                  >
+                    <Timer className="w-5 h-5" />
+                    Mulai timer {timer.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        ) : (
+          <p className="text-center text-slate-500 text-lg">
+            Resep ini belum memiliki langkah.
+          </p>
+        )}
+      </div>
+
+      {/* Timers */}
+      {timers.length > 0 && (
+        <div className="px-4 md:px-8 py-3 border-t border-slate-200 bg-slate-50">
+          <div className="flex gap-3 overflow-x-auto">
+            {timers.map((timer) => (
+              <div
+                key={timer.id}
+                className={`flex-shrink-0 flex items-center gap-3 px-4 py-2 rounded-xl border ${
+                  timer.finished
+                    ? "bg-red-50 border-red-300 animate-pulse"
+                    : "bg-white border-slate-200"
+                }`}
+              >
+                <div>
+                  <p className="text-xs text-slate-500">{timer.label}</p>
+                  <p
+                    className={`text-xl font-bold tabular-nums ${
+                      timer.finished ? "text-red-600" : "text-slate-800"
+                    }`}
+                  >
+                    {timer.finished
+                      ? "Waktu habis!"
+                      : formatCountdown(getRemainingSeconds(timer, now))}
+                  </p>
+                </div>
+                {!timer.finished && (
+                  <button
+                    onClick={() => togglePause(timer.id)}
+                    className="p-2 rounded-full text-slate-600 hover:bg-slate-100 transition-colors"
+                    aria-label={timer.endsAt ? "Jeda timer" : "Lanjutkan timer"}
+                  >
+                    {timer.endsAt ? (
+                      <Pause className="w-5 h-5" />
+                    ) : (
+                      <Play className="w-5 h-5" />
+                    )}
+                  </button>
+                )}
+                <button
+                  onClick={() => removeTimer(timer.id)}
+                  className="p-2 rounded-full text-slate-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+                  aria-label="Hapus timer"
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Navigation */}
+      <div className="flex items-center gap-3 px-4 md:px-8 py-4 border-t border-slate-200">
+        <button
+          onClick={() => goTo(stepIndex - 1)}
+          disabled={stepIndex === 0}
+          className="flex-1 flex items-center justify-center gap-2 px-4 py-4 border border-slate-300 text-slate-700 rounded-xl hover:bg-slate-50 disabled:opacity-40 disabled:cursor-not-allowed transition-colors text-lg font-medium"
+        >
+          <ChevronLeft className="w-6 h-6" />
+          Sebelumnya
+        </button>
+        {isLastStep || !steps.length ? (
+          <button
+            onClick={handleFinish}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-4 bg-green-600 text-white rounded-xl hover:bg-green-700 transition-colors text-lg font-medium"
+          >
+            <CheckCircle className="w-6 h-6" />
+            Selesai
+          </button>
+        ) : (
+          <button
+            onClick={() => goTo(stepIndex + 1)}
+            className={`flex-1 flex items-center justify-center gap-2 px-4 py-4 bg-${color}-600 text-white rounded-xl hover:bg-${color}-700 transition-colors text-lg font-medium`}
+          >
+            Berikutnya
+            <ChevronRight className="w-6 h-6" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import {
+  Download,
+  Printer,
+  FileText,
+  FileJson,
+  Code,
+  Loader2,
+} from "lucide-react";
+import exportService from "../../services/exportService";
+import toastService from "../../services/toastService";
+
+/**
+ * ExportMenu Component
+ * Print a recipe or download it as a PDF card, a recipe file (which can be
+ * imported again) or schema.org JSON-LD
+ */
+export default function ExportMenu({ recipe, color = "blue" }) {
+  const [open, setOpen] = useState(false);
+  const [generating, setGenerating] = useState(false);
+
+  const run = (action) => async () => {
+    setOpen(false);
+    try {
+      await action();
+    } catch (error) {
+      console.error("Export error:", error);
+      toastService.error("Gagal mengekspor resep. Silakan coba lagi.");
+    }
+  };
+
+  const handleDownloadPdf = run(async () => {
+    setGenerating(true);
+    try {
+      await exportService.downloadRecipeCard(recipe);
+    } finally {
+      setGenerating(false);
+    }
+  });
+
+  const items = [
+    {
+      label: "Cetak",
+      description: "Tata letak siap cetak",
+      icon: Printer,
+      onClick: run(() => window.print()),
+    },
+    {
+      label: "Kartu Resep (PDF)",
+      description: "Lengkap dengan foto",
+      icon: FileText,
+      onClick: handleDownloadPdf,
+    },
+    {
+      label: "File Resep (JSON)",
+      description: "Bisa diimpor kembali",
+      icon: FileJson,
+      onClick: run(() => exportService.downloadRecipeFile(recipe)),
+    },
+    {
+      label: "Schema.org (JSON-LD)",
+      description: "Untuk aplikasi resep lain",
+      icon: Code,
+      onClick: run(() => exportService.downloadJsonLd(recipe, window.location.href)),
+    },
+  ];
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={generating}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className={`flex items-center gap-2 px-4 py-2 bg-white border border-${color}-200 text-${color}-700 rounded-lg hover:bg-${color}-50 transition-colors disabled:opacity-60`}
+      >
+        {generating ? (
+          <Loader2 className="w-4 h-4 animate-spin" />
+        ) : (
+          <Download className="w-4 h-4" />
+        )}
+        <span className="hidden md:inline">
+          {generating ? "Membuat PDF..." : "Ekspor"}
+        </span>
+      </button>
+
+      {open && (
+        <>
+          {/* Click anywhere else to close */}
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div
+            role="menu"
+            className="absolute right-0 mt-2 w-64 bg-white rounded-xl shadow-xl border border-slate-200 py-2 z-20"
+          >
+            {items.map((item) => {
+              const Icon = item.icon;
+              return (
+                <button
+                  key={item.label}
+                  role="menuitem"
+                  onClick={item.onClick}
+                  className="w-full flex items-start gap-3 px-4 py-2.5 text-left hover:bg-slate-50 transition-colors"
+                >
+                  <Icon className={`w-5 h-5 mt-0.5 text-${color}-600`} />
+                  <span>
+                    <span className="block text-sm font-medium text-slate-800">
+                      {item.label}
+                    </span>
+                    <span className="block text-xs text-slate-500">
+                      {item.description}
+                    </span>
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { useState, useMemo } from "react";
+import { Activity, AlertCircle, ChevronDown, ChevronUp, RotateCcw } from "lucide-react";
+import { FOODS } from "../../data/nutritionTable";
+import { estimateNutrition, NUTRIENTS } from "../../utils/nutrition";
+import {
+  loadNutritionOverrides,
+  saveNutritionOverrides,
+} from "../../utils/draftStorage";
+
+const SORTED_FOODS = [...FOODS].sort((a, b) => a.name.localeCompare(b.name, "id"));
+
+const formatNumber = (value, unit) =>
+  `${value.toLocaleString("id-ID", {
+    maximumFractionDigits: unit === "kkal" || value >= 10 ? 0 : 1,
+  })} ${unit}`;
+
+/**
+ * One ingredient the estimate couldn't use, with a food picker and an
+ * optional weight in grams
+ */
+function UnmatchedIngredient({ item, onSave }) {
+  const [foodId, setFoodId] = useState(item.food?.id || "");
+  const [grams, setGrams] = useState("");
+
+  return (
+    <li className="bg-white/50 p-3 rounded-xl border border-white/60">
+      <p className="font-medium text-slate-700">
+        {item.ingredient.name}
+        {item.ingredient.quantity && (
+          <span className="font-normal text-slate-500"> — {item.ingredient.quantity}</span>
+        )}
+      </p>
+      <p className="text-xs text-amber-700 mb-2">
+        {item.reason === "food"
+          ? "Bahan tidak dikenali, pilih bahan yang paling mirip"
+          : `Dikenali sebagai ${item.food.name}, tapi takarannya tidak bisa ditimbang. Isi beratnya`}
+      </p>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={foodId}
+          onChange={(e) => setFoodId(e.target.value)}
+          className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white"
+        >
+          <option value="">Pilih bahan...</option>
+          {SORTED_FOODS.map((food) => (
+            <option key={food.id} value={food.id}>
+              {food.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={grams}
+          onChange={(e) => setGrams(e.target.value)}
+          placeholder="gram"
+          className="sm:w-24 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+        />
+        <button
+          onClick={() => onSave(item.key, { foodId, grams: Number(grams) || undefined })}
+          disabled={!foodId || (item.reason === "quantity" && !(Number(grams) > 0))}
+          className="px-4 py-2 bg-slate-800 text-white rounded-lg text-sm hover:bg-slate-700 disabled:opacity-40 transition-colors"
+        >
+          Simpan
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * NutritionPanel Component
+ * Estimated nutrition per serving, with the ingredients that couldn't be
+ * counted and a way to match them by hand
+ */
+export default function NutritionPanel({ recipe, color = "blue" }) {
+  const [overrides, setOverrides] = useState(() => loadNutritionOverrides(recipe.id));
+  const [showDetails, setShowDetails] = useState(false);
+
+  const estimate = useMemo(
+    () => estimateNutrition(recipe, overrides),
+    [recipe, overrides]
+  );
+
+  const updateOverrides = (next) => {
+    setOverrides(next);
+    saveNutritionOverrides(recipe.id, next);
+  };
+
+  const handleSaveOverride = (key, override) => {
+    updateOverrides({ ...overrides, [key]: override });
+  };
+
+  const handleResetOverride = (key) => {
+    const next = { ...overrides };
+    delete next[key];
+    updateOverrides(next);
+  };
+
+  const ingredientCount = recipe.ingredients?.length || 0;
+  if (!ingredientCount) return null;
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40 mb-8">
+      <h2 className="text-2xl font-bold text-slate-800 mb-2 flex items-center gap-3">
+        <div
+          className={`w-10 h-10 rounded-full bg-${color}-100 flex items-center justify-center`}
+        >
+          <Activity className={`w-5 h-5 text-${color}-600`} />
+        </div>
+        Perkiraan Gizi
+      </h2>
+      <p className="text-sm text-slate-500 mb-6">
+        Per porsi (resep untuk {recipe.servings || 1} porsi) · {estimate.matched.length} dari{" "}
+        {ingredientCount} bahan dihitung
+      </p>
+
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-6">
+        {NUTRIENTS.map((nutrient) => (
+          <div
+            key={nutrient.key}
+            className="bg-white/50 p-4 rounded-2xl border border-white/60 text-center"
+          >
+            <p className="text-xl font-bold text-slate-800">
+              {formatNumber(estimate.perServing[nutrient.key], nutrient.unit)}
+            </p>
+            <p className="text-sm text-slate-500">{nutrient.label}</p>
+          </div>
+        ))}
+      </div>
+
+      {estimate.unmatched.length > 0 && (
+        <div className="mb-6">
+          <h3 className="flex items-center gap-2 font-semibold text-slate-700 mb-3">
+            <AlertCircle className="w-4 h-4 text-amber-500" />
+            Belum dihitung ({estimate.unmatched.length})
+          </h3>
+          <ul className="space-y-3">
+            {estimate.unmatched.map((item) => (
+              <UnmatchedIngredient
+                key={item.key}
+                item={item}
+                onSave={handleSaveOverride}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={() => setShowDetails((show) => !show)}
+        className={`flex items-center gap-1 text-sm font-medium text-${color}-700 hover:underline`}
+      >
+        {showDetails ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        Rincian perhitungan
+      </button>
+
+      {showDetails && (
+        <div className="mt-4 space-y-2 text-sm">
+          {estimate.matched.map((item) => (
+            <div
+              key={item.key}
+              className="flex items-center justify-between gap-3 bg-white/50 px-3 py-2 rounded-lg"
+            >
+              <span className="text-slate-700">
+                {item.ingredient.name}
+                <span className="text-slate-400"> → {item.food.name}</span>
+              </span>
+              <span className="flex items-center gap-2 text-slate-500 whitespace-nowrap">
+                ±{Math.round(item.grams)} g
+                {item.manual && (
+                  <button
+                    onClick={() => handleResetOverride(item.key)}
+                    className="text-slate-400 hover:text-red-500"
+                    title="Hapus pilihan manual"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                )}
+              </span>
+            </div>
+          ))}
+          {estimate.skipped.length > 0 && (
+            <p className="text-slate-500 pt-2">
+              Tidak dihitung (secukupnya):{" "}
+              {estimate.skipped.map((ingredient) => ingredient.name).join(", ")}
+            </p>
+          )}
+          <p className="text-xs text-slate-400 pt-2">
+            Angka ini perkiraan berdasarkan tabel komposisi pangan, bukan hasil uji laboratorium.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -19,16 +19,40 @@ import {
   Edit,
   Trash2,
   Share2,
+  CloudOff,
+  AlertCircle,
+  ShoppingCart,
 } from "lucide-react";
 import recipeService from "../../services/recipeService";
+import { REVIEW_SYNC_STATUS } from "../../services/reviewSyncService";
+import toastService from "../../services/toastService";
 import ConfirmModal from "../modals/ConfirmModal";
 import FavoriteButton from "../common/FavoriteButton";
+import PendingChanges from "../common/PendingChanges";
+import NotRecipeOwner from "../common/NotRecipeOwner";
+import ServingsStepper from "../common/ServingsStepper";
+import CookingMode from "./CookingMode";
+import NutritionPanel from "./NutritionPanel";
+import RecipeHistory from "./RecipeHistory";
+import ExportMenu from "./ExportMenu";
+import { isForbiddenError } from "../../config/api";
+import { getCategoryOrDefault } from "../../config/categories";
+import { isRecipeOwner, getOwnerIdentifiers } from "../../utils/permissions";
+import { scaleQuantity } from "../../utils/quantityParser";
+import { loadCookingProgress } from "../../utils/cookingProgress";
+import {
+  addRecipeToShoppingList,
+  isOnShoppingList,
+} from "../../hooks/useShoppingList";
 import userService from "../../services/userService";
+import { useJsonLd } from "../../hooks/useJsonLd";
+import { toSchemaRecipe } from "../../utils/recipeExport";
 
 export default function RecipeDetail({
   recipeId,
   onBack,
   onEdit,
+  onOpenShoppingList,
   category = "makanan",
 }) {
   const {
@@ -53,38 +77,27 @@ export default function RecipeDetail({
   const [showReviewForm, setShowReviewForm] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [forbidden, setForbidden] = useState(false);
+  const [servings, setServings] = useState(null); // null = recipe default
+  const [showCookingMode, setShowCookingMode] = useState(false);
+  const [addedToShoppingList, setAddedToShoppingList] = useState(() =>
+    isOnShoppingList(recipeId)
+  );
 
-  const categoryColors = {
-    makanan: {
-      primary: "blue",
-      gradient: "from-blue-50 via-white to-indigo-50",
-      text: "text-blue-700",
-      bg: "bg-blue-100",
-      border: "border-blue-400",
-      hover: "hover:bg-blue-50",
-      ring: "ring-blue-500",
-    },
-    minuman: {
-      primary: "green",
-      gradient: "from-green-50 via-white to-cyan-50",
-      text: "text-green-700",
-      bg: "bg-green-100",
-      border: "border-green-400",
-      hover: "hover:bg-green-50",
-      ring: "ring-green-500",
-    },
-  };
+  const categoryInfo = getCategoryOrDefault(category);
+  const colors = categoryInfo.theme;
 
-  const colors = categoryColors[category] || categoryColors.makanan;
+  // Recipe data for search engines and "save recipe" tools
+  useJsonLd(
+    recipe ? toSchemaRecipe({ ...recipe, category }, { url: window.location.href }) : null,
+    "recipe-jsonld"
+  );
 
   const handleSubmitReview = async (e) => {
     e.preventDefault();
 
-    // Get username from user profile
-    const userProfile = userService.getUserProfile();
-
     const reviewData = {
-      user_identifier: userProfile.username || getUserIdentifier(),
+      user_identifier: getUserIdentifier(),
       rating,
       comment: comment.trim(),
       recipe_name: recipe.name,
@@ -106,12 +119,24 @@ export default function RecipeDetail({
   };
 
   const handleDeleteRecipe = async () => {
+    if (!isRecipeOwner(recipe)) {
+      setShowDeleteModal(false);
+      setForbidden(true);
+      return;
+    }
+
     try {
       setDeleting(true);
       const result = await recipeService.deleteRecipe(recipeId);
 
-      if (result.success) {
-        alert("Resep berhasil dihapus!");
+      if (result.queued) {
+        toastService.info(result.message);
+        setShowDeleteModal(false);
+        if (onBack) {
+          onBack();
+        }
+      } else if (result.success) {
+        toastService.success("Resep berhasil dihapus!");
         setShowDeleteModal(false);
         if (onBack) {
           onBack();
@@ -121,12 +146,22 @@ export default function RecipeDetail({
       }
     } catch (err) {
       console.error("Delete recipe error:", err);
-      alert(err.message || "Terjadi kesalahan saat menghapus resep");
+      if (isForbiddenError(err)) {
+        setShowDeleteModal(false);
+        setForbidden(true);
+        return;
+      }
+      toastService.error(err, "Terjadi kesalahan saat menghapus resep");
     } finally {
       setDeleting(false);
     }
   };
 
+  const handleAddToShoppingList = () => {
+    addRecipeToShoppingList(recipe, servings ?? recipe.servings);
+    setAddedToShoppingList(true);
+  };
+
   const handleShareRecipe = async () => {
     try {
       const currentUrl = window.location.href;
@@ -141,7 +176,7 @@ export default function RecipeDetail({
       } else {
         // Fallback: copy to clipboard
         await navigator.clipboard.writeText(currentUrl);
-        alert("Link resep berhasil disalin ke clipboard!");
+        toastService.success("Link resep berhasil disalin ke clipboard!");
       }
     } catch (error) {
       // User canceled the share or clipboard not available
@@ -150,9 +185,9 @@ export default function RecipeDetail({
         // Fallback to copying to clipboard
         try {
           await navigator.clipboard.writeText(window.location.href);
-          alert("Link resep berhasil disalin ke clipboard!");
+          toastService.success("Link resep berhasil disalin ke clipboard!");
         } catch (clipboardError) {
-          alert(
+          toastService.error(
             "Gagal membagikan link. Silakan salin manual dari address bar."
           );
         }
@@ -208,13 +243,29 @@ export default function RecipeDetail({
     );
   }
 
+  if (forbidden) {
+    return (
+      <NotRecipeOwner
+        recipeName={recipe.name}
+        message="Hanya pembuat resep yang dapat menghapusnya."
+        onViewRecipe={() => setForbidden(false)}
+        onBack={onBack}
+      />
+    );
+  }
+
+  const isOwner = isRecipeOwner(recipe);
+  const cookingProgress = showCookingMode ? null : loadCookingProgress(recipe.id);
+  const servingsFactor =
+    recipe.servings > 0 ? (servings ?? recipe.servings) / recipe.servings : 1;
+
   return (
     <div
-      className={`min-h-screen bg-gradient-to-br ${colors.gradient} pb-20 md:pb-8`}
+      className={`min-h-screen bg-gradient-to-br ${colors.gradient} pb-20 md:pb-8 print:bg-none print:bg-white print:pb-0`}
     >
       {/* Delete Confirmation Modal */}
       <ConfirmModal
-        isOpen={showDeleteModal}
+        isOpen={showDeleteModal && isOwner}
         onClose={() => setShowDeleteModal(false)}
         onConfirm={handleDeleteRecipe}
         title="Hapus Resep"
@@ -225,8 +276,16 @@ export default function RecipeDetail({
         isLoading={deleting}
       />
 
+      {showCookingMode && (
+        <CookingMode
+          recipe={recipe}
+          color={colors.primary}
+          onClose={() => setShowCookingMode(false)}
+        />
+      )}
+
       {/* Header */}
-      <div className="sticky top-0 z-10 bg-white/80 backdrop-blur-md border-b border-slate-200 shadow-sm">
+      <div className="sticky top-0 z-10 bg-white/80 backdrop-blur-md border-b border-slate-200 shadow-sm print:hidden">
         <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between">
           <button
             onClick={onBack}
@@ -247,44 +306,61 @@ export default function RecipeDetail({
                 <Share2 className="w-4 h-4" />
                 <span className="hidden md:inline">Bagikan</span>
               </button>
-              <button
-                onClick={() => {
-                  console.log("🖱️ Edit button clicked in RecipeDetail");
-                  console.log("📝 Recipe ID:", recipeId);
-                  console.log("🔧 onEdit function:", onEdit);
-                  onEdit(recipeId);
-                }}
-                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-              >
-                <Edit className="w-4 h-4" />
-                <span className="hidden md:inline">Edit</span>
-              </button>
-              <button
-                onClick={() => setShowDeleteModal(true)}
-                className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
-              >
-                <Trash2 className="w-4 h-4" />
-                <span className="hidden md:inline">Hapus</span>
-              </button>
+              <ExportMenu
+                recipe={{ ...recipe, category }}
+                color={colors.primary}
+              />
+              {/* Only the creator can edit or delete */}
+              {isOwner && (
+                <>
+                  <button
+                    onClick={() => {
+                      console.log("🖱️ Edit button clicked in RecipeDetail");
+                      console.log("📝 Recipe ID:", recipeId);
+                      console.log("🔧 onEdit function:", onEdit);
+                      onEdit(recipeId);
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    <Edit className="w-4 h-4" />
+                    <span className="hidden md:inline">Edit</span>
+                  </button>
+                  <button
+                    onClick={() => setShowDeleteModal(true)}
+                    className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span className="hidden md:inline">Hapus</span>
+                  </button>
+                </>
+              )}
             </div>
           )}
         </div>
       </div>
 
-      <main className="max-w-5xl mx-auto px-4 py-8">
+      <main className="max-w-5xl mx-auto px-4 py-8 print:max-w-none print:p-0">
+        {/* Offline changes waiting to be synced */}
+        <div className="mb-8 empty:hidden print:hidden">
+          <PendingChanges
+            recipeId={recipeId}
+            title="Perubahan resep ini belum tersinkron"
+          />
+        </div>
+
         {/* Recipe Header */}
-        <div className="bg-white/60 backdrop-blur-sm rounded-3xl overflow-hidden shadow-xl border border-white/40 mb-8">
+        <div className="bg-white/60 backdrop-blur-sm rounded-3xl overflow-hidden shadow-xl border border-white/40 mb-8 print:shadow-none print:border-0 print:mb-4">
           {/* Hero Image */}
-          <div className="relative h-64 md:h-96 overflow-hidden">
+          <div className="relative h-64 md:h-96 overflow-hidden print:h-56 print:rounded-2xl">
             <img
               src={recipe.image_url}
               alt={recipe.name}
               className="w-full h-full object-cover"
             />
-            <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent" />
+            <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent print:hidden" />
 
             {/* Favorite Button - Use component */}
-            <div className="absolute top-4 right-4 z-10">
+            <div className="absolute top-4 right-4 z-10 print:hidden">
               <FavoriteButton recipe={recipe && { ...recipe, category }} size="lg" />
             </div>
 
@@ -293,13 +369,13 @@ export default function RecipeDetail({
               <span
                 className={`${colors.text} ${colors.bg} px-4 py-2 rounded-full text-sm font-semibold`}
               >
-                {category === "makanan" ? "Makanan" : "Minuman"}
+                {categoryInfo.label}
               </span>
             </div>
           </div>
 
           {/* Recipe Info */}
-          <div className="p-6 md:p-8">
+          <div className="p-6 md:p-8 print:px-0 print:pb-0">
             <h1 className="text-3xl md:text-4xl font-bold text-slate-800 mb-4">
               {recipe.name}
             </h1>
@@ -383,10 +459,10 @@ export default function RecipeDetail({
         </div>
 
         {/* Ingredients & Steps */}
-        <div className="grid md:grid-cols-2 gap-8 mb-8">
+        <div className="grid md:grid-cols-2 gap-8 mb-8 print:block">
           {/* Ingredients */}
-          <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40">
-            <h2 className="text-2xl font-bold text-slate-800 mb-6 flex items-center gap-3">
+          <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40 print:shadow-none print:border-0 print:p-0 print:mb-6">
+            <h2 className="text-2xl font-bold text-slate-800 mb-6 flex items-center gap-3 print:mb-3">
               <div
                 className={`w-10 h-10 rounded-full bg-${colors.primary}-100 flex items-center justify-center`}
               >
@@ -394,29 +470,80 @@ export default function RecipeDetail({
               </div>
               Bahan-bahan
             </h2>
-            <ul className="space-y-3">
-              {recipe.ingredients?.map((ingredient) => (
-                <li
-                  key={ingredient.id}
-                  className="flex items-start gap-3 bg-white/50 p-3 rounded-xl border border-white/60"
-                >
-                  <span className={`text-${colors.primary}-600 mt-1`}>•</span>
-                  <div>
-                    <p className="font-medium text-slate-700">
-                      {ingredient.name}
-                    </p>
-                    <p className="text-sm text-slate-500">
-                      {ingredient.quantity}
-                    </p>
-                  </div>
-                </li>
-              ))}
+            {recipe.servings > 0 && (
+              <div className="flex items-center justify-between gap-3 mb-4 print:hidden">
+                <p className="text-sm text-slate-500">Sesuaikan jumlah porsi</p>
+                <ServingsStepper
+                  value={servings ?? recipe.servings}
+                  originalValue={recipe.servings}
+                  onChange={setServings}
+                  color={colors.primary}
+                />
+              </div>
+            )}
+            <ul className="space-y-3 print:space-y-1 print:columns-2 print:gap-8">
+              {recipe.ingredients?.map((ingredient) => {
+                const quantity = scaleQuantity(ingredient.quantity, servingsFactor);
+                const notScaled = servingsFactor !== 1 && !quantity.parsed.parsed;
+
+                return (
+                  <li
+                    key={ingredient.id}
+                    className="flex items-start gap-3 bg-white/50 p-3 rounded-xl border border-white/60 break-inside-avoid print:p-1 print:border-0"
+                  >
+                    <span className={`text-${colors.primary}-600 mt-1`}>•</span>
+                    <div>
+                      <p className="font-medium text-slate-700">
+                        {ingredient.name}
+                      </p>
+                      <p
+                        className={`text-sm ${
+                          quantity.scaled
+                            ? `text-${colors.primary}-700 font-medium`
+                            : "text-slate-500"
+                        }`}
+                      >
+                        {quantity.text}
+                        {notScaled && quantity.text && (
+                          <span
+                            className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full bg-amber-100 text-amber-700 text-xs font-medium"
+                            title="Takaran ini tidak bisa dihitung otomatis, sesuaikan sendiri"
+                          >
+                            tidak diskalakan
+                          </span>
+                        )}
+                      </p>
+                    </div>
+                  </li>
+                );
+              })}
             </ul>
+            {recipe.ingredients?.length > 0 && (
+              <div className="flex flex-col sm:flex-row gap-2 mt-6 print:hidden">
+                <button
+                  onClick={handleAddToShoppingList}
+                  className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 border border-${colors.primary}-300 text-${colors.primary}-700 rounded-xl hover:bg-${colors.primary}-50 transition-colors font-medium`}
+                >
+                  <ShoppingCart className="w-5 h-5" />
+                  {addedToShoppingList
+                    ? "Perbarui Daftar Belanja"
+                    : "Tambah ke Daftar Belanja"}
+                </button>
+                {addedToShoppingList && onOpenShoppingList && (
+                  <button
+                    onClick={onOpenShoppingList}
+                    className={`px-4 py-3 text-${colors.primary}-700 rounded-xl hover:bg-${colors.primary}-50 transition-colors font-medium`}
+                  >
+                    Lihat Daftar
+                  </button>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Steps */}
-          <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40">
-            <h2 className="text-2xl font-bold text-slate-800 mb-6 flex items-center gap-3">
+          <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40 print:shadow-none print:border-0 print:p-0 print:mb-6">
+            <h2 className="text-2xl font-bold text-slate-800 mb-6 flex items-center gap-3 print:mb-3">
               <div
                 className={`w-10 h-10 rounded-full bg-${colors.primary}-100 flex items-center justify-center`}
               >
@@ -424,11 +551,22 @@ export default function RecipeDetail({
               </div>
               Langkah-langkah
             </h2>
-            <ol className="space-y-4">
+            {recipe.steps?.length > 0 && (
+              <button
+                onClick={() => setShowCookingMode(true)}
+                className={`w-full mb-6 flex items-center justify-center gap-2 px-4 py-3 print:hidden bg-${colors.primary}-600 text-white rounded-xl hover:bg-${colors.primary}-700 transition-colors font-medium`}
+              >
+                <ChefHat className="w-5 h-5" />
+                {cookingProgress
+                  ? `Lanjutkan Memasak (Langkah ${cookingProgress.step + 1})`
+                  : "Mulai Mode Memasak"}
+              </button>
+            )}
+            <ol className="space-y-4 print:space-y-2">
               {recipe.steps?.map((step) => (
                 <li
                   key={step.id}
-                  className="flex gap-4 bg-white/50 p-4 rounded-xl border border-white/60"
+                  className="flex gap-4 bg-white/50 p-4 rounded-xl border border-white/60 break-inside-avoid print:p-1 print:border-0"
                 >
                   <div
                     className={`flex-shrink-0 w-8 h-8 rounded-full bg-${colors.primary}-600 text-white flex items-center justify-center font-bold text-sm`}
@@ -444,8 +582,17 @@ export default function RecipeDetail({
           </div>
         </div>
 
+        <NutritionPanel key={recipe.id} recipe={recipe} color={colors.primary} />
+
+        <RecipeHistory
+          key={`history-${recipe.id}`}
+          recipe={recipe}
+          canRestore={isOwner}
+          color={colors.primary}
+        />
+
         {/* Reviews Section */}
-        <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40">
+        <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40 print:hidden">
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-2xl font-bold text-slate-800">
               Ulasan ({reviews?.length || 0})
@@ -523,13 +670,15 @@ export default function RecipeDetail({
             ) : reviews && reviews.length > 0 ? (
               reviews.map((review) => (
                 <div
-                  key={review.id}
+                  key={review.client_id || review.id}
                   className="bg-white/70 rounded-2xl p-6 border border-white/60"
                 >
                   <div className="flex items-start justify-between mb-3">
                     <div>
                       <p className="font-semibold text-slate-800">
-                        {review.user_identifier}
+                        {getOwnerIdentifiers().includes(review.user_identifier)
+                          ? userService.getUserDisplayName()
+                          : review.user_identifier}
                       </p>
                       <div className="flex items-center gap-1 mt-1">
                         {[1, 2, 3, 4, 5].map((star) => (
@@ -544,9 +693,23 @@ export default function RecipeDetail({
                         ))}
                       </div>
                     </div>
-                    <p className="text-sm text-slate-500">
-                      {formatDate(review.created_at)}
-                    </p>
+                    <div className="text-right">
+                      <p className="text-sm text-slate-500">
+                        {formatDate(review.created_at)}
+                      </p>
+                      {review.sync_status === REVIEW_SYNC_STATUS.PENDING && (
+                        <span className="inline-flex items-center gap-1 mt-1 text-xs text-amber-600">
+                          <CloudOff className="w-3 h-3" />
+                          Menunggu sinkronisasi
+                        </span>
+                      )}
+                      {review.sync_status === REVIEW_SYNC_STATUS.FAILED && (
+                        <span className="inline-flex items-center gap-1 mt-1 text-xs text-red-600">
+                          <AlertCircle className="w-3 h-3" />
+                          Gagal dikirim
+                        </span>
+                      )}
+                    </div>
                   </div>
                   {review.comment && (
                     <p className="text-slate-700 leading-relaxed">
@@ -567,6 +730,11 @@ export default function RecipeDetail({
             )}
           </div>
         </div>
+
+        {/* Where a printed copy came from */}
+        <p className="hidden print:block mt-6 pt-3 border-t border-slate-200 text-xs text-slate-500">
+          Resep Nusantara · {window.location.href}
+        </p>
       </main>
     </div>
   );
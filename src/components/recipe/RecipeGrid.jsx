@@ -1,12 +1,28 @@
-import { Clock, Star, Coffee, ChefHat } from 'lucide-react';
+import { Clock, Star } from 'lucide-react';
 import { useState, useEffect, useRef } from 'react';
 import FavoriteButton from '../common/FavoriteButton';
+import HighlightedText from '../common/HighlightedText';
 
-export default function RecipeGrid({ recipes, onRecipeClick }) {
+/**
+ * RecipeGrid Component
+ * Recipe cards of one category, styled from its registry entry
+ * (src/config/categories.js)
+ */
+export default function RecipeGrid({
+  category,
+  recipes,
+  onRecipeClick,
+  highlights = {},
+  onLoadMore,
+  hasMore = false,
+  loadingMore = false,
+}) {
   const [visibleCards, setVisibleCards] = useState(new Set());
   const [loadedImages, setLoadedImages] = useState(new Set());
   const cardRefs = useRef([]);
   const imgRefs = useRef([]);
+  const sentinelRef = useRef(null);
+  const { theme, icon: CategoryIcon } = category;
 
   // Observer untuk animasi kartu
   useEffect(() => {
@@ -100,6 +116,25 @@ export default function RecipeGrid({ recipes, onRecipeClick }) {
     };
   }, [recipes, loadedImages]);
 
+  // Observer untuk sentinel: muat halaman berikutnya sebelum sampai di bawah
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!onLoadMore || !hasMore || loadingMore || !sentinel) return;
+
+    const sentinelObserver = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore();
+      }
+    }, {
+      rootMargin: '400px'
+    });
+
+    sentinelObserver.observe(sentinel);
+    return () => {
+      sentinelObserver.disconnect();
+    };
+  }, [onLoadMore, hasMore, loadingMore, recipes.length]);
+
   // Preload gambar pertama untuk UX yang lebih baik
   useEffect(() => {
     if (recipes.length > 0 && !loadedImages.has(0)) {
@@ -114,10 +149,10 @@ export default function RecipeGrid({ recipes, onRecipeClick }) {
   return (
     <section>
       <h1 className="text-3xl md:text-5xl font-bold text-slate-800 text-center mb-4">
-        Jelajahi Resep Minuman
+        {category.browseTitle}
       </h1>
       <p className="text-center text-slate-500 max-w-2xl mx-auto mb-8">
-        Temukan minuman segar, hangat, dan kekinian. Mulai dari kopi hingga jus buah, semua ada di sini.
+        {category.browseDescription}
       </p>
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-8">
         {recipes.map((recipe, index) => (
@@ -131,10 +166,10 @@ export default function RecipeGrid({ recipes, onRecipeClick }) {
             }`}
           >
             <div 
-              onClick={() => onRecipeClick && onRecipeClick(recipe.id)}
-              className="relative bg-white/15 backdrop-blur-xl border border-white/25 rounded-2xl md:rounded-3xl overflow-hidden shadow-lg md:shadow-2xl shadow-green-500/5 hover:shadow-green-500/15 transition-all duration-500 cursor-pointer group-hover:scale-105 group-hover:bg-white/20">
+              onClick={() => onRecipeClick && onRecipeClick(recipe.id, category.slug)}
+              className={`relative bg-white/15 backdrop-blur-xl border border-white/25 rounded-2xl md:rounded-3xl overflow-hidden shadow-lg md:shadow-2xl ${theme.shadow} transition-all duration-500 cursor-pointer group-hover:scale-105 group-hover:bg-white/20`}>
               
-              <div className="absolute inset-0 bg-gradient-to-br from-white/5 via-transparent to-green-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-500" />
+              <div className={`absolute inset-0 bg-gradient-to-br from-white/5 via-transparent ${theme.glow} opacity-0 group-hover:opacity-100 transition-opacity duration-500`} />
               
               <div className="relative h-32 md:h-56 overflow-hidden">
                 {/* Loading placeholder */}
@@ -169,24 +204,24 @@ export default function RecipeGrid({ recipes, onRecipeClick }) {
                 
                 {/* Fallback placeholder untuk gambar error */}
                 <div 
-                  className="image-placeholder absolute inset-0 hidden items-center justify-center bg-gradient-to-br from-green-100 to-green-200"
+                  className={`image-placeholder absolute inset-0 hidden items-center justify-center bg-gradient-to-br ${theme.placeholder}`}
                   style={{ display: 'none' }}
                 >
-                  <Coffee className="w-8 h-8 text-green-400" />
+                  <CategoryIcon className={`w-8 h-8 ${theme.icon}`} />
                 </div>
 
                 <div className="absolute inset-0 bg-gradient-to-t from-black/20 via-transparent to-transparent" />
                 
                 {/* Favorite Button */}
                 <div className="absolute top-3 right-3 z-10">
-                  <FavoriteButton recipe={{ ...recipe, category: 'minuman' }} size="sm" />
+                  <FavoriteButton recipe={{ ...recipe, category: category.slug }} size="sm" />
                 </div>
               </div>
               
               <div className="relative z-10 p-4 md:p-8">
                 <div className="flex items-center justify-between mb-3 md:mb-4">
-                  <span className="text-xs font-semibold text-green-700 bg-green-100/90 px-2 md:px-3 py-1 md:py-1.5 rounded-full">
-                    Minuman
+                  <span className={`text-xs font-semibold ${theme.text} ${theme.bg} px-2 md:px-3 py-1 md:py-1.5 rounded-full`}>
+                    {category.label}
                   </span>
                   {recipe.average_rating > 0 && (
                     <div className="flex items-center space-x-1 bg-white/90 px-2 py-1 rounded-full">
@@ -195,16 +230,26 @@ export default function RecipeGrid({ recipes, onRecipeClick }) {
                     </div>
                   )}
                 </div>
-                <h3 className="font-bold text-slate-800 mb-3 md:mb-4 text-base md:text-xl group-hover:text-green-600 transition-colors duration-200 line-clamp-2">
-                  {recipe.name}
+                <h3 className={`font-bold text-slate-800 mb-3 md:mb-4 text-base md:text-xl ${theme.title} transition-colors duration-200 line-clamp-2`}>
+                  {highlights[recipe.id]?.name ? (
+                    <HighlightedText segments={highlights[recipe.id].name} />
+                  ) : (
+                    recipe.name
+                  )}
                 </h3>
+                {highlights[recipe.id]?.snippet && (
+                  <p className="text-xs md:text-sm text-slate-600 mb-3 md:mb-4 line-clamp-2">
+                    <span className="font-semibold text-slate-700">{highlights[recipe.id].snippet.label}: </span>
+                    <HighlightedText segments={highlights[recipe.id].snippet.segments} />
+                  </p>
+                )}
                 <div className="flex items-center justify-between text-xs md:text-sm text-slate-600">
                   <div className="flex items-center space-x-1 md:space-x-2 bg-white/70 px-2 md:px-3 py-1 md:py-2 rounded-full">
                     <Clock className="w-3 h-3 md:w-4 md:h-4" />
                     <span className="font-medium">{recipe.prep_time}</span>
                   </div>
                   <div className="flex items-center space-x-1 md:space-x-2 bg-white/70 px-2 md:px-3 py-1 md:py-2 rounded-full">
-                    <ChefHat className="w-3 h-3 md:w-4 md:h-4" />
+                    <CategoryIcon className="w-3 h-3 md:w-4 md:h-4" />
                     <span className="font-medium">{recipe.difficulty}</span>
                   </div>
                 </div>
@@ -213,9 +258,28 @@ export default function RecipeGrid({ recipes, onRecipeClick }) {
           </div>
         ))}
       </div>
+      {onLoadMore && recipes.length > 0 && (
+        <div ref={sentinelRef} className="flex justify-center py-8" aria-live="polite">
+          {loadingMore ? (
+            <div className="flex items-center gap-3 text-slate-600">
+              <div className={`animate-spin rounded-full h-6 w-6 border-b-2 ${theme.spinner}`}></div>
+              Memuat resep lainnya...
+            </div>
+          ) : hasMore ? (
+            <button
+              onClick={onLoadMore}
+              className={`px-6 py-3 bg-white/80 backdrop-blur border border-slate-300 rounded-xl ${theme.hover} transition-all font-medium text-slate-700`}
+            >
+              Muat lebih banyak
+            </button>
+          ) : (
+            <p className="text-slate-500 text-sm">Semua resep sudah ditampilkan</p>
+          )}
+        </div>
+      )}
       {recipes.length === 0 && (
         <div className="text-center py-16">
-            <p className="text-slate-500">Minuman tidak ditemukan. Coba kata kunci lain.</p>
+            <p className="text-slate-500">Resep tidak ditemukan. Coba kata kunci lain.</p>
         </div>
       )}
     </section>
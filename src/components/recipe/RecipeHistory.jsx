@@ -0,0 +1,241 @@
+import { useState, useMemo } from "react";
+import { History, ChevronDown, ChevronUp, RotateCcw, Loader } from "lucide-react";
+import { useRevisions } from "../../hooks/useRevisions";
+import { useUpdateRecipe } from "../../hooks/useRecipes";
+import toastService from "../../services/toastService";
+import { toRevisionContent } from "../../services/revisionService";
+import { getUserIdentifier } from "../../services/userService";
+import {
+  compareRecipes,
+  describeValue,
+  getRecipeRevision,
+  isSameRevision,
+} from "../../utils/recipeMerge";
+import { formatDate, formatRelativeTime } from "../../utils/helpers";
+
+const revisionLabel = (revision) =>
+  revision.version !== null ? `Versi ${revision.version}` : formatDate(revision.saved_at);
+
+const authorLabel = (author) => {
+  if (!author) return "Tidak diketahui";
+  if (author.id === getUserIdentifier()) return author.name ? `${author.name} (Anda)` : "Anda";
+  return author.name || "Pengguna lain";
+};
+
+/**
+ * One changed field or row: the old value struck out, the new one below
+ */
+function ChangeRow({ change }) {
+  const before = describeValue(change, change.before);
+  const after = describeValue(change, change.after);
+
+  return (
+    <li className="bg-white/50 p-3 rounded-xl border border-white/60 text-sm">
+      <p className="font-medium text-slate-700 mb-1">
+        {change.label}
+        {before === null && <span className="font-normal text-green-700"> · ditambahkan</span>}
+        {after === null && <span className="font-normal text-red-700"> · dihapus</span>}
+      </p>
+      {before !== null && (
+        <p className="px-2 py-1 rounded-lg bg-red-50 text-red-800 line-through decoration-red-300 whitespace-pre-line break-words">
+          {before || "(kosong)"}
+        </p>
+      )}
+      {after !== null && (
+        <p className="mt-1 px-2 py-1 rounded-lg bg-green-50 text-green-800 whitespace-pre-line break-words">
+          {after || "(kosong)"}
+        </p>
+      )}
+    </li>
+  );
+}
+
+/**
+ * RecipeHistory Component
+ * "Riwayat" panel: saved versions of a recipe with who saved them and when,
+ * what changed between any two, and restoring an older version (saved as a
+ * new version through the normal update)
+ */
+export default function RecipeHistory({ recipe, canRestore = false, color = "blue" }) {
+  const { revisions, fromServer, loading } = useRevisions(recipe.id);
+  const { updateRecipe } = useUpdateRecipe();
+  const [open, setOpen] = useState(false);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  // The version on screen is always listed, even before anything was recorded
+  const entries = useMemo(() => {
+    const isCurrent = (revision) =>
+      isSameRevision({ version: revision.version, updated_at: revision.saved_at }, recipe);
+    const listed = revisions.map((revision) => ({ ...revision, isCurrent: isCurrent(revision) }));
+    if (listed.some((revision) => revision.isCurrent)) return listed;
+    return [
+      {
+        id: "current",
+        version: recipe.version ?? null,
+        saved_at: recipe.updated_at,
+        author: recipe.updated_by || null,
+        recipe: toRevisionContent(recipe),
+        isCurrent: true,
+      },
+      ...listed,
+    ];
+  }, [revisions, recipe]);
+
+  const to = entries.find((revision) => revision.id === toId) || entries[0];
+  const from =
+    entries.find((revision) => revision.id === fromId) ||
+    entries.find((revision) => revision !== to);
+  const changes = useMemo(
+    () => (from && to ? compareRecipes(from.recipe, to.recipe) : []),
+    [from, to]
+  );
+
+  const handleRestore = async (revision) => {
+    try {
+      setRestoringId(revision.id);
+      // Restoring is an edit of the version on screen, so it can conflict too
+      const result = await updateRecipe(recipe.id, {
+        ...revision.recipe,
+        ...getRecipeRevision(recipe),
+      });
+      if (result?.queued) {
+        toastService.info("Tidak ada koneksi. Pemulihan akan dikirim saat online.");
+      } else {
+        toastService.success(`Resep dikembalikan ke ${revisionLabel(revision).toLowerCase()}`);
+      }
+    } catch (error) {
+      console.error("Error restoring recipe revision:", error);
+      toastService.error(error, "Gagal mengembalikan resep");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const selectClass =
+    "flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white";
+
+  return (
+    <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40 mb-8 print:hidden">
+      <button
+        onClick={() => setOpen((value) => !value)}
+        className="w-full flex items-center justify-between gap-3 text-left"
+        aria-expanded={open}
+      >
+        <span className="flex items-center gap-3">
+          <span
+            className={`w-10 h-10 rounded-full bg-${color}-100 flex items-center justify-center`}
+          >
+            <History className={`w-5 h-5 text-${color}-600`} />
+          </span>
+          <span>
+            <span className="block text-2xl font-bold text-slate-800">Riwayat</span>
+            <span className="block text-sm text-slate-500">
+              {loading ? "Memuat..." : `${entries.length} versi`}
+              {!loading && !fromServer && " · hanya perubahan dari perangkat ini"}
+            </span>
+          </span>
+        </span>
+        {open ? (
+          <ChevronUp className="w-5 h-5 text-slate-500" />
+        ) : (
+          <ChevronDown className="w-5 h-5 text-slate-500" />
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-6 space-y-6">
+          <ul className="space-y-2">
+            {entries.map((revision) => (
+              <li
+                key={revision.id}
+                className="flex items-center justify-between gap-3 bg-white/50 px-4 py-3 rounded-xl border border-white/60"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-slate-700">
+                    {revisionLabel(revision)}
+                    {revision.isCurrent && (
+                      <span className={`ml-2 text-xs px-2 py-0.5 rounded-full bg-${color}-100 text-${color}-700`}>
+                        Saat ini
+                      </span>
+                    )}
+                  </p>
+                  <p
+                    className="text-sm text-slate-500 truncate"
+                    title={new Date(revision.saved_at).toLocaleString("id-ID")}
+                  >
+                    {authorLabel(revision.author)} · {formatRelativeTime(revision.saved_at)}
+                  </p>
+                </div>
+                {canRestore && !revision.isCurrent && (
+                  <button
+                    onClick={() => handleRestore(revision)}
+                    disabled={restoringId !== null}
+                    className="flex items-center gap-2 px-3 py-2 text-sm text-slate-700 border border-slate-300 rounded-lg hover:bg-white disabled:opacity-50 transition-colors flex-shrink-0"
+                  >
+                    {restoringId === revision.id ? (
+                      <Loader className="w-4 h-4 animate-spin" />
+                    ) : (
+                      <RotateCcw className="w-4 h-4" />
+                    )}
+                    <span className="hidden sm:inline">Pulihkan</span>
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {entries.length > 1 ? (
+            <div>
+              <h3 className="font-semibold text-slate-700 mb-3">Bandingkan</h3>
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-4">
+                <select
+                  value={from?.id || ""}
+                  onChange={(e) => setFromId(e.target.value)}
+                  className={selectClass}
+                  aria-label="Versi lama"
+                >
+                  {entries.map((revision) => (
+                    <option key={revision.id} value={revision.id}>
+                      {revisionLabel(revision)} · {formatRelativeTime(revision.saved_at)}
+                    </option>
+                  ))}
+                </select>
+                <span className="text-sm text-slate-500 text-center">ke</span>
+                <select
+                  value={to?.id || ""}
+                  onChange={(e) => setToId(e.target.value)}
+                  className={selectClass}
+                  aria-label="Versi baru"
+                >
+                  {entries.map((revision) => (
+                    <option key={revision.id} value={revision.id}>
+                      {revisionLabel(revision)} · {formatRelativeTime(revision.saved_at)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {changes.length === 0 ? (
+                <p className="text-sm text-slate-500 text-center py-4">
+                  Tidak ada perbedaan antara kedua versi ini.
+                </p>
+              ) : (
+                <ul className="space-y-2">
+                  {changes.map((change) => (
+                    <ChangeRow key={change.key} change={change} />
+                  ))}
+                </ul>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-slate-500 text-center py-2">
+              Belum ada perubahan yang tercatat untuk resep ini.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,17 +1,81 @@
 import axios from "axios";
+import {
+  getAccessToken,
+  getRefreshToken,
+  saveSession,
+  clearSession,
+} from "../utils/authStorage";
+import { ApiError, API_ERROR_TYPES } from "../utils/apiError";
 
-const BASE_URL = "https://modlima.fuadfakhruz.id";
+/**
+ * Server settings come from Vite env variables (.env, .env.local or the
+ * command line; see .env.example), e.g. VITE_API_BASE_URL=http://localhost:4000
+ * to use the local mock server (npm run mock:server)
+ */
+const DEFAULT_BASE_URL = "https://modlima.fuadfakhruz.id";
+
+const envNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const BASE_URL = (import.meta.env.VITE_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+// Accounts may live on another server than recipes
+const AUTH_BASE_URL = (import.meta.env.VITE_AUTH_BASE_URL || BASE_URL).replace(/\/+$/, "");
+const AUTH_PATH = "/api/v1/auth";
+
+// Milliseconds
+const API_TIMEOUT = envNumber(import.meta.env.VITE_API_TIMEOUT, 10000);
+const UPLOAD_TIMEOUT = envNumber(import.meta.env.VITE_UPLOAD_TIMEOUT, 30000);
 
 const apiClient = axios.create({
   baseURL: BASE_URL,
   headers: {
     "Content-Type": "application/json",
   },
-  timeout: 10000,
+  timeout: API_TIMEOUT,
 });
 
+// Login, register and refresh must never trigger a refresh themselves
+const isAuthRequest = (config) => config?.url?.startsWith(AUTH_PATH);
+
+let refreshPromise = null;
+
+/**
+ * Get a new access token with the stored refresh token.
+ * Concurrent 401s share a single refresh request.
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+
+    refreshPromise = (
+      refreshToken
+        ? axios.post(`${AUTH_BASE_URL}${AUTH_PATH}/refresh`, {
+            refresh_token: refreshToken,
+          })
+        : Promise.reject(new Error("No refresh token"))
+    )
+      .then((response) => saveSession(response.data.data).access_token)
+      .catch((error) => {
+        // The refresh token is expired or revoked: log out
+        clearSession();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 apiClient.interceptors.request.use(
   (config) => {
+    const token = getAccessToken();
+    if (token && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -23,10 +87,36 @@ apiClient.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
-    const errorMessage = error.response?.data?.message || error.message || 'An error occurred';
-    return Promise.reject(error.response?.data || error);
+  async (error) => {
+    const config = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      config &&
+      !config._retried &&
+      !isAuthRequest(config) &&
+      getRefreshToken()
+    ) {
+      config._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return apiClient(config);
+      } catch {
+        // Fall through and reject with the original 401
+      }
+    }
+
+    // Every failure becomes an ApiError (see utils/apiError)
+    return Promise.reject(ApiError.fromAxiosError(error));
   }
 );
 
-export { apiClient, BASE_URL };
+/**
+ * Check whether the server refused a request because the user lacks permission
+ * @param {*} error - Error thrown by apiClient
+ * @returns {boolean}
+ */
+const isForbiddenError = (error) => error?.type === API_ERROR_TYPES.FORBIDDEN;
+
+export { apiClient, BASE_URL, AUTH_BASE_URL, UPLOAD_TIMEOUT, isForbiddenError };
@@ -0,0 +1,101 @@
+import { ChefHat, Coffee } from "lucide-react";
+
+/**
+ * Recipe categories. Routes, list pages, recipe grids, home page sections,
+ * navigation and category badges are all built from this list, so a new
+ * category only needs a new entry here (and recipes with that slug on the API).
+ *
+ * `keywords` help place recipes whose category isn't one of our slugs
+ * (e.g. imported recipes).
+ *
+ * Theme values are complete Tailwind classes so the build can find them;
+ * `primary` is the colour name passed to components with a `color` prop and
+ * `accent` the same colour as hex, for output Tailwind doesn't style (PDFs).
+ */
+export const CATEGORIES = [
+  {
+    slug: "makanan",
+    label: "Makanan",
+    emoji: "🍲",
+    icon: ChefHat,
+    title: "Resep Makanan",
+    description: "Temukan berbagai resep makanan nusantara yang lezat",
+    browseTitle: "Jelajahi Resep Makanan",
+    browseDescription:
+      "Temukan inspirasi masakan Nusantara favoritmu. Dari hidangan utama hingga camilan, semua ada di sini.",
+    keywords: ["makanan", "masakan", "hidangan", "lauk", "food", "main course", "dinner"],
+    defaultSort: { sortBy: "created_at", order: "desc" },
+    featured: { limit: 3, layout: "vertical", defaultPrepTime: 15 },
+    theme: {
+      primary: "blue",
+      accent: "#2563eb",
+      gradient: "from-blue-50 via-white to-indigo-50",
+      text: "text-blue-700",
+      bg: "bg-blue-100",
+      solid: "bg-blue-500",
+      border: "border-blue-400",
+      hover: "hover:bg-blue-50 hover:border-blue-400",
+      ring: "ring-blue-500",
+      spinner: "border-indigo-600",
+      title: "group-hover:text-blue-600",
+      shadow: "shadow-blue-500/5 hover:shadow-blue-500/15",
+      glow: "to-blue-500/5",
+      placeholder: "from-blue-100 to-blue-200",
+      icon: "text-blue-400",
+    },
+  },
+  {
+    slug: "minuman",
+    label: "Minuman",
+    emoji: "🥤",
+    icon: Coffee,
+    title: "Resep Minuman",
+    description: "Temukan berbagai resep minuman segar dan nikmat",
+    browseTitle: "Jelajahi Resep Minuman",
+    browseDescription:
+      "Temukan minuman segar, hangat, dan kekinian. Mulai dari kopi hingga jus buah, semua ada di sini.",
+    keywords: [
+      "minuman", "drink", "beverage", "jus", "juice", "kopi", "coffee", "teh",
+      "tea", "es", "smoothie", "sirup", "wedang", "susu", "milkshake", "mocktail",
+    ],
+    defaultSort: { sortBy: "created_at", order: "desc" },
+    featured: { limit: 2, layout: "horizontal", defaultPrepTime: 10 },
+    theme: {
+      primary: "green",
+      accent: "#16a34a",
+      gradient: "from-green-50 via-white to-cyan-50",
+      text: "text-green-700",
+      bg: "bg-green-100",
+      solid: "bg-green-500",
+      border: "border-green-400",
+      hover: "hover:bg-green-50 hover:border-green-400",
+      ring: "ring-green-500",
+      spinner: "border-green-600",
+      title: "group-hover:text-green-600",
+      shadow: "shadow-green-500/5 hover:shadow-green-500/15",
+      glow: "to-green-500/5",
+      placeholder: "from-green-100 to-green-200",
+      icon: "text-green-400",
+    },
+  },
+];
+
+export const CATEGORY_SLUGS = CATEGORIES.map((category) => category.slug);
+
+// Used when a recipe has no (or an unknown) category
+export const DEFAULT_CATEGORY = CATEGORIES[0];
+
+/**
+ * Look up a category
+ * @param {string} slug - Category slug, e.g. 'makanan'
+ * @returns {Object|undefined} Category entry
+ */
+export const getCategory = (slug) =>
+  CATEGORIES.find((category) => category.slug === slug?.toLowerCase());
+
+/**
+ * Category entry for showing a recipe, falling back to the default category
+ * @param {string} slug - Category slug
+ * @returns {Object} Category entry
+ */
+export const getCategoryOrDefault = (slug) => getCategory(slug) || DEFAULT_CATEGORY;
@@ -0,0 +1,131 @@
+/**
+ * Food composition table for nutrition estimates, after the Indonesian
+ * Tabel Komposisi Pangan (TKPI). Values are per 100 g edible portion:
+ * energi (kcal), protein, lemak, karbohidrat and gula in grams.
+ *
+ * aliases  - names (lowercase) that identify the food in an ingredient name;
+ *            the longest matching alias wins
+ * density  - grams per ml, for sdm/sdt/gelas/ml amounts (default 1)
+ * units    - grams per piece for count units (buah, butir, siung, ...);
+ *            `default` is used for bare numbers ("2 telur")
+ */
+export const FOODS = [
+  // Bahan pokok
+  { id: "beras", name: "Beras putih", aliases: ["beras"], per100g: { kcal: 357, protein: 8.4, fat: 1.7, carbs: 77.1, sugar: 0.1 }, density: 0.85 },
+  { id: "nasi", name: "Nasi putih", aliases: ["nasi", "nasi putih"], per100g: { kcal: 180, protein: 3, fat: 0.3, carbs: 39.8, sugar: 0.1 }, density: 0.8, units: { piring: 200, mangkuk: 150, default: 200 } },
+  { id: "ketan", name: "Beras ketan", aliases: ["ketan", "beras ketan"], per100g: { kcal: 362, protein: 6.7, fat: 0.7, carbs: 79.4, sugar: 0.1 }, density: 0.85 },
+  { id: "tepung-terigu", name: "Tepung terigu", aliases: ["tepung", "terigu", "tepung terigu"], per100g: { kcal: 333, protein: 9, fat: 1, carbs: 77.2, sugar: 0.3 }, density: 0.55 },
+  { id: "tepung-beras", name: "Tepung beras", aliases: ["tepung beras"], per100g: { kcal: 353, protein: 7, fat: 0.5, carbs: 80, sugar: 0.1 }, density: 0.6 },
+  { id: "maizena", name: "Tepung maizena", aliases: ["maizena", "tepung maizena", "tepung jagung"], per100g: { kcal: 381, protein: 0.3, fat: 0.1, carbs: 91, sugar: 0 }, density: 0.55 },
+  { id: "mie-basah", name: "Mi basah", aliases: ["mie", "mi", "mie basah", "mi basah"], per100g: { kcal: 86, protein: 0.6, fat: 3.3, carbs: 14, sugar: 0.5 }, units: { bungkus: 200, default: 200 } },
+  { id: "mie-kering", name: "Mi kering / instan", aliases: ["mie kering", "mi kering", "mie instan", "mi instan", "mie telur"], per100g: { kcal: 337, protein: 10, fat: 1.7, carbs: 76, sugar: 2 }, units: { bungkus: 80, default: 80 } },
+  { id: "bihun", name: "Bihun", aliases: ["bihun", "soun"], per100g: { kcal: 360, protein: 4.7, fat: 0.1, carbs: 82, sugar: 0 }, units: { bungkus: 100, default: 100 } },
+  { id: "roti", name: "Roti tawar", aliases: ["roti", "roti tawar"], per100g: { kcal: 248, protein: 8, fat: 1.2, carbs: 50, sugar: 5 }, units: { lembar: 25, default: 25 } },
+  { id: "kentang", name: "Kentang", aliases: ["kentang"], per100g: { kcal: 83, protein: 2, fat: 0.1, carbs: 19.1, sugar: 0.8 }, units: { buah: 150, default: 150 } },
+  { id: "ubi", name: "Ubi jalar", aliases: ["ubi", "ubi jalar"], per100g: { kcal: 123, protein: 1.8, fat: 0.7, carbs: 27.9, sugar: 4 }, units: { buah: 200, default: 200 } },
+  { id: "singkong", name: "Singkong", aliases: ["singkong", "ketela"], per100g: { kcal: 154, protein: 1, fat: 0.3, carbs: 36.8, sugar: 1.7 } },
+  { id: "jagung", name: "Jagung kuning", aliases: ["jagung", "jagung manis"], per100g: { kcal: 108, protein: 3.3, fat: 1.2, carbs: 22.8, sugar: 6 }, units: { buah: 150, default: 150 } },
+
+  // Lauk hewani
+  { id: "ayam", name: "Daging ayam", aliases: ["ayam", "daging ayam", "dada ayam", "paha ayam", "ayam kampung", "ayam fillet"], per100g: { kcal: 298, protein: 18.2, fat: 25, carbs: 0, sugar: 0 }, units: { ekor: 1000, potong: 80, default: 80 } },
+  { id: "daging-sapi", name: "Daging sapi", aliases: ["daging", "sapi", "daging sapi", "has dalam", "daging giling"], per100g: { kcal: 201, protein: 18.8, fat: 14, carbs: 0, sugar: 0 } },
+  { id: "kambing", name: "Daging kambing", aliases: ["kambing", "daging kambing"], per100g: { kcal: 154, protein: 16.6, fat: 9.2, carbs: 0, sugar: 0 } },
+  { id: "ikan", name: "Ikan segar", aliases: ["ikan", "ikan kakap", "ikan tongkol", "ikan bandeng", "ikan lele", "ikan nila", "ikan tuna", "tongkol", "lele", "bandeng", "nila", "tuna", "kakap"], per100g: { kcal: 100, protein: 17, fat: 3, carbs: 0, sugar: 0 }, units: { ekor: 250, potong: 80, default: 250 } },
+  { id: "teri", name: "Ikan teri kering", aliases: ["teri", "ikan teri"], per100g: { kcal: 170, protein: 33.4, fat: 3, carbs: 0, sugar: 0 } },
+  { id: "udang", name: "Udang", aliases: ["udang"], per100g: { kcal: 91, protein: 21, fat: 0.2, carbs: 0.1, sugar: 0 }, units: { ekor: 15, default: 15 } },
+  { id: "cumi", name: "Cumi-cumi", aliases: ["cumi", "cumi-cumi"], per100g: { kcal: 75, protein: 16.1, fat: 0.7, carbs: 0.1, sugar: 0 }, units: { ekor: 100, default: 100 } },
+  { id: "telur", name: "Telur ayam", aliases: ["telur", "telur ayam", "kuning telur", "putih telur"], per100g: { kcal: 154, protein: 12.4, fat: 10.8, carbs: 0.7, sugar: 0.7 }, units: { butir: 55, buah: 55, default: 55 } },
+  { id: "telur-puyuh", name: "Telur puyuh", aliases: ["telur puyuh"], per100g: { kcal: 158, protein: 13.1, fat: 11.1, carbs: 0.4, sugar: 0.4 }, units: { butir: 10, buah: 10, default: 10 } },
+  { id: "sosis", name: "Sosis", aliases: ["sosis"], per100g: { kcal: 300, protein: 11, fat: 27, carbs: 3, sugar: 1 }, units: { buah: 40, batang: 40, default: 40 } },
+  { id: "bakso", name: "Bakso", aliases: ["bakso"], per100g: { kcal: 190, protein: 12, fat: 10, carbs: 13, sugar: 1 }, units: { butir: 15, buah: 15, default: 15 } },
+
+  // Lauk nabati
+  { id: "tahu", name: "Tahu", aliases: ["tahu", "tahu putih"], per100g: { kcal: 80, protein: 10.9, fat: 4.7, carbs: 0.8, sugar: 0.5 }, units: { buah: 80, potong: 40, default: 80 } },
+  { id: "tempe", name: "Tempe", aliases: ["tempe"], per100g: { kcal: 201, protein: 20.8, fat: 8.8, carbs: 13.5, sugar: 0.5 }, units: { papan: 250, potong: 50, default: 50 } },
+  { id: "kacang-tanah", name: "Kacang tanah", aliases: ["kacang", "kacang tanah"], per100g: { kcal: 452, protein: 25.3, fat: 42.7, carbs: 21.1, sugar: 4 }, density: 0.6 },
+  { id: "kacang-hijau", name: "Kacang hijau", aliases: ["kacang hijau"], per100g: { kcal: 323, protein: 22.9, fat: 1.5, carbs: 56.8, sugar: 6 }, density: 0.8 },
+  { id: "kacang-merah", name: "Kacang merah", aliases: ["kacang merah"], per100g: { kcal: 314, protein: 22.1, fat: 1.1, carbs: 56.2, sugar: 2 }, density: 0.8 },
+
+  // Sayur & bumbu segar
+  { id: "bawang-merah", name: "Bawang merah", aliases: ["bawang merah", "bawang"], per100g: { kcal: 39, protein: 1.5, fat: 0.3, carbs: 9.2, sugar: 4 }, units: { siung: 7, butir: 7, buah: 7, default: 7 } },
+  { id: "bawang-putih", name: "Bawang putih", aliases: ["bawang putih"], per100g: { kcal: 95, protein: 4.5, fat: 0.2, carbs: 23.1, sugar: 1 }, units: { siung: 4, butir: 4, buah: 4, default: 4 } },
+  { id: "bawang-bombay", name: "Bawang bombay", aliases: ["bawang bombay", "bombay"], per100g: { kcal: 40, protein: 1.1, fat: 0.1, carbs: 9.3, sugar: 4.2 }, units: { buah: 150, siung: 150, default: 150 } },
+  { id: "bawang-daun", name: "Daun bawang", aliases: ["daun bawang", "bawang daun"], per100g: { kcal: 29, protein: 1.8, fat: 0.4, carbs: 6, sugar: 2 }, units: { batang: 15, default: 15 } },
+  { id: "cabai-merah", name: "Cabai merah", aliases: ["cabai", "cabe", "cabai merah", "cabe merah", "cabai keriting"], per100g: { kcal: 31, protein: 1, fat: 0.3, carbs: 7.3, sugar: 4 }, units: { buah: 10, default: 10 } },
+  { id: "cabai-rawit", name: "Cabai rawit", aliases: ["cabai rawit", "cabe rawit", "rawit"], per100g: { kcal: 103, protein: 4.7, fat: 2.4, carbs: 19.9, sugar: 5 }, units: { buah: 2, default: 2 } },
+  { id: "tomat", name: "Tomat", aliases: ["tomat"], per100g: { kcal: 24, protein: 1.3, fat: 0.5, carbs: 4.7, sugar: 2.6 }, units: { buah: 100, default: 100 } },
+  { id: "wortel", name: "Wortel", aliases: ["wortel"], per100g: { kcal: 36, protein: 1, fat: 0.6, carbs: 7.9, sugar: 4.7 }, units: { buah: 80, batang: 80, default: 80 } },
+  { id: "kubis", name: "Kubis / kol", aliases: ["kol", "kubis"], per100g: { kcal: 25, protein: 1.3, fat: 0.1, carbs: 5.8, sugar: 3.2 }, units: { buah: 800, lembar: 20, default: 800 } },
+  { id: "bayam", name: "Bayam", aliases: ["bayam"], per100g: { kcal: 23, protein: 2.9, fat: 0.4, carbs: 3.6, sugar: 0.4 }, units: { ikat: 250, genggam: 50, default: 250 } },
+  { id: "kangkung", name: "Kangkung", aliases: ["kangkung"], per100g: { kcal: 28, protein: 3, fat: 0.3, carbs: 5.4, sugar: 0.5 }, units: { ikat: 250, genggam: 50, default: 250 } },
+  { id: "sawi", name: "Sawi", aliases: ["sawi", "caisim", "pakcoy", "sawi hijau", "sawi putih"], per100g: { kcal: 20, protein: 2.3, fat: 0.3, carbs: 4, sugar: 1.5 }, units: { ikat: 250, lembar: 20, default: 250 } },
+  { id: "tauge", name: "Tauge", aliases: ["tauge", "toge", "kecambah"], per100g: { kcal: 34, protein: 3, fat: 0.2, carbs: 6, sugar: 4 }, units: { genggam: 50, default: 50 } },
+  { id: "buncis", name: "Buncis", aliases: ["buncis"], per100g: { kcal: 35, protein: 2.4, fat: 0.3, carbs: 7.7, sugar: 3 } },
+  { id: "mentimun", name: "Mentimun", aliases: ["timun", "mentimun"], per100g: { kcal: 12, protein: 0.7, fat: 0.1, carbs: 2.7, sugar: 1.4 }, units: { buah: 150, default: 150 } },
+  { id: "terong", name: "Terong", aliases: ["terong", "terung"], per100g: { kcal: 24, protein: 1.1, fat: 0.2, carbs: 5.5, sugar: 3 }, units: { buah: 200, default: 200 } },
+  { id: "labu-siam", name: "Labu siam", aliases: ["labu siam", "labu"], per100g: { kcal: 30, protein: 0.6, fat: 0.1, carbs: 6.7, sugar: 1.9 }, units: { buah: 300, default: 300 } },
+  { id: "brokoli", name: "Brokoli", aliases: ["brokoli"], per100g: { kcal: 34, protein: 2.8, fat: 0.4, carbs: 7, sugar: 1.7 }, units: { buah: 300, default: 300 } },
+  { id: "jamur", name: "Jamur", aliases: ["jamur", "jamur tiram", "jamur kancing"], per100g: { kcal: 22, protein: 3.1, fat: 0.3, carbs: 3.3, sugar: 2 } },
+  { id: "seledri", name: "Seledri", aliases: ["seledri", "daun seledri"], per100g: { kcal: 16, protein: 0.7, fat: 0.2, carbs: 3, sugar: 1.3 }, units: { batang: 10, default: 10 } },
+  { id: "jahe", name: "Jahe", aliases: ["jahe"], per100g: { kcal: 80, protein: 1.8, fat: 0.8, carbs: 17.8, sugar: 1.7 }, units: { ruas: 10, cm: 5, default: 10 } },
+  { id: "kunyit", name: "Kunyit", aliases: ["kunyit"], per100g: { kcal: 63, protein: 2, fat: 2.5, carbs: 10, sugar: 3 }, units: { ruas: 5, cm: 3, default: 5 } },
+  { id: "lengkuas", name: "Lengkuas", aliases: ["lengkuas", "laos"], per100g: { kcal: 22, protein: 1, fat: 0.3, carbs: 4.4, sugar: 0 }, units: { ruas: 10, cm: 5, default: 10 } },
+  { id: "daun-bumbu", name: "Daun & batang bumbu (serai, salam, jeruk, pandan)", aliases: ["serai", "sereh", "daun salam", "salam", "daun jeruk", "pandan", "daun pandan", "kemangi", "daun kemangi", "kayu manis", "cengkeh", "bunga lawang", "kapulaga", "asam jawa", "vanili"], per100g: { kcal: 0, protein: 0, fat: 0, carbs: 0, sugar: 0 }, units: { lembar: 1, batang: 10, default: 1 } },
+
+  // Buah
+  { id: "jeruk-nipis", name: "Jeruk nipis", aliases: ["jeruk nipis", "nipis", "jeruk limau"], per100g: { kcal: 37, protein: 0.8, fat: 0.1, carbs: 12.3, sugar: 1.7 }, units: { buah: 30, default: 30 } },
+  { id: "lemon", name: "Lemon", aliases: ["lemon"], per100g: { kcal: 29, protein: 1.1, fat: 0.3, carbs: 9.3, sugar: 2.5 }, units: { buah: 60, default: 60 } },
+  { id: "jeruk", name: "Jeruk manis", aliases: ["jeruk", "jeruk manis", "jeruk peras"], per100g: { kcal: 45, protein: 0.9, fat: 0.2, carbs: 11.2, sugar: 9 }, units: { buah: 120, default: 120 } },
+  { id: "alpukat", name: "Alpukat", aliases: ["alpukat"], per100g: { kcal: 85, protein: 0.9, fat: 6.5, carbs: 7.7, sugar: 0.3 }, units: { buah: 200, default: 200 } },
+  { id: "pisang", name: "Pisang", aliases: ["pisang"], per100g: { kcal: 99, protein: 1.2, fat: 0.2, carbs: 25.8, sugar: 12 }, units: { buah: 100, sisir: 1000, default: 100 } },
+  { id: "mangga", name: "Mangga", aliases: ["mangga"], per100g: { kcal: 52, protein: 0.7, fat: 0.4, carbs: 15, sugar: 14 }, units: { buah: 200, default: 200 } },
+  { id: "stroberi", name: "Stroberi", aliases: ["stroberi", "strawberry"], per100g: { kcal: 37, protein: 0.8, fat: 0.5, carbs: 8.3, sugar: 4.9 }, units: { buah: 12, default: 12 } },
+  { id: "semangka", name: "Semangka", aliases: ["semangka"], per100g: { kcal: 28, protein: 0.5, fat: 0.2, carbs: 6.9, sugar: 6.2 }, units: { potong: 150, default: 150 } },
+  { id: "melon", name: "Melon", aliases: ["melon"], per100g: { kcal: 37, protein: 0.6, fat: 0.1, carbs: 8.3, sugar: 8 }, units: { potong: 150, default: 150 } },
+  { id: "nanas", name: "Nanas", aliases: ["nanas"], per100g: { kcal: 40, protein: 0.6, fat: 0.3, carbs: 9.9, sugar: 9 }, units: { buah: 900, potong: 80, default: 900 } },
+  { id: "pepaya", name: "Pepaya", aliases: ["pepaya"], per100g: { kcal: 46, protein: 0.5, fat: 0, carbs: 12.2, sugar: 8 }, units: { potong: 150, default: 150 } },
+  { id: "apel", name: "Apel", aliases: ["apel"], per100g: { kcal: 58, protein: 0.3, fat: 0.2, carbs: 14.9, sugar: 10 }, units: { buah: 150, default: 150 } },
+  { id: "kurma", name: "Kurma", aliases: ["kurma"], per100g: { kcal: 282, protein: 2.5, fat: 0.4, carbs: 75, sugar: 63 }, units: { buah: 8, butir: 8, default: 8 } },
+  { id: "kelapa-parut", name: "Kelapa parut", aliases: ["kelapa", "kelapa parut", "kelapa muda"], per100g: { kcal: 359, protein: 3.4, fat: 34.7, carbs: 14, sugar: 6 }, density: 0.4 },
+
+  // Susu, lemak & minyak
+  { id: "santan", name: "Santan", aliases: ["santan", "santan kental", "santan encer"], per100g: { kcal: 180, protein: 2, fat: 18, carbs: 4, sugar: 2 }, units: { bungkus: 65, default: 65 } },
+  { id: "susu", name: "Susu sapi", aliases: ["susu", "susu cair", "susu segar", "susu uht"], per100g: { kcal: 61, protein: 3.2, fat: 3.5, carbs: 4.3, sugar: 4.3 }, density: 1.03 },
+  { id: "susu-kental-manis", name: "Susu kental manis", aliases: ["susu kental manis", "skm"], per100g: { kcal: 336, protein: 8.2, fat: 10, carbs: 55, sugar: 55 }, density: 1.3, units: { sachet: 40, bungkus: 40, default: 40 } },
+  { id: "keju", name: "Keju", aliases: ["keju", "keju cheddar", "keju parut"], per100g: { kcal: 326, protein: 22.8, fat: 20.3, carbs: 13.1, sugar: 0.5 }, density: 0.4, units: { lembar: 20, default: 20 } },
+  { id: "yoghurt", name: "Yoghurt", aliases: ["yoghurt", "yogurt"], per100g: { kcal: 52, protein: 3.3, fat: 2.5, carbs: 4, sugar: 4 }, density: 1.03 },
+  { id: "es-krim", name: "Es krim", aliases: ["es krim"], per100g: { kcal: 207, protein: 3.5, fat: 11, carbs: 24, sugar: 21 }, density: 0.55, units: { scoop: 60, default: 60 } },
+  { id: "minyak", name: "Minyak goreng", aliases: ["minyak", "minyak goreng", "minyak sayur", "minyak kelapa", "minyak wijen"], per100g: { kcal: 884, protein: 0, fat: 100, carbs: 0, sugar: 0 }, density: 0.92 },
+  { id: "mentega", name: "Mentega / margarin", aliases: ["mentega", "margarin", "butter"], per100g: { kcal: 742, protein: 0.5, fat: 81.6, carbs: 1.4, sugar: 0.5 }, density: 0.95 },
+
+  // Bumbu & pemanis
+  { id: "gula", name: "Gula pasir", aliases: ["gula", "gula pasir", "gula halus"], per100g: { kcal: 394, protein: 0, fat: 0, carbs: 94, sugar: 94 }, density: 0.85 },
+  { id: "gula-merah", name: "Gula merah / aren", aliases: ["gula merah", "gula jawa", "gula aren", "gula palem"], per100g: { kcal: 368, protein: 0, fat: 0.1, carbs: 92, sugar: 85 }, density: 0.9, units: { buah: 50, potong: 25, default: 25 } },
+  { id: "madu", name: "Madu", aliases: ["madu"], per100g: { kcal: 304, protein: 0.3, fat: 0, carbs: 82.4, sugar: 82.1 }, density: 1.42 },
+  { id: "sirup", name: "Sirup", aliases: ["sirup", "sirup merah", "sirup cocopandan"], per100g: { kcal: 300, protein: 0, fat: 0, carbs: 75, sugar: 75 }, density: 1.3 },
+  { id: "garam", name: "Garam", aliases: ["garam"], per100g: { kcal: 0, protein: 0, fat: 0, carbs: 0, sugar: 0 }, density: 1.2 },
+  { id: "merica", name: "Merica / lada", aliases: ["merica", "lada", "lada bubuk", "merica bubuk"], per100g: { kcal: 364, protein: 10, fat: 3.3, carbs: 64, sugar: 0.6 }, density: 0.5 },
+  { id: "ketumbar", name: "Ketumbar", aliases: ["ketumbar", "ketumbar bubuk", "jintan"], per100g: { kcal: 298, protein: 12.4, fat: 17.8, carbs: 55, sugar: 0 }, density: 0.4 },
+  { id: "kemiri", name: "Kemiri", aliases: ["kemiri"], per100g: { kcal: 636, protein: 19, fat: 63, carbs: 8, sugar: 0 }, units: { butir: 2, buah: 2, default: 2 } },
+  { id: "terasi", name: "Terasi", aliases: ["terasi"], per100g: { kcal: 174, protein: 30, fat: 3.5, carbs: 6, sugar: 0 }, units: { potong: 5, default: 5 } },
+  { id: "kecap-manis", name: "Kecap manis", aliases: ["kecap", "kecap manis"], per100g: { kcal: 250, protein: 5.7, fat: 1.3, carbs: 46, sugar: 40 }, density: 1.3 },
+  { id: "kecap-asin", name: "Kecap asin", aliases: ["kecap asin", "saus ikan", "kecap ikan"], per100g: { kcal: 53, protein: 8, fat: 0.5, carbs: 5, sugar: 0.4 }, density: 1.2 },
+  { id: "saus-tiram", name: "Saus tiram", aliases: ["saus tiram", "saos tiram"], per100g: { kcal: 51, protein: 1.4, fat: 0.3, carbs: 11, sugar: 8 }, density: 1.2 },
+  { id: "saus-tomat", name: "Saus tomat", aliases: ["saus tomat", "saos tomat", "saus", "saos"], per100g: { kcal: 112, protein: 1.2, fat: 0.1, carbs: 26, sugar: 22 }, density: 1.1 },
+  { id: "saus-sambal", name: "Saus sambal", aliases: ["saus sambal", "saos sambal", "sambal"], per100g: { kcal: 75, protein: 1, fat: 0.5, carbs: 17, sugar: 13 }, density: 1.1 },
+  { id: "kaldu", name: "Kaldu bubuk", aliases: ["kaldu", "kaldu bubuk", "kaldu ayam", "kaldu sapi", "penyedap", "penyedap rasa", "kaldu blok"], per100g: { kcal: 200, protein: 10, fat: 5, carbs: 30, sugar: 5 }, density: 0.6, units: { buah: 10, bungkus: 10, default: 10 } },
+  { id: "cuka", name: "Cuka", aliases: ["cuka"], per100g: { kcal: 18, protein: 0, fat: 0, carbs: 0.1, sugar: 0.1 } },
+
+  // Minuman
+  { id: "air", name: "Air / es batu", aliases: ["air", "air putih", "air matang", "air panas", "air dingin", "es batu", "es", "air es", "soda", "air soda"], per100g: { kcal: 0, protein: 0, fat: 0, carbs: 0, sugar: 0 } },
+  { id: "kopi", name: "Kopi bubuk", aliases: ["kopi", "kopi bubuk", "kopi hitam", "kopi instan"], per100g: { kcal: 352, protein: 12, fat: 13, carbs: 42, sugar: 0 }, density: 0.4, units: { sachet: 20, bungkus: 20, default: 20 } },
+  { id: "teh", name: "Teh (seduhan)", aliases: ["teh", "teh celup", "daun teh", "teh hijau", "teh melati"], per100g: { kcal: 1, protein: 0, fat: 0, carbs: 0.3, sugar: 0 }, units: { bungkus: 2, kantong: 2, default: 2 } },
+  { id: "cokelat-bubuk", name: "Cokelat bubuk", aliases: ["cokelat bubuk", "coklat bubuk", "bubuk kakao", "cokelat", "coklat"], per100g: { kcal: 228, protein: 19.6, fat: 13.7, carbs: 57.9, sugar: 1.8 }, density: 0.5 },
+];
+
+/**
+ * Look up a food by id
+ * @param {string} id - Food id
+ * @returns {Object|undefined}
+ */
+export const getFoodById = (id) => FOODS.find((food) => food.id === id);
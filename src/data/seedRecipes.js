@@ -0,0 +1,84 @@
+// Also loaded by the mock server under Node, hence the file extensions
+import { ResepMakanan } from "./makanan.js";
+import { ResepMinuman } from "./minuman.js";
+
+// Owner of the demo recipes: nobody on a device, so they can't be edited
+export const SEED_OWNER = "resep-nusantara";
+
+// What the bundled recipes don't say about themselves
+const DETAILS = {
+  makanan: {
+    1: ["Nasi goreng rumahan dengan telur, kecap manis dan saus tiram.", 10, 15, 2, "mudah"],
+    2: ["Soto ayam kuning berkuah bening yang hangat dan harum serai.", 20, 60, 4, "sedang"],
+    3: ["Rendang daging sapi khas Minang yang dimasak lama dengan santan.", 30, 240, 6, "sulit"],
+    4: ["Ayam goreng gurih dengan taburan kremesan yang renyah.", 20, 45, 4, "sedang"],
+    5: ["Sayuran rebus dengan saus kacang khas Betawi.", 20, 20, 3, "mudah"],
+    6: ["Pempek ikan tenggiri dengan kuah cuko asam pedas.", 45, 40, 5, "sulit"],
+    7: ["Bakso daging sapi kenyal dalam kuah kaldu yang gurih.", 40, 45, 5, "sedang"],
+    8: ["Sate ayam bakar dengan bumbu kacang dan kecap.", 30, 20, 4, "sedang"],
+    9: ["Sup daging hitam khas Jawa Timur dengan bumbu kluwek.", 25, 120, 5, "sulit"],
+    10: ["Sayuran mentah segar dengan sambal kacang khas Sunda.", 20, 0, 3, "mudah"],
+  },
+  minuman: {
+    1: ["Teh manis dingin yang menyegarkan, teman segala hidangan.", 5, 5, 2, "mudah"],
+    2: ["Kopi hitam dengan susu kental manis yang lembut.", 5, 5, 1, "mudah"],
+    3: ["Jus alpukat kental dengan susu cokelat.", 10, 0, 2, "mudah"],
+    4: ["Perasan jeruk segar dengan es batu.", 10, 0, 2, "mudah"],
+    5: ["Minuman jahe hangat untuk menghangatkan badan.", 5, 15, 2, "mudah"],
+    6: ["Kopi kocok berbusa di atas susu dingin.", 10, 0, 2, "sedang"],
+    7: ["Cendol hijau dengan santan dan gula merah cair.", 30, 20, 4, "sedang"],
+    8: ["Milkshake cokelat dingin dengan es krim.", 5, 0, 2, "mudah"],
+    9: ["Aneka potongan buah segar dengan sirup dan susu.", 20, 0, 4, "mudah"],
+    10: ["Teh dengan perasan lemon, nikmat hangat atau dingin.", 5, 5, 1, "mudah"],
+  },
+};
+
+const SOURCES = [
+  { category: "makanan", data: ResepMakanan },
+  { category: "minuman", data: ResepMinuman },
+];
+
+// Demo recipes look like they were added over the past weeks, newest first
+const SEED_DATE = Date.UTC(2025, 0, 31);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The bundled recipes (src/data) in API shape, for running without a server
+ * @param {Function} splitIngredient - "2 butir telur" -> { name, quantity }
+ * @returns {Array} Recipes
+ */
+export function createSeedRecipes(splitIngredient) {
+  return SOURCES.flatMap(({ category, data }) =>
+    Object.values(data.resep).map((item, index) => {
+      const id = `${category}-${item.id}`;
+      const [description, prepTime, cookTime, servings, difficulty] =
+        DETAILS[category][item.id] || ["", 10, 10, 2, "mudah"];
+      const createdAt = new Date(SEED_DATE - (index * 2 + (category === "minuman" ? 1 : 0)) * DAY).toISOString();
+
+      return {
+        id,
+        name: item.name,
+        category,
+        description,
+        prep_time: prepTime,
+        cook_time: cookTime,
+        servings,
+        difficulty,
+        image_url: item.image_url || "",
+        ingredients: item.ingredients.map((line, position) => ({
+          id: `${id}-ingredient-${position + 1}`,
+          ...splitIngredient(line),
+        })),
+        steps: item.steps.map((instruction, position) => ({
+          id: `${id}-step-${position + 1}`,
+          step_number: position + 1,
+          instruction,
+        })),
+        created_by: SEED_OWNER,
+        created_at: createdAt,
+        updated_at: createdAt,
+        version: 1,
+      };
+    })
+  );
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect } from "react";
+import authService from "../services/authService";
+
+/**
+ * Custom hook for the logged in user and login/register/logout
+ * @returns {Object} - { user, isAuthenticated, login, register, logout, loading, error }
+ */
+export function useAuth() {
+  const [user, setUser] = useState(() => authService.getCurrentUser());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return authService.subscribe((nextUser) => {
+      setUser(nextUser);
+    });
+  }, []);
+
+  const run = async (action) => {
+    try {
+      setLoading(true);
+      setError(null);
+      return await action();
+    } catch (err) {
+      setError(err);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const login = (credentials) => run(() => authService.login(credentials));
+
+  const register = (data) => run(() => authService.register(data));
+
+  const logout = () => run(() => authService.logout());
+
+  return {
+    user,
+    isAuthenticated: Boolean(user),
+    login,
+    register,
+    logout,
+    loading,
+    error,
+  };
+}
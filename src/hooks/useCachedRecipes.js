@@ -0,0 +1,86 @@
+import { useState, useEffect, useMemo } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import favoriteService from "../services/favoriteService";
+import { getRecipeSource } from "./useRecipes";
+import { useDataSource } from "./useDataSource";
+
+/**
+ * Recipes held by cached list (paged or infinite) and detail queries of the
+ * current data source
+ * @param {QueryClient} queryClient
+ * @returns {Array} Recipes
+ */
+const readQueryCache = (queryClient) => {
+  const source = getRecipeSource();
+  const predicate = (query) => query.queryKey[query.queryKey.length - 1] === source;
+  return [
+    ...queryClient
+      .getQueriesData({ queryKey: ["recipes"], predicate })
+      .flatMap(([, response]) =>
+        response?.pages
+          ? response.pages.flatMap((page) => page?.data || [])
+          : response?.data || []
+      ),
+    ...queryClient
+      .getQueriesData({ queryKey: ["recipe"], predicate })
+      .map(([, response]) => response?.data)
+      .filter(Boolean),
+  ];
+};
+
+/**
+ * Every recipe already on this device: cached lists and details (persisted
+ * across reloads) plus favorites. Copies of the same recipe are merged,
+ * keeping the one with the most ingredients.
+ * @param {string} category - Only recipes of this category; all when empty
+ * @param {Object} options - { enabled: true }
+ * @returns {Array} Recipes
+ */
+export function useCachedRecipes(category, { enabled = true } = {}) {
+  const queryClient = useQueryClient();
+  const { local } = useDataSource();
+  const [favorites, setFavorites] = useState(() => favoriteService.getLocalFavorites());
+  const [cached, setCached] = useState(() => readQueryCache(queryClient));
+
+  useEffect(() => {
+    return favoriteService.subscribe(() => {
+      setFavorites(favoriteService.getLocalFavorites());
+    });
+  }, []);
+
+  useEffect(() => {
+    setCached(readQueryCache(queryClient));
+  }, [queryClient, local]);
+
+  // Pick up recipes as soon as any query is restored, loads or changes them
+  useEffect(() => {
+    return queryClient.getQueryCache().subscribe((event) => {
+      const key = event.query.queryKey[0];
+      if (key !== "recipes" && key !== "recipe") return;
+      if (
+        event.type === "added" ||
+        (event.type === "updated" && event.action.type === "success")
+      ) {
+        setCached(readQueryCache(queryClient));
+      }
+    });
+  }, [queryClient]);
+
+  return useMemo(() => {
+    if (!enabled) return [];
+
+    const byId = new Map();
+    [...cached, ...favorites].forEach((recipe) => {
+      if (!recipe?.id || (category && recipe.category !== category)) return;
+      const key = String(recipe.id);
+      const existing = byId.get(key);
+      if (
+        !existing ||
+        (recipe.ingredients?.length || 0) > (existing.ingredients?.length || 0)
+      ) {
+        byId.set(key, existing ? { ...existing, ...recipe } : recipe);
+      }
+    });
+    return [...byId.values()];
+  }, [enabled, cached, favorites, category]);
+}
@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+
+let audioContext = null;
+
+/**
+ * Browsers only allow sound after a user gesture, so the audio context is
+ * created (or resumed) when a timer is started
+ */
+const unlockAudio = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    audioContext = audioContext || new AudioContext();
+    if (audioContext.state === "suspended") {
+      audioContext.resume();
+    }
+  } catch (error) {
+    console.warn("Audio unavailable:", error);
+  }
+};
+
+/**
+ * Beep three times and vibrate
+ */
+const playAlarm = () => {
+  navigator.vibrate?.([400, 150, 400, 150, 800]);
+
+  if (!audioContext) return;
+  const start = audioContext.currentTime;
+  [0, 0.35, 0.7].forEach((offset) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = "square";
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, start + offset);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + offset + 0.3);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + 0.3);
+  });
+};
+
+/**
+ * Seconds left on a timer
+ * @param {Object} timer - Timer
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export const getRemainingSeconds = (timer, now) => {
+  if (timer.finished) return 0;
+  if (!timer.endsAt) return timer.remaining;
+  return Math.max(0, (timer.endsAt - now) / 1000);
+};
+
+/**
+ * Run several countdown timers at once. Timers store their end time rather
+ * than a counter, so they keep counting across reloads.
+ * @param {Array} initialTimers - Timers restored from saved progress
+ * @returns {Object} { timers, now, startTimer, togglePause, removeTimer }
+ */
+export function useCookingTimers(initialTimers = []) {
+  const [timers, setTimers] = useState(initialTimers);
+  const [now, setNow] = useState(() => Date.now());
+  const timersRef = useRef(timers);
+
+  useEffect(() => {
+    timersRef.current = timers;
+  }, [timers]);
+
+  const hasRunning = timers.some((timer) => timer.endsAt && !timer.finished);
+
+  useEffect(() => {
+    if (!hasRunning) return undefined;
+
+    const tick = () => {
+      const current = Date.now();
+      setNow(current);
+      const isDue = (timer) =>
+        timer.endsAt && !timer.finished && timer.endsAt <= current;
+      if (!timersRef.current.some(isDue)) return;
+
+      playAlarm();
+      setTimers((prev) =>
+        prev.map((timer) =>
+          isDue(timer)
+            ? { ...timer, finished: true, endsAt: null, remaining: 0 }
+            : timer
+        )
+      );
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [hasRunning]);
+
+  const startTimer = useCallback(({ label, seconds, stepIndex }) => {
+    unlockAudio();
+    const current = Date.now();
+    setNow(current);
+    setTimers((prev) => [
+      ...prev,
+      {
+        id: `${current}_${Math.random().toString(36).slice(2, 7)}`,
+        label,
+        stepIndex,
+        duration: seconds,
+        endsAt: current + seconds * 1000,
+        remaining: seconds,
+        finished: false,
+      },
+    ]);
+  }, []);
+
+  const togglePause = useCallback((id) => {
+    unlockAudio();
+    const current = Date.now();
+    setNow(current);
+    setTimers((prev) =>
+      prev.map((timer) => {
+        if (timer.id !== id || timer.finished) return timer;
+        return timer.endsAt
+          ? { ...timer, endsAt: null, remaining: (timer.endsAt - current) / 1000 }
+          : { ...timer, endsAt: current + timer.remaining * 1000 };
+      })
+    );
+  }, []);
+
+  const removeTimer = useCallback((id) => {
+    setTimers((prev) => prev.filter((timer) => timer.id !== id));
+  }, []);
+
+  return { timers, now, startTimer, togglePause, removeTimer };
+}
@@ -0,0 +1,18 @@
+import { useState, useEffect } from "react";
+import dataSourceService from "../services/dataSourceService";
+
+/**
+ * Whether the app is running on the API server or on local data
+ * @returns {Object} { local, reason, configured }
+ */
+export function useDataSource() {
+  const [status, setStatus] = useState(() => dataSourceService.getStatus());
+
+  useEffect(() => {
+    // It may have switched between the first render and subscribing
+    setStatus(dataSourceService.getStatus());
+    return dataSourceService.subscribe(setStatus);
+  }, []);
+
+  return status;
+}
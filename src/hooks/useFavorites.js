@@ -1,12 +1,6 @@
 import { useState, useEffect, useCallback } from "react";
-import {
-  loadFavorites,
-  saveFavorites,
-  addToFavorites,
-  removeFromFavorites,
-  isRecipeFavorited,
-} from "../utils/draftStorage";
 import userService from "../services/userService";
+import favoriteService from "../services/favoriteService";
 
 /**
  * Get user identifier from localStorage or generate new one
@@ -17,10 +11,13 @@ const getUserIdentifier = () => {
 
 /**
  * Custom hook for fetching favorites
+ * Shows the local mirror right away, then syncs with the server.
  * @returns {Object} - { favorites, loading, error, refetch }
  */
 export function useFavorites() {
-  const [favorites, setFavorites] = useState([]);
+  const [favorites, setFavorites] = useState(() =>
+    favoriteService.getLocalFavorites()
+  );
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -29,12 +26,10 @@ export function useFavorites() {
       setLoading(true);
       setError(null);
 
-      // Load from localStorage
-      const favoritesData = loadFavorites();
+      const favoritesData = await favoriteService.syncFavorites();
       setFavorites(favoritesData || []);
     } catch (err) {
       setError(err.message || "An error occurred while fetching favorites");
-      setFavorites([]);
     } finally {
       setLoading(false);
     }
@@ -44,13 +39,16 @@ export function useFavorites() {
     fetchFavorites();
   }, [fetchFavorites]);
 
+  // Optimistic toggles, rollbacks and syncs from anywhere in the app
+  useEffect(() => {
+    return favoriteService.subscribe(() => {
+      setFavorites(favoriteService.getLocalFavorites());
+    });
+  }, []);
+
   const addFavorite = async (recipe) => {
     try {
-      const success = addToFavorites(recipe);
-      if (success) {
-        await fetchFavorites(); // Refresh the list
-      }
-      return success;
+      return await favoriteService.setFavorite(recipe, true);
     } catch (error) {
       console.error("Error adding favorite:", error);
       return false;
@@ -59,11 +57,8 @@ export function useFavorites() {
 
   const removeFavorite = async (recipeId) => {
     try {
-      const success = removeFromFavorites(recipeId);
-      if (success) {
-        await fetchFavorites(); // Refresh the list
-      }
-      return success;
+      const result = await favoriteService.setFavorite({ id: recipeId }, false);
+      return result === false;
     } catch (error) {
       console.error("Error removing favorite:", error);
       return false;
@@ -93,15 +88,8 @@ export function useToggleFavorite() {
       setLoading(true);
       setError(null);
 
-      const isFavorited = isRecipeFavorited(recipe.id);
-
-      if (isFavorited) {
-        removeFromFavorites(recipe.id);
-        return false; // Removed
-      } else {
-        addToFavorites(recipe);
-        return true; // Added
-      }
+      // Resolves with the state after syncing (rolled back on failure)
+      return await favoriteService.toggle(recipe);
     } catch (err) {
       setError(err.message || "An error occurred while toggling favorite");
       return null;
@@ -123,18 +111,14 @@ export function useToggleFavorite() {
  * @returns {Object} - { isFavorited, loading, toggleFavorite }
  */
 export function useIsFavorited(recipeId) {
-  const { favorites, loading: fetchLoading, refetch } = useFavorites();
+  const { favorites, loading: fetchLoading } = useFavorites();
   const { toggleFavorite: toggle, loading: toggleLoading } =
     useToggleFavorite();
 
-  const isFavorited = favorites.some((fav) => fav.id === recipeId);
+  const isFavorited = favorites.some((fav) => String(fav.id) === String(recipeId));
 
-  const toggleFavorite = async (recipe) => {
-    const result = await toggle(recipe);
-    if (result !== null) {
-      await refetch();
-    }
-    return result;
+  const toggleFavorite = async (recipe = { id: recipeId }) => {
+    return toggle(recipe);
   };
 
   return {
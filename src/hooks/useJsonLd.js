@@ -0,0 +1,28 @@
+import { useEffect } from "react";
+
+/**
+ * Put structured data (JSON-LD) in the document head while the component is
+ * mounted, so crawlers and "save recipe" extensions can read the page.
+ * @param {Object|null} data - JSON-LD object; nothing is added while null
+ * @param {string} id - Element id, so a page only ever has one of each
+ */
+export function useJsonLd(data, id) {
+  const json = data ? JSON.stringify(data) : null;
+
+  useEffect(() => {
+    if (!json) return undefined;
+
+    const script = document.createElement("script");
+    script.type = "application/ld+json";
+    script.id = id;
+    // "</script>" inside a value would end the element early
+    script.textContent = json.replace(/</g, "\\u003c");
+
+    document.getElementById(id)?.remove();
+    document.head.appendChild(script);
+
+    return () => {
+      script.remove();
+    };
+  }, [json, id]);
+}
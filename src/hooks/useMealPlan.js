@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback } from "react";
+import { loadMealPlans, saveMealPlans } from "../utils/draftStorage";
+import { toPlannedRecipe } from "../utils/mealPlan";
+
+const UPDATE_EVENT = "mealPlanUpdated";
+
+const getSlots = (weekStart) => loadMealPlans()[weekStart]?.slots || {};
+
+/**
+ * Weekly meal plan state for one week, kept in sync across components and tabs
+ * @param {string} weekStart - Monday of the week ("YYYY-MM-DD")
+ * @returns {Object} { slots, setSlot, moveSlot, setServings, updateRecipe,
+ *   clearSlot, clearWeek }
+ */
+export function useMealPlan(weekStart) {
+  const [slots, setSlots] = useState(() => getSlots(weekStart));
+
+  useEffect(() => {
+    const refresh = () => setSlots(getSlots(weekStart));
+    const handleStorage = (e) => {
+      if (e.key === "meal_plans") refresh();
+    };
+
+    refresh();
+    window.addEventListener(UPDATE_EVENT, refresh);
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener(UPDATE_EVENT, refresh);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, [weekStart]);
+
+  const updateSlots = useCallback(
+    (updater) => {
+      const plans = loadMealPlans();
+      const nextSlots = updater(plans[weekStart]?.slots || {});
+
+      if (Object.keys(nextSlots).length) {
+        plans[weekStart] = { slots: nextSlots, updated_at: new Date().toISOString() };
+      } else {
+        delete plans[weekStart];
+      }
+      saveMealPlans(plans);
+      window.dispatchEvent(new CustomEvent(UPDATE_EVENT));
+    },
+    [weekStart]
+  );
+
+  const setSlot = useCallback(
+    (slotKey, recipe) => {
+      updateSlots((current) => ({
+        ...current,
+        [slotKey]: {
+          recipe: toPlannedRecipe(recipe),
+          servings: current[slotKey]?.servings || Number(recipe.servings) || 1,
+        },
+      }));
+    },
+    [updateSlots]
+  );
+
+  // Dropping on a filled slot swaps the two
+  const moveSlot = useCallback(
+    (fromKey, toKey) => {
+      if (fromKey === toKey) return;
+      updateSlots((current) => {
+        const next = { ...current };
+        const from = current[fromKey];
+        const to = current[toKey];
+        if (!from) return current;
+
+        next[toKey] = from;
+        if (to) next[fromKey] = to;
+        else delete next[fromKey];
+        return next;
+      });
+    },
+    [updateSlots]
+  );
+
+  const setServings = useCallback(
+    (slotKey, servings) => {
+      updateSlots((current) =>
+        current[slotKey]
+          ? { ...current, [slotKey]: { ...current[slotKey], servings } }
+          : current
+      );
+    },
+    [updateSlots]
+  );
+
+  // Fill in details (e.g. ingredients) fetched later for every slot with this recipe
+  const updateRecipe = useCallback(
+    (recipe) => {
+      updateSlots((current) =>
+        Object.fromEntries(
+          Object.entries(current).map(([key, slot]) => [
+            key,
+            String(slot.recipe.id) === String(recipe.id)
+              ? { ...slot, recipe: toPlannedRecipe({ ...slot.recipe, ...recipe }) }
+              : slot,
+          ])
+        )
+      );
+    },
+    [updateSlots]
+  );
+
+  const clearSlot = useCallback(
+    (slotKey) => {
+      updateSlots((current) => {
+        const next = { ...current };
+        delete next[slotKey];
+        return next;
+      });
+    },
+    [updateSlots]
+  );
+
+  const clearWeek = useCallback(() => {
+    updateSlots(() => ({}));
+  }, [updateSlots]);
+
+  return {
+    slots,
+    setSlot,
+    moveSlot,
+    setServings,
+    updateRecipe,
+    clearSlot,
+    clearWeek,
+  };
+}
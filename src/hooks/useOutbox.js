@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from "react";
+import outboxService, { OUTBOX_STATUS } from "../services/outboxService";
+
+/**
+ * Custom hook for the offline mutation queue
+ * @param {string} recipeId - Only return entries for this recipe (optional)
+ * @returns {Object} - { entries, pendingCount, failedCount, conflictCount,
+ *   blockedCount, isOnline, replay, retry, discard, resolveConflict }
+ */
+export function useOutbox(recipeId) {
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(
+    typeof navigator === "undefined" ? true : navigator.onLine
+  );
+
+  const loadEntries = useCallback(async () => {
+    const allEntries = recipeId
+      ? await outboxService.getEntriesForRecipe(recipeId)
+      : await outboxService.getEntries();
+    setEntries(allEntries);
+  }, [recipeId]);
+
+  useEffect(() => {
+    loadEntries();
+    return outboxService.subscribe(() => {
+      loadEntries();
+    });
+  }, [loadEntries]);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  const countOf = (status) => entries.filter((entry) => entry.status === status).length;
+  const failedCount = countOf(OUTBOX_STATUS.FAILED);
+  const conflictCount = countOf(OUTBOX_STATUS.CONFLICT);
+  const blockedCount = countOf(OUTBOX_STATUS.BLOCKED);
+  const pendingCount = entries.length - failedCount - conflictCount - blockedCount;
+
+  return {
+    entries,
+    pendingCount,
+    failedCount,
+    conflictCount,
+    blockedCount,
+    isOnline,
+    replay: () => outboxService.replay(),
+    retry: (id) => outboxService.retry(id),
+    discard: (id) => outboxService.discard(id),
+    resolveConflict: (id, merged) => outboxService.resolveConflict(id, merged),
+  };
+}
@@ -0,0 +1,21 @@
+import { useLocalStorage } from "./useLocalStorage";
+
+export const PAGING_MODES = {
+  INFINITE: "infinite",
+  PAGES: "pages",
+};
+
+// Without IntersectionObserver the sentinel never fires, so use pages
+const DEFAULT_MODE =
+  typeof window !== "undefined" && "IntersectionObserver" in window
+    ? PAGING_MODES.INFINITE
+    : PAGING_MODES.PAGES;
+
+/**
+ * How recipe lists load more results: infinite scrolling or numbered pages.
+ * The choice is remembered on this device.
+ * @returns {[string, Function]} [mode, setMode]
+ */
+export function usePagingMode() {
+  return useLocalStorage("recipe_paging_mode", DEFAULT_MODE);
+}
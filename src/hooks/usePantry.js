@@ -0,0 +1,115 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { useRecipes } from "./useRecipes";
+import { useCachedRecipes } from "./useCachedRecipes";
+import { loadPantry, savePantry } from "../utils/draftStorage";
+import { rankRecipesByPantry } from "../utils/pantryMatcher";
+
+const UPDATE_EVENT = "pantryUpdated";
+
+// How many recipes of a category to fetch for ingredient matching
+const PANTRY_FETCH_LIMIT = 100;
+
+const updatePantry = (updater) => {
+  const pantry = updater(loadPantry());
+  savePantry(pantry);
+  window.dispatchEvent(new CustomEvent(UPDATE_EVENT));
+  return pantry;
+};
+
+/**
+ * The ingredients the user has at home, kept in sync across components and tabs
+ * @returns {Object} { pantry, addItems, removeItem, clearItems, setAssumeStaples }
+ */
+export function usePantry() {
+  const [pantry, setPantry] = useState(loadPantry);
+
+  useEffect(() => {
+    const refresh = () => setPantry(loadPantry());
+    const handleStorage = (e) => {
+      if (e.key === "pantry") refresh();
+    };
+
+    window.addEventListener(UPDATE_EVENT, refresh);
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener(UPDATE_EVENT, refresh);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, []);
+
+  /**
+   * Add ingredients; "telur, tomat" adds two
+   * @param {string} text - One or more comma-separated ingredients
+   */
+  const addItems = useCallback((text) => {
+    const names = String(text || "")
+      .split(/[,;\n]/)
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    if (!names.length) return;
+
+    updatePantry((current) => ({
+      ...current,
+      items: [...new Set([...current.items, ...names])],
+    }));
+  }, []);
+
+  const removeItem = useCallback((name) => {
+    updatePantry((current) => ({
+      ...current,
+      items: current.items.filter((item) => item !== name),
+    }));
+  }, []);
+
+  const clearItems = useCallback(() => {
+    updatePantry((current) => ({ ...current, items: [] }));
+  }, []);
+
+  const setAssumeStaples = useCallback((assumeStaples) => {
+    updatePantry((current) => ({ ...current, assumeStaples }));
+  }, []);
+
+  return { pantry, addItems, removeItem, clearItems, setAssumeStaples };
+}
+
+/**
+ * Recipes of a category ranked by how much of them the pantry covers.
+ * Looks at the API list plus every recipe already on this device (cached
+ * lists and details, favorites), so it keeps working offline.
+ * @param {string} category - Category slug (config/categories)
+ * @param {Object} options - { enabled, difficulty, prepTimeMax }
+ * @returns {Object} { results, pantry, loading, error, checkedCount, withoutIngredients }
+ */
+export function usePantryResults(category, { enabled = true, difficulty, prepTimeMax } = {}) {
+  const { pantry } = usePantry();
+
+  // The fetched list lands in the query cache, which useCachedRecipes reads
+  const { loading, error } = useRecipes(
+    { category, page: 1, limit: PANTRY_FETCH_LIMIT },
+    { enabled: enabled && pantry.items.length > 0 }
+  );
+  const candidates = useCachedRecipes(category, { enabled });
+
+  const results = useMemo(() => {
+    const maxPrep = parseInt(prepTimeMax);
+    return rankRecipesByPantry(candidates, pantry.items, {
+      assumeStaples: pantry.assumeStaples,
+    }).filter(({ recipe }) => {
+      if (difficulty && recipe.difficulty !== difficulty) return false;
+      if (!isNaN(maxPrep)) {
+        const prepTime = parseInt(recipe.prep_time);
+        return !isNaN(prepTime) && prepTime <= maxPrep;
+      }
+      return true;
+    });
+  }, [candidates, pantry, difficulty, prepTimeMax]);
+
+  return {
+    results,
+    pantry,
+    loading,
+    error,
+    checkedCount: candidates.length,
+    withoutIngredients: candidates.filter((recipe) => !recipe.ingredients?.length).length,
+  };
+}
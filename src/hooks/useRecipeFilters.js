@@ -0,0 +1,108 @@
+import { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+
+export const DEFAULT_FILTERS = {
+  difficulty: "",
+  sortBy: "created_at",
+  order: "desc",
+  prepTimeMax: "",
+};
+
+const DIFFICULTIES = ["mudah", "sedang", "sulit"];
+const SORT_FIELDS = ["created_at", "name", "prep_time", "cook_time", "difficulty"];
+const ORDERS = ["asc", "desc"];
+
+// Filter field -> query string name
+const PARAM_NAMES = {
+  difficulty: "difficulty",
+  sortBy: "sort_by",
+  order: "order",
+  prepTimeMax: "prepTimeMax",
+};
+
+const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+/**
+ * Search, filters and page of a recipe list, kept in the query string
+ * (/makanan?difficulty=mudah&q=soto&page=2) so lists can be shared and
+ * bookmarked and the back button moves through filter history.
+ * Default values are left out of the URL; invalid values fall back to them.
+ * @param {Object} defaultSort - { sortBy, order } of the category, defaults to newest first
+ * @returns {Object} { searchQuery, filters, page, setSearchQuery, setFilters, setPage }
+ */
+export function useRecipeFilters({
+  sortBy: defaultSortBy = DEFAULT_FILTERS.sortBy,
+  order: defaultOrder = DEFAULT_FILTERS.order,
+} = {}) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const defaults = useMemo(
+    () => ({ ...DEFAULT_FILTERS, sortBy: defaultSortBy, order: defaultOrder }),
+    [defaultSortBy, defaultOrder]
+  );
+
+  const searchQuery = searchParams.get("q") || "";
+  const page = Math.max(1, parseInt(searchParams.get("page")) || 1);
+
+  const difficulty = searchParams.get(PARAM_NAMES.difficulty);
+  const sortBy = searchParams.get(PARAM_NAMES.sortBy);
+  const order = searchParams.get(PARAM_NAMES.order);
+  const prepTimeMax = searchParams.get(PARAM_NAMES.prepTimeMax);
+
+  const filters = useMemo(
+    () => ({
+      difficulty: pick(difficulty, DIFFICULTIES, defaults.difficulty),
+      sortBy: pick(sortBy, SORT_FIELDS, defaults.sortBy),
+      order: pick(order, ORDERS, defaults.order),
+      prepTimeMax: /^\d+$/.test(prepTimeMax || "") ? prepTimeMax : defaults.prepTimeMax,
+    }),
+    [difficulty, sortBy, order, prepTimeMax, defaults]
+  );
+
+  /**
+   * Change some query string values; empty or default values are removed.
+   * Every change is a new history entry unless options.replace is set.
+   */
+  const updateParams = useCallback(
+    (changes, options) => {
+      setSearchParams((current) => {
+        const next = new URLSearchParams(current);
+        Object.entries(changes).forEach(([name, value]) => {
+          if (value === "" || value == null) {
+            next.delete(name);
+          } else {
+            next.set(name, String(value));
+          }
+        });
+        return next;
+      }, options);
+    },
+    [setSearchParams]
+  );
+
+  const setSearchQuery = useCallback(
+    // Kept as typed (not trimmed) so the search box doesn't lose a trailing
+    // space. Replaces the history entry, so Back doesn't step through every
+    // debounced keystroke.
+    (query) => updateParams({ q: query.trim() ? query : null, page: null }, { replace: true }),
+    [updateParams]
+  );
+
+  const setFilters = useCallback(
+    (nextFilters) => {
+      const changes = { page: null };
+      Object.entries(PARAM_NAMES).forEach(([field, name]) => {
+        const value = nextFilters[field];
+        changes[name] = value === defaults[field] ? null : value;
+      });
+      updateParams(changes);
+    },
+    [updateParams, defaults]
+  );
+
+  const setPage = useCallback(
+    (nextPage) => updateParams({ page: nextPage > 1 ? nextPage : null }),
+    [updateParams]
+  );
+
+  return { searchQuery, filters, page, setSearchQuery, setFilters, setPage };
+}
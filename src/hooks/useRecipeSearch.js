@@ -0,0 +1,32 @@
+import { useMemo } from "react";
+import { useCachedRecipes } from "./useCachedRecipes";
+import searchService from "../services/searchService";
+
+/**
+ * Search the recipes on this device (works offline). Recipes the server
+ * finds but that aren't cached yet are up to the caller to add.
+ * @param {string} query - What the user typed
+ * @param {Object} options - { category, difficulty }
+ * @returns {Object} { results: [{ recipe, score, highlights }], highlights: { [recipeId]: highlights } }
+ */
+export function useRecipeSearch(query, { category, difficulty } = {}) {
+  const enabled = Boolean(query?.trim());
+  // The index covers every category so switching pages doesn't rebuild it
+  const recipes = useCachedRecipes(undefined, { enabled });
+
+  return useMemo(() => {
+    if (!enabled) return { results: [], highlights: {} };
+
+    searchService.sync(recipes);
+    const results = searchService
+      .search(query, { category })
+      .filter(({ recipe }) => !difficulty || recipe.difficulty === difficulty);
+
+    return {
+      results,
+      highlights: Object.fromEntries(
+        results.map(({ recipe, highlights }) => [recipe.id, highlights])
+      ),
+    };
+  }, [enabled, recipes, query, category, difficulty]);
+}
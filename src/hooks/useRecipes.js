@@ -1,12 +1,87 @@
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import recipeService from "../services/recipeService";
+import dataSourceService, { DATA_SOURCES } from "../services/dataSourceService";
+import { useDataSource } from "./useDataSource";
+
+/**
+ * Where recipe data comes from right now. It is the last part of every
+ * recipe query key, so server and local data are cached apart and a switch
+ * between them never overwrites the other's cache (only the server's is
+ * persisted).
+ * @returns {string} DATA_SOURCES.REMOTE or DATA_SOURCES.LOCAL
+ */
+export const getRecipeSource = () =>
+  dataSourceService.isLocal() ? DATA_SOURCES.LOCAL : DATA_SOURCES.REMOTE;
+
+/**
+ * Query key of a recipe detail from the current data source
+ * @param {string} id - Recipe ID
+ * @returns {Array}
+ */
+export const recipeQueryKey = (id) => ['recipe', id, getRecipeSource()];
+
+// Re-renders with the new keys when the data source switches
+const useRecipeSource = () =>
+  useDataSource().local ? DATA_SOURCES.LOCAL : DATA_SOURCES.REMOTE;
+
+/**
+ * Replace a recipe inside a cached list response, paged (infinite) or not
+ * @param {Object} old - Cached { data } or { pages: [{ data }] }
+ * @param {Object} updatedRecipe - Recipe with the new values
+ * @returns {Object} Patched cache entry
+ */
+const patchRecipeInList = (old, updatedRecipe) => {
+  const patchPage = (page) =>
+    page?.data
+      ? {
+          ...page,
+          data: page.data.map((recipe) =>
+            recipe.id === updatedRecipe.id
+              ? { ...recipe, ...updatedRecipe }
+              : recipe
+          ),
+        }
+      : page;
+
+  if (old?.pages) return { ...old, pages: old.pages.map(patchPage) };
+  return patchPage(old);
+};
+
+/**
+ * Fetch one page of recipes and fill in missing fields
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Response with data and pagination
+ */
+const fetchRecipesPage = async (params) => {
+  const response = await recipeService.getRecipes(params);
+
+  if (!response.success) {
+    throw new Error(response.message || "Failed to fetch recipes");
+  }
+
+  // Ensure all recipes have complete data structure
+  const completeRecipes = (response.data || []).map(recipe => ({
+    ...recipe,
+    ingredients: recipe.ingredients || [],
+    steps: recipe.steps || [],
+    image_url: recipe.image_url || recipe.image || '/placeholder-recipe.jpg'
+  }));
+
+  return {
+    ...response,
+    data: completeRecipes,
+    pagination: response.pagination || null
+  };
+};
 
 /**
  * Custom hook for fetching recipes dengan React Query
  * @param {Object} params - Query parameters
+ * @param {Object} options - { enabled: true }
  * @returns {Object} - { recipes, loading, error, pagination, refetch }
  */
-export function useRecipes(params = {}) {
+export function useRecipes(params = {}, { enabled = true } = {}) {
+  const source = useRecipeSource();
   const {
     data: response,
     isLoading: loading,
@@ -14,30 +89,10 @@ export function useRecipes(params = {}) {
     isFetching,
     refetch,
   } = useQuery({
-    queryKey: ['recipes', params],
-    queryFn: async () => {
-      const response = await recipeService.getRecipes(params);
-      
-      if (!response.success) {
-        throw new Error(response.message || "Failed to fetch recipes");
-      }
-
-      // Ensure all recipes have complete data structure
-      const completeRecipes = (response.data || []).map(recipe => ({
-        ...recipe,
-        ingredients: recipe.ingredients || [],
-        steps: recipe.steps || [],
-        image_url: recipe.image_url || recipe.image || '/placeholder-recipe.jpg'
-      }));
-
-      return {
-        ...response,
-        data: completeRecipes,
-        pagination: response.pagination || null
-      };
-    },
+    queryKey: ['recipes', params, source],
+    queryFn: () => fetchRecipesPage(params),
+    enabled,
     staleTime: 5 * 60 * 1000, // 5 menit
-    cacheTime: 10 * 60 * 1000, // 10 menit
     keepPreviousData: true,
     retry: 2,
     retryDelay: attemptIndex => Math.min(1000 * 2 ** attemptIndex, 30000),
@@ -53,12 +108,72 @@ export function useRecipes(params = {}) {
   };
 }
 
+/**
+ * Infinite variant of useRecipes: pages are fetched one after another and
+ * kept together in the cache, so returning to the list restores every
+ * page that was loaded
+ * @param {Object} params - Query parameters (without page)
+ * @param {Object} options - { enabled: true }
+ * @returns {Object} - { recipes, loading, error, isFetching, pagination,
+ *   fetchNextPage, hasNextPage, isFetchingNextPage, refetch }
+ */
+export function useInfiniteRecipes(params = {}, { enabled = true } = {}) {
+  const source = useRecipeSource();
+  const {
+    data,
+    isLoading: loading,
+    error,
+    isFetching,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+    refetch,
+  } = useInfiniteQuery({
+    queryKey: ['recipes', 'infinite', params, source],
+    queryFn: ({ pageParam }) => fetchRecipesPage({ ...params, page: pageParam }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => {
+      const pagination = lastPage?.pagination;
+      if (!pagination) return undefined;
+      return pagination.page < pagination.total_pages ? pagination.page + 1 : undefined;
+    },
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 menit
+    retry: 2,
+    retryDelay: attemptIndex => Math.min(1000 * 2 ** attemptIndex, 30000),
+  });
+
+  // A recipe created while paging can shift the next page; skip repeats
+  const pages = data?.pages || [];
+  const seen = new Set();
+  const recipes = pages
+    .flatMap((page) => page?.data || [])
+    .filter((recipe) => {
+      if (seen.has(recipe.id)) return false;
+      seen.add(recipe.id);
+      return true;
+    });
+
+  return {
+    recipes,
+    loading,
+    error: error?.message,
+    isFetching,
+    pagination: pages[pages.length - 1]?.pagination || null,
+    fetchNextPage,
+    hasNextPage: Boolean(hasNextPage),
+    isFetchingNextPage,
+    refetch,
+  };
+}
+
 /**
  * Custom hook for fetching a single recipe dengan React Query
  * @param {string} id - Recipe ID
  * @returns {Object} - { recipe, loading, error, refetch }
  */
 export function useRecipe(id) {
+  const source = useRecipeSource();
   const {
     data: response,
     isLoading: loading,
@@ -66,7 +181,7 @@ export function useRecipe(id) {
     isFetching,
     refetch,
   } = useQuery({
-    queryKey: ['recipe', id],
+    queryKey: ['recipe', id, source],
     queryFn: async () => {
       if (!id) {
         return { success: true, data: null };
@@ -93,7 +208,6 @@ export function useRecipe(id) {
     },
     enabled: !!id, // Hanya fetch jika ID tersedia
     staleTime: 5 * 60 * 1000, // 5 menit
-    cacheTime: 10 * 60 * 1000, // 10 menit
     retry: 2,
   });
 
@@ -108,7 +222,9 @@ export function useRecipe(id) {
 
 /**
  * Custom hook for creating recipes dengan React Query Mutation
- * @returns {Object} - { createRecipe, loading, error }
+ * createRecipe resolves with the created recipe, or with
+ * { queued: true, outboxId, recipe } when it was saved offline.
+ * @returns {Object} - { createRecipe, loading, error, isSuccess, isQueued }
  */
 export function useCreateRecipe() {
   const queryClient = useQueryClient();
@@ -118,6 +234,7 @@ export function useCreateRecipe() {
     isLoading: loading,
     error,
     isSuccess,
+    data,
     reset,
   } = useMutation({
     mutationFn: async (recipeData) => {
@@ -130,6 +247,14 @@ export function useCreateRecipe() {
       };
 
       const response = await recipeService.createRecipe(completeRecipeData);
+
+      if (response.queued) {
+        return {
+          queued: true,
+          outboxId: response.outbox_id,
+          recipe: recipeService.normalizeRecipeData(response.data),
+        };
+      }
       
       if (!response.success) {
         throw new Error(response.message || "Failed to create recipe");
@@ -137,14 +262,25 @@ export function useCreateRecipe() {
 
       return response.data;
     },
-    onSuccess: (newRecipe) => {
+    onSuccess: (result) => {
+      if (result?.queued) {
+        // Keep the offline recipe viewable until it is synced
+        queryClient.setQueryData(
+          recipeQueryKey(result.recipe.id),
+          { success: true, data: result.recipe }
+        );
+        return;
+      }
+
+      const newRecipe = result;
+
       // Invalidate dan refetch queries yang terkait
       queryClient.invalidateQueries({ queryKey: ['recipes'] });
       
       // Prefetch data untuk recipe detail jika diperlukan
       if (newRecipe?.id) {
         queryClient.setQueryData(
-          ['recipe', newRecipe.id],
+          recipeQueryKey(newRecipe.id),
           { success: true, data: newRecipe }
         );
       }
@@ -154,18 +290,25 @@ export function useCreateRecipe() {
     },
   });
 
+  const isQueued = Boolean(data?.queued);
+
   return { 
     createRecipe, 
     loading, 
     error: error?.message,
-    isSuccess,
+    isSuccess: isSuccess && !isQueued,
+    isQueued,
     reset 
   };
 }
 
 /**
  * Custom hook for updating recipes dengan React Query Mutation
- * @returns {Object} - { updateRecipe, loading, error }
+ * updateRecipe resolves with the updated recipe, or with
+ * { queued: true, outboxId, recipe } when it was saved offline. Pass the
+ * `version` / `updated_at` of the copy that was edited; it rejects with a
+ * CONFLICT ApiError when the recipe was changed since.
+ * @returns {Object} - { updateRecipe, loading, error, isSuccess, isQueued }
  */
 export function useUpdateRecipe() {
   const queryClient = useQueryClient();
@@ -175,16 +318,14 @@ export function useUpdateRecipe() {
     isLoading: loading,
     error,
     isSuccess,
+    data,
     reset,
   } = useMutation({
     mutationFn: async ({ recipeId, updatedData }) => {
-      // Get current recipe first untuk optimistic update
-      const currentResponse = await recipeService.getRecipeById(recipeId);
-      if (!currentResponse.success) {
-        throw new Error("Failed to fetch current recipe data");
-      }
-
-      const currentRecipe = currentResponse.data;
+      // Fill in what the caller left out from the cached copy. The version
+      // in updatedData is the one that was edited; recipeService refuses
+      // the update when the recipe has changed since.
+      const currentRecipe = queryClient.getQueryData(recipeQueryKey(recipeId))?.data || {};
 
       // Ensure existing data is preserved if not provided in update
       const completeUpdateData = {
@@ -194,11 +335,21 @@ export function useUpdateRecipe() {
         image_url: updatedData.image_url || updatedData.image || currentRecipe.image_url || currentRecipe.image,
         // Ensure arrays are not lost
         ingredients: updatedData.ingredients || currentRecipe.ingredients || [],
-        steps: updatedData.steps || currentRecipe.steps || [],
-        updated_at: new Date().toISOString()
+        steps: updatedData.steps || currentRecipe.steps || []
       };
 
       const response = await recipeService.updateRecipe(recipeId, completeUpdateData);
+
+      if (response.queued) {
+        return {
+          queued: true,
+          outboxId: response.outbox_id,
+          recipe: recipeService.normalizeRecipeData({
+            ...completeUpdateData,
+            id: recipeId,
+          }),
+        };
+      }
       
       if (!response.success) {
         throw new Error(response.message || "Failed to update recipe");
@@ -206,19 +357,29 @@ export function useUpdateRecipe() {
 
       return response.data;
     },
-    onSuccess: (updatedRecipe, variables) => {
+    onSuccess: (result) => {
+      const updatedRecipe = result?.queued ? result.recipe : result;
+
       // Update cache untuk recipe yang di-update
       if (updatedRecipe?.id) {
         queryClient.setQueryData(
-          ['recipe', updatedRecipe.id],
+          recipeQueryKey(updatedRecipe.id),
           { success: true, data: updatedRecipe }
         );
+
+        // Patch cached lists too, so the persisted copy never shows the old version
+        queryClient.setQueriesData({ queryKey: ['recipes'] }, (old) =>
+          patchRecipeInList(old, updatedRecipe)
+        );
       }
 
-      // Invalidate semua queries recipes untuk refresh list
-      queryClient.invalidateQueries({ queryKey: ['recipes'] });
+      // Queued changes refresh the list once they are synced
+      if (!result?.queued) {
+        // Invalidate semua queries recipes untuk refresh list
+        queryClient.invalidateQueries({ queryKey: ['recipes'] });
+      }
     },
-    onError: (error, variables, context) => {
+    onError: (error) => {
       console.error('Error updating recipe:', error);
     },
   });
@@ -228,18 +389,23 @@ export function useUpdateRecipe() {
     return await updateRecipe({ recipeId, updatedData });
   };
 
+  const isQueued = Boolean(data?.queued);
+
   return { 
     updateRecipe: updateRecipeWrapper, 
     loading, 
     error: error?.message,
-    isSuccess,
+    isSuccess: isSuccess && !isQueued,
+    isQueued,
     reset 
   };
 }
 
 /**
  * Custom hook for deleting recipes dengan React Query Mutation
- * @returns {Object} - { deleteRecipe, loading, error }
+ * deleteRecipe resolves with true, or with { queued: true, outboxId }
+ * when the delete was saved offline.
+ * @returns {Object} - { deleteRecipe, loading, error, isSuccess, isQueued }
  */
 export function useDeleteRecipe() {
   const queryClient = useQueryClient();
@@ -249,10 +415,15 @@ export function useDeleteRecipe() {
     isLoading: loading,
     error,
     isSuccess,
+    data,
     reset,
   } = useMutation({
     mutationFn: async (recipeId) => {
       const response = await recipeService.deleteRecipe(recipeId);
+
+      if (response.queued) {
+        return { queued: true, outboxId: response.outbox_id };
+      }
       
       if (!response.success) {
         throw new Error(response.message || "Failed to delete recipe");
@@ -260,7 +431,10 @@ export function useDeleteRecipe() {
 
       return true;
     },
-    onSuccess: (_, recipeId) => {
+    onSuccess: (result, recipeId) => {
+      // Keep the cached recipe until the queued delete is synced
+      if (result?.queued) return;
+
       // Remove dari cache
       queryClient.removeQueries({ queryKey: ['recipe', recipeId] });
       
@@ -272,11 +446,14 @@ export function useDeleteRecipe() {
     },
   });
 
+  const isQueued = Boolean(data?.queued);
+
   return { 
     deleteRecipe, 
     loading, 
     error: error?.message,
-    isSuccess,
+    isSuccess: isSuccess && !isQueued,
+    isQueued,
     reset 
   };
 }
@@ -308,9 +485,14 @@ export function useFavoriteRecipe() {
       // Update cache untuk recipe yang di-update
       if (updatedRecipe?.id) {
         queryClient.setQueryData(
-          ['recipe', updatedRecipe.id],
+          recipeQueryKey(updatedRecipe.id),
           { success: true, data: updatedRecipe }
         );
+
+        // Patch cached lists too, so the persisted copy never shows the old version
+        queryClient.setQueriesData({ queryKey: ['recipes'] }, (old) =>
+          patchRecipeInList(old, updatedRecipe)
+        );
       }
 
       // Invalidate recipes list untuk update favorite status
@@ -323,13 +505,13 @@ export function useFavoriteRecipe() {
       await queryClient.cancelQueries({ queryKey: ['recipes'] });
 
       // Snapshot previous value
-      const previousRecipe = queryClient.getQueryData(['recipe', variables.recipeId]);
+      const previousRecipe = queryClient.getQueryData(recipeQueryKey(variables.recipeId));
       const previousRecipes = queryClient.getQueryData(['recipes']);
 
       // Optimistically update cache
       if (previousRecipe) {
         queryClient.setQueryData(
-          ['recipe', variables.recipeId],
+          recipeQueryKey(variables.recipeId),
           old => ({
             ...old,
             data: {
@@ -347,7 +529,7 @@ export function useFavoriteRecipe() {
       // Rollback ke previous state jika error
       if (context?.previousRecipe) {
         queryClient.setQueryData(
-          ['recipe', variables.recipeId],
+          recipeQueryKey(variables.recipeId),
           context.previousRecipe
         );
       }
@@ -374,13 +556,14 @@ export function useFavoriteRecipe() {
  * @returns {Object} - { recipes, loading, error, pagination }
  */
 export function useSearchRecipes(params = {}, debounceMs = 300) {
+  const source = useRecipeSource();
   const {
     data: response,
     isLoading: loading,
     error,
     isFetching,
   } = useQuery({
-    queryKey: ['recipes', 'search', params],
+    queryKey: ['recipes', 'search', params, source],
     queryFn: async () => {
       const response = await recipeService.getRecipes(params);
       
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from "react";
 import reviewService from "../services/reviewService";
+import reviewSyncService, { mergeReviews } from "../services/reviewSyncService";
 /**
 * Custom hook for fetching reviews
 * @param {string} recipeId - Recipe ID
@@ -21,7 +22,13 @@ export function useReviews(recipeId) {
 
       const response = await reviewService.getReviews(recipeId);
       if (response.success) {
-        setReviews(response.data || []);
+        // Reviews written offline stay visible until the server has them
+        setReviews(
+          mergeReviews(
+            response.data || [],
+            reviewService.getReviewsFromStorage(recipeId)
+          )
+        );
       } else {
         setError(response.message || "Failed to fetch reviews");
       }
@@ -35,6 +42,11 @@ export function useReviews(recipeId) {
   useEffect(() => {
     fetchReviews();
   }, [fetchReviews]);
+  useEffect(() => {
+    return reviewSyncService.subscribe(() => {
+      fetchReviews();
+    });
+  }, [fetchReviews]);
   return {
     reviews,
     loading,
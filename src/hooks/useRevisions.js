@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from "react";
+import revisionService from "../services/revisionService";
+
+/**
+ * Saved versions of a recipe, from this device and the server
+ * @param {string} recipeId - Recipe ID
+ * @returns {Object} { revisions, fromServer, loading, refetch }
+ */
+export function useRevisions(recipeId) {
+  const [revisions, setRevisions] = useState([]);
+  const [fromServer, setFromServer] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const loadRevisions = useCallback(async () => {
+    if (!recipeId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    const result = await revisionService.getRevisions(recipeId);
+    setRevisions(result.revisions);
+    setFromServer(result.fromServer);
+    setLoading(false);
+  }, [recipeId]);
+
+  useEffect(() => {
+    loadRevisions();
+    return revisionService.subscribe((changedId) => {
+      if (changedId === String(recipeId)) loadRevisions();
+    });
+  }, [loadRevisions, recipeId]);
+
+  return { revisions, fromServer, loading, refetch: loadRevisions };
+}
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from "react";
+import { useNavigationType } from "react-router-dom";
+
+const SCROLL_KEY_PREFIX = "scroll_position_";
+
+/**
+ * Remember how far a list was scrolled and jump back there when the user
+ * returns with the back button (e.g. from a recipe detail page)
+ * @param {string} key - Which list this is
+ * @param {boolean} ready - True once the list content is rendered
+ */
+export function useScrollRestoration(key, ready) {
+  const navigationType = useNavigationType();
+  const restoredRef = useRef(false);
+
+  useEffect(() => {
+    let frame = null;
+    const save = () => {
+      frame = null;
+      sessionStorage.setItem(`${SCROLL_KEY_PREFIX}${key}`, String(window.scrollY));
+    };
+    const handleScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(save);
+    };
+
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener("scroll", handleScroll);
+      cancelAnimationFrame(frame);
+    };
+  }, [key]);
+
+  useEffect(() => {
+    if (!ready || restoredRef.current) return;
+    restoredRef.current = true;
+
+    // Links and menu items open the list at the top
+    if (navigationType !== "POP") return;
+    const saved = Number(sessionStorage.getItem(`${SCROLL_KEY_PREFIX}${key}`));
+    if (saved > 0) {
+      requestAnimationFrame(() => window.scrollTo(0, saved));
+    }
+  }, [key, ready, navigationType]);
+}
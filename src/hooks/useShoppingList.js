@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { loadShoppingList, saveShoppingList } from "../utils/draftStorage";
+import { buildShoppingList } from "../utils/shoppingList";
+
+const UPDATE_EVENT = "shoppingListUpdated";
+
+/**
+ * Change the stored shopping list and tell every mounted useShoppingList
+ * @param {Function} updater - Receives the current list, returns the new one
+ */
+const updateShoppingList = (updater) => {
+  const list = updater(loadShoppingList());
+  saveShoppingList(list);
+  window.dispatchEvent(new CustomEvent(UPDATE_EVENT));
+  return list;
+};
+
+/**
+ * Put a recipe on the shopping list (or update its servings if it's already there)
+ * @param {Object} recipe - Recipe with ingredients
+ * @param {number} servings - Servings to shop for
+ */
+export const addRecipeToShoppingList = (recipe, servings = recipe.servings) =>
+  updateShoppingList((list) => {
+    const entry = {
+      id: recipe.id,
+      name: recipe.name,
+      category: recipe.category,
+      servings: servings || recipe.servings || 1,
+      baseServings: recipe.servings || servings || 1,
+      ingredients: (recipe.ingredients || []).map(({ name, quantity }) => ({
+        name,
+        quantity,
+      })),
+      added_at: new Date().toISOString(),
+    };
+    const exists = list.recipes.some((item) => String(item.id) === String(recipe.id));
+
+    return {
+      ...list,
+      recipes: exists
+        ? list.recipes.map((item) =>
+            String(item.id) === String(recipe.id) ? entry : item
+          )
+        : [...list.recipes, entry],
+    };
+  });
+
+/**
+ * Check whether a recipe is on the shopping list
+ * @param {string} recipeId - Recipe ID
+ * @returns {boolean}
+ */
+export const isOnShoppingList = (recipeId) =>
+  loadShoppingList().recipes.some((item) => String(item.id) === String(recipeId));
+
+/**
+ * Shopping list state, kept in sync across components and tabs
+ * @returns {Object} { list, groups, addRecipe, removeRecipe, setRecipeServings,
+ *   toggleItem, clearChecked, clearAll }
+ */
+export function useShoppingList() {
+  const [list, setList] = useState(loadShoppingList);
+
+  useEffect(() => {
+    const refresh = () => setList(loadShoppingList());
+    const handleStorage = (e) => {
+      if (e.key === "shopping_list") refresh();
+    };
+
+    window.addEventListener(UPDATE_EVENT, refresh);
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener(UPDATE_EVENT, refresh);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, []);
+
+  const groups = useMemo(() => buildShoppingList(list), [list]);
+
+  const removeRecipe = useCallback((recipeId) => {
+    updateShoppingList((current) => ({
+      ...current,
+      recipes: current.recipes.filter((item) => String(item.id) !== String(recipeId)),
+    }));
+  }, []);
+
+  const setRecipeServings = useCallback((recipeId, servings) => {
+    updateShoppingList((current) => ({
+      ...current,
+      recipes: current.recipes.map((item) =>
+        String(item.id) === String(recipeId) ? { ...item, servings } : item
+      ),
+    }));
+  }, []);
+
+  const toggleItem = useCallback((key) => {
+    updateShoppingList((current) => ({
+      ...current,
+      checked: current.checked.includes(key)
+        ? current.checked.filter((item) => item !== key)
+        : [...current.checked, key],
+    }));
+  }, []);
+
+  const clearChecked = useCallback(() => {
+    updateShoppingList((current) => ({ ...current, checked: [] }));
+  }, []);
+
+  const clearAll = useCallback(() => {
+    updateShoppingList(() => ({ recipes: [], checked: [] }));
+  }, []);
+
+  return {
+    list,
+    groups,
+    addRecipe: addRecipeToShoppingList,
+    removeRecipe,
+    setRecipeServings,
+    toggleItem,
+    clearChecked,
+    clearAll,
+  };
+}
@@ -0,0 +1,18 @@
+import { useState, useEffect } from "react";
+import toastService from "../services/toastService";
+
+/**
+ * Toasts currently shown
+ * @returns {Object} { toasts, dismiss }
+ */
+export function useToasts() {
+  const [toasts, setToasts] = useState(() => toastService.getToasts());
+
+  useEffect(() => {
+    // Toasts may have been shown between the first render and subscribing
+    setToasts(toastService.getToasts());
+    return toastService.subscribe(setToasts);
+  }, []);
+
+  return { toasts, dismiss: (id) => toastService.dismiss(id) };
+}
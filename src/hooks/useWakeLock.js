@@ -0,0 +1,53 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Keep the screen awake while `active` is true (Screen Wake Lock API).
+ * The browser drops the lock when the tab is hidden, so it is requested
+ * again when the tab becomes visible.
+ * @param {boolean} active - Whether the screen should stay on
+ * @returns {{ supported: boolean, locked: boolean }}
+ */
+export function useWakeLock(active) {
+  const supported = typeof navigator !== "undefined" && "wakeLock" in navigator;
+  const [locked, setLocked] = useState(false);
+
+  useEffect(() => {
+    if (!active || !supported) return undefined;
+
+    let sentinel = null;
+    let cancelled = false;
+
+    const request = async () => {
+      try {
+        sentinel = await navigator.wakeLock.request("screen");
+        if (cancelled) {
+          sentinel.release();
+          return;
+        }
+        setLocked(true);
+        sentinel.addEventListener("release", () => setLocked(false));
+      } catch (error) {
+        // Denied (battery saver, not visible): the recipe still works
+        console.warn("Wake lock unavailable:", error);
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible" && (!sentinel || sentinel.released)) {
+        request();
+      }
+    };
+
+    request();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      sentinel?.release().catch(() => {});
+      setLocked(false);
+    };
+  }, [active, supported]);
+
+  return { supported, locked };
+}
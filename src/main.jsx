@@ -1,33 +1,118 @@
 import { StrictMode, useState, lazy, Suspense, useEffect } from 'react'
 import { createRoot } from 'react-dom/client'
 import { BrowserRouter as Router, Routes, Route, useParams, useNavigate, useLocation } from 'react-router-dom'
-import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
+import { QueryClient, useIsRestoring } from '@tanstack/react-query'
+import { PersistQueryClientProvider } from '@tanstack/react-query-persist-client'
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools'
 import SplashScreen from './pages/SplashScreen';
 import './index.css'
 import PWABadge from './PWABadge';
+import outboxService from './services/outboxService';
+import reviewSyncService from './services/reviewSyncService';
+import dataSourceService, { DATA_SOURCES } from './services/dataSourceService';
+import favoriteService from './services/favoriteService';
+import DataSourceBanner from './components/common/DataSourceBanner';
+import Toaster from './components/common/Toaster';
+import toastService from './services/toastService';
+import { API_ERROR_TYPES } from './utils/apiError';
+import { createIndexedDBPersister } from './utils/queryPersister';
+import { CATEGORIES, DEFAULT_CATEGORY } from './config/categories';
+
+// Persisted query cache: bump the buster when the cached data shape changes
+const QUERY_CACHE_BUSTER = 'recipes-v2';
+const QUERY_CACHE_MAX_AGE = 24 * 60 * 60 * 1000; // 24 jam
+
+// Asking again won't change these answers
+const FINAL_ERRORS = [
+  API_ERROR_TYPES.VALIDATION,
+  API_ERROR_TYPES.UNAUTHORIZED,
+  API_ERROR_TYPES.FORBIDDEN,
+  API_ERROR_TYPES.NOT_FOUND,
+];
 
 // Create a client dengan konfigurasi caching
 const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
       staleTime: 5 * 60 * 1000,
-      cacheTime: 10 * 60 * 1000,
+      // Must be at least the persister maxAge or restored queries are dropped
+      gcTime: QUERY_CACHE_MAX_AGE,
       refetchOnWindowFocus: false,
       refetchOnMount: true,
       refetchOnReconnect: true,
-      retry: 2,
+      retry: (failureCount, error) =>
+        failureCount < 2 && !FINAL_ERRORS.includes(error?.type),
     },
   },
 });
 
+// Only recipe lists and details from the server are worth keeping across
+// reloads; local data is always on this device anyway
+const isPersistedQuery = (query) =>
+  query.state.status === 'success' &&
+  ['recipes', 'recipe'].includes(query.queryKey[0]) &&
+  query.queryKey[query.queryKey.length - 1] === DATA_SOURCES.REMOTE;
+
+const persistOptions = {
+  persister: createIndexedDBPersister(),
+  buster: QUERY_CACHE_BUSTER,
+  maxAge: QUERY_CACHE_MAX_AGE,
+  dehydrateOptions: {
+    shouldDehydrateQuery: isPersistedQuery,
+  },
+};
+
+// Refresh recipe data whenever a change queued offline reaches the server
+outboxService.subscribe(({ type, entry }) => {
+  if (type !== 'synced') return;
+  queryClient.invalidateQueries({ queryKey: ['recipes'] });
+  queryClient.invalidateQueries({ queryKey: ['recipe', entry.recipeId] });
+  if (entry.response?.data?.id && entry.response.data.id !== entry.recipeId) {
+    queryClient.removeQueries({ queryKey: ['recipe', entry.recipeId] });
+  }
+});
+
+// Queued changes are for the server, so they wait while local data is in
+// use (the services would otherwise apply them locally)
+outboxService.setPaused(dataSourceService.isLocal());
+dataSourceService.subscribe(({ local }) => outboxService.setPaused(local));
+
+// Send anything left in the outbox from a previous session
+outboxService.replay();
+
+// Send reviews written offline, and pick up ones the service worker sent
+reviewSyncService.start();
+
+// Reload everything from the other source when switching between the API
+// and local data (and after the local data is reset)
+const reloadData = () => {
+  queryClient.invalidateQueries();
+  favoriteService.syncFavorites();
+};
+dataSourceService.subscribe(reloadData);
+
+// An unreachable API server only means local data when there is no server
+// data cached to fall back on
+dataSourceService.setCacheCheck(() =>
+  queryClient.getQueryCache().getAll().some(isPersistedQuery)
+);
+
+// Use local data if the API server can't be reached (VITE_DATA_SOURCE=auto).
+// Runs once the persisted cache is restored, so the check above can see it.
+const detectDataSource = () => {
+  dataSourceService.detect();
+};
+
 // PROPER LAZY LOADING dengan dynamic import
 const HomePage = lazy(() => import(/* webpackChunkName: "home" */ './pages/HomePage'));
-const MakananPage = lazy(() => import(/* webpackChunkName: "makanan" */ './pages/MakananPage'));
-const MinumanPage = lazy(() => import(/* webpackChunkName: "minuman" */ './pages/MinumanPage'));
+const CategoryPage = lazy(() => import(/* webpackChunkName: "category" */ './pages/CategoryPage'));
 const ProfilePage = lazy(() => import(/* webpackChunkName: "profile" */ './pages/ProfilePage'));
 const CreateRecipePage = lazy(() => import(/* webpackChunkName: "create" */ './pages/CreateRecipePage'));
 const EditRecipePage = lazy(() => import(/* webpackChunkName: "edit" */ './pages/EditRecipePage'));
+const LoginPage = lazy(() => import(/* webpackChunkName: "login" */ './pages/LoginPage'));
+const RegisterPage = lazy(() => import(/* webpackChunkName: "register" */ './pages/RegisterPage'));
+const ShoppingListPage = lazy(() => import(/* webpackChunkName: "belanja" */ './pages/ShoppingListPage'));
+const MealPlannerPage = lazy(() => import(/* webpackChunkName: "planner" */ './pages/MealPlannerPage'));
 const RecipeDetail = lazy(() => import(/* webpackChunkName: "detail" */ './components/recipe/RecipeDetail'));
 const DesktopNavbar = lazy(() => import(/* webpackChunkName: "desktop-nav" */ './components/navbar/DesktopNavbar'));
 const MobileNavbar = lazy(() => import(/* webpackChunkName: "mobile-nav" */ './components/navbar/MobileNavbar'));
@@ -67,6 +152,7 @@ function RecipeDetailFromUrl() {
         category={category}
         onBack={handleBack}
         onEdit={handleEdit}
+        onOpenShoppingList={() => navigate('/belanja')}
       />
     </Suspense>
   );
@@ -81,11 +167,13 @@ function EditRecipeFromUrl() {
     navigate(-1);
   };
 
-  const handleSuccess = (updatedRecipe) => {
+  const handleSuccess = (updatedRecipe, { queued = false } = {}) => {
     queryClient.invalidateQueries({ queryKey: ['recipes'] });
     queryClient.invalidateQueries({ queryKey: ['recipe', id] });
     
-    alert('Resep berhasil diperbarui!');
+    if (!queued) {
+      toastService.success('Resep berhasil diperbarui!');
+    }
     if (updatedRecipe && updatedRecipe.category) {
       navigate(`/recipe/${updatedRecipe.category}/${id}`);
     } else {
@@ -93,12 +181,17 @@ function EditRecipeFromUrl() {
     }
   };
 
+  const handleViewRecipe = (recipe) => {
+    navigate(`/recipe/${recipe.category || DEFAULT_CATEGORY.slug}/${id}`, { replace: true });
+  };
+
   return (
     <Suspense fallback={<PageLoadingSpinner />}>
       <EditRecipePage
         recipeId={id}
-        onBack={handleBack}
-        onSuccess={handleSuccess}
+        onCancel={handleBack}
+        onSave={handleSuccess}
+        onViewRecipe={handleViewRecipe}
       />
     </Suspense>
   );
@@ -109,8 +202,7 @@ const preloadComponents = () => {
   // Preload komponen utama setelah splash screen
   const componentsToPreload = [
     import('./pages/HomePage'),
-    import('./pages/MakananPage'),
-    import('./pages/MinumanPage'),
+    import('./pages/CategoryPage'),
     import('./components/navbar/DesktopNavbar'),
     import('./components/navbar/MobileNavbar')
   ];
@@ -144,7 +236,7 @@ function AppWithRouter() {
     navigate('/create');
   };
 
-  const handleRecipeClick = (recipeId, category = 'makanan') => {
+  const handleRecipeClick = (recipeId, category = DEFAULT_CATEGORY.slug) => {
     navigate(`/recipe/${category}/${recipeId}`);
   };
 
@@ -156,14 +248,25 @@ function AppWithRouter() {
     navigate(-1);
   };
 
-  const handleCreateSuccess = (newRecipe) => {
+  // After login/register go back to where the user came from
+  const handleAuthSuccess = (result) => {
+    const claimed = result?.migration;
+    if (claimed && (claimed.favorites > 0 || claimed.reviews > 0)) {
+      toastService.success(`Berhasil masuk! ${claimed.favorites} favorit dan ${claimed.reviews} ulasan dari perangkat ini dipindahkan ke akunmu.`);
+    }
+    navigate(location.state?.from || '/profile', { replace: true });
+  };
+
+  const handleCreateSuccess = (newRecipe, { queued = false } = {}) => {
     queryClient.invalidateQueries({ queryKey: ['recipes'] });
     
-    alert('Resep berhasil dibuat!');
+    if (!queued) {
+      toastService.success('Resep berhasil dibuat!');
+    }
     if (newRecipe && newRecipe.category) {
       navigate(`/recipe/${newRecipe.category}/${newRecipe.id}`);
     } else {
-      navigate('/makanan');
+      navigate(`/${DEFAULT_CATEGORY.slug}`);
     }
   };
 
@@ -171,12 +274,15 @@ function AppWithRouter() {
   const getCurrentPage = () => {
     const path = location.pathname;
     if (path === '/' || path === '') return 'home';
-    if (path.startsWith('/makanan')) return 'makanan';
-    if (path.startsWith('/minuman')) return 'minuman';
-    if (path.startsWith('/profile')) return 'profile';
+    const category = CATEGORIES.find(({ slug }) => path.startsWith(`/${slug}`));
+    if (category) return category.slug;
+    // The planner also lives as a tab on the profile page
+    if (path.startsWith('/profile') || path.startsWith('/planner')) return 'profile';
+    if (path.startsWith('/belanja')) return 'belanja';
     if (path.startsWith('/create')) return 'create';
     if (path.startsWith('/edit')) return 'edit';
     if (path.startsWith('/recipe')) return 'detail';
+    if (path.startsWith('/login') || path.startsWith('/register')) return 'auth';
     return 'home';
   };
 
@@ -186,6 +292,7 @@ function AppWithRouter() {
   const isDetailMode = currentPage === 'detail';
   const isEditMode = currentPage === 'edit';
   const isCreateMode = currentPage === 'create';
+  const isAuthMode = currentPage === 'auth';
 
   if (showSplash) {
     return <SplashScreen onComplete={handleSplashComplete} />;
@@ -194,7 +301,7 @@ function AppWithRouter() {
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Only show navbar in list mode */}
-      {!isDetailMode && !isEditMode && !isCreateMode && (
+      {!isDetailMode && !isEditMode && !isCreateMode && !isAuthMode && (
         <>
           <Suspense fallback={<NavbarLoading />}>
             <DesktopNavbar 
@@ -213,6 +320,9 @@ function AppWithRouter() {
         </>
       )}
       
+      <DataSourceBanner onReset={reloadData} />
+      <Toaster />
+
       {/* Main Content */}
       <main className="min-h-screen">
         <Routes>
@@ -229,37 +339,57 @@ function AppWithRouter() {
             } 
           />
           
-          {/* Makanan Route */}
+          {/* Category Routes, one per entry in config/categories */}
+          {CATEGORIES.map((category) => (
+            <Route 
+              key={category.slug}
+              path={`/${category.slug}`} 
+              element={
+                <Suspense fallback={<PageLoadingSpinner />}>
+                  <CategoryPage 
+                    key={category.slug}
+                    category={category}
+                    onRecipeClick={handleRecipeClick} 
+                  />
+                </Suspense>
+              } 
+            />
+          ))}
+          
+          {/* Profile Route */}
           <Route 
-            path="/makanan" 
+            path="/profile" 
             element={
               <Suspense fallback={<PageLoadingSpinner />}>
-                <MakananPage 
+                <ProfilePage 
                   onRecipeClick={handleRecipeClick} 
+                  onNavigate={handleNavigation}
                 />
               </Suspense>
             } 
           />
           
-          {/* Minuman Route */}
+          {/* Shopping List Route */}
           <Route 
-            path="/minuman" 
+            path="/belanja" 
             element={
               <Suspense fallback={<PageLoadingSpinner />}>
-                <MinumanPage 
+                <ShoppingListPage 
                   onRecipeClick={handleRecipeClick} 
+                  onNavigate={handleNavigation}
                 />
               </Suspense>
             } 
           />
           
-          {/* Profile Route */}
+          {/* Meal Planner Route */}
           <Route 
-            path="/profile" 
+            path="/planner" 
             element={
               <Suspense fallback={<PageLoadingSpinner />}>
-                <ProfilePage 
+                <MealPlannerPage 
                   onRecipeClick={handleRecipeClick} 
+                  onNavigate={handleNavigation}
                 />
               </Suspense>
             } 
@@ -278,6 +408,34 @@ function AppWithRouter() {
             } 
           />
           
+          {/* Login Route */}
+          <Route 
+            path="/login" 
+            element={
+              <Suspense fallback={<PageLoadingSpinner />}>
+                <LoginPage
+                  onBack={handleBack}
+                  onSuccess={handleAuthSuccess}
+                  onRegister={() => navigate('/register', { replace: true, state: location.state })}
+                />
+              </Suspense>
+            } 
+          />
+          
+          {/* Register Route */}
+          <Route 
+            path="/register" 
+            element={
+              <Suspense fallback={<PageLoadingSpinner />}>
+                <RegisterPage
+                  onBack={handleBack}
+                  onSuccess={handleAuthSuccess}
+                  onLogin={() => navigate('/login', { replace: true, state: location.state })}
+                />
+              </Suspense>
+            } 
+          />
+          
           {/* Edit Recipe Route */}
           <Route 
             path="/edit/:id" 
@@ -334,14 +492,32 @@ const NavbarLoading = () => (
   </nav>
 );
 
+// Wait for the persisted cache so lists and details render from it immediately
+function RestoredApp() {
+  const isRestoring = useIsRestoring();
+
+  if (isRestoring) {
+    return null;
+  }
+
+  return (
+    <Router>
+      <AppWithRouter />
+    </Router>
+  );
+}
+
 // Root App Component dengan Query Provider
 function AppRoot() {
   return (
-    <QueryClientProvider client={queryClient}>
-      <Router>
-        <AppWithRouter />
-      </Router>
-    </QueryClientProvider>
+    <PersistQueryClientProvider
+      client={queryClient}
+      persistOptions={persistOptions}
+      onSuccess={detectDataSource}
+      onError={detectDataSource}
+    >
+      <RestoredApp />
+    </PersistQueryClientProvider>
   );
 }
 
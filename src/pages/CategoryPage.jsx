@@ -0,0 +1,236 @@
+import { useState } from 'react';
+import { useRecipes, useInfiniteRecipes } from '../hooks/useRecipes';
+import RecipeGrid from '../components/recipe/RecipeGrid';
+import AdvancedFilter from '../components/common/AdvancedFilter';
+import PantryResults from '../components/common/PantryResults';
+import { usePantryResults } from '../hooks/usePantry';
+import { useRecipeSearch } from '../hooks/useRecipeSearch';
+import { usePagingMode, PAGING_MODES } from '../hooks/usePagingMode';
+import { useScrollRestoration } from '../hooks/useScrollRestoration';
+import { useRecipeFilters } from '../hooks/useRecipeFilters';
+import Pagination from '../components/common/Pagination';
+
+/**
+ * Recipe list of one category; everything category-specific (texts,
+ * colours, default sort) comes from its entry in src/config/categories.js
+ */
+export default function CategoryPage({ category, onRecipeClick }) {
+  const { slug, theme } = category;
+
+  // Search, filters and page live in the URL (?q=soto&difficulty=mudah&page=2)
+  const { searchQuery, filters, page, setSearchQuery, setFilters, setPage } =
+    useRecipeFilters(category.defaultSort);
+  const [pantryMode, setPantryMode] = useState(false);
+
+  const [pagingMode, setPagingMode] = usePagingMode();
+  const isInfinite = pagingMode === PAGING_MODES.INFINITE;
+
+  // Fetch recipes dengan React Query caching: one growing list, or one page at a time
+  const queryParams = {
+    category: slug,
+    search: searchQuery || undefined,
+    difficulty: filters.difficulty || undefined,
+    limit: 12,
+    sort_by: filters.sortBy,
+    order: filters.order
+  };
+  const pagedQuery = useRecipes({ ...queryParams, page }, { enabled: !isInfinite });
+  const infiniteQuery = useInfiniteRecipes(queryParams, { enabled: isInfinite });
+  const { recipes, loading, error, isFetching, refetch } = isInfinite ? infiniteQuery : pagedQuery;
+  const { pagination } = pagedQuery;
+
+  // Recipes ranked by the ingredients the user has at home
+  const pantrySearch = usePantryResults(slug, {
+    enabled: pantryMode,
+    difficulty: filters.difficulty,
+    prepTimeMax: filters.prepTimeMax,
+  });
+
+  const handleSearchChange = (query) => {
+    setSearchQuery(query);
+  };
+
+  const handleFilterChange = (newFilters) => {
+    setFilters(newFilters);
+  };
+
+  const handleRecipeClick = (recipeId) => {
+    onRecipeClick(recipeId, slug);
+  };
+
+  const handlePageChange = (nextPage) => {
+    setPage(nextPage);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Local index first (works offline), then server results that aren't cached yet
+  const localSearch = useRecipeSearch(searchQuery, {
+    category: slug,
+    difficulty: filters.difficulty,
+  });
+  const localIds = new Set(localSearch.results.map(({ recipe }) => String(recipe.id)));
+  const listedRecipes = searchQuery
+    ? [
+        ...(isInfinite || page === 1 ? localSearch.results.map(({ recipe }) => recipe) : []),
+        ...recipes.filter(recipe => !localIds.has(String(recipe.id))),
+      ]
+    : recipes;
+  const hasLocalResults = Boolean(searchQuery) && localSearch.results.length > 0;
+
+  // Client-side filter untuk prep time
+  const filteredRecipes = filters.prepTimeMax
+    ? listedRecipes.filter(recipe => {
+        const prepTime = parseInt(recipe.prep_time);
+        return !isNaN(prepTime) && prepTime <= parseInt(filters.prepTimeMax);
+      })
+    : listedRecipes;
+
+  // Jump back to where the user was when they come back from a recipe
+  useScrollRestoration(slug, !loading && !pantryMode);
+
+  return (
+    <div className={`min-h-screen bg-linear-to-br ${theme.gradient} pb-20 md:pb-8`}>
+      <main className="max-w-7xl mx-auto px-4 md:px-8 py-8 md:py-12">
+        {/* Header */}
+        <div className="mb-8 text-center">
+          <h1 className="text-3xl md:text-5xl font-bold text-slate-800 mb-4">
+            {category.title}
+          </h1>
+          <p className="text-slate-600 max-w-2xl mx-auto">
+            {category.description}
+          </p>
+        </div>
+
+        {/* Advanced Filter */}
+        <AdvancedFilter
+          onSearchChange={handleSearchChange}
+          onFilterChange={handleFilterChange}
+          onPantryModeChange={setPantryMode}
+          initialFilters={{ ...filters, search: searchQuery, pantryMode }}
+          defaultSort={category.defaultSort}
+        />
+
+        {/* Pantry Results */}
+        {pantryMode && (
+          <section>
+            {pantrySearch.pantry.items.length === 0 ? (
+              <p className="text-center text-slate-500 py-12">
+                Tambahkan bahan yang kamu punya untuk melihat resep yang bisa dimasak
+              </p>
+            ) : pantrySearch.loading && pantrySearch.results.length === 0 ? (
+              <div className="text-center py-12">
+                <div className={`animate-spin rounded-full h-12 w-12 border-b-2 ${theme.spinner} mx-auto`}></div>
+                <p className="mt-4 text-slate-600">Mencocokkan bahan...</p>
+              </div>
+            ) : (
+              <>
+                <p className="text-sm text-slate-500 mb-4">
+                  {pantrySearch.results.length} dari {pantrySearch.checkedCount} resep memakai bahanmu
+                  {pantrySearch.withoutIngredients > 0 &&
+                    ` · ${pantrySearch.withoutIngredients} resep belum punya daftar bahan di perangkat ini`}
+                  {pantrySearch.error && ' · Sebagian resep tidak bisa dimuat, menampilkan data tersimpan'}
+                </p>
+                {pantrySearch.results.length === 0 ? (
+                  <div className="text-center py-12">
+                    <p className="text-gray-600 text-lg">Belum ada resep yang cocok dengan bahanmu</p>
+                    <p className="text-gray-500 mt-2">Coba tambahkan bahan lain</p>
+                  </div>
+                ) : (
+                  <PantryResults
+                    results={pantrySearch.results}
+                    onRecipeClick={handleRecipeClick}
+                    color={theme.primary}
+                  />
+                )}
+              </>
+            )}
+          </section>
+        )}
+
+        {/* Background Fetching Indicator */}
+        {isFetching && !loading && !pantryMode && !infiniteQuery.isFetchingNextPage && (
+          <div className={`fixed top-4 right-4 ${theme.solid} text-white px-4 py-2 rounded-lg shadow-lg z-50`}>
+            Memperbarui data...
+          </div>
+        )}
+
+        {/* Loading State */}
+        {loading && !pantryMode && !hasLocalResults && (
+          <div className="text-center py-12">
+            <div className={`animate-spin rounded-full h-12 w-12 border-b-2 ${theme.spinner} mx-auto`}></div>
+            <p className="mt-4 text-gray-600">Memuat resep...</p>
+          </div>
+        )}
+
+        {/* Error State */}
+        {error && !pantryMode && !hasLocalResults && (
+          <div className="text-center py-12">
+            <div className="bg-red-50 border border-red-200 rounded-lg p-6">
+              <p className="text-red-600 font-semibold mb-2">Terjadi Kesalahan</p>
+              <p className="text-red-500">{error}</p>
+              <button
+                onClick={refetch}
+                className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                Coba Lagi
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Recipes Grid */}
+        {(hasLocalResults || (!loading && !error)) && !pantryMode && (
+          <>
+            {hasLocalResults && error && (
+              <p className="text-sm text-slate-500 mb-4">
+                Server tidak dapat dihubungi, menampilkan hasil dari resep yang tersimpan di perangkat ini.
+              </p>
+            )}
+            <div className="flex justify-end mb-4">
+              <button
+                onClick={() => setPagingMode(isInfinite ? PAGING_MODES.PAGES : PAGING_MODES.INFINITE)}
+                className={`text-sm font-medium ${theme.text} hover:underline`}
+              >
+                {isInfinite ? 'Tampilkan per halaman' : 'Gulir otomatis'}
+              </button>
+            </div>
+            {filteredRecipes.length === 0 ? (
+              <div className="text-center py-12">
+                <p className="text-gray-600 text-lg">
+                  {searchQuery || filters.difficulty || filters.prepTimeMax 
+                    ? "Tidak ada resep yang sesuai dengan filter" 
+                    : `Belum ada resep ${category.label.toLowerCase()}`
+                  }
+                </p>
+                <p className="text-gray-500 mt-2">
+                  Coba ubah filter atau kata kunci pencarian
+                </p>
+              </div>
+            ) : (
+              <RecipeGrid
+                category={category}
+                recipes={filteredRecipes}
+                onRecipeClick={onRecipeClick}
+                highlights={localSearch.highlights}
+                onLoadMore={isInfinite ? infiniteQuery.fetchNextPage : undefined}
+                hasMore={infiniteQuery.hasNextPage}
+                loadingMore={infiniteQuery.isFetchingNextPage}
+              />
+            )}
+
+            {/* Numbered pages */}
+            {!isInfinite && pagination && (
+              <Pagination
+                page={page}
+                totalPages={pagination.total_pages}
+                total={pagination.total}
+                onPageChange={handlePageChange}
+                color={theme.primary}
+              />
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import {
   ArrowLeft,
+  FileUp,
   Upload,
   X,
   Plus,
@@ -21,13 +23,19 @@ import {
   getDraftTimestamp,
   formatDraftTime,
 } from "../utils/draftStorage";
+import toastService from "../services/toastService";
 import ConfirmModal from "../components/modals/ConfirmModal";
+import ImportRecipeModal from "../components/modals/ImportRecipeModal";
+import FieldError from "../components/common/FieldError";
+import { CATEGORIES, DEFAULT_CATEGORY } from "../config/categories";
+import { getErrorMessage, getFieldErrors } from "../utils/apiError";
+import { validateRecipe } from "../utils/recipeSchema";
 export default function CreateRecipePage({ onBack, onSuccess }) {
   // Step state: 'upload' or 'form'
   const [currentStep, setCurrentStep] = useState("upload");
   const [formData, setFormData] = useState({
     name: "",
-    category: "makanan",
+    category: DEFAULT_CATEGORY.slug,
     description: "",
     prep_time: "",
     cook_time: "",
@@ -44,17 +52,31 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
   const [uploading, setUploading] = useState(false);
   const [creating, setCreating] = useState(false);
   const [error, setError] = useState("");
+  // Validation errors by field ("name", "ingredients.2.quantity")
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showDraftModal, setShowDraftModal] = useState(false);
   const [draftTimestamp, setDraftTimestamp] = useState(null);
   const [autoSaveEnabled, setAutoSaveEnabled] = useState(true);
-  // Check for existing draft on mount
+  // Recipes shared to the app arrive as /create?title=&text=&url= (Web Share Target)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [sharedImport] = useState(() => {
+    const shared = {
+      title: searchParams.get("title") || "",
+      text: searchParams.get("text") || "",
+      url: searchParams.get("url") || "",
+    };
+    return shared.text || shared.url ? shared : null;
+  });
+  const [showImportModal, setShowImportModal] = useState(Boolean(sharedImport));
+  const [importedName, setImportedName] = useState("");
+  // Check for existing draft on mount (a shared recipe takes precedence)
   useEffect(() => {
-    if (hasDraft("create")) {
+    if (hasDraft("create") && !sharedImport) {
       const timestamp = getDraftTimestamp("create");
       setDraftTimestamp(timestamp);
       setShowDraftModal(true);
     }
-  }, []);
+  }, [sharedImport]);
   // Auto-save draft every 30 seconds (only when in form step)
   useEffect(() => {
     if (!autoSaveEnabled || currentStep !== "form") return;
@@ -70,13 +92,25 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
       setFormData(draft.formData || formData);
       setIngredients(draft.ingredients || ingredients);
       setSteps(draft.steps || steps);
+      // A draft may be unfinished, but what it has should still be valid
+      setFieldErrors(
+        validateRecipe(
+          {
+            ...draft.formData,
+            ingredients: draft.ingredients,
+            steps: draft.steps,
+            image_url: draft.uploadedImageUrl,
+          },
+          { partial: true }
+        )
+      );
       if (draft.uploadedImageUrl) {
         setUploadedImageUrl(draft.uploadedImageUrl);
         setImagePreview(draft.uploadedImageUrl);
         setCurrentStep("form"); // Go to form if image was uploaded
       }
       setShowDraftModal(false);
-      alert("Draft berhasil dimuat!");
+      toastService.success("Draft berhasil dimuat!");
     }
   };
   // Discard draft
@@ -86,6 +120,39 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
 
     setDraftTimestamp(null);
   };
+  // Fill the form with a reviewed import
+  const handleImport = (recipe) => {
+    setFormData((prev) => ({
+      ...prev,
+      name: recipe.name,
+      category: recipe.category,
+      description: recipe.description,
+      prep_time: recipe.prep_time,
+      cook_time: recipe.cook_time,
+      servings: recipe.servings,
+      difficulty: recipe.difficulty,
+    }));
+    setIngredients(
+      recipe.ingredients.length ? recipe.ingredients : [{ name: "", quantity: "" }]
+    );
+    setSteps(recipe.steps.length ? recipe.steps : [""]);
+    setImportedName(recipe.name || "Resep");
+    setError("");
+    // Point at whatever the source didn't provide
+    setFieldErrors(validateRecipe({ ...formData, ...recipe }));
+    // A picture from the source can be used as is; otherwise upload one first
+    if (recipe.image_url) {
+      setUploadedImageUrl(recipe.image_url);
+      setImagePreview(recipe.image_url);
+      setCurrentStep("form");
+    }
+  };
+  const handleCloseImport = () => {
+    setShowImportModal(false);
+    if (sharedImport) {
+      setSearchParams({}, { replace: true });
+    }
+  };
   // Save draft manually
   const handleSaveDraft = () => {
     const draftData = {
@@ -133,12 +200,12 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
       if (uploadResult.success) {
         setUploadedImageUrl(uploadResult.data.url);
         setCurrentStep("form");
-        alert(" Gambar berhasil diupload! Silakan isi form resep.");
+        toastService.success("Gambar berhasil diupload! Silakan isi form resep.");
       } else {
         throw new Error(uploadResult.error || "Gagal upload gambar");
       }
     } catch (err) {
-      setError(err.message || "Gagal mengupload gambar");
+      setError(getErrorMessage(err, "Gagal mengupload gambar"));
     } finally {
       setUploading(false);
     }
@@ -162,18 +229,30 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
     }
   };
   // Handle form field changes
+  const borderFor = (field) =>
+    fieldErrors[field] ? "border-red-400" : "border-slate-300";
+  // Editing a field clears its errors
+  const clearFieldErrors = (matches) => {
+    setFieldErrors((prev) =>
+      Object.fromEntries(Object.entries(prev).filter(([key]) => !matches(key)))
+    );
+  };
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData((prev) => ({
       ...prev,
       [name]: type === "checkbox" ? checked : value,
     }));
+    clearFieldErrors((key) => key === name);
   };
   // Handle ingredient changes
   const handleIngredientChange = (index, field, value) => {
     const newIngredients = [...ingredients];
     newIngredients[index][field] = value;
     setIngredients(newIngredients);
+    clearFieldErrors(
+      (key) => key === "ingredients" || key === `ingredients.${index}.${field}`
+    );
   };
 
   const addIngredient = () => {
@@ -182,6 +261,8 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
   const removeIngredient = (index) => {
     if (ingredients.length > 1) {
       setIngredients(ingredients.filter((_, i) => i !== index));
+      // Rows below move up, so their errors no longer line up
+      clearFieldErrors((key) => key.startsWith("ingredients"));
     }
   };
   // Handle step changes
@@ -189,6 +270,7 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
     const newSteps = [...steps];
     newSteps[index] = value;
     setSteps(newSteps);
+    clearFieldErrors((key) => key === "steps" || key === `steps.${index}`);
   };
   const addStep = () => {
     setSteps([...steps, ""]);
@@ -196,43 +278,15 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
   const removeStep = (index) => {
     if (steps.length > 1) {
       setSteps(steps.filter((_, i) => i !== index));
+      clearFieldErrors((key) => key.startsWith("steps"));
     }
   };
-  // Validate form
-  const validateForm = () => {
-    if (!formData.name.trim()) {
-      setError("Nama resep wajib diisi");
-      return false;
-    }
-    if (formData.name.trim().length < 3) {
-      setError("Nama resep minimal 3 karakter");
-      return false;
-    }
-    if (!formData.prep_time || formData.prep_time <= 0) {
-      setError("Waktu persiapan harus lebih dari 0");
-      return false;
-    }
-    if (!formData.cook_time || formData.cook_time <= 0) {
-      setError("Waktu memasak harus lebih dari 0");
-      return false;
-    }
-    if (!formData.servings || formData.servings <= 0) {
-      setError("Jumlah porsi harus lebih dari 0");
-      return false;
-    }
-
-    // Validate ingredients
-    const validIngredients = ingredients.filter(
-      (ing) => ing.name.trim() && ing.quantity.trim()
-    );
-    if (validIngredients.length === 0) {
-      setError("Minimal harus ada 1 bahan");
-      return false;
-    }
-    // Validate steps
-    const validSteps = steps.filter((step) => step.trim());
-    if (validSteps.length === 0) {
-      setError("Minimal harus ada 1 langkah");
+  // Check the form against the recipe schema and mark the fields to fix
+  const validateForm = (recipeData) => {
+    const errors = validateRecipe(recipeData);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setError("Resep belum bisa disimpan. Periksa kembali isian yang ditandai.");
       return false;
     }
     return true;
@@ -242,42 +296,47 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
     e.preventDefault();
     setError("");
 
-    // Validate form
-    if (!validateForm()) {
+    const recipeData = {
+      ...formData,
+      image_url: uploadedImageUrl,
+      ingredients,
+      steps,
+    };
+    if (!validateForm(recipeData)) {
       return;
     }
 
     try {
       setCreating(true);
 
-      // Prepare recipe data
-      const recipeData = {
-        ...formData,
-        image_url: uploadedImageUrl,
-        ingredients,
-        steps,
-      };
-
       // Create recipe
       const response = await recipeService.createRecipe(recipeData);
 
+      // Offline: the recipe waits in the outbox until we're back online
+      if (response?.queued) {
+        deleteDraft("create");
+        toastService.info(response.message);
+        if (onSuccess) {
+          onSuccess(response.data, { queued: true });
+        }
+        return;
+      }
+
       // Check if response has the recipe data
       const createdRecipe = response?.data?.data || response?.data;
       if (createdRecipe?.id) {
         // Delete draft after successful creation
         deleteDraft("create");
 
-        // Show success message
-        alert("Resep berhasil dibuat!");
-
-        // Call success callback
+        // Call success callback (it tells the user)
         if (onSuccess) {
           onSuccess(createdRecipe);
         } else {
+          toastService.success("Resep berhasil dibuat!");
           // Reset form
           setFormData({
             name: "",
-            category: "makanan",
+            category: DEFAULT_CATEGORY.slug,
             description: "",
             prep_time: "",
             cook_time: "",
@@ -297,11 +356,10 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
       }
     } catch (err) {
       console.error("Error creating recipe:", err);
-      setError(
-        err.response?.data?.message ||
-          err.message ||
-          "Gagal membuat resep. Coba lagi."
+      setFieldErrors(
+        recipeService.mapFieldErrorsToForm(getFieldErrors(err), recipeData)
       );
+      setError(getErrorMessage(err, "Gagal membuat resep. Coba lagi."));
     } finally {
       setCreating(false);
     }
@@ -321,6 +379,12 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
         cancelText="Mulai Baru"
         variant="info"
       />
+      <ImportRecipeModal
+        isOpen={showImportModal}
+        onClose={handleCloseImport}
+        onImport={handleImport}
+        shared={sharedImport}
+      />
       {/* Header */}
       <div className="sticky top-0 z-10 bg-white/80 backdrop-blur-md border-b border-slate-200 shadow-sm">
         <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between">
@@ -343,6 +407,15 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                 </span>
               </div>
             )}
+            <button
+              onClick={() => setShowImportModal(true)}
+              className="flex items-center gap-2 px-3 py-2 text-slate-700 hover:bg-slate-100 rounded-lg transition-colors"
+              title="Impor resep dari teks, file atau tautan"
+            >
+              <FileUp className="w-5 h-5" />
+
+              <span className="hidden md:inline text-sm">Impor</span>
+            </button>
             <button
               onClick={handleSaveDraft}
               className="flex items-center gap-2 px-3 py-2 text-slate-700 hover:bg-slate-100 rounded-lg transition-colors"
@@ -435,6 +508,20 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                   Gambar harus diupload terlebih dahulu sebelum mengisi form
                 </p>
               </div>
+              {importedName ? (
+                <div className="bg-blue-50 border border-blue-200 rounded-xl p-4 text-sm text-blue-800">
+                  &ldquo;{importedName}&rdquo; sudah diimpor. Upload foto untuk
+                  melanjutkan ke form.
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setShowImportModal(true)}
+                  className="w-full text-sm text-blue-600 hover:underline"
+                >
+                  Punya resep dari tempat lain? Impor dari teks, file atau tautan
+                </button>
+              )}
               {!imagePreview ? (
                 <div className="border-2 border-dashed border-slate-300 rounded-xl p-12 text-center hover:border-blue-400 transition-colors">
                   <input
@@ -502,7 +589,7 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
           )}
           {/* STEP 2: Form Fields */}
           {currentStep === "form" && (
-            <form onSubmit={handleSubmit} className="space-y-8">
+            <form onSubmit={handleSubmit} noValidate className="space-y-8">
               {/* Uploaded Image Preview */}
 
               <div className="bg-green-50 border border-green-200 rounded-xl p-4">
@@ -522,6 +609,7 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                     <p className="text-sm text-slate-600">
                       Silakan isi form di bawah untuk melengkapi resep
                     </p>
+                    <FieldError message={fieldErrors.image_url} />
                   </div>
                   <button
                     type="button"
@@ -544,9 +632,11 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                     value={formData.name}
                     onChange={handleChange}
                     placeholder="Nasi Goreng Spesial"
-                    className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    className={`w-full px-4 py-3 border ${borderFor("name")} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                    aria-invalid={Boolean(fieldErrors.name)}
                     required
                   />
+                  <FieldError message={fieldErrors.name} />
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-2">
@@ -556,11 +646,16 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                     name="category"
                     value={formData.category}
                     onChange={handleChange}
-                    className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    className={`w-full px-4 py-3 border ${borderFor("category")} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                    aria-invalid={Boolean(fieldErrors.category)}
                   >
-                    <option value="makanan">Makanan</option>
-                    <option value="minuman">Minuman</option>
+                    {CATEGORIES.map(({ slug, label }) => (
+                      <option key={slug} value={slug}>
+                        {label}
+                      </option>
+                    ))}
                   </select>
+                  <FieldError message={fieldErrors.category} />
                 </div>
               </div>
               {/* Description */}
@@ -574,8 +669,10 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                   onChange={handleChange}
                   placeholder="Ceritakan tentang resep ini..."
                   rows={4}
-                  className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+                  className={`w-full px-4 py-3 border ${borderFor("description")} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none`}
+                  aria-invalid={Boolean(fieldErrors.description)}
                 />
+                <FieldError message={fieldErrors.description} />
               </div>
               {/* Time & Servings */}
 
@@ -591,10 +688,12 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                     value={formData.prep_time}
                     onChange={handleChange}
                     placeholder="15"
-                    min="1"
-                    className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    min="0"
+                    className={`w-full px-4 py-3 border ${borderFor("prep_time")} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                    aria-invalid={Boolean(fieldErrors.prep_time)}
                     required
                   />
+                  <FieldError message={fieldErrors.prep_time} />
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-2">
@@ -607,10 +706,12 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                     value={formData.cook_time}
                     onChange={handleChange}
                     placeholder="20"
-                    min="1"
-                    className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    min="0"
+                    className={`w-full px-4 py-3 border ${borderFor("cook_time")} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                    aria-invalid={Boolean(fieldErrors.cook_time)}
                     required
                   />
+                  <FieldError message={fieldErrors.cook_time} />
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-2">
@@ -623,9 +724,11 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                     onChange={handleChange}
                     placeholder="4"
                     min="1"
-                    className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    className={`w-full px-4 py-3 border ${borderFor("servings")} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                    aria-invalid={Boolean(fieldErrors.servings)}
                     required
                   />
+                  <FieldError message={fieldErrors.servings} />
                 </div>
               </div>
               {/* Difficulty */}
@@ -637,12 +740,14 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                   name="difficulty"
                   value={formData.difficulty}
                   onChange={handleChange}
-                  className="w-full px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  className={`w-full px-4 py-3 border ${borderFor("difficulty")} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                  aria-invalid={Boolean(fieldErrors.difficulty)}
                 >
                   <option value="mudah">Mudah</option>
                   <option value="sedang">Sedang</option>
                   <option value="sulit">Sulit</option>
                 </select>
+                <FieldError message={fieldErrors.difficulty} />
               </div>
               {/* Ingredients */}
               <div>
@@ -651,39 +756,50 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                 </label>
                 <div className="space-y-3">
                   {ingredients.map((ingredient, index) => (
-                    <div key={index} className="flex gap-3">
-                      <input
-                        type="text"
-                        value={ingredient.name}
-                        onChange={(e) =>
-                          handleIngredientChange(index, "name", e.target.value)
-                        }
-                        placeholder="Nama bahan"
-                        className="flex-1 px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                      />
-                      <input
-                        type="text"
-                        value={ingredient.quantity}
-                        onChange={(e) =>
-                          handleIngredientChange(
-                            index,
-                            "quantity",
-                            e.target.value
-                          )
+                    <div key={index}>
+                      <div className="flex gap-3">
+                        <input
+                          type="text"
+                          value={ingredient.name}
+                          onChange={(e) =>
+                            handleIngredientChange(index, "name", e.target.value)
+                          }
+                          placeholder="Nama bahan"
+                          className={`flex-1 px-4 py-3 border ${borderFor(`ingredients.${index}.name`)} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                          aria-invalid={Boolean(fieldErrors[`ingredients.${index}.name`])}
+                        />
+                        <input
+                          type="text"
+                          value={ingredient.quantity}
+                          onChange={(e) =>
+                            handleIngredientChange(
+                              index,
+                              "quantity",
+                              e.target.value
+                            )
+                          }
+                          placeholder="Jumlah"
+                          className={`w-32 px-4 py-3 border ${borderFor(`ingredients.${index}.quantity`)} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                          aria-invalid={Boolean(fieldErrors[`ingredients.${index}.quantity`])}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeIngredient(index)}
+                          disabled={ingredients.length === 1}
+                          className="p-3 text-red-600 hover:bg-red-50 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <X className="w-5 h-5" />
+                        </button>
+                      </div>
+                      <FieldError
+                        message={
+                          fieldErrors[`ingredients.${index}.name`] ||
+                          fieldErrors[`ingredients.${index}.quantity`]
                         }
-                        placeholder="Jumlah"
-                        className="w-32 px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                       />
-                      <button
-                        type="button"
-                        onClick={() => removeIngredient(index)}
-                        disabled={ingredients.length === 1}
-                        className="p-3 text-red-600 hover:bg-red-50 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        <X className="w-5 h-5" />
-                      </button>
                     </div>
                   ))}
+                  <FieldError message={fieldErrors.ingredients} />
                   <button
                     type="button"
                     onClick={addIngredient}
@@ -701,29 +817,34 @@ export default function CreateRecipePage({ onBack, onSuccess }) {
                 </label>
                 <div className="space-y-3">
                   {steps.map((step, index) => (
-                    <div key={index} className="flex gap-3">
-                      <div className="flex-shrink-0 w-10 h-10 bg-blue-600 text-white rounded-full flex items-center justify-center font-bold">
-                        {index + 1}
+                    <div key={index}>
+                      <div className="flex gap-3">
+                        <div className="flex-shrink-0 w-10 h-10 bg-blue-600 text-white rounded-full flex items-center justify-center font-bold">
+                          {index + 1}
+                        </div>
+                        <textarea
+                          value={step}
+                          onChange={(e) =>
+                            handleStepChange(index, e.target.value)
+                          }
+                          placeholder="Tulis langkah..."
+                          rows={2}
+                          className={`flex-1 px-4 py-3 border ${borderFor(`steps.${index}`)} rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none`}
+                          aria-invalid={Boolean(fieldErrors[`steps.${index}`])}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeStep(index)}
+                          disabled={steps.length === 1}
+                          className="p-3 text-red-600 hover:bg-red-50 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed self-start"
+                        >
+                          <X className="w-5 h-5" />
+                        </button>
                       </div>
-                      <textarea
-                        value={step}
-                        onChange={(e) =>
-                          handleStepChange(index, e.target.value)
-                        }
-                        placeholder="Tulis langkah..."
-                        rows={2}
-                        className="flex-1 px-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
-                      />
-                      <button
-                        type="button"
-                        onClick={() => removeStep(index)}
-                        disabled={steps.length === 1}
-                        className="p-3 text-red-600 hover:bg-red-50 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed self-start"
-                      >
-                        <X className="w-5 h-5" />
-                      </button>
+                      <FieldError message={fieldErrors[`steps.${index}`]} className="ml-13" />
                     </div>
                   ))}
+                  <FieldError message={fieldErrors.steps} />
                   <button
                     type="button"
                     onClick={addStep}
@@ -2,16 +2,40 @@
 import { useState, useEffect } from "react";
 import { useRecipe, useUpdateRecipe } from "../hooks/useRecipes";
 import uploadService from "../services/uploadService";
+import recipeService from "../services/recipeService";
+import toastService from "../services/toastService";
 import { Save, X, Plus, Trash2, Upload, Loader } from "lucide-react";
-
-export default function EditRecipePage({ recipeId, onSave, onCancel }) {
+import NotRecipeOwner from "../components/common/NotRecipeOwner";
+import FieldError from "../components/common/FieldError";
+import RecipeConflictModal from "../components/modals/RecipeConflictModal";
+import { isForbiddenError } from "../config/api";
+import { CATEGORIES, DEFAULT_CATEGORY } from "../config/categories";
+import { isRecipeOwner } from "../utils/permissions";
+import { API_ERROR_TYPES, getErrorMessage, getFieldErrors } from "../utils/apiError";
+import { validateRecipe } from "../utils/recipeSchema";
+import { getRecipeRevision } from "../utils/recipeMerge";
+
+const toFormData = (recipe) => ({
+  name: recipe.name || "",
+  description: recipe.description || "",
+  category: recipe.category || DEFAULT_CATEGORY.slug,
+  difficulty: recipe.difficulty || "mudah",
+  prep_time: recipe.prep_time || 0,
+  cook_time: recipe.cook_time || 0,
+  servings: recipe.servings || 1,
+  image_url: recipe.image_url || "",
+  ingredients: recipe.ingredients || [],
+  steps: recipe.steps || []
+});
+
+export default function EditRecipePage({ recipeId, onSave, onCancel, onViewRecipe }) {
   const { recipe, loading: recipeLoading, error: recipeError, refetch } = useRecipe(recipeId);
   const { updateRecipe, loading: updateLoading } = useUpdateRecipe();
   
   const [formData, setFormData] = useState({
     name: "",
     description: "",
-    category: "makanan",
+    category: DEFAULT_CATEGORY.slug,
     difficulty: "mudah",
     prep_time: 0,
     cook_time: 0,
@@ -25,24 +49,32 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
   const [newStep, setNewStep] = useState("");
   const [imageUploading, setImageUploading] = useState(false);
   const [imageError, setImageError] = useState("");
-
-  // Initialize form data when recipe is loaded
+  const [forbidden, setForbidden] = useState(false);
+  // Validation errors by field ("name", "steps.2")
+  const [fieldErrors, setFieldErrors] = useState({});
+  // The copy being edited; its version is sent with the update
+  const [baseRecipe, setBaseRecipe] = useState(null);
+  // Latest recipe from the server when saving hit a conflict
+  const [conflict, setConflict] = useState(null);
+
+  // Initialize form data when recipe is loaded. Refetches (e.g. on window
+  // focus) must not wipe the edit, so it only happens once per recipe.
   useEffect(() => {
-    if (recipe) {
-      setFormData({
-        name: recipe.name || "",
-        description: recipe.description || "",
-        category: recipe.category || "makanan",
-        difficulty: recipe.difficulty || "mudah",
-        prep_time: recipe.prep_time || 0,
-        cook_time: recipe.cook_time || 0,
-        servings: recipe.servings || 1,
-        image_url: recipe.image_url || "",
-        ingredients: recipe.ingredients || [],
-        steps: recipe.steps || []
-      });
+    if (recipe && recipe.id !== baseRecipe?.id) {
+      setBaseRecipe(recipe);
+      setFormData(toFormData(recipe));
     }
-  }, [recipe]);
+  }, [recipe, baseRecipe]);
+
+  // Editing a field clears its errors
+  const clearFieldErrors = (matches) => {
+    setFieldErrors(prev =>
+      Object.fromEntries(Object.entries(prev).filter(([key]) => !matches(key)))
+    );
+  };
+
+  const borderFor = (field) =>
+    fieldErrors[field] ? "border-red-400" : "border-gray-300";
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -50,6 +82,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
       ...prev,
       [name]: value
     }));
+    clearFieldErrors(key => key === name);
   };
 
   const handleNumberInputChange = (e) => {
@@ -58,6 +91,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
       ...prev,
       [name]: parseInt(value) || 0
     }));
+    clearFieldErrors(key => key === name);
   };
 
   const handleAddIngredient = () => {
@@ -74,6 +108,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
         ]
       }));
       setNewIngredient({ name: "", quantity: "" });
+      clearFieldErrors(key => key === "ingredients");
     }
   };
 
@@ -82,6 +117,8 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
       ...prev,
       ingredients: prev.ingredients.filter((_, i) => i !== index)
     }));
+    // Rows below move up, so their errors no longer line up
+    clearFieldErrors(key => key.startsWith("ingredients"));
   };
 
   const handleAddStep = () => {
@@ -98,6 +135,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
         ]
       }));
       setNewStep("");
+      clearFieldErrors(key => key === "steps");
     }
   };
 
@@ -112,6 +150,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
       ...prev,
       steps: updatedSteps
     }));
+    clearFieldErrors(key => key.startsWith("steps"));
   };
 
   const handleStepChange = (index, value) => {
@@ -124,6 +163,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
       ...prev,
       steps: updatedSteps
     }));
+    clearFieldErrors(key => key === `steps.${index}`);
   };
 
   const handleImageChange = async (e) => {
@@ -147,7 +187,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
       }
     } catch (error) {
       console.error("Error uploading image:", error);
-      setImageError(error.message || "Gagal mengupload gambar");
+      setImageError(getErrorMessage(error, "Gagal mengupload gambar"));
     } finally {
       setImageUploading(false);
     }
@@ -170,40 +210,58 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    // Validation
-    if (!formData.name.trim()) {
-      alert("Nama resep harus diisi");
-      return;
-    }
-
-    if (!formData.description.trim()) {
-      alert("Deskripsi resep harus diisi");
-      return;
-    }
-
-    if (formData.ingredients.length === 0) {
-      alert("Minimal satu bahan harus ditambahkan");
-      return;
-    }
-
-    if (formData.steps.length === 0) {
-      alert("Minimal satu langkah harus ditambahkan");
+    // Validation (same rules as the create form and recipeService)
+    const errors = validateRecipe(formData);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      toastService.warning("Periksa kembali isian resep yang ditandai.");
       return;
     }
 
     try {
-      const result = await updateRecipe(recipeId, formData);
-      if (result) {
+      const result = await updateRecipe(recipeId, {
+        ...formData,
+        ...getRecipeRevision(baseRecipe)
+      });
+      if (result?.queued) {
+        toastService.info("Tidak ada koneksi. Perubahan disimpan dan akan dikirim saat online.");
+        onSave?.(result.recipe, { queued: true });
+      } else if (result) {
         // Refresh the recipe data
         await refetch();
         onSave?.(result);
       }
     } catch (error) {
       console.error("Error updating recipe:", error);
-      alert("Gagal menyimpan resep: " + (error.message || "Terjadi kesalahan"));
+      if (isForbiddenError(error)) {
+        setForbidden(true);
+        return;
+      }
+      if (error?.type === API_ERROR_TYPES.CONFLICT) {
+        // Compare against the latest copy the server sent back, or fetch it
+        // when the response didn't include one
+        const theirs = error.data?.data || (await refetch()).data?.data;
+        if (theirs) {
+          setConflict(theirs);
+          return;
+        }
+      }
+      setFieldErrors(
+        recipeService.mapFieldErrorsToForm(getFieldErrors(error), formData)
+      );
+      toastService.error(error, "Gagal menyimpan resep");
     }
   };
 
+  const handleResolveConflict = (merged) => {
+    setFormData(merged);
+    // Saving again now builds on the latest version
+    setBaseRecipe(conflict);
+    setConflict(null);
+    setFieldErrors({});
+    toastService.info("Perubahan digabungkan. Periksa hasilnya lalu simpan lagi.");
+  };
+
   if (recipeLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -231,6 +289,17 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
     );
   }
 
+  // Block the form for other people's recipes (the server refuses them too)
+  if (forbidden || !isRecipeOwner(recipe)) {
+    return (
+      <NotRecipeOwner
+        recipeName={recipe.name}
+        onViewRecipe={onViewRecipe && (() => onViewRecipe(recipe))}
+        onBack={onCancel}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-4xl mx-auto px-4">
@@ -261,7 +330,7 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
             </div>
           </div>
 
-          <form onSubmit={handleSubmit} className="space-y-6">
+          <form onSubmit={handleSubmit} noValidate className="space-y-6">
             {/* Basic Information */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
@@ -274,9 +343,11 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                   value={formData.name}
                   onChange={handleInputChange}
                   required
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  className={`w-full px-3 py-2 border ${borderFor("name")} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500`}
+                  aria-invalid={Boolean(fieldErrors.name)}
                   placeholder="Masukkan nama resep"
                 />
+                <FieldError message={fieldErrors.name} />
               </div>
 
               <div>
@@ -287,11 +358,16 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                   name="category"
                   value={formData.category}
                   onChange={handleInputChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  className={`w-full px-3 py-2 border ${borderFor("category")} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500`}
+                  aria-invalid={Boolean(fieldErrors.category)}
                 >
-                  <option value="makanan">Makanan</option>
-                  <option value="minuman">Minuman</option>
+                  {CATEGORIES.map(({ slug, label }) => (
+                    <option key={slug} value={slug}>
+                      {label}
+                    </option>
+                  ))}
                 </select>
+                <FieldError message={fieldErrors.category} />
               </div>
 
               <div>
@@ -302,12 +378,14 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                   name="difficulty"
                   value={formData.difficulty}
                   onChange={handleInputChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  className={`w-full px-3 py-2 border ${borderFor("difficulty")} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500`}
+                  aria-invalid={Boolean(fieldErrors.difficulty)}
                 >
                   <option value="mudah">Mudah</option>
                   <option value="sedang">Sedang</option>
                   <option value="sulit">Sulit</option>
                 </select>
+                <FieldError message={fieldErrors.difficulty} />
               </div>
 
               <div>
@@ -321,8 +399,10 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                   onChange={handleNumberInputChange}
                   min="1"
                   required
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  className={`w-full px-3 py-2 border ${borderFor("servings")} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500`}
+                  aria-invalid={Boolean(fieldErrors.servings)}
                 />
+                <FieldError message={fieldErrors.servings} />
               </div>
 
               <div>
@@ -336,8 +416,10 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                   onChange={handleNumberInputChange}
                   min="0"
                   required
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  className={`w-full px-3 py-2 border ${borderFor("prep_time")} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500`}
+                  aria-invalid={Boolean(fieldErrors.prep_time)}
                 />
+                <FieldError message={fieldErrors.prep_time} />
               </div>
 
               <div>
@@ -351,25 +433,28 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                   onChange={handleNumberInputChange}
                   min="0"
                   required
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  className={`w-full px-3 py-2 border ${borderFor("cook_time")} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500`}
+                  aria-invalid={Boolean(fieldErrors.cook_time)}
                 />
+                <FieldError message={fieldErrors.cook_time} />
               </div>
             </div>
 
             {/* Description */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Deskripsi *
+                Deskripsi
               </label>
               <textarea
                 name="description"
                 value={formData.description}
                 onChange={handleInputChange}
                 rows="3"
-                required
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                className={`w-full px-3 py-2 border ${borderFor("description")} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500`}
+                aria-invalid={Boolean(fieldErrors.description)}
                 placeholder="Deskripsikan resep Anda..."
               />
+              <FieldError message={fieldErrors.description} />
             </div>
 
             {/* Image Upload */}
@@ -377,8 +462,8 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Gambar Resep
               </label>
-              {imageError && (
-                <p className="text-red-600 text-sm mb-2">{imageError}</p>
+              {(imageError || fieldErrors.image_url) && (
+                <p className="text-red-600 text-sm mb-2">{imageError || fieldErrors.image_url}</p>
               )}
               <div className="flex items-center gap-4">
                 {formData.image_url ? (
@@ -454,16 +539,31 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                 </div>
               </div>
 
+              <FieldError message={fieldErrors.ingredients} className="mb-2" />
+
               {/* Ingredients List */}
               <div className="space-y-2">
                 {formData.ingredients.length === 0 ? (
                   <p className="text-gray-500 text-center py-4">Belum ada bahan-bahan</p>
                 ) : (
                   formData.ingredients.map((ingredient, index) => (
-                    <div key={ingredient.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
-                      <span className="flex-1 text-gray-700">
+                    <div
+                      key={ingredient.id}
+                      className={`flex items-center gap-3 p-3 rounded-lg ${
+                        fieldErrors[`ingredients.${index}.name`] || fieldErrors[`ingredients.${index}.quantity`]
+                          ? "bg-red-50 border border-red-200"
+                          : "bg-gray-50"
+                      }`}
+                    >
+                      <div className="flex-1 text-gray-700">
                         <strong>{ingredient.name}</strong> - {ingredient.quantity}
-                      </span>
+                        <FieldError
+                          message={
+                            fieldErrors[`ingredients.${index}.name`] ||
+                            fieldErrors[`ingredients.${index}.quantity`]
+                          }
+                        />
+                      </div>
                       <button
                         type="button"
                         onClick={() => handleRemoveIngredient(index)}
@@ -503,6 +603,8 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                 </button>
               </div>
 
+              <FieldError message={fieldErrors.steps} className="mb-2" />
+
               {/* Steps List */}
               <div className="space-y-3">
                 {formData.steps.length === 0 ? (
@@ -513,13 +615,17 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
                       <span className="flex-shrink-0 w-8 h-8 bg-indigo-600 text-white rounded-full flex items-center justify-center font-semibold">
                         {step.step_number}
                       </span>
-                      <textarea
-                        value={step.instruction}
-                        onChange={(e) => handleStepChange(index, e.target.value)}
-                        rows="2"
-                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 bg-white"
-                        placeholder="Tulis langkah..."
-                      />
+                      <div className="flex-1">
+                        <textarea
+                          value={step.instruction}
+                          onChange={(e) => handleStepChange(index, e.target.value)}
+                          rows="2"
+                          className={`w-full px-3 py-2 border ${borderFor(`steps.${index}`)} rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 bg-white`}
+                          aria-invalid={Boolean(fieldErrors[`steps.${index}`])}
+                          placeholder="Tulis langkah..."
+                        />
+                        <FieldError message={fieldErrors[`steps.${index}`]} />
+                      </div>
                       <button
                         type="button"
                         onClick={() => handleRemoveStep(index)}
@@ -535,6 +641,16 @@ export default function EditRecipePage({ recipeId, onSave, onCancel }) {
           </form>
         </div>
       </div>
+
+      <RecipeConflictModal
+        key={conflict ? JSON.stringify(getRecipeRevision(conflict)) : "closed"}
+        isOpen={Boolean(conflict)}
+        base={baseRecipe}
+        mine={formData}
+        theirs={conflict}
+        onResolve={handleResolveConflict}
+        onClose={() => setConflict(null)}
+      />
     </div>
   );
 }
\ No newline at end of file
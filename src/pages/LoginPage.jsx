@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { ArrowLeft, LogIn, Loader, Mail, Lock } from "lucide-react";
+import { useAuth } from "../hooks/useAuth";
+
+export default function LoginPage({ onBack, onSuccess, onRegister }) {
+  const [formData, setFormData] = useState({ email: "", password: "" });
+  const { login, loading, error } = useAuth();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const result = await login({
+      email: formData.email.trim(),
+      password: formData.password,
+    });
+    if (result) {
+      onSuccess?.(result);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-blue-50 via-white to-indigo-50 pb-20 md:pb-8">
+      {/* Header */}
+      <div className="sticky top-0 z-10 bg-white/80 backdrop-blur-md border-b border-slate-200 shadow-sm">
+        <div className="max-w-md mx-auto px-4 py-4">
+          <button
+            onClick={onBack}
+            className="flex items-center gap-2 text-slate-700 hover:text-slate-900 transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+            <span className="font-medium">Kembali</span>
+          </button>
+        </div>
+      </div>
+
+      <main className="max-w-md mx-auto px-4 py-8">
+        <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40">
+          <h1 className="text-3xl font-bold text-slate-800 mb-2">Masuk</h1>
+          <p className="text-slate-600 mb-6">
+            Simpan favorit dan ulasanmu di semua perangkat
+          </p>
+
+          {error && (
+            <div className="mb-6 bg-red-50 border border-red-200 rounded-xl p-4">
+              <p className="text-red-600 text-sm">
+                {error.message || "Gagal masuk. Coba lagi."}
+              </p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">
+                Email
+              </label>
+              <div className="relative">
+                <Mail className="w-5 h-5 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                  autoComplete="email"
+                  placeholder="nama@email.com"
+                  className="w-full pl-11 pr-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">
+                Kata Sandi
+              </label>
+              <div className="relative">
+                <Lock className="w-5 h-5 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  autoComplete="current-password"
+                  className="w-full pl-11 pr-4 py-3 border border-slate-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-4 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold rounded-xl hover:from-blue-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg hover:shadow-xl flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <Loader className="w-5 h-5 animate-spin" />
+                  Memproses...
+                </>
+              ) : (
+                <>
+                  <LogIn className="w-5 h-5" />
+                  Masuk
+                </>
+              )}
+            </button>
+          </form>
+
+          <p className="text-center text-sm text-slate-600 mt-6">
+            Belum punya akun?{" "}
+            <button
+              onClick={onRegister}
+              className="font-semibold text-blue-600 hover:text-blue-700"
+            >
+              Daftar sekarang
+            </button>
+          </p>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { CalendarDays } from "lucide-react";
+import MealPlanner from "../components/planner/MealPlanner";
+
+export default function MealPlannerPage({ onRecipeClick, onNavigate }) {
+  return (
+    <div className="p-4 md:p-8 pb-20 md:pb-8">
+      <div className="max-w-7xl mx-auto bg-white rounded-lg shadow-lg p-6">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+            <CalendarDays className="w-6 h-6 text-blue-600" />
+            Rencana Menu Mingguan
+          </h1>
+          <p className="text-gray-500 text-sm mt-1">
+            Susun menu sepekan, lalu kirim semua bahannya ke daftar belanja
+          </p>
+        </div>
+        <MealPlanner onRecipeClick={onRecipeClick} onNavigate={onNavigate} />
+      </div>
+    </div>
+  );
+}
@@ -8,7 +8,6 @@ import {
   formatDraftTime,
   addToFavorites,
   loadFavorites,
-  removeFromFavorites,
   loadUserReviews,
 } from "../utils/draftStorage";
 import {
@@ -19,19 +18,33 @@ import {
   Heart,
   Star,
   Clock,
-  Utensils,
-  Coffee,
-  Trash2, ChefHat
+  Trash2, ChefHat,
+  LogIn,
+  LogOut,
+  UserCircle,
+  ShoppingCart,
+  CalendarDays,
+  BookOpen,
 } from "lucide-react";
-
-export default function ProfilePage({ onRecipeClick }) {
+import PendingChanges from "../components/common/PendingChanges";
+import { CATEGORIES, getCategoryOrDefault } from "../config/categories";
+import { useAuth } from "../hooks/useAuth";
+import favoriteService from "../services/favoriteService";
+import { getUserIdentifier } from "../services/userService";
+import recipeService from "../services/recipeService";
+import exportService from "../services/exportService";
+import { addRecipeToShoppingList } from "../hooks/useShoppingList";
+import MealPlanner from "../components/planner/MealPlanner";
+
+export default function ProfilePage({ onRecipeClick, onNavigate }) {
   const [userProfile, setUserProfile] = useState({
     username: "Pengguna",
     avatar: "",
     bio: "Pecinta masakan lezat dan minuman segar",
   });
   const [isEditing, setIsEditing] = useState(false);
-  const [activeTab, setActiveTab] = useState("favorites"); // 'favorites', 'reviews'
+  const [activeTab, setActiveTab] = useState("favorites"); // 'favorites', 'reviews', 'planner'
+  const { user, isAuthenticated, logout, loading: authLoading } = useAuth();
 
   // Use custom hook to monitor localStorage changes
   const favoritesFromStorage = useLocalStorageValue("user_favorites", []);
@@ -39,6 +52,7 @@ export default function ProfilePage({ onRecipeClick }) {
 
   const [favorites, setFavorites] = useState([]);
   const [userReviews, setUserReviews] = useState([]);
+  const [cookbookProgress, setCookbookProgress] = useState(null); // { done, total } while generating
 
   const anggotaKelompok = [
     {
@@ -62,11 +76,17 @@ export default function ProfilePage({ onRecipeClick }) {
   ];
 
   // Load user profile and data from localStorage
+  // (reloaded on login, which may set the username from the account)
   useEffect(() => {
     const savedProfile = loadDraft("user_profile");
     if (savedProfile) {
       setUserProfile(savedProfile);
     }
+  }, [user]);
+
+  // Pull favorites made on other devices into the local mirror
+  useEffect(() => {
+    favoriteService.syncFavorites();
   }, []);
 
   // Update favorites whenever storage changes
@@ -78,17 +98,17 @@ export default function ProfilePage({ onRecipeClick }) {
     }
   }, [favoritesFromStorage]);
 
-  // Update user reviews whenever storage changes
+  // Update user reviews whenever storage changes (or the account does)
   useEffect(() => {
     try {
       const filteredReviews = (reviewsFromStorage || []).filter(
-        (review) => review.user_identifier === userProfile.username
+        (review) => review.user_identifier === getUserIdentifier()
       );
       setUserReviews(filteredReviews);
     } catch (error) {
       console.error("Error updating reviews:", error);
     }
-  }, [reviewsFromStorage, userProfile.username]);
+  }, [reviewsFromStorage, user]);
 
   const handleSaveProfile = () => {
     saveDraft(userProfile, "user_profile");
@@ -96,6 +116,12 @@ export default function ProfilePage({ onRecipeClick }) {
     alert("Profil berhasil disimpan!");
   };
 
+  const handleLogout = async () => {
+    if (window.confirm("Keluar dari akun?")) {
+      await logout();
+    }
+  };
+
   const handleCancelEdit = () => {
     const savedProfile = loadDraft("user_profile") || {
       username: "Pengguna",
@@ -130,14 +156,64 @@ export default function ProfilePage({ onRecipeClick }) {
   const handleRemoveFavorite = async (recipeId, event) => {
     event.stopPropagation();
     if (window.confirm("Hapus dari favorit?")) {
-      const success = removeFromFavorites(recipeId);
-      if (success) {
-        // Update local state will be triggered automatically by the useLocalStorageValue hook
+      // Removed from the list right away; put back if the server rejects it
+      const favorited = await favoriteService.setFavorite({ id: recipeId }, false);
+      if (favorited) {
+        alert("Gagal menghapus dari favorit. Coba lagi.");
+      } else {
         alert("Resep berhasil dihapus dari favorit!");
       }
     }
   };
 
+  const handleAddToShoppingList = async (favorite, event) => {
+    event.stopPropagation();
+    try {
+      let recipe = favorite;
+      // Favorites synced from the server may not carry the ingredients
+      if (!favorite.ingredients?.length) {
+        const response = await recipeService.getRecipeById(favorite.id);
+        recipe = { ...favorite, ...response.data };
+      }
+      if (!recipe.ingredients?.length) {
+        alert("Resep ini belum memiliki daftar bahan.");
+        return;
+      }
+      addRecipeToShoppingList(recipe);
+      if (window.confirm(`Bahan "${recipe.name}" ditambahkan ke daftar belanja. Buka daftar belanja?`)) {
+        onNavigate("belanja");
+      }
+    } catch (error) {
+      console.error("Error adding to shopping list:", error);
+      alert("Gagal memuat bahan resep. Periksa koneksi Anda.");
+    }
+  };
+
+  const handleDownloadCookbook = async () => {
+    setCookbookProgress({ done: 0, total: favorites.length });
+    try {
+      const { skipped } = await exportService.downloadCookbook(favorites, {
+        title: "Buku Resep Favorit",
+        subtitle: `Koleksi ${userProfile.username} · ${new Date().toLocaleDateString("id-ID", {
+          day: "numeric",
+          month: "long",
+          year: "numeric",
+        })}`,
+        onProgress: setCookbookProgress,
+      });
+      if (skipped.length > 0) {
+        alert(
+          `Buku resep berhasil dibuat. ${skipped.length} resep tidak bisa dimuat dan dilewati: ${skipped.join(", ")}`
+        );
+      }
+    } catch (error) {
+      console.error("Error creating cookbook:", error);
+      alert(error.message || "Gagal membuat buku resep. Silakan coba lagi.");
+    } finally {
+      setCookbookProgress(null);
+    }
+  };
+
   const handleRemoveReview = (reviewId, event) => {
     event.stopPropagation();
     if (window.confirm("Hapus ulasan ini?")) {
@@ -150,7 +226,7 @@ export default function ProfilePage({ onRecipeClick }) {
       localStorage.setItem("recipe_reviews", JSON.stringify(updatedReviews));
       setUserReviews(
         updatedReviews.filter(
-          (review) => review.user_identifier === userProfile.username
+          (review) => review.user_identifier === getUserIdentifier()
         )
       );
       alert("Ulasan berhasil dihapus!");
@@ -158,17 +234,14 @@ export default function ProfilePage({ onRecipeClick }) {
   };
 
   const getFavoriteStats = () => {
-    const makananFav = favorites.filter(
-      (fav) => fav.category === "makanan"
-    ).length;
-    const minumanFav = favorites.filter(
-      (fav) => fav.category === "minuman"
-    ).length;
+    const byCategory = {};
+    CATEGORIES.forEach(({ slug }) => {
+      byCategory[slug] = favorites.filter((fav) => fav.category === slug).length;
+    });
 
     return {
       total: favorites.length,
-      makanan: makananFav,
-      minuman: minumanFav,
+      byCategory,
     };
   };
 
@@ -200,98 +273,99 @@ export default function ProfilePage({ onRecipeClick }) {
           </p>
         </div>
       ) : (
-        favorites.map((favorite) => (
-          <div
-            key={favorite.id}
-            className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-300 cursor-pointer border border-gray-200"
-            onClick={() => onRecipeClick(favorite.id, favorite.category)}
-          >
-            {/* Recipe Image */}
-            <div className="relative h-48 overflow-hidden">
-              {favorite.image_url ? (
-                <img
-                  src={favorite.image_url}
-                  alt={favorite.name}
-                  className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
-                />
-              ) : (
-                <div
-                  className={`w-full h-full flex items-center justify-center ${
-                    favorite.category === "makanan"
-                      ? "bg-gradient-to-br from-blue-100 to-blue-200"
-                      : "bg-gradient-to-br from-green-100 to-green-200"
-                  }`}
-                >
-                  {favorite.category === "makanan" ? (
-                    <Utensils className="w-12 h-12 text-blue-600" />
-                  ) : (
-                    <Coffee className="w-12 h-12 text-green-600" />
-                  )}
-                </div>
-              )}
-
-              {/* Category Badge */}
-              <div className="absolute top-3 left-3">
-                <span
-                  className={`px-3 py-1 rounded-full text-sm font-medium ${
-                    favorite.category === "makanan"
-                      ? "bg-blue-500 text-white"
-                      : "bg-green-500 text-white"
-                  }`}
-                >
-                  {favorite.category === "makanan" ? "Makanan" : "Minuman"}
-                </span>
-              </div>
+        favorites.map((favorite) => {
+          const favoriteCategory = getCategoryOrDefault(favorite.category);
+          const CategoryIcon = favoriteCategory.icon;
+          return (
+            <div
+              key={favorite.id}
+              className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-300 cursor-pointer border border-gray-200"
+              onClick={() => onRecipeClick(favorite.id, favorite.category)}
+            >
+              {/* Recipe Image */}
+              <div className="relative h-48 overflow-hidden">
+                {favorite.image_url ? (
+                  <img
+                    src={favorite.image_url}
+                    alt={favorite.name}
+                    className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
+                  />
+                ) : (
+                  <div
+                    className={`w-full h-full flex items-center justify-center bg-gradient-to-br ${favoriteCategory.theme.placeholder}`}
+                  >
+                    <CategoryIcon className={`w-12 h-12 ${favoriteCategory.theme.text}`} />
+                  </div>
+                )}
 
-              {/* Rating Badge */}
-              {favorite.average_rating > 0 && (
-                <div className="absolute top-3 right-3 flex items-center space-x-1 bg-white/90 px-2 py-1 rounded-full">
-                  <Star className="w-3 h-3 text-yellow-500 fill-current" />
-                  <span className="text-xs font-semibold text-slate-700">
-                    {favorite.average_rating.toFixed(1)}
+                {/* Category Badge */}
+                <div className="absolute top-3 left-3">
+                  <span
+                    className={`px-3 py-1 rounded-full text-sm font-medium ${favoriteCategory.theme.solid} text-white`}
+                  >
+                    {favoriteCategory.label}
                   </span>
                 </div>
-              )}
 
-              {/* Remove Favorite Button */}
-              <button
-                onClick={(e) => handleRemoveFavorite(favorite.id, e)}
-                className="absolute bottom-3 right-3 bg-white/80 hover:bg-white text-red-500 p-2 rounded-full transition-colors backdrop-blur-sm"
-                title="Hapus dari favorit"
-              >
-                <Trash2 className="w-4 h-4" />
-              </button>
-            </div>
+                {/* Rating Badge */}
+                {favorite.average_rating > 0 && (
+                  <div className="absolute top-3 right-3 flex items-center space-x-1 bg-white/90 px-2 py-1 rounded-full">
+                    <Star className="w-3 h-3 text-yellow-500 fill-current" />
+                    <span className="text-xs font-semibold text-slate-700">
+                      {favorite.average_rating.toFixed(1)}
+                    </span>
+                  </div>
+                )}
 
-            {/* Recipe Info */}
-            <div className="p-4">
-              <h3 className="font-bold text-lg text-gray-800 mb-2 line-clamp-2">
-                {favorite.name}
-              </h3>
+                {/* Add to Shopping List Button */}
+                <button
+                  onClick={(e) => handleAddToShoppingList(favorite, e)}
+                  className="absolute bottom-3 right-14 bg-white/80 hover:bg-white text-blue-600 p-2 rounded-full transition-colors backdrop-blur-sm"
+                  title="Tambah ke daftar belanja"
+                >
+                  <ShoppingCart className="w-4 h-4" />
+                </button>
+
+                {/* Remove Favorite Button */}
+                <button
+                  onClick={(e) => handleRemoveFavorite(favorite.id, e)}
+                  className="absolute bottom-3 right-3 bg-white/80 hover:bg-white text-red-500 p-2 rounded-full transition-colors backdrop-blur-sm"
+                  title="Hapus dari favorit"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
 
-              {favorite.description && (
-                <p className="text-gray-600 text-sm mb-3 line-clamp-2">
-                  {favorite.description}
-                </p>
-              )}
+              {/* Recipe Info */}
+              <div className="p-4">
+                <h3 className="font-bold text-lg text-gray-800 mb-2 line-clamp-2">
+                  {favorite.name}
+                </h3>
 
-              <div className="flex items-center justify-between text-sm text-gray-500">
-                <div className="flex items-center gap-1 bg-gray-100 px-3 py-1 rounded-full">
-                  <Clock className="w-4 h-4" />
-                  <span>
-                    {favorite.prep_time || favorite.cook_time || 15} menit
-                  </span>
-                </div>
-                <div className="flex items-center gap-1 bg-gray-100 px-3 py-1 rounded-full">
-                  <ChefHat className="w-4 h-4" />
-                  <span className="capitalize">
-                    {favorite.difficulty || "mudah"}
-                  </span>
+                {favorite.description && (
+                  <p className="text-gray-600 text-sm mb-3 line-clamp-2">
+                    {favorite.description}
+                  </p>
+                )}
+
+                <div className="flex items-center justify-between text-sm text-gray-500">
+                  <div className="flex items-center gap-1 bg-gray-100 px-3 py-1 rounded-full">
+                    <Clock className="w-4 h-4" />
+                    <span>
+                      {favorite.prep_time || favorite.cook_time || 15} menit
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-1 bg-gray-100 px-3 py-1 rounded-full">
+                    <ChefHat className="w-4 h-4" />
+                    <span className="capitalize">
+                      {favorite.difficulty || "mudah"}
+                    </span>
+                  </div>
                 </div>
               </div>
             </div>
-          </div>
-        ))
+          );
+        })
       )}
     </div>
   );
@@ -498,6 +572,55 @@ export default function ProfilePage({ onRecipeClick }) {
           </div>
         </div>
 
+        {/* Account */}
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+          {isAuthenticated ? (
+            <div className="flex flex-col md:flex-row items-center justify-between gap-4">
+              <div className="flex items-center gap-3">
+                <UserCircle className="w-10 h-10 text-blue-500" />
+                <div>
+                  <p className="font-semibold text-gray-800">{user.name}</p>
+                  <p className="text-sm text-gray-500">{user.email}</p>
+                </div>
+              </div>
+              <button
+                onClick={handleLogout}
+                disabled={authLoading}
+                className="flex items-center gap-2 px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors"
+              >
+                <LogOut className="w-4 h-4" />
+                Keluar
+              </button>
+            </div>
+          ) : (
+            <div className="flex flex-col md:flex-row items-center justify-between gap-4">
+              <div className="text-center md:text-left">
+                <p className="font-semibold text-gray-800">
+                  Anda belum masuk
+                </p>
+                <p className="text-sm text-gray-500">
+                  Masuk agar favorit dan ulasan tersimpan di semua perangkat
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onNavigate?.("register")}
+                  className="px-4 py-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors"
+                >
+                  Daftar
+                </button>
+                <button
+                  onClick={() => onNavigate?.("login")}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                >
+                  <LogIn className="w-4 h-4" />
+                  Masuk
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Detailed Stats */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
           {/* Favorites Breakdown */}
@@ -513,18 +636,14 @@ export default function ProfilePage({ onRecipeClick }) {
                   {favoriteStats.total} resep
                 </span>
               </div>
-              <div className="flex justify-between items-center">
-                <span className="text-gray-600">Makanan</span>
-                <span className="font-semibold text-blue-600">
-                  {favoriteStats.makanan} resep
-                </span>
-              </div>
-              <div className="flex justify-between items-center">
-                <span className="text-gray-600">Minuman</span>
-                <span className="font-semibold text-green-600">
-                  {favoriteStats.minuman} resep
-                </span>
-              </div>
+              {CATEGORIES.map(({ slug, label, theme }) => (
+                <div key={slug} className="flex justify-between items-center">
+                  <span className="text-gray-600">{label}</span>
+                  <span className={`font-semibold ${theme.text}`}>
+                    {favoriteStats.byCategory[slug]} resep
+                  </span>
+                </div>
+              ))}
             </div>
           </div>
 
@@ -555,10 +674,15 @@ export default function ProfilePage({ onRecipeClick }) {
           </div>
         </div>
 
+        {/* Offline changes waiting to be synced */}
+        <div className="mb-8 empty:hidden">
+          <PendingChanges title="Perubahan Resep Tertunda" />
+        </div>
+
         {/* Favorites and Reviews Tabs */}
         <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
           {/* Tab Navigation */}
-          <div className="flex border-b border-gray-200 mb-6">
+          <div className="flex border-b border-gray-200 mb-6 overflow-x-auto">
             <button
               onClick={() => setActiveTab("favorites")}
               className={`flex items-center gap-2 px-4 py-3 font-medium border-b-2 transition-colors ${
@@ -581,13 +705,40 @@ export default function ProfilePage({ onRecipeClick }) {
               <Star className="w-5 h-5" />
               Ulasan Saya ({userReviews.length})
             </button>
+            <button
+              onClick={() => setActiveTab("planner")}
+              className={`flex items-center gap-2 px-4 py-3 font-medium border-b-2 transition-colors ${
+                activeTab === "planner"
+                  ? "border-blue-500 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <CalendarDays className="w-5 h-5" />
+              Rencana Menu
+            </button>
           </div>
 
           {/* Tab Content */}
           <div className="min-h-[400px]">
-            {activeTab === "favorites"
-              ? renderFavoritesList()
-              : renderReviewsList()}
+            {activeTab === "favorites" && favorites.length > 0 && (
+              <div className="flex justify-end mb-4">
+                <button
+                  onClick={handleDownloadCookbook}
+                  disabled={cookbookProgress !== null}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+                >
+                  <BookOpen className="w-4 h-4" />
+                  {cookbookProgress
+                    ? `Menyiapkan ${cookbookProgress.done}/${cookbookProgress.total} resep...`
+                    : "Unduh Buku Resep (PDF)"}
+                </button>
+              </div>
+            )}
+            {activeTab === "favorites" && renderFavoritesList()}
+            {activeTab === "reviews" && renderReviewsList()}
+            {activeTab === "planner" && (
+              <MealPlanner onRecipeClick={onRecipeClick} onNavigate={onNavigate} />
+            )}
           </div>
         </div>
 
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { ArrowLeft, UserPlus, Loader, Mail, Lock, User } from "lucide-react";
+import { useAuth } from "../hooks/useAuth";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+export default function RegisterPage({ onBack, onSuccess, onLogin }) {
+  const [formData, setFormData] = useState({
+    name: "",
+    email: "",
+    password: "",
+    confirmPassword: "",
+  });
+  const [formError, setFormError] = useState(null);
+  const { register, loading, error } = useAuth();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    if (formData.password.length < MIN_PASSWORD_LENGTH) {
+      setFormError(`Kata sandi minimal ${MIN_PASSWORD_LENGTH} karakter`);
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setFormError("Konfirmasi kata sandi tidak cocok");
+      return;
+    }
+
+    const result = await register({
+      name: formData.name.trim(),
+      email: formData.email.trim(),
+      password: formData.password,
+    });
+    if (result) {
+      onSuccess?.(result);
+    }
+  };
+
+  // Field errors from the server, e.g. { email: "Email sudah terdaftar" }
+  const fieldErrors = error?.errors || {};
+  const message =
+    formError ||
+    (error && !Object.keys(fieldErrors).length
+      ? error.message || "Gagal mendaftar. Coba lagi."
+      : null);
+
+  const fields = [
+    { name: "name", label: "Nama", type: "text", icon: User, autoComplete: "name", placeholder: "Nama tampilan" },
+    { name: "email", label: "Email", type: "email", icon: Mail, autoComplete: "email", placeholder: "nama@email.com" },
+    { name: "password", label: "Kata Sandi", type: "password", icon: Lock, autoComplete: "new-password" },
+    { name: "confirmPassword", label: "Ulangi Kata Sandi", type: "password", icon: Lock, autoComplete: "new-password" },
+  ];
+
+  return (
+    <div className="min-h-screen bg-linear-to-br from-blue-50 via-white to-indigo-50 pb-20 md:pb-8">
+      {/* Header */}
+      <div className="sticky top-0 z-10 bg-white/80 backdrop-blur-md border-b border-slate-200 shadow-sm">
+        <div className="max-w-md mx-auto px-4 py-4">
+          <button
+            onClick={onBack}
+            className="flex items-center gap-2 text-slate-700 hover:text-slate-900 transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+            <span className="font-medium">Kembali</span>
+          </button>
+        </div>
+      </div>
+
+      <main className="max-w-md mx-auto px-4 py-8">
+        <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-6 md:p-8 shadow-xl border border-white/40">
+          <h1 className="text-3xl font-bold text-slate-800 mb-2">Daftar Akun</h1>
+          <p className="text-slate-600 mb-6">
+            Favorit dan ulasan di perangkat ini akan dipindahkan ke akunmu
+          </p>
+
+          {message && (
+            <div className="mb-6 bg-red-50 border border-red-200 rounded-xl p-4">
+              <p className="text-red-600 text-sm">{message}</p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {fields.map((field) => {
+              const IconComponent = field.icon;
+              return (
+                <div key={field.name}>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    {field.label}
+                  </label>
+                  <div className="relative">
+                    <IconComponent className="w-5 h-5 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                    <input
+                      type={field.type}
+                      name={field.name}
+                      value={formData[field.name]}
+                      onChange={handleChange}
+                      required
+                      autoComplete={field.autoComplete}
+                      placeholder={field.placeholder}
+                      className={`w-full pl-11 pr-4 py-3 border rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        fieldErrors[field.name]
+                          ? "border-red-400"
+                          : "border-slate-300"
+                      }`}
+                    />
+                  </div>
+                  {fieldErrors[field.name] && (
+                    <p className="text-red-600 text-sm mt-1">
+                      {fieldErrors[field.name]}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-4 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold rounded-xl hover:from-blue-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg hover:shadow-xl flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <Loader className="w-5 h-5 animate-spin" />
+                  Memproses...
+                </>
+              ) : (
+                <>
+                  <UserPlus className="w-5 h-5" />
+                  Daftar
+                </>
+              )}
+            </button>
+          </form>
+
+          <p className="text-center text-sm text-slate-600 mt-6">
+            Sudah punya akun?{" "}
+            <button
+              onClick={onLogin}
+              className="font-semibold text-blue-600 hover:text-blue-700"
+            >
+              Masuk
+            </button>
+          </p>
+        </div>
+      </main>
+    </div>
+  );
+}
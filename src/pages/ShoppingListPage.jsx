@@ -0,0 +1,229 @@
+import { useState } from "react";
+import {
+  ShoppingCart,
+  Share2,
+  Trash2,
+  CheckSquare,
+  Square,
+  RotateCcw,
+  X,
+} from "lucide-react";
+import { useShoppingList } from "../hooks/useShoppingList";
+import { shoppingListToText } from "../utils/shoppingList";
+import ServingsStepper from "../components/common/ServingsStepper";
+
+export default function ShoppingListPage({ onRecipeClick, onNavigate }) {
+  const {
+    list,
+    groups,
+    removeRecipe,
+    setRecipeServings,
+    toggleItem,
+    clearChecked,
+    clearAll,
+  } = useShoppingList();
+  const [hideChecked, setHideChecked] = useState(false);
+
+  const totalItems = groups.reduce((sum, group) => sum + group.items.length, 0);
+  const checkedItems = groups.reduce(
+    (sum, group) => sum + group.items.filter((item) => item.checked).length,
+    0
+  );
+
+  const handleShare = async () => {
+    const text = shoppingListToText(groups, list.recipes);
+
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: "Daftar Belanja", text });
+      } else {
+        await navigator.clipboard.writeText(text);
+        alert("Daftar belanja berhasil disalin ke clipboard!");
+      }
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("Error sharing shopping list:", error);
+        alert("Gagal membagikan daftar belanja.");
+      }
+    }
+  };
+
+  const handleClearAll = () => {
+    if (window.confirm("Kosongkan daftar belanja?")) {
+      clearAll();
+    }
+  };
+
+  if (list.recipes.length === 0) {
+    return (
+      <div className="p-4 md:p-8 pb-20 md:pb-8">
+        <div className="max-w-3xl mx-auto bg-white rounded-lg shadow-lg p-10 text-center">
+          <ShoppingCart className="w-20 h-20 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500 text-lg mb-2">Daftar belanja masih kosong</p>
+          <p className="text-gray-400 mb-6">
+            Tambahkan bahan dari halaman resep atau dari resep favorit Anda
+          </p>
+          <button
+            onClick={() => onNavigate("makanan")}
+            className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Cari Resep
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 md:p-8 pb-20 md:pb-8">
+      <div className="max-w-3xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+                <ShoppingCart className="w-6 h-6 text-blue-600" />
+                Daftar Belanja
+              </h1>
+              <p className="text-gray-500 text-sm mt-1">
+                {checkedItems} dari {totalItems} bahan sudah dibeli
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={handleShare}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+              >
+                <Share2 className="w-4 h-4" />
+                Bagikan
+              </button>
+              <button
+                onClick={clearChecked}
+                disabled={checkedItems === 0}
+                className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Reset
+              </button>
+              <button
+                onClick={handleClearAll}
+                className="flex items-center gap-2 px-4 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+                Kosongkan
+              </button>
+            </div>
+          </div>
+
+          <div className="w-full bg-gray-100 rounded-full h-2 mt-4">
+            <div
+              className="bg-green-500 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${totalItems ? (checkedItems / totalItems) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+
+        {/* Recipes on the list */}
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">
+            Resep ({list.recipes.length})
+          </h2>
+          <ul className="divide-y divide-gray-100">
+            {list.recipes.map((recipe) => (
+              <li
+                key={recipe.id}
+                className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 py-3"
+              >
+                <button
+                  onClick={() => onRecipeClick(recipe.id, recipe.category)}
+                  className="text-left font-medium text-gray-800 hover:text-blue-600 transition-colors"
+                >
+                  {recipe.name}
+                </button>
+                <div className="flex items-center gap-2">
+                  <ServingsStepper
+                    value={recipe.servings}
+                    originalValue={recipe.baseServings}
+                    onChange={(servings) => setRecipeServings(recipe.id, servings)}
+                  />
+                  <button
+                    onClick={() => removeRecipe(recipe.id)}
+                    className="p-2 rounded-full text-gray-400 hover:text-red-500 hover:bg-red-50 transition-colors"
+                    title="Hapus dari daftar belanja"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Items by aisle */}
+        <div className="flex justify-end">
+          <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={hideChecked}
+              onChange={(e) => setHideChecked(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Sembunyikan yang sudah dibeli
+          </label>
+        </div>
+
+        {groups.map(({ aisle, items }) => {
+          const visibleItems = hideChecked
+            ? items.filter((item) => !item.checked)
+            : items;
+          if (visibleItems.length === 0) return null;
+
+          return (
+            <div key={aisle.id} className="bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-lg font-semibold text-gray-800 mb-3">
+                <span className="mr-2">{aisle.emoji}</span>
+                {aisle.label}
+              </h2>
+              <ul className="space-y-1">
+                {visibleItems.map((item) => (
+                  <li key={item.key}>
+                    <button
+                      onClick={() => toggleItem(item.key)}
+                      className="w-full flex items-start gap-3 p-2 rounded-lg hover:bg-gray-50 text-left transition-colors"
+                    >
+                      {item.checked ? (
+                        <CheckSquare className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+                      ) : (
+                        <Square className="w-5 h-5 text-gray-400 flex-shrink-0 mt-0.5" />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p
+                          className={`font-medium ${
+                            item.checked ? "text-gray-400 line-through" : "text-gray-800"
+                          }`}
+                        >
+                          {item.name}
+                          {item.quantities.length > 0 && (
+                            <span className="font-normal text-gray-500">
+                              {" "}
+                              — {item.quantities.join(" + ")}
+                            </span>
+                          )}
+                        </p>
+                        {item.recipes.length > 1 && (
+                          <p className="text-xs text-gray-400">
+                            {item.recipes.join(", ")}
+                          </p>
+                        )}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
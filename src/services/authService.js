@@ -0,0 +1,221 @@
+import { apiClient, AUTH_BASE_URL } from "../config/api";
+import {
+  getSession,
+  saveSession,
+  clearSession,
+  updateSessionUser,
+  subscribeSession,
+} from "../utils/authStorage";
+import { loadFavorites, loadDraft, saveDraft } from "../utils/draftStorage";
+import { STORES, getAllItems, putItem } from "../utils/indexedDB";
+import { getAnonymousIdentifier } from "./userService";
+
+const AUTH_PATH = "/api/v1/auth";
+const REVIEWS_KEY = "recipe_reviews";
+// Users whose account already received this device's anonymous data
+const MIGRATED_USERS_KEY = "auth_migrated_users";
+
+const authRequest = { baseURL: AUTH_BASE_URL };
+
+class AuthService {
+  /**
+   * Get the logged in user
+   * @returns {Object|null} User or null when anonymous
+   */
+  getCurrentUser() {
+    return getSession()?.user || null;
+  }
+
+  /**
+   * Check whether someone is logged in
+   * @returns {boolean}
+   */
+  isAuthenticated() {
+    return Boolean(getSession()?.access_token);
+  }
+
+  /**
+   * Subscribe to login/logout
+   * @param {Function} listener - Called with the user or null
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    return subscribeSession((session) => listener(session?.user || null));
+  }
+
+  /**
+   * Create an account and log in
+   * @param {Object} data - Registration data
+   * @param {string} data.name - Display name
+   * @param {string} data.email - Email
+   * @param {string} data.password - Password
+   * @returns {Promise}
+   */
+  async register(data) {
+    const response = await apiClient.post(
+      `${AUTH_PATH}/register`,
+      data,
+      authRequest
+    );
+    return this.startSession(response);
+  }
+
+  /**
+   * Log in with email and password
+   * @param {Object} credentials - Login data
+   * @param {string} credentials.email - Email
+   * @param {string} credentials.password - Password
+   * @returns {Promise}
+   */
+  async login(credentials) {
+    const response = await apiClient.post(
+      `${AUTH_PATH}/login`,
+      credentials,
+      authRequest
+    );
+    return this.startSession(response);
+  }
+
+  async startSession(response) {
+    if (!response?.data?.access_token) {
+      throw new Error(response?.message || "Gagal masuk");
+    }
+
+    const session = saveSession(response.data);
+    const migration = await this.migrateAnonymousData(session.user);
+    return { ...response, migration };
+  }
+
+  /**
+   * Log out on the server (revokes the refresh token) and on this device
+   */
+  async logout() {
+    const refreshToken = getSession()?.refresh_token;
+    try {
+      if (refreshToken) {
+        await apiClient.post(
+          `${AUTH_PATH}/logout`,
+          { refresh_token: refreshToken },
+          authRequest
+        );
+      }
+    } catch (error) {
+      // Logging out locally is what matters
+      console.warn("Error logging out on server:", error);
+    } finally {
+      clearSession();
+    }
+  }
+
+  /**
+   * Reload the logged in user from the server
+   * @returns {Promise<Object|null>} User
+   */
+  async fetchCurrentUser() {
+    if (!this.isAuthenticated()) return null;
+    const response = await apiClient.get(`${AUTH_PATH}/me`, authRequest);
+    if (response?.data) {
+      updateSessionUser(response.data);
+    }
+    return response?.data || null;
+  }
+
+  hasMigrated(userId) {
+    try {
+      const migrated = JSON.parse(localStorage.getItem(MIGRATED_USERS_KEY) || "[]");
+      return migrated.includes(userId);
+    } catch {
+      return false;
+    }
+  }
+
+  markMigrated(userId) {
+    const migrated = JSON.parse(localStorage.getItem(MIGRATED_USERS_KEY) || "[]");
+    localStorage.setItem(
+      MIGRATED_USERS_KEY,
+      JSON.stringify([...new Set([...migrated, userId])])
+    );
+  }
+
+  /**
+   * Attach the favorites, reviews and profile made anonymously on this device
+   * to the account. Runs once per account per device; if the server can't be
+   * reached it is tried again on the next login.
+   * @param {Object} user - Logged in user
+   * @returns {Promise<Object|null>} { favorites, reviews } claimed, or null
+   */
+  async migrateAnonymousData(user) {
+    if (!user?.id || this.hasMigrated(user.id)) return null;
+
+    const anonymousId = getAnonymousIdentifier();
+    const profile = loadDraft("user_profile");
+    // Reviews are written under the device identifier; older ones used the
+    // profile name
+    const localNames = [anonymousId, profile?.username].filter(Boolean);
+
+    const allReviews = JSON.parse(localStorage.getItem(REVIEWS_KEY) || "[]");
+    const ownReviews = allReviews.filter((review) =>
+      localNames.includes(review.user_identifier)
+    );
+    const favorites = loadFavorites();
+
+    try {
+      const response = await apiClient.post(
+        `${AUTH_PATH}/claim`,
+        {
+          anonymous_id: anonymousId,
+          favorites: favorites.map((favorite) => favorite.id),
+          reviews: ownReviews
+            .filter((review) => review.server_id)
+            .map((review) => review.server_id),
+        },
+        authRequest
+      );
+
+      // Reviews written here now belong to the account
+      const ownIds = new Set(ownReviews.map((review) => review.id));
+      localStorage.setItem(
+        REVIEWS_KEY,
+        JSON.stringify(
+          allReviews.map((review) =>
+            ownIds.has(review.id)
+              ? { ...review, user_identifier: user.id }
+              : review
+          )
+        )
+      );
+      await this.claimPendingReviews(localNames, user.id);
+
+      // Keep the bio and avatar, but show the account name
+      if (!profile || profile.username === "Pengguna" || !profile.username) {
+        saveDraft({ ...(profile || {}), username: user.name }, "user_profile");
+      }
+
+      this.markMigrated(user.id);
+      return response?.data || { favorites: favorites.length, reviews: ownReviews.length };
+    } catch (error) {
+      console.warn("Could not attach anonymous data to account:", error);
+      return null;
+    }
+  }
+
+  async claimPendingReviews(localNames, userId) {
+    try {
+      const records = await getAllItems(STORES.PENDING_REVIEWS);
+      await Promise.all(
+        records
+          .filter((record) => localNames.includes(record.body?.user_identifier))
+          .map((record) =>
+            putItem(STORES.PENDING_REVIEWS, {
+              ...record,
+              body: { ...record.body, user_identifier: userId },
+            })
+          )
+      );
+    } catch (error) {
+      console.warn("Could not update pending reviews:", error);
+    }
+  }
+}
+
+export default new AuthService();
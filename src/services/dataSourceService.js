@@ -0,0 +1,114 @@
+import { apiClient } from "../config/api";
+import { isOfflineError } from "./outboxService";
+
+/**
+ * Where recipes, reviews and favorites come from:
+ * - remote: the API server
+ * - local: the bundled demo recipes plus whatever is saved on this device
+ * - auto: the server, switching to local data when it can't be reached
+ */
+export const DATA_SOURCES = {
+  REMOTE: "remote",
+  LOCAL: "local",
+  AUTO: "auto",
+};
+
+// Why local data is in use
+export const LOCAL_REASONS = {
+  CONFIG: "config",
+  UNREACHABLE: "unreachable",
+};
+
+const PROBE_TIMEOUT = 5000;
+
+const configured = Object.values(DATA_SOURCES).includes(import.meta.env.VITE_DATA_SOURCE)
+  ? import.meta.env.VITE_DATA_SOURCE
+  : DATA_SOURCES.AUTO;
+
+class DataSourceService {
+  constructor() {
+    this.configured = configured;
+    this.reason = configured === DATA_SOURCES.LOCAL ? LOCAL_REASONS.CONFIG : null;
+    this.listeners = new Set();
+    this.detecting = null;
+    this.hasCachedData = () => false;
+  }
+
+  /**
+   * Whether services should use local data instead of the API
+   * @returns {boolean}
+   */
+  isLocal() {
+    return this.reason !== null;
+  }
+
+  /**
+   * @returns {Object} { local, reason, configured }
+   */
+  getStatus() {
+    return { local: this.isLocal(), reason: this.reason, configured: this.configured };
+  }
+
+  /**
+   * Subscribe to switches between server and local data
+   * @param {Function} listener - Called with the new status
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell auto mode how to find out whether server data is already cached on
+   * this device. While it is, an unreachable server keeps the app on that
+   * cache instead of switching to local data.
+   * @param {Function} check - Returns true when server data is cached
+   */
+  setCacheCheck(check) {
+    this.hasCachedData = check;
+  }
+
+  setReason(reason) {
+    if (this.reason === reason) return;
+    this.reason = reason;
+    this.listeners.forEach((listener) => listener(this.getStatus()));
+  }
+
+  /**
+   * In auto mode, check whether the server answers and pick the data source.
+   * Being offline is not the server's fault: the app then keeps using its
+   * cache and outbox, and checks again once back online. The same goes for
+   * an unreachable server when its data is already cached here.
+   * @returns {Promise<Object>} Status after the check
+   */
+  detect() {
+    if (this.configured !== DATA_SOURCES.AUTO) {
+      return Promise.resolve(this.getStatus());
+    }
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      window.addEventListener("online", () => this.detect(), { once: true });
+      return Promise.resolve(this.getStatus());
+    }
+
+    if (!this.detecting) {
+      this.detecting = apiClient
+        .get("/api/v1/recipes", { params: { limit: 1 }, timeout: PROBE_TIMEOUT })
+        .then(() => this.setReason(null))
+        .catch((error) => {
+          // An error answer still means the server is there
+          if (isOfflineError(error) && navigator.onLine !== false && !this.hasCachedData()) {
+            console.warn("API server unreachable, using local data:", error);
+            this.setReason(LOCAL_REASONS.UNREACHABLE);
+          }
+        })
+        .then(() => this.getStatus())
+        .finally(() => {
+          this.detecting = null;
+        });
+    }
+    return this.detecting;
+  }
+}
+
+export default new DataSourceService();
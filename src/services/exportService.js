@@ -0,0 +1,378 @@
+import recipeService from "./recipeService";
+import { getCategoryOrDefault } from "../config/categories";
+import {
+  ingredientText,
+  orderedSteps,
+  recipeMetaLine,
+  toExportFile,
+  toFileName,
+  toSchemaRecipe,
+} from "../utils/recipeExport";
+
+const APP_NAME = "Resep Nusantara";
+
+// Recipe cards and cookbooks are A5, like a printed recipe card
+const PAGE_FORMAT = "a5";
+const MARGIN = 12;
+const FOOTER_HEIGHT = 8;
+const TEXT_COLOR = "#1e293b";
+const MUTED_COLOR = "#64748b";
+
+// Photos are cropped to this shape and shrunk before going into the PDF
+const IMAGE_RATIO = 9 / 16;
+const IMAGE_MAX_WIDTH = 1000;
+
+// Millimetres per point, times a comfortable line spacing
+const LINE_HEIGHT = 0.3528 * 1.4;
+
+/**
+ * The built-in PDF fonts only have Latin-1 (WinAnsi) characters; anything
+ * else (emoji, "⅓") is spelled out or left out instead of printing garbage.
+ */
+const toPdfText = (text) =>
+  String(text ?? "")
+    .normalize("NFKC")
+    .replace(/⁄/g, "/")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/[^\n\x20-\x7e\xa0-\xff]/g, "")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+
+const loadJsPdf = async () => {
+  const { jsPDF } = await import("jspdf");
+  return jsPDF;
+};
+
+/**
+ * Recipe photo as a JPEG data URL cropped to the card's image shape. Photos
+ * on servers that don't allow other sites to read them can't be included;
+ * the recipe is then exported without one.
+ * @param {string} url - Image address
+ * @returns {Promise<string|null>}
+ */
+async function loadImage(url) {
+  if (!url) return null;
+  try {
+    const response = await fetch(url, { mode: "cors" });
+    if (!response.ok) return null;
+    const bitmap = await createImageBitmap(await response.blob());
+
+    let sourceWidth = bitmap.width;
+    let sourceHeight = Math.round(sourceWidth * IMAGE_RATIO);
+    if (sourceHeight > bitmap.height) {
+      sourceHeight = bitmap.height;
+      sourceWidth = Math.round(sourceHeight / IMAGE_RATIO);
+    }
+    const width = Math.min(IMAGE_MAX_WIDTH, sourceWidth);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = Math.round(width * IMAGE_RATIO);
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(
+      bitmap,
+      (bitmap.width - sourceWidth) / 2,
+      (bitmap.height - sourceHeight) / 2,
+      sourceWidth,
+      sourceHeight,
+      0,
+      0,
+      canvas.width,
+      canvas.height
+    );
+    bitmap.close?.();
+    return canvas.toDataURL("image/jpeg", 0.85);
+  } catch (error) {
+    console.warn("Recipe image not included in PDF:", error);
+    return null;
+  }
+}
+
+/**
+ * Writes text top to bottom, starting a new page when the current one is full
+ */
+class PdfWriter {
+  constructor(doc) {
+    this.doc = doc;
+    this.width = doc.internal.pageSize.getWidth();
+    this.height = doc.internal.pageSize.getHeight();
+    this.contentWidth = this.width - MARGIN * 2;
+    this.y = MARGIN;
+  }
+
+  get bottom() {
+    return this.height - MARGIN - FOOTER_HEIGHT;
+  }
+
+  newPage() {
+    this.doc.addPage();
+    this.y = MARGIN;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > this.bottom) this.newPage();
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object} options - { size, style, color, indent, gap, prefix }
+   *   prefix: { text, color } before the first line, or { bullet: true, color }
+   */
+  paragraph(text, { size = 10, style = "normal", color = TEXT_COLOR, indent = 0, gap = 2, prefix } = {}) {
+    const { doc } = this;
+    const lineHeight = size * LINE_HEIGHT;
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+    const lines = doc.splitTextToSize(toPdfText(text), this.contentWidth - indent);
+
+    lines.forEach((line, index) => {
+      this.ensureSpace(lineHeight);
+      if (index === 0 && prefix?.bullet) {
+        doc.setFillColor(prefix.color || color);
+        doc.circle(MARGIN + 1.2, this.y + lineHeight * 0.5, 0.8, "F");
+      } else if (index === 0 && prefix) {
+        doc.setTextColor(prefix.color || color);
+        doc.setFont("helvetica", "bold");
+        doc.text(prefix.text, MARGIN, this.y + lineHeight * 0.75);
+        doc.setFont("helvetica", style);
+      }
+      doc.setTextColor(color);
+      doc.text(line, MARGIN + indent, this.y + lineHeight * 0.75);
+      this.y += lineHeight;
+    });
+    this.y += gap;
+  }
+
+  heading(text, accent) {
+    // Keep a heading together with at least a couple of lines under it
+    this.ensureSpace(20);
+    this.y += 2;
+    this.paragraph(text, { size: 13, style: "bold", color: accent, gap: 3 });
+  }
+}
+
+/**
+ * Draw one recipe starting on the current page
+ * @param {PdfWriter} writer
+ * @param {Object} recipe
+ * @param {string|null} image - JPEG data URL
+ */
+function drawRecipe(writer, recipe, image) {
+  const { doc } = writer;
+  const category = getCategoryOrDefault(recipe.category);
+  const accent = category.theme.accent;
+
+  doc.setFillColor(accent);
+  doc.rect(0, 0, writer.width, 3, "F");
+
+  writer.paragraph(category.label.toUpperCase(), { size: 8, style: "bold", color: accent, gap: 1 });
+  writer.paragraph(recipe.name, { size: 18, style: "bold", gap: 1 });
+  const meta = recipeMetaLine(recipe);
+  if (meta) writer.paragraph(meta, { size: 9, color: MUTED_COLOR, gap: 4 });
+
+  if (image) {
+    const imageHeight = writer.contentWidth * IMAGE_RATIO;
+    writer.ensureSpace(imageHeight);
+    doc.addImage(image, "JPEG", MARGIN, writer.y, writer.contentWidth, imageHeight);
+    writer.y += imageHeight + 5;
+  }
+
+  if (recipe.description) {
+    writer.paragraph(recipe.description, { size: 10, style: "italic", color: MUTED_COLOR, gap: 3 });
+  }
+
+  const ingredients = (recipe.ingredients || []).map(ingredientText).filter(Boolean);
+  if (ingredients.length) {
+    writer.heading("Bahan-bahan", accent);
+    ingredients.forEach((ingredient) => {
+      writer.paragraph(ingredient, {
+        indent: 5,
+        gap: 1,
+        prefix: { bullet: true, color: accent },
+      });
+    });
+  }
+
+  const steps = orderedSteps(recipe.steps);
+  if (steps.length) {
+    writer.heading("Langkah-langkah", accent);
+    steps.forEach((step, index) => {
+      writer.paragraph(step, {
+        indent: 7,
+        gap: 2.5,
+        prefix: { text: `${index + 1}.`, color: accent },
+      });
+    });
+  }
+}
+
+/**
+ * App name and page number at the bottom of every page from `fromPage` on
+ */
+function drawFooters(doc, fromPage = 1) {
+  const width = doc.internal.pageSize.getWidth();
+  const y = doc.internal.pageSize.getHeight() - MARGIN / 2 - 2;
+  const total = doc.getNumberOfPages();
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(8);
+  doc.setTextColor(MUTED_COLOR);
+  for (let page = fromPage; page <= total; page++) {
+    doc.setPage(page);
+    doc.text(APP_NAME, MARGIN, y);
+    doc.text(`${page}`, width - MARGIN, y, { align: "right" });
+  }
+}
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+class ExportService {
+  /**
+   * Download a recipe card PDF: photo, details, ingredients and steps
+   * @param {Object} recipe - Full recipe (with ingredients and steps)
+   * @returns {Promise<void>}
+   */
+  async downloadRecipeCard(recipe) {
+    const [jsPDF, image] = await Promise.all([loadJsPdf(), loadImage(recipe.image_url)]);
+    const doc = new jsPDF({ unit: "mm", format: PAGE_FORMAT });
+    doc.setProperties({ title: toPdfText(recipe.name), creator: APP_NAME });
+
+    drawRecipe(new PdfWriter(doc), recipe, image);
+    drawFooters(doc);
+    doc.save(`${toFileName(recipe.name)}.pdf`);
+  }
+
+  /**
+   * Download a cookbook PDF: cover, table of contents and one recipe per
+   * page. Recipes without ingredients or steps (e.g. favorites synced from
+   * another device) are fetched first; ones that can't be are left out.
+   * @param {Array} recipes - Recipes or favorites
+   * @param {Object} options
+   * @param {string} options.title - Cover title
+   * @param {string} options.subtitle - Line under the title
+   * @param {Function} options.onProgress - Called with ({ done, total })
+   * @returns {Promise<{ included: number, skipped: string[] }>}
+   */
+  async downloadCookbook(recipes, { title = "Buku Resep", subtitle = "", onProgress } = {}) {
+    const jsPDF = await loadJsPdf();
+    const total = recipes.length;
+    const entries = [];
+    const skipped = [];
+
+    for (const [index, item] of recipes.entries()) {
+      let recipe = item;
+      try {
+        if (!item.ingredients?.length || !item.steps?.length) {
+          const response = await recipeService.getRecipeById(item.id);
+          recipe = { ...item, ...response.data };
+        }
+      } catch (error) {
+        console.warn(`Recipe ${item.id} not available for cookbook:`, error);
+      }
+
+      if (recipe.ingredients?.length || recipe.steps?.length) {
+        entries.push({ recipe, image: await loadImage(recipe.image_url) });
+      } else {
+        skipped.push(recipe.name);
+      }
+      onProgress?.({ done: index + 1, total });
+    }
+
+    if (!entries.length) {
+      throw new Error("Tidak ada resep yang bisa dimuat. Periksa koneksi Anda.");
+    }
+
+    const doc = new jsPDF({ unit: "mm", format: PAGE_FORMAT });
+    doc.setProperties({ title: toPdfText(title), creator: APP_NAME });
+    const writer = new PdfWriter(doc);
+    const accent = getCategoryOrDefault().theme.accent;
+
+    // Cover
+    doc.setFillColor(accent);
+    doc.rect(0, 0, writer.width, writer.height * 0.4, "F");
+    doc.setTextColor("#ffffff");
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(26);
+    doc.text(doc.splitTextToSize(toPdfText(title), writer.contentWidth), MARGIN, writer.height * 0.4 - 24);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(11);
+    doc.text(`${entries.length} resep`, MARGIN, writer.height * 0.4 - 10);
+    if (subtitle) {
+      doc.setTextColor(MUTED_COLOR);
+      doc.text(doc.splitTextToSize(toPdfText(subtitle), writer.contentWidth), MARGIN, writer.height * 0.4 + 14);
+    }
+
+    // Contents pages are filled in once we know where each recipe starts
+    const tocLineHeight = 7;
+    const perPage = Math.floor((writer.bottom - MARGIN - 14) / tocLineHeight);
+    const tocPages = Math.ceil(entries.length / perPage);
+    const firstTocPage = doc.getNumberOfPages() + 1;
+    for (let page = 0; page < tocPages; page++) doc.addPage();
+
+    const startPages = entries.map(({ recipe, image }) => {
+      writer.newPage();
+      const startPage = doc.getNumberOfPages();
+      drawRecipe(writer, recipe, image);
+      return startPage;
+    });
+
+    entries.forEach(({ recipe }, index) => {
+      const page = firstTocPage + Math.floor(index / perPage);
+      const row = index % perPage;
+      doc.setPage(page);
+      if (row === 0) {
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(16);
+        doc.setTextColor(TEXT_COLOR);
+        doc.text("Daftar Isi", MARGIN, MARGIN + 6);
+      }
+      const y = MARGIN + 16 + row * tocLineHeight;
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(10);
+      doc.setTextColor(TEXT_COLOR);
+      const name = doc.splitTextToSize(toPdfText(recipe.name), writer.contentWidth - 15)[0];
+      doc.textWithLink(name, MARGIN, y, { pageNumber: startPages[index] });
+      doc.setTextColor(MUTED_COLOR);
+      doc.text(`${startPages[index]}`, writer.width - MARGIN, y, { align: "right" });
+    });
+
+    drawFooters(doc, firstTocPage);
+    doc.save(`${toFileName(title)}.pdf`);
+    return { included: entries.length, skipped };
+  }
+
+  /**
+   * Download a recipe file that this app (and `parseRecipeImport`) can open
+   * @param {Object} recipe
+   */
+  downloadRecipeFile(recipe) {
+    const json = JSON.stringify(toExportFile(recipe), null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), `${toFileName(recipe.name)}.json`);
+  }
+
+  /**
+   * Download the recipe as schema.org JSON-LD
+   * @param {Object} recipe
+   * @param {string} url - Page of the recipe
+   */
+  downloadJsonLd(recipe, url) {
+    const json = JSON.stringify(toSchemaRecipe(recipe, { url }), null, 2);
+    downloadBlob(new Blob([json], { type: "application/ld+json" }), `${toFileName(recipe.name)}.jsonld`);
+  }
+}
+
+export default new ExportService();
@@ -1,5 +1,74 @@
 import { apiClient } from "../config/api";
+import {
+  loadFavorites,
+  saveFavorites,
+  toFavoriteRecipe,
+} from "../utils/draftStorage";
+import { subscribeSession } from "../utils/authStorage";
+import { getUserIdentifier } from "./userService";
+import dataSourceService from "./dataSourceService";
+import localDataService from "./localDataService";
+import outboxService, {
+  OUTBOX_ACTIONS,
+  OUTBOX_STATUS,
+  isOfflineError,
+} from "./outboxService";
+
+// Identifiers whose server list already received this device's local favorites
+const MERGED_KEY = "favorites_merged_users";
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Normalize a favorite from the API into a recipe entry
+ * (the API may return recipes directly or wrapped as { recipe_id, recipe })
+ * @param {Object} item - Favorite from the API
+ * @returns {Object} Favorite entry
+ */
+const fromServerFavorite = (item) => {
+  const recipe = item.recipe || item;
+  return toFavoriteRecipe({
+    ...recipe,
+    id: item.recipe_id || recipe.id,
+    added_at: item.created_at || recipe.added_at,
+  });
+};
+
+const getServerList = (response) => {
+  const data = response?.data;
+  if (Array.isArray(data)) return data;
+  return data?.favorites || data?.recipes || [];
+};
+
 class FavoriteService {
+  constructor() {
+    this.listeners = new Set();
+    this.pending = new Map(); // recipeId -> desired state while a toggle is in flight
+    this.queue = Promise.resolve();
+    this.syncing = null;
+
+    if (typeof window !== "undefined") {
+      // Another account (or none) means another server list
+      let lastIdentifier = getUserIdentifier();
+      subscribeSession(() => {
+        if (getUserIdentifier() !== lastIdentifier) {
+          lastIdentifier = getUserIdentifier();
+          this.syncFavorites();
+        }
+      });
+
+      // A queued toggle reached the server (or was refused): take its list
+      outboxService.subscribe(({ type, entry }) => {
+        if (
+          entry?.type === OUTBOX_ACTIONS.SET_FAVORITE &&
+          ["synced", "failed", "discarded"].includes(type)
+        ) {
+          this.syncFavorites();
+        }
+      });
+    }
+  }
+
   /**
    * Get all favorite recipes by user identifier
    * @param {string} userIdentifier - User identifier
@@ -7,9 +76,11 @@ class FavoriteService {
    */
   async getFavorites(userIdentifier) {
     try {
-      const response = await apiClient.get("/api/v1/favorites", {
-        params: { user_identifier: userIdentifier },
-      });
+      const response = dataSourceService.isLocal()
+        ? await localDataService.getFavorites(userIdentifier)
+        : await apiClient.get("/api/v1/favorites", {
+            params: { user_identifier: userIdentifier },
+          });
       return response;
     } catch (error) {
       throw error;
@@ -26,11 +97,250 @@ identifier
 */
   async toggleFavorite(data) {
     try {
-      const response = await apiClient.post("/api/v1/favorites/toggle", data);
+      const response = dataSourceService.isLocal()
+        ? await localDataService.toggleFavorite(data)
+        : await apiClient.post("/api/v1/favorites/toggle", data);
       return response;
     } catch (error) {
       throw error;
     }
   }
+
+  /**
+   * Subscribe to changes of the local favorites mirror
+   * @param {Function} listener - Called with { type, recipeId, error }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event) {
+    this.listeners.forEach((listener) => listener(event));
+    // Kept for components listening outside React
+    window.dispatchEvent(new CustomEvent("favoritesUpdated", { detail: event }));
+  }
+
+  /**
+   * Get the local favorites mirror
+   * @returns {Array} Favorite recipes
+   */
+  getLocalFavorites() {
+    return loadFavorites();
+  }
+
+  isFavorited(recipeId) {
+    return loadFavorites().some((fav) => sameId(fav.id, recipeId));
+  }
+
+  setLocalFavorite(recipe, favorited) {
+    const favorites = loadFavorites().filter((fav) => !sameId(fav.id, recipe.id));
+    if (favorited) {
+      favorites.push(toFavoriteRecipe(recipe));
+    }
+    saveFavorites(favorites);
+  }
+
+  /**
+   * Bring the server to a favorite state
+   * @param {string} recipeId - Recipe ID
+   * @param {boolean} favorited - Desired state
+   * @param {string} userIdentifier - User identifier
+   * @returns {Promise} API response
+   */
+  async sendFavorite(recipeId, favorited, userIdentifier) {
+    const data = { recipe_id: recipeId, user_identifier: userIdentifier };
+    const response = await this.toggleFavorite(data);
+
+    // The server flips whatever it has; if that wasn't what we expected
+    // (changed on another device), flip again to reach the desired state
+    const serverState = response?.data?.is_favorited ?? response?.data?.favorited;
+    if (typeof serverState === "boolean" && serverState !== favorited) {
+      return this.toggleFavorite(data);
+    }
+    return response;
+  }
+
+  /**
+   * Favorite states still waiting in the outbox, latest per recipe
+   * @returns {Promise<Map>} recipeId -> favorited
+   */
+  async getQueuedStates() {
+    const entries = await outboxService.getEntries();
+    return new Map(
+      entries
+        .filter(
+          (entry) =>
+            entry.type === OUTBOX_ACTIONS.SET_FAVORITE &&
+            entry.status !== OUTBOX_STATUS.FAILED
+        )
+        .map((entry) => [String(entry.recipeId), entry.payload.favorited])
+    );
+  }
+
+  /**
+   * Favorite or unfavorite a recipe. The local mirror changes immediately.
+   * Offline, the change waits in the outbox; it is rolled back only if the
+   * server rejects it.
+   * @param {Object} recipe - Recipe data (needs at least an id)
+   * @param {boolean} favorited - Desired state
+   * @returns {Promise<boolean>} Final state
+   */
+  setFavorite(recipe, favorited) {
+    const previous = this.isFavorited(recipe.id);
+    if (previous === favorited) return Promise.resolve(favorited);
+
+    const previousEntry = loadFavorites().find((fav) => sameId(fav.id, recipe.id));
+    this.pending.set(String(recipe.id), favorited);
+    this.setLocalFavorite(recipe, favorited);
+    this.notify({ type: "changed", recipeId: recipe.id });
+
+    // Toggles are sent one at a time so quick double taps stay in order
+    const run = this.queue.then(async () => {
+      try {
+        await this.sendFavorite(recipe.id, favorited, getUserIdentifier());
+        return favorited;
+      } catch (error) {
+        if (isOfflineError(error)) {
+          await outboxService.enqueue({
+            type: OUTBOX_ACTIONS.SET_FAVORITE,
+            recipeId: recipe.id,
+            payload: { favorited, user_identifier: getUserIdentifier() },
+            label: `${favorited ? "Tambah" : "Hapus"} favorit "${recipe.name || recipe.id}"`,
+          });
+          return favorited;
+        }
+
+        console.error("Error syncing favorite, rolling back:", error);
+        if (previousEntry) {
+          this.setLocalFavorite(previousEntry, true);
+        } else {
+          this.setLocalFavorite(recipe, previous);
+        }
+        this.notify({ type: "failed", recipeId: recipe.id, error });
+        return previous;
+      } finally {
+        if (this.pending.get(String(recipe.id)) === favorited) {
+          this.pending.delete(String(recipe.id));
+        }
+      }
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Flip the favorite state of a recipe
+   * @param {Object} recipe - Recipe data
+   * @returns {Promise<boolean>} Final state
+   */
+  toggle(recipe) {
+    return this.setFavorite(recipe, !this.isFavorited(recipe.id));
+  }
+
+  hasMerged(userIdentifier) {
+    try {
+      return JSON.parse(localStorage.getItem(MERGED_KEY) || "[]").includes(
+        userIdentifier
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  markMerged(userIdentifier) {
+    const merged = JSON.parse(localStorage.getItem(MERGED_KEY) || "[]");
+    localStorage.setItem(
+      MERGED_KEY,
+      JSON.stringify([...new Set([...merged, userIdentifier])])
+    );
+  }
+
+  /**
+   * Replace the local mirror with the server list.
+   * The first sync for a user sends local-only favorites to the server first,
+   * so favorites made before sync existed (or before logging in) are kept.
+   * @returns {Promise<Array>} Favorites after sync
+   */
+  syncFavorites() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async runSync() {
+    const userIdentifier = getUserIdentifier();
+
+    try {
+      const response = await this.getFavorites(userIdentifier);
+      const local = loadFavorites();
+      let serverFavorites = getServerList(response).map(fromServerFavorite);
+      const queued = await this.getQueuedStates();
+
+      if (!this.hasMerged(userIdentifier)) {
+        // Toggles in flight or queued are sent by setFavorite and the outbox
+        const localOnly = local.filter(
+          (fav) =>
+            !this.pending.has(String(fav.id)) &&
+            !queued.has(String(fav.id)) &&
+            !serverFavorites.some((server) => sameId(server.id, fav.id))
+        );
+        // Favorites the server refuses (e.g. the recipe was deleted there)
+        // are dropped rather than blocking every later sync
+        const accepted = [];
+        for (const favorite of localOnly) {
+          try {
+            await this.sendFavorite(favorite.id, true, userIdentifier);
+            accepted.push(favorite);
+          } catch (error) {
+            if (isOfflineError(error)) throw error;
+            console.warn(`Server refused favorite ${favorite.id}, dropping it:`, error);
+          }
+        }
+        serverFavorites = [...serverFavorites, ...accepted];
+        this.markMerged(userIdentifier);
+      }
+
+      // Prefer the richer local copy of a recipe, and keep toggles still in
+      // flight or queued (re-read: the user may have toggled while we were
+      // waiting)
+      const current = loadFavorites();
+      const desired = new Map([...queued, ...this.pending]);
+      const merged = serverFavorites
+        .map((server) => current.find((fav) => sameId(fav.id, server.id)) || server)
+        .filter((fav) => desired.get(String(fav.id)) !== false);
+      current.forEach((fav) => {
+        if (
+          desired.get(String(fav.id)) === true &&
+          !merged.some((item) => sameId(item.id, fav.id))
+        ) {
+          merged.push(fav);
+        }
+      });
+
+      saveFavorites(merged);
+      this.notify({ type: "synced" });
+      return merged;
+    } catch (error) {
+      // Offline or server down: keep showing the local mirror
+      console.warn("Error syncing favorites:", error);
+      return loadFavorites();
+    }
+  }
 }
-export default new FavoriteService();
+const favoriteService = new FavoriteService();
+
+outboxService.registerHandler(OUTBOX_ACTIONS.SET_FAVORITE, (entry) =>
+  favoriteService.sendFavorite(
+    entry.recipeId,
+    entry.payload.favorited,
+    entry.payload.user_identifier
+  )
+);
+
+export default favoriteService;
@@ -0,0 +1,106 @@
+import { parseRecipeImport } from "../utils/recipeImport";
+
+// Larger files are not recipes (or not ones we can read)
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const ALLOWED_EXTENSIONS = [".json", ".jsonld", ".html", ".htm", ".txt"];
+const FETCH_TIMEOUT = 10000;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/i;
+
+class ImportService {
+  /**
+   * Recipes in pasted content (text, JSON or HTML)
+   * @param {string} text - Pasted content
+   * @returns {Array} [{ recipe, source, notes }]
+   */
+  parseText(text) {
+    return parseRecipeImport(text);
+  }
+
+  /**
+   * Recipes in a chosen or dropped file
+   * @param {File} file - .json, .html or .txt file
+   * @returns {Promise<Array>} [{ recipe, source, notes }]
+   */
+  async parseFile(file) {
+    if (!file) {
+      throw new Error("Pilih file terlebih dahulu");
+    }
+    const name = file.name.toLowerCase();
+    if (!ALLOWED_EXTENSIONS.some((extension) => name.endsWith(extension))) {
+      throw new Error("Format file harus .json, .html atau .txt");
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error("Ukuran file maksimal 2MB");
+    }
+    return parseRecipeImport(await file.text());
+  }
+
+  /**
+   * Recipes on a web page. Most recipe sites don't allow other sites to read
+   * their pages, so this often fails; the error says what to do instead.
+   * @param {string} url - Page address
+   * @returns {Promise<Array>} [{ recipe, source, notes }]
+   */
+  async parseUrl(url) {
+    let pageUrl;
+    try {
+      pageUrl = new URL(url);
+    } catch {
+      throw new Error("Alamat halaman tidak valid");
+    }
+    if (!["http:", "https:"].includes(pageUrl.protocol)) {
+      throw new Error("Alamat halaman harus diawali http:// atau https://");
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    let html;
+    try {
+      const response = await fetch(pageUrl.href, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Halaman tidak bisa dibuka (status ${response.status})`);
+      }
+      html = await response.text();
+    } catch (error) {
+      if (error.message?.startsWith("Halaman")) throw error;
+      throw new Error(
+        "Halaman ini tidak bisa dibaca langsung dari aplikasi. Buka halamannya, salin seluruh isinya lalu tempel di sini, atau simpan halaman sebagai file .html."
+      );
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    return parseRecipeImport(html);
+  }
+
+  /**
+   * First web address in a piece of text, if any
+   * @param {string} text
+   * @returns {string|null}
+   */
+  findUrl(text) {
+    return String(text || "").match(URL_PATTERN)?.[0] || null;
+  }
+
+  /**
+   * Recipes from something shared to the app (Web Share Target): a link is
+   * opened, otherwise the shared text is read as a recipe
+   * @param {Object} shared - { title, text, url }
+   * @returns {Promise<Array>} [{ recipe, source, notes }]
+   */
+  async parseShared({ title = "", text = "", url = "" } = {}) {
+    const link = url || this.findUrl(text);
+    const rest = link ? text.replace(link, "").trim() : text.trim();
+
+    // Shared text that is more than a link is the recipe itself
+    if (rest.split("\n").length > 2) {
+      return parseRecipeImport(title && !rest.includes(title) ? `${title}\n${rest}` : rest);
+    }
+    if (link) {
+      return this.parseUrl(link);
+    }
+    return parseRecipeImport([title, rest].filter(Boolean).join("\n"));
+  }
+}
+
+export default new ImportService();
@@ -0,0 +1,456 @@
+import {
+  STORES,
+  getAllItems,
+  getItem,
+  putItem,
+  deleteItem,
+  clearStore,
+} from "../utils/indexedDB";
+import { queryRecipes, summarizeReviews } from "../utils/recipeQuery";
+import { createSeedRecipes } from "../data/seedRecipes";
+import { splitIngredientLine } from "../utils/recipeImport";
+import { isRecipeOwner } from "../utils/permissions";
+import { validateRecipe } from "../utils/recipeSchema";
+import { isSameRevision } from "../utils/recipeMerge";
+import { ApiError } from "../utils/apiError";
+
+const SEEDED_KEY = "local_data_seeded";
+const IMAGE_MAX_SIZE = 1200;
+
+/**
+ * The same ApiError apiClient rejects with
+ * @param {number} status - HTTP status the server would have sent
+ * @param {string} message - Message for the user
+ * @param {Object} errors - Field -> message, for validation errors
+ */
+const apiError = (status, message, errors) =>
+  ApiError.fromResponse(status, { success: false, message, errors });
+
+const newId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const toStoredIngredients = (recipeId, ingredients = []) =>
+  ingredients.map((ingredient, index) => ({
+    id: ingredient.id || `${recipeId}-ingredient-${index + 1}`,
+    name: String(ingredient.name || "").trim(),
+    quantity: String(ingredient.quantity || "").trim(),
+  }));
+
+// The API takes steps as texts and answers with { step_number, instruction }
+const toStoredSteps = (recipeId, steps = []) =>
+  steps.map((step, index) => ({
+    id: step?.id || `${recipeId}-step-${index + 1}`,
+    step_number: index + 1,
+    instruction: String(typeof step === "string" ? step : step?.instruction || "").trim(),
+  }));
+
+/**
+ * Shrink an image file to a JPEG data URL small enough to keep on the device
+ * @param {File} file - Image file
+ * @returns {Promise<string>}
+ */
+const imageToDataUrl = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return canvas.toDataURL("image/jpeg", 0.85);
+};
+
+/**
+ * Backend that keeps everything on this device: the bundled demo recipes
+ * plus recipes, reviews and favorites saved here. Methods answer like the
+ * API ({ success, data, pagination }) and reject like apiClient, so
+ * recipeService, reviewService and favoriteService can hand calls over to
+ * it unchanged. Falls back to memory where IndexedDB isn't available
+ * (private windows, tests).
+ */
+class LocalDataService {
+  constructor() {
+    this.memory = typeof indexedDB === "undefined" ? new Map() : null;
+    this.memorySeeded = false;
+    this.seeding = null;
+  }
+
+  // ---- Storage ------------------------------------------------------------
+
+  memoryStore(storeName) {
+    if (!this.memory.has(storeName)) this.memory.set(storeName, new Map());
+    return this.memory.get(storeName);
+  }
+
+  async all(storeName) {
+    await this.ensureSeeded();
+    if (this.memory) return [...this.memoryStore(storeName).values()];
+    return getAllItems(storeName);
+  }
+
+  async get(storeName, key) {
+    await this.ensureSeeded();
+    if (this.memory) return this.memoryStore(storeName).get(key);
+    return getItem(storeName, key);
+  }
+
+  async put(storeName, value) {
+    if (this.memory) {
+      this.memoryStore(storeName).set(value.id, value);
+      return value;
+    }
+    await putItem(storeName, value);
+    return value;
+  }
+
+  async remove(storeName, key) {
+    if (this.memory) {
+      this.memoryStore(storeName).delete(key);
+      return;
+    }
+    await deleteItem(storeName, key);
+  }
+
+  /**
+   * Add the demo recipes the first time local data is used. Recipes deleted
+   * later stay deleted; reset() brings them back.
+   */
+  ensureSeeded() {
+    if (!this.seeding) {
+      this.seeding = (async () => {
+        const seeded = this.memory ? this.memorySeeded : localStorage.getItem(SEEDED_KEY);
+        if (seeded) return;
+        await Promise.all(createSeedRecipes(splitIngredientLine).map((recipe) => this.put(STORES.LOCAL_RECIPES, recipe)));
+        if (this.memory) {
+          this.memorySeeded = true;
+        } else {
+          localStorage.setItem(SEEDED_KEY, new Date().toISOString());
+        }
+      })().catch((error) => {
+        this.seeding = null;
+        throw error;
+      });
+    }
+    return this.seeding;
+  }
+
+  /**
+   * Throw away everything saved locally and start over with the demo recipes
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    if (this.memory) {
+      this.memory.clear();
+      this.memorySeeded = false;
+    } else {
+      await Promise.all([
+        clearStore(STORES.LOCAL_RECIPES),
+        clearStore(STORES.LOCAL_REVIEWS),
+        clearStore(STORES.LOCAL_FAVORITES),
+      ]);
+      localStorage.removeItem(SEEDED_KEY);
+    }
+    this.seeding = null;
+    await this.ensureSeeded();
+  }
+
+  // ---- Recipes ------------------------------------------------------------
+
+  async withRatings(recipes) {
+    const reviews = await this.all(STORES.LOCAL_REVIEWS);
+    return recipes.map((recipe) => ({
+      ...recipe,
+      ...summarizeReviews(reviews.filter((review) => review.recipe_id === recipe.id)),
+    }));
+  }
+
+  async findRecipe(id) {
+    const recipe = await this.get(STORES.LOCAL_RECIPES, String(id));
+    if (!recipe) throw apiError(404, "Resep tidak ditemukan");
+    return recipe;
+  }
+
+  /**
+   * Same as GET /api/v1/recipes
+   * @param {Object} params - page, limit, category, difficulty, search, sort_by, order
+   * @returns {Promise<Object>} { success, data, pagination }
+   */
+  async getRecipes(params = {}) {
+    const recipes = await this.withRatings(await this.all(STORES.LOCAL_RECIPES));
+    return { success: true, ...queryRecipes(recipes, params) };
+  }
+
+  /**
+   * Same as GET /api/v1/recipes/:id
+   * @param {string} id - Recipe ID
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getRecipeById(id) {
+    const [recipe] = await this.withRatings([await this.findRecipe(id)]);
+    return { success: true, data: recipe };
+  }
+
+  async saveRecipe(recipe) {
+    const errors = validateRecipe(recipe);
+    if (Object.keys(errors).length) {
+      throw apiError(422, "Data resep tidak valid", errors);
+    }
+    await this.put(STORES.LOCAL_RECIPES, recipe);
+    const [saved] = await this.withRatings([recipe]);
+    return saved;
+  }
+
+  /**
+   * Same as POST /api/v1/recipes
+   * @param {Object} recipeData - Prepared recipe data (steps as texts)
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async createRecipe(recipeData) {
+    const id = newId("resep");
+    const now = new Date().toISOString();
+    const recipe = await this.saveRecipe({
+      ...recipeData,
+      id,
+      name: String(recipeData.name || "").trim(),
+      description: String(recipeData.description || "").trim(),
+      prep_time: Number(recipeData.prep_time) || 0,
+      cook_time: Number(recipeData.cook_time) || 0,
+      servings: Number(recipeData.servings) || 0,
+      ingredients: toStoredIngredients(id, recipeData.ingredients),
+      steps: toStoredSteps(id, recipeData.steps),
+      created_at: now,
+      updated_at: now,
+      version: 1,
+    });
+    return { success: true, data: recipe, message: "Resep berhasil dibuat" };
+  }
+
+  async changeRecipe(id, changes) {
+    const current = await this.findRecipe(id);
+    if (!isRecipeOwner(current)) {
+      throw apiError(403, "Anda tidak memiliki izin untuk mengubah resep ini");
+    }
+    // Changes made to an older copy are refused like the API does (409),
+    // with the current copy so it can be merged
+    if (!isSameRevision(current, changes)) {
+      const [latest] = await this.withRatings([current]);
+      throw ApiError.fromResponse(409, {
+        success: false,
+        message: "Resep sudah diubah sejak Anda membukanya",
+        data: latest,
+      });
+    }
+    const recipe = await this.saveRecipe({
+      ...current,
+      ...changes,
+      id: current.id,
+      created_by: current.created_by,
+      created_at: current.created_at,
+      ...(changes.ingredients && { ingredients: toStoredIngredients(current.id, changes.ingredients) }),
+      ...(changes.steps && { steps: toStoredSteps(current.id, changes.steps) }),
+      updated_at: new Date().toISOString(),
+      version: (current.version ?? 0) + 1,
+    });
+    return { success: true, data: recipe, message: "Resep berhasil diperbarui" };
+  }
+
+  /**
+   * Same as PUT /api/v1/recipes/:id
+   * @param {string} id - Recipe ID
+   * @param {Object} recipeData - Complete prepared recipe data
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  updateRecipe(id, recipeData) {
+    return this.changeRecipe(id, recipeData);
+  }
+
+  /**
+   * Same as PATCH /api/v1/recipes/:id
+   * @param {string} id - Recipe ID
+   * @param {Object} partialData - Fields to change
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  patchRecipe(id, partialData) {
+    return this.changeRecipe(id, partialData);
+  }
+
+  /**
+   * Same as DELETE /api/v1/recipes/:id; its reviews and favorites go too
+   * @param {string} id - Recipe ID
+   * @returns {Promise<Object>} { success, message }
+   */
+  async deleteRecipe(id) {
+    const recipe = await this.findRecipe(id);
+    if (!isRecipeOwner(recipe)) {
+      throw apiError(403, "Anda tidak memiliki izin untuk menghapus resep ini");
+    }
+    const [reviews, favorites] = await Promise.all([
+      this.all(STORES.LOCAL_REVIEWS),
+      this.all(STORES.LOCAL_FAVORITES),
+    ]);
+    await Promise.all([
+      ...reviews
+        .filter((review) => review.recipe_id === recipe.id)
+        .map((review) => this.remove(STORES.LOCAL_REVIEWS, review.id)),
+      ...favorites
+        .filter((favorite) => favorite.recipe_id === recipe.id)
+        .map((favorite) => this.remove(STORES.LOCAL_FAVORITES, favorite.id)),
+    ]);
+    await this.remove(STORES.LOCAL_RECIPES, recipe.id);
+    return { success: true, message: "Resep berhasil dihapus" };
+  }
+
+  // ---- Reviews ------------------------------------------------------------
+
+  validateReview(reviewData) {
+    const errors = {};
+    const rating = Number(reviewData.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.rating = "Rating harus antara 1 dan 5";
+    }
+    if (reviewData.comment && String(reviewData.comment).length > 1000) {
+      errors.comment = "Komentar maksimal 1000 karakter";
+    }
+    if (Object.keys(errors).length) {
+      throw apiError(422, "Data ulasan tidak valid", errors);
+    }
+  }
+
+  /**
+   * Same as GET /api/v1/recipes/:id/reviews (newest first)
+   * @param {string} recipeId - Recipe ID
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getReviews(recipeId) {
+    const reviews = await this.all(STORES.LOCAL_REVIEWS);
+    return {
+      success: true,
+      data: reviews
+        .filter((review) => review.recipe_id === String(recipeId))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at)),
+    };
+  }
+
+  /**
+   * Same as POST /api/v1/recipes/:id/reviews
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} reviewData - { user_identifier, rating, comment }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async createReview(recipeId, reviewData) {
+    await this.findRecipe(recipeId);
+    this.validateReview(reviewData);
+    if (!reviewData.user_identifier?.trim()) {
+      throw apiError(422, "Data ulasan tidak valid", {
+        user_identifier: "Nama pengulas harus diisi",
+      });
+    }
+    const now = new Date().toISOString();
+    const review = await this.put(STORES.LOCAL_REVIEWS, {
+      id: newId("ulasan"),
+      recipe_id: String(recipeId),
+      user_identifier: reviewData.user_identifier.trim(),
+      rating: Number(reviewData.rating),
+      comment: String(reviewData.comment || "").trim(),
+      created_at: now,
+      updated_at: now,
+    });
+    return { success: true, data: review, message: "Ulasan berhasil ditambahkan" };
+  }
+
+  /**
+   * Same as PUT /api/v1/reviews/:id
+   * @param {string} reviewId - Review ID
+   * @param {Object} reviewData - { rating, comment }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async updateReview(reviewId, reviewData) {
+    const current = await this.get(STORES.LOCAL_REVIEWS, String(reviewId));
+    if (!current) throw apiError(404, "Ulasan tidak ditemukan");
+    this.validateReview({ ...current, ...reviewData });
+    const review = await this.put(STORES.LOCAL_REVIEWS, {
+      ...current,
+      rating: Number(reviewData.rating ?? current.rating),
+      comment: String(reviewData.comment ?? current.comment).trim(),
+      updated_at: new Date().toISOString(),
+    });
+    return { success: true, data: review, message: "Ulasan berhasil diperbarui" };
+  }
+
+  /**
+   * Same as DELETE /api/v1/reviews/:id
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object>} { success, message }
+   */
+  async deleteReview(reviewId) {
+    const current = await this.get(STORES.LOCAL_REVIEWS, String(reviewId));
+    if (!current) throw apiError(404, "Ulasan tidak ditemukan");
+    await this.remove(STORES.LOCAL_REVIEWS, current.id);
+    return { success: true, message: "Ulasan berhasil dihapus" };
+  }
+
+  // ---- Favorites ----------------------------------------------------------
+
+  /**
+   * Same as GET /api/v1/favorites
+   * @param {string} userIdentifier - User identifier
+   * @returns {Promise<Object>} { success, data: [{ recipe_id, created_at, recipe }] }
+   */
+  async getFavorites(userIdentifier) {
+    const [favorites, recipes] = await Promise.all([
+      this.all(STORES.LOCAL_FAVORITES),
+      this.all(STORES.LOCAL_RECIPES),
+    ]);
+    const withRatings = await this.withRatings(recipes);
+    return {
+      success: true,
+      data: favorites
+        .filter((favorite) => favorite.user_identifier === userIdentifier)
+        .map((favorite) => ({
+          ...favorite,
+          recipe: withRatings.find((recipe) => recipe.id === favorite.recipe_id),
+        }))
+        .filter((favorite) => favorite.recipe),
+    };
+  }
+
+  /**
+   * Same as POST /api/v1/favorites/toggle
+   * @param {Object} data - { recipe_id, user_identifier }
+   * @returns {Promise<Object>} { success, data: { is_favorited } }
+   */
+  async toggleFavorite({ recipe_id: recipeId, user_identifier: userIdentifier }) {
+    if (!userIdentifier) {
+      throw apiError(422, "Data favorit tidak valid", { user_identifier: "Pengguna harus diisi" });
+    }
+    await this.findRecipe(recipeId);
+    const id = `${userIdentifier}:${recipeId}`;
+    const existing = await this.get(STORES.LOCAL_FAVORITES, id);
+
+    if (existing) {
+      await this.remove(STORES.LOCAL_FAVORITES, id);
+    } else {
+      await this.put(STORES.LOCAL_FAVORITES, {
+        id,
+        recipe_id: String(recipeId),
+        user_identifier: userIdentifier,
+        created_at: new Date().toISOString(),
+      });
+    }
+    return { success: true, data: { is_favorited: !existing } };
+  }
+
+  // ---- Upload -------------------------------------------------------------
+
+  /**
+   * Same as POST /api/v1/upload: the image is kept with the recipe as a
+   * data URL, since there is no file server
+   * @param {File} file - Validated image file
+   * @returns {Promise<Object>} { success, data: { url } }
+   */
+  async uploadImage(file) {
+    return { success: true, data: { url: await imageToDataUrl(file) } };
+  }
+}
+
+export default new LocalDataService();
@@ -0,0 +1,390 @@
+import {
+  STORES,
+  getAllItems,
+  getItem,
+  putItem,
+  deleteItem,
+} from "../utils/indexedDB";
+import { isConnectionError, API_ERROR_TYPES } from "../utils/apiError";
+import { getRecipeRevision, isSameRevision } from "../utils/recipeMerge";
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  SYNCING: "syncing",
+  FAILED: "failed",
+  // The recipe changed on the server since the edit was made; the latest
+  // copy is in `latest` until the edit is merged into it
+  CONFLICT: "conflict",
+  // Waits for an earlier entry for the same recipe that failed (blockedBy)
+  BLOCKED: "blocked",
+};
+
+// Entries that stay put until the user acts on them
+const STUCK_STATUSES = [OUTBOX_STATUS.FAILED, OUTBOX_STATUS.CONFLICT];
+
+export const OUTBOX_ACTIONS = {
+  CREATE_RECIPE: "recipe:create",
+  UPDATE_RECIPE: "recipe:update",
+  PATCH_RECIPE: "recipe:patch",
+  DELETE_RECIPE: "recipe:delete",
+  SET_FAVORITE: "favorite:set",
+};
+
+const TEMP_ID_PREFIX = "local_";
+
+/**
+ * Check whether an error means the server could not be reached
+ * (as opposed to the server answering with an error)
+ * @param {*} error - Error thrown by apiClient
+ * @returns {boolean}
+ */
+export const isOfflineError = (error) => {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return true;
+  }
+  return isConnectionError(error);
+};
+
+/**
+ * Check whether an ID was generated locally for a queued create
+ * @param {string} id - Recipe ID
+ * @returns {boolean}
+ */
+export const isTempId = (id) =>
+  typeof id === "string" && id.startsWith(TEMP_ID_PREFIX);
+
+class OutboxService {
+  constructor() {
+    this.handlers = {};
+    this.listeners = new Set();
+    this.replaying = null;
+    this.paused = false;
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("online", () => this.replay());
+    }
+  }
+
+  /**
+   * Register the function that sends a queued action to the server
+   * @param {string} type - One of OUTBOX_ACTIONS
+   * @param {Function} handler - Receives the entry, returns the API response
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Subscribe to outbox changes
+   * @param {Function} listener - Called with { type, entry }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(type, entry = null) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener({ type, entry });
+      } catch (error) {
+        console.error("Outbox listener error:", error);
+      }
+    });
+  }
+
+  /**
+   * Generate a temporary recipe ID for a create made while offline
+   * @returns {string}
+   */
+  createTempId() {
+    return `${TEMP_ID_PREFIX}${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+  }
+
+  /**
+   * Add a mutation to the outbox
+   * @param {Object} mutation - Mutation to queue
+   * @param {string} mutation.type - One of OUTBOX_ACTIONS
+   * @param {string} mutation.recipeId - Target recipe ID (temp ID for creates)
+   * @param {Object} mutation.payload - Data sent to the API
+   * @param {string} mutation.label - Human readable description
+   * @returns {Promise<Object>} Stored entry
+   */
+  async enqueue({ type, recipeId, payload = null, label = "" }) {
+    const now = new Date().toISOString();
+    const entry = {
+      type,
+      recipeId,
+      payload,
+      label,
+      status: OUTBOX_STATUS.PENDING,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    entry.id = await putItem(STORES.OUTBOX, entry);
+    this.notify("queued", entry);
+    return entry;
+  }
+
+  /**
+   * Get all queued entries in the order they were made
+   * @returns {Promise<Array>}
+   */
+  async getEntries() {
+    try {
+      return await getAllItems(STORES.OUTBOX);
+    } catch (error) {
+      console.error("Error reading outbox:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get queued entries for one recipe
+   * @param {string} recipeId - Recipe ID
+   * @returns {Promise<Array>}
+   */
+  async getEntriesForRecipe(recipeId) {
+    const entries = await this.getEntries();
+    return entries.filter((entry) => String(entry.recipeId) === String(recipeId));
+  }
+
+  async updateEntry(entry, changes) {
+    const updated = {
+      ...entry,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    await putItem(STORES.OUTBOX, updated);
+    return updated;
+  }
+
+  /**
+   * Remove an entry without sending it. Discarding a create also discards
+   * the later changes to that recipe, which then never exists on the server.
+   * @param {number} id - Entry ID
+   */
+  async discard(id) {
+    const entry = await getItem(STORES.OUTBOX, id);
+    await deleteItem(STORES.OUTBOX, id);
+    this.notify("discarded", entry || null);
+    if (!entry) return;
+
+    if (entry.type === OUTBOX_ACTIONS.CREATE_RECIPE) {
+      const later = await this.getEntriesForRecipe(entry.recipeId);
+      for (const other of later) {
+        await deleteItem(STORES.OUTBOX, other.id);
+        this.notify("discarded", other);
+      }
+    } else if (STUCK_STATUSES.includes(entry.status)) {
+      // Send what was waiting for it
+      return this.replay();
+    }
+  }
+
+  /**
+   * Put a failed entry back in the queue and replay
+   * @param {number} id - Entry ID
+   */
+  async retry(id) {
+    const entry = await getItem(STORES.OUTBOX, id);
+    if (!entry) return;
+
+    const updated = await this.updateEntry(entry, {
+      status: OUTBOX_STATUS.PENDING,
+      error: null,
+    });
+    this.notify("changed", updated);
+    return this.replay();
+  }
+
+  /**
+   * Replace the changes of a conflicted entry with their merge into the
+   * latest version, and send it again
+   * @param {number} id - Entry ID
+   * @param {Object} merged - Merged recipe
+   */
+  async resolveConflict(id, merged) {
+    const entry = await getItem(STORES.OUTBOX, id);
+    if (!entry) return;
+
+    const updated = await this.updateEntry(entry, {
+      status: OUTBOX_STATUS.PENDING,
+      payload: { ...merged, ...getRecipeRevision(entry.latest) },
+      latest: null,
+      error: null,
+    });
+    this.notify("changed", updated);
+    return this.replay();
+  }
+
+  /**
+   * Point later entries that target a temp ID at the real server ID
+   * @param {string} tempId - Temporary recipe ID
+   * @param {string} realId - ID assigned by the server
+   */
+  async remapRecipeId(tempId, realId) {
+    const entries = await this.getEntries();
+    await Promise.all(
+      entries
+        .filter((entry) => entry.recipeId === tempId)
+        .map((entry) => this.updateEntry(entry, { recipeId: realId }))
+    );
+  }
+
+  /**
+   * Move later entries that were made on the same copy of a recipe as a
+   * synced one to the version it produced, so several offline edits in a
+   * row don't conflict with each other
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} sent - Payload of the synced entry
+   * @param {Object} saved - Recipe returned by the server
+   */
+  async rebaseRecipe(recipeId, sent, saved) {
+    const entries = await this.getEntries();
+    await Promise.all(
+      entries
+        .filter((entry) => entry.recipeId === recipeId && entry.payload)
+        .filter((entry) => isSameRevision(entry.payload, sent))
+        .map((entry) =>
+          this.updateEntry(entry, {
+            payload: { ...entry.payload, ...getRecipeRevision(saved) },
+          })
+        )
+    );
+  }
+
+  /**
+   * Hold pending entries while the app works on local data instead of the
+   * server, and send them once it is back on the server
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    if (this.paused === paused) return;
+    this.paused = paused;
+    if (!paused) this.replay();
+  }
+
+  /**
+   * Send pending entries to the server in order.
+   * Stops at the first entry that fails because the network is still down,
+   * or when replay is paused; entries the server rejects are marked failed
+   * and skipped, or held for a merge when the recipe changed there in the
+   * meantime. Later entries for a recipe with such an entry are held
+   * (blocked) until it is dealt with, since they build on it.
+   * @returns {Promise<Object>} { synced, failed, remaining }
+   */
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.runReplay().finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  async runReplay() {
+    const result = { synced: 0, failed: 0, remaining: 0 };
+    const entries = await this.getEntries();
+    // Recipe ID -> ID of its failed or conflicted entry
+    const holding = new Map();
+
+    for (let i = 0; i < entries.length; i++) {
+      if (this.paused) {
+        result.remaining += entries.length - i;
+        break;
+      }
+
+      // Re-read so ID remaps made during this run are picked up
+      const entry = await getItem(STORES.OUTBOX, entries[i].id);
+      if (!entry) continue;
+      if (STUCK_STATUSES.includes(entry.status)) {
+        holding.set(String(entry.recipeId), entry.id);
+        continue;
+      }
+
+      const blocker = holding.get(String(entry.recipeId));
+      if (blocker !== undefined) {
+        if (entry.status !== OUTBOX_STATUS.BLOCKED || entry.blockedBy !== blocker) {
+          const blocked = await this.updateEntry(entry, {
+            status: OUTBOX_STATUS.BLOCKED,
+            blockedBy: blocker,
+          });
+          this.notify("changed", blocked);
+        }
+        result.remaining++;
+        continue;
+      }
+
+      const handler = this.handlers[entry.type];
+      if (!handler) {
+        console.warn(`No outbox handler registered for ${entry.type}`);
+        result.remaining++;
+        continue;
+      }
+
+      const syncing = await this.updateEntry(entry, {
+        status: OUTBOX_STATUS.SYNCING,
+        blockedBy: null,
+        attempts: entry.attempts + 1,
+      });
+      this.notify("changed", syncing);
+
+      try {
+        const response = await handler(syncing);
+
+        if (syncing.type === OUTBOX_ACTIONS.CREATE_RECIPE) {
+          const createdId = response?.data?.id;
+          if (createdId) {
+            await this.remapRecipeId(syncing.recipeId, createdId);
+          }
+        } else if (syncing.type === OUTBOX_ACTIONS.UPDATE_RECIPE && response?.data) {
+          await this.rebaseRecipe(syncing.recipeId, syncing.payload, response.data);
+        }
+
+        await deleteItem(STORES.OUTBOX, syncing.id);
+        result.synced++;
+        this.notify("synced", { ...syncing, response });
+      } catch (error) {
+        if (isOfflineError(error)) {
+          const pending = await this.updateEntry(syncing, {
+            status: OUTBOX_STATUS.PENDING,
+          });
+          this.notify("changed", pending);
+          result.remaining += entries.length - i;
+          break;
+        }
+
+        if (error?.type === API_ERROR_TYPES.CONFLICT && error.data?.data) {
+          const conflicted = await this.updateEntry(syncing, {
+            status: OUTBOX_STATUS.CONFLICT,
+            latest: error.data.data,
+            error: error.message || "Resep sudah diubah di server",
+          });
+          holding.set(String(conflicted.recipeId), conflicted.id);
+          result.failed++;
+          this.notify("changed", conflicted);
+          continue;
+        }
+
+        const failed = await this.updateEntry(syncing, {
+          status: OUTBOX_STATUS.FAILED,
+          error: error?.message || "Gagal mengirim perubahan",
+        });
+        holding.set(String(failed.recipeId), failed.id);
+        result.failed++;
+        this.notify("failed", failed);
+      }
+    }
+
+    return result;
+  }
+}
+
+export default new OutboxService();
@@ -1,5 +1,17 @@
 
 import { apiClient } from "../config/api";
+import outboxService, {
+  OUTBOX_ACTIONS,
+  isOfflineError,
+  isTempId,
+} from "./outboxService";
+import { getUserIdentifier } from "./userService";
+import dataSourceService from "./dataSourceService";
+import localDataService from "./localDataService";
+import revisionService, { getCurrentAuthor } from "./revisionService";
+import { ApiError, API_ERROR_TYPES } from "../utils/apiError";
+import { validateRecipe, isBlankItem } from "../utils/recipeSchema";
+import { isSameRevision } from "../utils/recipeMerge";
 
 class RecipeService {
   /**
@@ -16,7 +28,9 @@ class RecipeService {
    */
   async getRecipes(params = {}) {
     try {
-      const response = await apiClient.get("/api/v1/recipes", { params });
+      const response = dataSourceService.isLocal()
+        ? await localDataService.getRecipes(params)
+        : await apiClient.get("/api/v1/recipes", { params });
       
       // Ensure all recipes have complete data structure
       if (response.data && response.data.data) {
@@ -39,7 +53,9 @@ class RecipeService {
    */
   async getRecipeById(id) {
     try {
-      const response = await apiClient.get(`/api/v1/recipes/${id}`);
+      const response = dataSourceService.isLocal()
+        ? await localDataService.getRecipeById(id)
+        : await apiClient.get(`/api/v1/recipes/${id}`);
       
       // Normalize recipe data
       if (response.data && response.data.data) {
@@ -54,82 +70,209 @@ class RecipeService {
   }
 
   /**
-   * Create new recipe
+   * Create new recipe, owned by the current user
+   * When the server can't be reached the recipe is queued in the outbox and
+   * the response has `queued: true` with a temporary ID.
    * @param {Object} recipeData - Recipe data
+   * @param {Object} options - Options
+   * @param {boolean} options.queueIfOffline - Queue instead of throwing when offline (default: true)
    * @returns {Promise}
    */
-  async createRecipe(recipeData) {
+  async createRecipe(recipeData, { queueIfOffline = true } = {}) {
+    // Prepare data for API, recording who created it (used for edit/delete
+    // permissions) and a client ID, so a create that timed out but reached
+    // the server isn't made twice when it is sent again
+    const preparedData = {
+      ...this.prepareRecipeData(recipeData),
+      created_by: recipeData.created_by || getUserIdentifier(),
+      client_id: recipeData.client_id || outboxService.createTempId(),
+    };
+
     try {
-      // Prepare data for API
-      const preparedData = this.prepareRecipeData(recipeData);
-      
-      const response = await apiClient.post("/api/v1/recipes", preparedData);
+      const response = dataSourceService.isLocal()
+        ? await localDataService.createRecipe(preparedData)
+        : await apiClient.post("/api/v1/recipes", preparedData);
       
       // Normalize response data
       if (response.data && response.data.data) {
         response.data.data = this.normalizeRecipeData(response.data.data);
       }
+
+      await this.recordRevisions(null, response?.data);
       
       return response;
     } catch (error) {
+      if (queueIfOffline && isOfflineError(error)) {
+        return this.queueMutation(
+          OUTBOX_ACTIONS.CREATE_RECIPE,
+          preparedData.client_id,
+          preparedData,
+          `Buat resep "${preparedData.name}"`
+        );
+      }
       console.error("Error creating recipe:", error);
       throw error;
     }
   }
 
+  /**
+   * Find the recipe a create with this client ID made, if it reached the server
+   * @param {string} clientId - Client ID sent with the create
+   * @returns {Promise<Object|null>} Recipe, or null if there is none
+   */
+  async findCreatedRecipe(clientId) {
+    const response = await apiClient.get("/api/v1/recipes", {
+      params: { client_id: clientId },
+    });
+    // Servers that ignore the filter return other recipes too
+    const recipe = (response?.data || []).find((item) => item.client_id === clientId);
+    return recipe ? this.normalizeRecipeData(recipe) : null;
+  }
+
   /**
    * Update existing recipe (full replacement)
+   * When the server can't be reached the update is queued in the outbox and
+   * the response has `queued: true`.
+   * recipeData carries the `version` / `updated_at` of the copy that was
+   * edited. When the recipe has changed since, nothing is saved and an
+   * ApiError of type CONFLICT is thrown with the current recipe in
+   * `error.data.data`.
    * @param {string} id - Recipe ID
    * @param {Object} recipeData - Complete recipe data (all fields required)
+   * @param {Object} options - Options
+   * @param {boolean} options.queueIfOffline - Queue instead of throwing when offline (default: true)
    * @returns {Promise}
    */
-  async updateRecipe(id, recipeData) {
+  async updateRecipe(id, recipeData, { queueIfOffline = true } = {}) {
+    // Recipes created offline only exist in the outbox until they are synced
+    if (queueIfOffline && isTempId(id)) {
+      const preparedData = this.prepareRecipeData(recipeData);
+      return this.queueMutation(
+        OUTBOX_ACTIONS.UPDATE_RECIPE,
+        id,
+        preparedData,
+        `Perbarui resep "${preparedData.name}"`
+      );
+    }
+
+    // Get current recipe first to preserve existing data
+    let currentRecipe = null;
     try {
-      // Get current recipe first to preserve existing data
-      let currentRecipe = null;
-      try {
-        const currentResponse = await this.getRecipeById(id);
-        if (currentResponse.data && currentResponse.data.data) {
-          currentRecipe = currentResponse.data.data;
-        }
-      } catch (error) {
-        console.warn("Could not fetch current recipe data:", error);
-      }
+      // apiClient and the local data source both answer with the body
+      const currentResponse = await this.getRecipeById(id);
+      currentRecipe = currentResponse?.data || null;
+    } catch (error) {
+      console.warn("Could not fetch current recipe data:", error);
+    }
 
-      // Prepare data for API, preserving existing data where needed
-      const preparedData = this.prepareRecipeData(recipeData, currentRecipe);
-      
-      const response = await apiClient.put(`/api/v1/recipes/${id}`, preparedData);
+    // Servers that don't check versions themselves would overwrite it
+    if (currentRecipe && !isSameRevision(currentRecipe, recipeData)) {
+      throw this.conflictError(currentRecipe);
+    }
+
+    // Prepare data for API, preserving existing data where needed
+    const preparedData = {
+      ...this.prepareRecipeData(recipeData, currentRecipe),
+      updated_by: getCurrentAuthor(),
+    };
+
+    try {
+      const response = dataSourceService.isLocal()
+        ? await localDataService.updateRecipe(id, preparedData)
+        : await apiClient.put(`/api/v1/recipes/${id}`, preparedData);
       
       // Normalize response data
       if (response.data && response.data.data) {
         response.data.data = this.normalizeRecipeData(response.data.data);
       }
+
+      await this.recordRevisions(currentRecipe, response?.data);
       
       return response;
     } catch (error) {
+      if (queueIfOffline && isOfflineError(error)) {
+        return this.queueMutation(
+          OUTBOX_ACTIONS.UPDATE_RECIPE,
+          id,
+          preparedData,
+          `Perbarui resep "${preparedData.name}"`
+        );
+      }
+      if (error?.type === API_ERROR_TYPES.CONFLICT && error.data?.data) {
+        error.data.data = this.normalizeRecipeData(error.data.data);
+      }
       console.error(`Error updating recipe ${id}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Keep a saved recipe in its history (see revisionService), with the
+   * version it replaced when that one isn't there yet
+   * @param {Object} previous - Recipe before the save, if known
+   * @param {Object} saved - Recipe returned by the save
+   */
+  async recordRevisions(previous, saved) {
+    if (previous) await revisionService.record(previous);
+    if (saved?.id) await revisionService.record(saved, { author: getCurrentAuthor() });
+  }
+
+  /**
+   * Error for an update made to an older copy of a recipe
+   * @param {Object} currentRecipe - Recipe as it is now
+   * @returns {ApiError}
+   */
+  conflictError(currentRecipe) {
+    return new ApiError({
+      type: API_ERROR_TYPES.CONFLICT,
+      status: 409,
+      message: 'Resep sudah diubah oleh orang lain sejak Anda membukanya',
+      data: { success: false, data: currentRecipe },
+    });
+  }
+
   /**
    * Partially update recipe (only send fields to update)
    * @param {string} id - Recipe ID
    * @param {Object} partialData - Partial recipe data (only fields to update)
+   * @param {Object} options - Options
+   * @param {boolean} options.queueIfOffline - Queue instead of throwing when offline (default: true)
    * @returns {Promise}
    */
-  async patchRecipe(id, partialData) {
+  async patchRecipe(id, partialData, { queueIfOffline = true } = {}) {
+    const errors = validateRecipe(partialData, { partial: true });
+    if (Object.keys(errors).length > 0) {
+      throw new ApiError({ type: API_ERROR_TYPES.VALIDATION, errors });
+    }
+
     try {
-      const response = await apiClient.patch(`/api/v1/recipes/${id}`, partialData);
+      // Anonymous requests prove ownership with the creator, like PUT
+      const changes = {
+        ...partialData,
+        created_by: partialData.created_by || getUserIdentifier(),
+        updated_by: getCurrentAuthor(),
+      };
+      const response = dataSourceService.isLocal()
+        ? await localDataService.patchRecipe(id, changes)
+        : await apiClient.patch(`/api/v1/recipes/${id}`, changes);
       
       // Normalize response data
       if (response.data && response.data.data) {
         response.data.data = this.normalizeRecipeData(response.data.data);
       }
+
+      await this.recordRevisions(null, response?.data);
       
       return response;
     } catch (error) {
+      if (queueIfOffline && isOfflineError(error)) {
+        return this.queueMutation(
+          OUTBOX_ACTIONS.PATCH_RECIPE,
+          id,
+          partialData,
+          "Perbarui sebagian resep"
+        );
+      }
       console.error(`Error patching recipe ${id}:`, error);
       throw error;
     }
@@ -138,18 +281,65 @@ class RecipeService {
   /**
    * Delete recipe
    * @param {string} id - Recipe ID
+   * @param {Object} options - Options
+   * @param {boolean} options.queueIfOffline - Queue instead of throwing when offline (default: true)
    * @returns {Promise}
    */
-  async deleteRecipe(id) {
+  async deleteRecipe(id, { queueIfOffline = true } = {}) {
+    // Deleting a recipe that was never synced just drops its queued changes
+    if (isTempId(id)) {
+      const entries = await outboxService.getEntriesForRecipe(id);
+      await Promise.all(entries.map((entry) => outboxService.discard(entry.id)));
+      return { success: true, message: "Resep offline dihapus" };
+    }
+
     try {
-      const response = await apiClient.delete(`/api/v1/recipes/${id}`);
+      const response = dataSourceService.isLocal()
+        ? await localDataService.deleteRecipe(id)
+        : await apiClient.delete(`/api/v1/recipes/${id}`, {
+            data: { created_by: getUserIdentifier() },
+          });
+      await revisionService.clear(id);
       return response;
     } catch (error) {
+      if (queueIfOffline && isOfflineError(error)) {
+        return this.queueMutation(
+          OUTBOX_ACTIONS.DELETE_RECIPE,
+          id,
+          null,
+          "Hapus resep"
+        );
+      }
       console.error(`Error deleting recipe ${id}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Store a mutation in the outbox to be sent when back online
+   * @param {string} type - One of OUTBOX_ACTIONS
+   * @param {string} recipeId - Target recipe ID
+   * @param {Object} payload - Data to send
+   * @param {string} label - Description shown in the UI
+   * @returns {Promise<Object>} - { success: false, queued: true, data, outbox_id, message }
+   */
+  async queueMutation(type, recipeId, payload, label) {
+    const entry = await outboxService.enqueue({
+      type,
+      recipeId,
+      payload,
+      label,
+    });
+
+    return {
+      success: false,
+      queued: true,
+      outbox_id: entry.id,
+      data: payload ? { ...payload, id: recipeId } : { id: recipeId },
+      message: "Tidak ada koneksi. Perubahan akan dikirim saat online.",
+    };
+  }
+
   /**
    * Normalize recipe data to ensure consistent structure
    * @param {Object} recipe - Raw recipe data from API
@@ -196,43 +386,61 @@ class RecipeService {
   }
 
   /**
-   * Prepare recipe data for API submission
+   * Point field errors for prepared data back at the form rows they came
+   * from. prepareRecipeData drops blank ingredients and steps, so
+   * "ingredients.1.name" may be about the third row of the form.
+   * @param {Object} errors - Field errors (see utils/apiError)
+   * @param {Object} recipeData - Recipe data as it was in the form
+   * @returns {Object} - Field errors keyed by form row
+   */
+  mapFieldErrorsToForm(errors, recipeData) {
+    const keptRows = (field) =>
+      (recipeData[field] || [])
+        .map((item, index) => (isBlankItem(field, item) ? -1 : index))
+        .filter(index => index !== -1);
+    const rows = {
+      ingredients: keptRows('ingredients'),
+      steps: keptRows('steps'),
+    };
+
+    return Object.fromEntries(
+      Object.entries(errors || {}).map(([field, message]) => {
+        const [list, index, ...rest] = field.split('.');
+        const row = rows[list]?.[index];
+        return [row === undefined ? field : [list, row, ...rest].join('.'), message];
+      })
+    );
+  }
+
+  /**
+   * Prepare recipe data for API submission. The data is checked against
+   * RECIPE_SCHEMA first, so nothing invalid is sent or queued.
    * @param {Object} recipeData - Raw recipe data from form
    * @param {Object} currentRecipe - Current recipe data (for update operations)
    * @returns {Object} - Prepared data for API
+   * @throws {ApiError} - Validation error, with field errors keyed like the
+   *   server's (see mapFieldErrorsToForm)
    */
   prepareRecipeData(recipeData, currentRecipe = null) {
     const preparedData = { ...recipeData };
 
-    // Ensure ingredients array is properly formatted
-    if (Array.isArray(preparedData.ingredients)) {
-      preparedData.ingredients = preparedData.ingredients.map(ingredient => ({
-        name: ingredient.name?.trim() || '',
-        quantity: ingredient.quantity?.trim() || ''
-      })).filter(ingredient => ingredient.name && ingredient.quantity);
-    } else {
-      preparedData.ingredients = [];
-    }
+    // Blank rows (an empty line left in the form) are dropped, half-filled
+    // ones are kept so validation can point at them
+    preparedData.ingredients = (Array.isArray(preparedData.ingredients) ? preparedData.ingredients : [])
+      .filter(ingredient => !isBlankItem('ingredients', ingredient))
+      .map(ingredient => ({
+        name: String(ingredient.name || '').trim(),
+        quantity: String(ingredient.quantity || '').trim()
+      }));
 
-    // Ensure steps array is properly formatted
     // Server expects array of strings, not objects
-    if (Array.isArray(preparedData.steps)) {
-      preparedData.steps = preparedData.steps
-        .map((step) => {
-          // If step is a string, return as-is
-          if (typeof step === 'string') {
-            return step.trim();
-          }
-          // If step is an object with instruction property, extract instruction
-          if (step && step.instruction) {
-            return step.instruction.trim();
-          }
-          // Otherwise skip
-          return null;
-        })
-        .filter(step => step && step.length > 0);
-    } else {
-      preparedData.steps = [];
+    preparedData.steps = (Array.isArray(preparedData.steps) ? preparedData.steps : [])
+      .filter(step => !isBlankItem('steps', step))
+      .map(step => String(typeof step === 'string' ? step : step.instruction).trim());
+
+    // The creator never changes on update
+    if (currentRecipe?.created_by) {
+      preparedData.created_by = currentRecipe.created_by;
     }
 
     // Handle image URL - preserve existing if not changed
@@ -240,15 +448,24 @@ class RecipeService {
       preparedData.image_url = currentRecipe.image_url;
     }
 
-    // Ensure numeric fields are numbers
-    preparedData.prep_time = parseInt(preparedData.prep_time) || 0;
-    preparedData.cook_time = parseInt(preparedData.cook_time) || 0;
-    preparedData.servings = parseInt(preparedData.servings) || 1;
-
     // Ensure string fields are trimmed
     preparedData.name = preparedData.name?.trim() || '';
     preparedData.description = preparedData.description?.trim() || '';
 
+    const errors = validateRecipe(preparedData);
+    if (Object.keys(errors).length > 0) {
+      throw new ApiError({
+        type: API_ERROR_TYPES.VALIDATION,
+        message: 'Data resep belum lengkap. Periksa kembali isian yang ditandai.',
+        errors
+      });
+    }
+
+    // Ensure numeric fields are numbers
+    preparedData.prep_time = parseInt(preparedData.prep_time);
+    preparedData.cook_time = parseInt(preparedData.cook_time);
+    preparedData.servings = parseInt(preparedData.servings);
+
     // Remove any undefined or null values
     Object.keys(preparedData).forEach(key => {
       if (preparedData[key] === undefined || preparedData[key] === null) {
@@ -258,48 +475,50 @@ class RecipeService {
 
     return preparedData;
   }
+}
 
-  /**
-   * Validate recipe data before submission
-   * @param {Object} recipeData - Recipe data to validate
-   * @returns {Object} - Validation result { isValid: boolean, errors: string[] }
-   */
-  validateRecipeData(recipeData) {
-    const errors = [];
-
-    if (!recipeData.name?.trim()) {
-      errors.push("Nama resep harus diisi");
-    }
-
-    if (!recipeData.description?.trim()) {
-      errors.push("Deskripsi resep harus diisi");
-    }
-
-    if (!Array.isArray(recipeData.ingredients) || recipeData.ingredients.length === 0) {
-      errors.push("Minimal satu bahan harus ditambahkan");
-    }
-
-    if (!Array.isArray(recipeData.steps) || recipeData.steps.length === 0) {
-      errors.push("Minimal satu langkah harus ditambahkan");
-    }
-
-    if (recipeData.prep_time < 0) {
-      errors.push("Waktu persiapan tidak valid");
-    }
-
-    if (recipeData.cook_time < 0) {
-      errors.push("Waktu memasak tidak valid");
-    }
+const recipeService = new RecipeService();
 
-    if (recipeData.servings < 1) {
-      errors.push("Jumlah porsi tidak valid");
-    }
+/**
+ * Send a queued mutation without queueing it again
+ * @param {Promise} request - Service call
+ * @returns {Promise} - API response, rejects when the server refused it
+ */
+const sendQueued = async (request) => {
+  const response = await request;
+  if (!response?.success) {
+    throw new Error(response?.message || "Server menolak perubahan");
+  }
+  return response;
+};
 
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
+outboxService.registerHandler(OUTBOX_ACTIONS.CREATE_RECIPE, async (entry) => {
+  // It may already be on the server if an earlier attempt timed out after
+  // the server got it
+  if (entry.payload.client_id) {
+    const existing = await recipeService.findCreatedRecipe(entry.payload.client_id);
+    if (existing) return { success: true, data: existing };
   }
-}
+  return sendQueued(recipeService.createRecipe(entry.payload, { queueIfOffline: false }));
+});
+outboxService.registerHandler(OUTBOX_ACTIONS.UPDATE_RECIPE, (entry) =>
+  sendQueued(
+    recipeService.updateRecipe(entry.recipeId, entry.payload, {
+      queueIfOffline: false,
+    })
+  )
+);
+outboxService.registerHandler(OUTBOX_ACTIONS.PATCH_RECIPE, (entry) =>
+  sendQueued(
+    recipeService.patchRecipe(entry.recipeId, entry.payload, {
+      queueIfOffline: false,
+    })
+  )
+);
+outboxService.registerHandler(OUTBOX_ACTIONS.DELETE_RECIPE, (entry) =>
+  sendQueued(
+    recipeService.deleteRecipe(entry.recipeId, { queueIfOffline: false })
+  )
+);
 
-export default new RecipeService();
\ No newline at end of file
+export default recipeService;
\ No newline at end of file
@@ -1,4 +1,8 @@
 import { apiClient } from "../config/api";
+import { isOfflineError } from "./outboxService";
+import reviewSyncService, { REVIEW_SYNC_STATUS } from "./reviewSyncService";
+import dataSourceService from "./dataSourceService";
+import localDataService from "./localDataService";
 
 const REVIEWS_KEY = "recipe_reviews";
 
@@ -10,6 +14,10 @@ class ReviewService {
    */
   async getReviews(recipeId) {
     try {
+      if (dataSourceService.isLocal()) {
+        return localDataService.getReviews(recipeId);
+      }
+
       // Try to get from API first
       try {
         const response = await apiClient.get(
@@ -54,22 +62,37 @@ identifier
 */
   async createReview(recipeId, reviewData) {
     try {
-      const response = await apiClient.post(
-        `/api/v1/recipes/${recipeId}/reviews`,
-        reviewData
-      );
+      const response = dataSourceService.isLocal()
+        ? await localDataService.createReview(recipeId, reviewData)
+        : await apiClient.post(`/api/v1/recipes/${recipeId}/reviews`, reviewData);
       
       // Also save to localStorage for persistence
       if (response.success || response.data) {
-        this.saveReviewToStorage(recipeId, reviewData);
+        this.saveReviewToStorage(recipeId, reviewData, {
+          server_id: response.data?.id ? String(response.data.id) : null,
+          sync_status: REVIEW_SYNC_STATUS.SYNCED,
+        });
       }
       
       return response;
     } catch (error) {
-      // Fallback: Save to localStorage even if API fails
-      console.warn("API error, saving to localStorage:", error);
-      this.saveReviewToStorage(recipeId, reviewData);
-      return { success: true, data: reviewData, offline: true };
+      if (!isOfflineError(error)) {
+        throw error;
+      }
+
+      // Fallback: keep it on this device and send it once we're back online
+      console.warn("API unreachable, saving review for background sync:", error);
+      const savedReview = this.saveReviewToStorage(recipeId, reviewData, {
+        sync_status: REVIEW_SYNC_STATUS.PENDING,
+      });
+      if (savedReview) {
+        await reviewSyncService.queueReview(
+          recipeId,
+          reviewData,
+          savedReview.client_id
+        );
+      }
+      return { success: true, data: savedReview || reviewData, offline: true };
     }
   }
 
@@ -77,13 +100,20 @@ identifier
    * Save review to localStorage
    * @param {string} recipeId - Recipe ID
    * @param {Object} reviewData - Review data
+   * @param {Object} syncInfo - Sync state
+   * @param {string} syncInfo.server_id - ID of the review on the server
+   * @param {string} syncInfo.sync_status - 'pending' | 'synced'
    */
-  saveReviewToStorage(recipeId, reviewData) {
+  saveReviewToStorage(recipeId, reviewData, syncInfo = {}) {
     try {
       const allReviews = JSON.parse(localStorage.getItem(REVIEWS_KEY) || "[]");
+      const id = Date.now().toString();
       
       const newReview = {
-        id: Date.now().toString(),
+        id,
+        client_id: `review_${id}_${Math.random().toString(36).substr(2, 9)}`,
+        server_id: syncInfo.server_id || null,
+        sync_status: syncInfo.sync_status || REVIEW_SYNC_STATUS.PENDING,
         recipe_id: recipeId,
         recipe_name: reviewData.recipe_name,
         category: reviewData.category,
@@ -113,10 +143,9 @@ identifier
 */
   async updateReview(reviewId, reviewData) {
     try {
-      const response = await apiClient.put(
-        `/api/v1/reviews/${reviewId}`,
-        reviewData
-      );
+      const response = dataSourceService.isLocal()
+        ? await localDataService.updateReview(reviewId, reviewData)
+        : await apiClient.put(`/api/v1/reviews/${reviewId}`, reviewData);
       return response;
     } catch (error) {
       throw error;
@@ -129,7 +158,9 @@ identifier
    */
   async deleteReview(reviewId) {
     try {
-      const response = await apiClient.delete(`/api/v1/reviews/${reviewId}`);
+      const response = dataSourceService.isLocal()
+        ? await localDataService.deleteReview(reviewId)
+        : await apiClient.delete(`/api/v1/reviews/${reviewId}`);
       return response;
     } catch (error) {
       throw error;
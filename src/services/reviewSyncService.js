@@ -0,0 +1,370 @@
+import { apiClient, BASE_URL } from "../config/api";
+import {
+  STORES,
+  getAllItems,
+  putItem,
+  deleteItem,
+  updateItem,
+} from "../utils/indexedDB";
+import { isOfflineError } from "./outboxService";
+import { API_ERROR_TYPES } from "../utils/apiError";
+import { getAccessToken, subscribeSession } from "../utils/authStorage";
+
+const REVIEWS_KEY = "recipe_reviews";
+// Must match the tag handled in public/review-sync-sw.js
+export const REVIEW_SYNC_TAG = "sync-reviews";
+
+export const REVIEW_SYNC_STATUS = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SYNCED: "synced",
+  FAILED: "failed",
+};
+
+// A 'sending' claim older than this is treated as abandoned
+const CLAIM_TIMEOUT_MS = 60 * 1000;
+
+const readStoredReviews = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REVIEWS_KEY) || "[]");
+  } catch (error) {
+    console.error("Error reading reviews from storage:", error);
+    return [];
+  }
+};
+
+const writeStoredReviews = (reviews) => {
+  localStorage.setItem(REVIEWS_KEY, JSON.stringify(reviews));
+};
+
+const normalizeComment = (comment) => (comment || "").trim().toLowerCase();
+
+/**
+ * Check whether two reviews are the same review (same author, rating and comment)
+ * @param {Object} a - Review
+ * @param {Object} b - Review
+ * @returns {boolean}
+ */
+export const isSameReview = (a, b) =>
+  a.user_identifier === b.user_identifier &&
+  Number(a.rating) === Number(b.rating) &&
+  normalizeComment(a.comment) === normalizeComment(b.comment);
+
+/**
+ * Merge server reviews with reviews stored on this device, without duplicates.
+ * Local reviews that are linked to (or look like) a server review are dropped.
+ * @param {Array} serverReviews - Reviews from the API
+ * @param {Array} localReviews - Reviews from localStorage
+ * @returns {Array} Merged reviews, newest first
+ */
+export const mergeReviews = (serverReviews = [], localReviews = []) => {
+  const serverIds = new Set(serverReviews.map((review) => String(review.id)));
+
+  const localOnly = localReviews.filter((local) => {
+    if (local.server_id && serverIds.has(String(local.server_id))) return false;
+    if (serverIds.has(String(local.id))) return false;
+    return !serverReviews.some((server) => isSameReview(server, local));
+  });
+
+  return [...serverReviews, ...localOnly].sort(
+    (a, b) => new Date(b.created_at) - new Date(a.created_at)
+  );
+};
+
+class ReviewSyncService {
+  constructor() {
+    this.listeners = new Set();
+    this.syncing = null;
+    this.started = false;
+  }
+
+  /**
+   * Subscribe to sync results
+   * @param {Function} listener - Called after every sync run
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Start syncing: now, whenever we come back online and whenever the
+   * service worker reports that it sent reviews in the background
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    window.addEventListener("online", () => this.syncPending());
+    navigator.serviceWorker?.addEventListener("message", (event) => {
+      if (event.data?.type === "REVIEWS_SYNCED") {
+        this.syncPending();
+      }
+    });
+    // The service worker can't read the session, so pending records carry
+    // the current access token; reviews refused while logged out go now
+    subscribeSession(async (session) => {
+      await this.updateAccessToken(session?.access_token || null);
+      if (session) this.syncPending();
+    });
+    this.migrateLegacyReviews().then(() => this.syncPending());
+  }
+
+  /**
+   * Queue a review that could not be sent
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} reviewData - Review body sent to the API
+   * @param {string} clientId - ID of the matching localStorage entry
+   */
+  async queueReview(recipeId, reviewData, clientId) {
+    try {
+      await putItem(STORES.PENDING_REVIEWS, {
+        client_id: clientId,
+        recipe_id: recipeId,
+        url: `${BASE_URL}/api/v1/recipes/${recipeId}/reviews`,
+        body: reviewData,
+        access_token: getAccessToken(),
+        status: REVIEW_SYNC_STATUS.PENDING,
+        claimed_at: null,
+        server_review: null,
+        error: null,
+        created_at: new Date().toISOString(),
+      });
+      await this.requestBackgroundSync();
+    } catch (error) {
+      console.error("Error queueing review for sync:", error);
+    }
+  }
+
+  /**
+   * Give pending records the access token of the current session
+   * @param {string|null} accessToken - Access token, null when logged out
+   */
+  async updateAccessToken(accessToken) {
+    try {
+      const records = await getAllItems(STORES.PENDING_REVIEWS);
+      await Promise.all(
+        records
+          .filter((record) => (record.access_token || null) !== accessToken)
+          .map((record) =>
+            updateItem(STORES.PENDING_REVIEWS, record.client_id, (current) =>
+              current ? { ...current, access_token: accessToken } : undefined
+            )
+          )
+      );
+    } catch (error) {
+      console.warn("Could not update pending review tokens:", error);
+    }
+  }
+
+  /**
+   * Ask the service worker to send pending reviews once connectivity returns,
+   * even if the app has been closed by then
+   */
+  async requestBackgroundSync() {
+    try {
+      const registration = await navigator.serviceWorker?.ready;
+      if (registration?.sync) {
+        await registration.sync.register(REVIEW_SYNC_TAG);
+      }
+    } catch (error) {
+      // Background Sync is optional; the 'online' listener covers the rest
+      console.warn("Background sync not available:", error);
+    }
+  }
+
+  /**
+   * Reviews saved offline before sync existed have no sync status.
+   * Queue them so the next sync either links them to the server copy
+   * or sends them.
+   */
+  async migrateLegacyReviews() {
+    const reviews = readStoredReviews();
+    if (reviews.every((review) => review.sync_status)) return;
+
+    const migrated = reviews.map((review) =>
+      review.sync_status
+        ? review
+        : {
+            ...review,
+            client_id: review.client_id || `legacy_${review.id}`,
+            sync_status: REVIEW_SYNC_STATUS.PENDING,
+          }
+    );
+    writeStoredReviews(migrated);
+
+    const legacy = migrated.filter(
+      (review, index) => !reviews[index].sync_status
+    );
+    for (const review of legacy) {
+      await this.queueReview(
+        review.recipe_id,
+        {
+          user_identifier: review.user_identifier,
+          rating: review.rating,
+          comment: review.comment,
+          recipe_name: review.recipe_name,
+          category: review.category,
+        },
+        review.client_id
+      );
+    }
+  }
+
+  /**
+   * Mark a stored review as synced and link it to its server ID.
+   * Drops any other stored copy of the same server review.
+   * @param {string} clientId - Local review ID
+   * @param {Object} serverReview - Review returned by the API
+   */
+  applyServerReview(clientId, serverReview) {
+    const serverId = serverReview?.id ? String(serverReview.id) : null;
+    const reviews = readStoredReviews();
+    let linked = false;
+
+    const updated = reviews
+      .map((review) => {
+        if (review.client_id !== clientId) return review;
+        linked = true;
+        return {
+          ...review,
+          server_id: serverId,
+          sync_status: REVIEW_SYNC_STATUS.SYNCED,
+        };
+      })
+      .filter(
+        (review) =>
+          !serverId ||
+          review.client_id === clientId ||
+          String(review.server_id) !== serverId
+      );
+
+    if (linked) {
+      writeStoredReviews(updated);
+    }
+  }
+
+  markStoredStatus(clientId, status) {
+    const reviews = readStoredReviews();
+    writeStoredReviews(
+      reviews.map((review) =>
+        review.client_id === clientId ? { ...review, sync_status: status } : review
+      )
+    );
+  }
+
+  /**
+   * Claim a pending record so the service worker doesn't send it at the same time
+   * @param {string} clientId - Local review ID
+   * @returns {Promise<Object|undefined>} Claimed record, or undefined if taken
+   */
+  claim(clientId) {
+    return updateItem(STORES.PENDING_REVIEWS, clientId, (record) => {
+      if (!record) return undefined;
+      const abandoned =
+        record.status === REVIEW_SYNC_STATUS.SENDING &&
+        Date.now() - new Date(record.claimed_at).getTime() > CLAIM_TIMEOUT_MS;
+      if (record.status !== REVIEW_SYNC_STATUS.PENDING && !abandoned) {
+        return undefined;
+      }
+      return {
+        ...record,
+        status: REVIEW_SYNC_STATUS.SENDING,
+        claimed_at: new Date().toISOString(),
+      };
+    });
+  }
+
+  /**
+   * Send every pending review to the server
+   * @returns {Promise<Object>} - { synced, failed }
+   */
+  syncPending() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+        this.notify();
+      });
+    }
+    return this.syncing;
+  }
+
+  async runSync() {
+    const result = { synced: 0, failed: 0 };
+    let records;
+    try {
+      records = await getAllItems(STORES.PENDING_REVIEWS);
+    } catch (error) {
+      console.error("Error reading pending reviews:", error);
+      return result;
+    }
+
+    for (const record of records) {
+      // Sent by the service worker while the app was closed
+      if (record.status === REVIEW_SYNC_STATUS.SYNCED) {
+        this.applyServerReview(record.client_id, record.server_review);
+        await deleteItem(STORES.PENDING_REVIEWS, record.client_id);
+        result.synced++;
+        continue;
+      }
+
+      // Possibly rejected by the server from within the service worker
+      if (record.status === REVIEW_SYNC_STATUS.FAILED) {
+        this.markStoredStatus(record.client_id, REVIEW_SYNC_STATUS.FAILED);
+        continue;
+      }
+
+      if (!navigator.onLine) break;
+
+      const claimed = await this.claim(record.client_id);
+      if (!claimed) continue;
+
+      try {
+        // It may already be on the server if an earlier attempt got through
+        // but we never saw the response
+        const existing = await apiClient.get(
+          `/api/v1/recipes/${record.recipe_id}/reviews`
+        );
+        let serverReview = (existing.data || []).find((review) =>
+          isSameReview(review, record.body)
+        );
+
+        if (!serverReview) {
+          const response = await apiClient.post(record.url, record.body);
+          serverReview = response.data;
+        }
+
+        this.applyServerReview(record.client_id, serverReview);
+        await deleteItem(STORES.PENDING_REVIEWS, record.client_id);
+        result.synced++;
+      } catch (error) {
+        // Logged out or the session expired: send it after the next login
+        if (isOfflineError(error) || error?.type === API_ERROR_TYPES.UNAUTHORIZED) {
+          await putItem(STORES.PENDING_REVIEWS, {
+            ...claimed,
+            status: REVIEW_SYNC_STATUS.PENDING,
+            claimed_at: null,
+          });
+          break;
+        }
+
+        await putItem(STORES.PENDING_REVIEWS, {
+          ...claimed,
+          status: REVIEW_SYNC_STATUS.FAILED,
+          error: error?.message || "Gagal mengirim ulasan",
+        });
+        this.markStoredStatus(record.client_id, REVIEW_SYNC_STATUS.FAILED);
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+}
+
+export default new ReviewSyncService();
@@ -0,0 +1,234 @@
+import { apiClient } from "../config/api";
+import {
+  STORES,
+  getAllItems,
+  getItem,
+  putItem,
+  deleteItem,
+} from "../utils/indexedDB";
+import dataSourceService from "./dataSourceService";
+import { getUserIdentifier, getUserDisplayName } from "./userService";
+import { getRecipeRevision, isSameRevision } from "../utils/recipeMerge";
+
+export const REVISION_SOURCES = {
+  LOCAL: "local",
+  SERVER: "server",
+};
+
+// Snapshots kept on this device per recipe, oldest are dropped first
+const MAX_LOCAL_REVISIONS = 30;
+
+const revisionKey = (version, savedAt) => String(version ?? savedAt ?? "");
+
+const newestFirst = (a, b) =>
+  a.version !== null && b.version !== null
+    ? b.version - a.version
+    : new Date(b.saved_at) - new Date(a.saved_at);
+
+/**
+ * The parts of a recipe a revision keeps (what the edit form can change)
+ * @param {Object} recipe - Recipe
+ * @returns {Object}
+ */
+export const toRevisionContent = (recipe) => ({
+  name: recipe.name || "",
+  description: recipe.description || "",
+  category: recipe.category,
+  difficulty: recipe.difficulty,
+  prep_time: recipe.prep_time,
+  cook_time: recipe.cook_time,
+  servings: recipe.servings,
+  image_url: recipe.image_url || "",
+  ingredients: (recipe.ingredients || []).map(({ name, quantity }) => ({ name, quantity })),
+  steps: (recipe.steps || []).map((step, index) => ({
+    step_number: index + 1,
+    instruction: typeof step === "string" ? step : step.instruction,
+  })),
+});
+
+/**
+ * The current user as the author of a change
+ * @returns {Object} { id, name }
+ */
+export const getCurrentAuthor = () => ({
+  id: getUserIdentifier(),
+  name: getUserDisplayName(),
+});
+
+// Who saved a recipe we didn't save ourselves, as far as it tells
+const authorOf = (recipe) =>
+  recipe.updated_by || (recipe.created_by ? { id: recipe.created_by, name: null } : null);
+
+/**
+ * History of recipe versions: snapshots taken on this device whenever a
+ * recipe is saved, plus the server's history when the API has one
+ * (GET /api/v1/recipes/:id/revisions). Revisions look the same from both:
+ * { id, recipe_id, version, saved_at, author: { id, name }, source, recipe }.
+ */
+class RevisionService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to new revisions
+   * @param {Function} listener - Called with the recipe ID
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(recipeId) {
+    this.listeners.forEach((listener) => listener(recipeId));
+  }
+
+  /**
+   * Keep a snapshot of a saved recipe on this device. A version that is
+   * already stored keeps its first snapshot. Never throws: losing a
+   * snapshot must not fail the save it belongs to.
+   * @param {Object} recipe - Recipe as saved (with id and version / updated_at)
+   * @param {Object} options
+   * @param {Object} options.author - Who saved it (default: what the recipe says)
+   * @returns {Promise<Object|null>} The revision
+   */
+  async record(recipe, { author } = {}) {
+    const key = revisionKey(recipe?.version, recipe?.updated_at);
+    if (!recipe?.id || !key) return null;
+
+    const recipeId = String(recipe.id);
+    const id = `${recipeId}:${key}`;
+    try {
+      const existing = await getItem(STORES.RECIPE_REVISIONS, id);
+      if (existing) return existing;
+
+      const revision = {
+        id,
+        recipe_id: recipeId,
+        version: recipe.version ?? null,
+        saved_at: recipe.updated_at || new Date().toISOString(),
+        author: author || authorOf(recipe),
+        source: REVISION_SOURCES.LOCAL,
+        recipe: toRevisionContent(recipe),
+      };
+      await putItem(STORES.RECIPE_REVISIONS, revision);
+      await this.prune(recipeId);
+      this.notify(recipeId);
+      return revision;
+    } catch (error) {
+      console.error("Error saving recipe revision:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Revisions stored on this device, newest first
+   * @param {string} recipeId - Recipe ID
+   * @returns {Promise<Array>}
+   */
+  async getLocalRevisions(recipeId) {
+    try {
+      const revisions = await getAllItems(STORES.RECIPE_REVISIONS);
+      return revisions
+        .filter((revision) => revision.recipe_id === String(recipeId))
+        .sort(newestFirst);
+    } catch (error) {
+      console.error("Error reading recipe revisions:", error);
+      return [];
+    }
+  }
+
+  async prune(recipeId) {
+    const revisions = await this.getLocalRevisions(recipeId);
+    await Promise.all(
+      revisions
+        .slice(MAX_LOCAL_REVISIONS)
+        .map((revision) => deleteItem(STORES.RECIPE_REVISIONS, revision.id))
+    );
+  }
+
+  /**
+   * Revisions kept by the server
+   * @param {string} recipeId - Recipe ID
+   * @returns {Promise<Array|null>} Newest first; null when the server has
+   *   no history for us (no such endpoint, offline, local data source)
+   */
+  async getServerRevisions(recipeId) {
+    if (dataSourceService.isLocal()) return null;
+    try {
+      const response = await apiClient.get(`/api/v1/recipes/${recipeId}/revisions`);
+      return (response?.data || [])
+        .map((revision) => ({
+          ...revision,
+          id: `${recipeId}:${revisionKey(revision.version, revision.saved_at)}`,
+          recipe_id: String(recipeId),
+          version: revision.version ?? null,
+          author: revision.author || null,
+          source: REVISION_SOURCES.SERVER,
+        }))
+        .sort(newestFirst);
+    } catch (error) {
+      console.warn(`No server revisions for recipe ${recipeId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * All known revisions of a recipe. The server's copy of a version wins
+   * over the local one, but keeps the local author name when it has none.
+   * @param {string} recipeId - Recipe ID
+   * @returns {Promise<Object>} { revisions (newest first), fromServer }
+   */
+  async getRevisions(recipeId) {
+    const [local, server] = await Promise.all([
+      this.getLocalRevisions(recipeId),
+      this.getServerRevisions(recipeId),
+    ]);
+
+    const byId = new Map(local.map((revision) => [revision.id, revision]));
+    (server || []).forEach((revision) => {
+      const localAuthor = byId.get(revision.id)?.author;
+      byId.set(revision.id, {
+        ...revision,
+        author: revision.author?.name ? revision.author : localAuthor || revision.author,
+      });
+    });
+
+    return {
+      revisions: [...byId.values()].sort(newestFirst),
+      fromServer: server !== null,
+    };
+  }
+
+  /**
+   * A recipe as it was at one version, if that version is known
+   * @param {string} recipeId - Recipe ID
+   * @param {Object} copy - Copy carrying the version / updated_at to find
+   * @returns {Promise<Object|null>} Content (see toRevisionContent)
+   */
+  async getRevisionContent(recipeId, copy) {
+    const wanted = getRecipeRevision(copy);
+    if (wanted.version === null && !wanted.updated_at) return null;
+
+    const { revisions } = await this.getRevisions(recipeId);
+    const found = revisions.find((revision) =>
+      isSameRevision({ version: revision.version, updated_at: revision.saved_at }, wanted)
+    );
+    return found?.recipe || null;
+  }
+
+  /**
+   * Forget the local history of a deleted recipe
+   * @param {string} recipeId - Recipe ID
+   */
+  async clear(recipeId) {
+    const revisions = await this.getLocalRevisions(recipeId);
+    await Promise.all(
+      revisions.map((revision) => deleteItem(STORES.RECIPE_REVISIONS, revision.id))
+    );
+    this.notify(String(recipeId));
+  }
+}
+
+export default new RevisionService();
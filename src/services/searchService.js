@@ -0,0 +1,195 @@
+import {
+  tokenize,
+  stemVariants,
+  typoDistance,
+  allowedTypos,
+  highlightText,
+  makeSnippet,
+} from "../utils/textSearch";
+
+// How much a match in each field counts
+const FIELDS = [
+  { key: "name", label: "Nama", weight: 5 },
+  { key: "ingredients", label: "Bahan", weight: 3 },
+  { key: "description", label: "Deskripsi", weight: 2 },
+  { key: "steps", label: "Langkah", weight: 1 },
+];
+
+// Typos and half-typed words count for less than exact words
+const MATCH_FACTORS = { exact: 1, prefix: 0.8, typo: 0.6 };
+
+const ingredientText = (ingredient) =>
+  typeof ingredient === "string"
+    ? ingredient
+    : [ingredient?.quantity, ingredient?.name].filter(Boolean).join(" ");
+
+const stepText = (step) => (typeof step === "string" ? step : step?.instruction || "");
+
+/**
+ * Searchable text of a recipe, per field
+ * @param {Object} recipe
+ * @returns {Object} { name, ingredients, description, steps }
+ */
+const getFieldTexts = (recipe) => ({
+  name: recipe.name || "",
+  ingredients: (recipe.ingredients || []).map(ingredientText).join(", "),
+  description: recipe.description || "",
+  steps: (recipe.steps || []).map(stepText).join(" "),
+});
+
+class SearchService {
+  constructor() {
+    // recipeId -> { recipe, texts, signature }
+    this.docs = new Map();
+    // term -> Map(recipeId -> weight)
+    this.terms = new Map();
+  }
+
+  addTerms(id, texts) {
+    FIELDS.forEach(({ key, weight }) => {
+      tokenize(texts[key]).forEach((word) => {
+        stemVariants(word).forEach((term) => {
+          const postings = this.terms.get(term) || new Map();
+          postings.set(id, Math.max(postings.get(id) || 0, weight));
+          this.terms.set(term, postings);
+        });
+      });
+    });
+  }
+
+  removeTerms(id, texts) {
+    FIELDS.forEach(({ key }) => {
+      tokenize(texts[key]).forEach((word) => {
+        stemVariants(word).forEach((term) => {
+          const postings = this.terms.get(term);
+          if (!postings) return;
+          postings.delete(id);
+          if (!postings.size) this.terms.delete(term);
+        });
+      });
+    });
+  }
+
+  /**
+   * Make the index hold exactly these recipes. Recipes whose text didn't
+   * change aren't re-indexed, so this is cheap to call on every cache update.
+   * @param {Array} recipes - Recipes available on this device
+   */
+  sync(recipes) {
+    const seen = new Set();
+
+    recipes.forEach((recipe) => {
+      const id = String(recipe.id);
+      const texts = getFieldTexts(recipe);
+      const signature = JSON.stringify(texts);
+      const existing = this.docs.get(id);
+      seen.add(id);
+
+      if (existing?.signature === signature) {
+        existing.recipe = recipe;
+        return;
+      }
+      if (existing) this.removeTerms(id, existing.texts);
+      this.addTerms(id, texts);
+      this.docs.set(id, { recipe, texts, signature });
+    });
+
+    [...this.docs.keys()].forEach((id) => {
+      if (seen.has(id)) return;
+      this.removeTerms(id, this.docs.get(id).texts);
+      this.docs.delete(id);
+    });
+  }
+
+  /**
+   * Recipes matching one query word: the word itself and its roots, index
+   * words it starts (only for the word being typed) and close typos
+   * @returns {Object} { scores: Map(recipeId -> score), terms: matched index terms }
+   */
+  matchWord(word, isLastWord) {
+    const scores = new Map();
+    const terms = new Set();
+    const collect = (term, factor) => {
+      terms.add(term);
+      this.terms.get(term).forEach((weight, id) => {
+        scores.set(id, Math.max(scores.get(id) || 0, weight * factor));
+      });
+    };
+
+    stemVariants(word).forEach((variant) => {
+      if (this.terms.has(variant)) collect(variant, MATCH_FACTORS.exact);
+    });
+
+    if (isLastWord && word.length >= 2) {
+      this.terms.forEach((_, term) => {
+        if (term !== word && term.startsWith(word)) collect(term, MATCH_FACTORS.prefix);
+      });
+    }
+
+    const maxTypos = allowedTypos(word);
+    if (!scores.size && maxTypos > 0) {
+      this.terms.forEach((_, term) => {
+        if (typoDistance(word, term, maxTypos) <= maxTypos) collect(term, MATCH_FACTORS.typo);
+      });
+    }
+
+    return { scores, terms };
+  }
+
+  /**
+   * Highlighted name and the best snippet from the other fields
+   * @returns {Object} { name: segments|null, snippet: { label, segments }|null }
+   */
+  getHighlights(texts, terms) {
+    const nameSegments = highlightText(texts.name, terms);
+    const nameMatched = nameSegments.some((segment) => segment.match);
+
+    // A name match already explains the result; only add a short description hit
+    const snippetFields = nameMatched ? FIELDS.slice(2, 3) : FIELDS.slice(1);
+    let snippet = null;
+    snippetFields.some(({ key, label }) => {
+      const segments = makeSnippet(texts[key], terms);
+      if (segments) snippet = { label, segments };
+      return Boolean(segments);
+    });
+
+    return { name: nameMatched ? nameSegments : null, snippet };
+  }
+
+  /**
+   * Search the indexed recipes. Every query word has to match somewhere.
+   * @param {string} query - What the user typed
+   * @param {Object} options - { category, limit }
+   * @returns {Array} [{ recipe, score, highlights }], best first
+   */
+  search(query, { category, limit = 50 } = {}) {
+    const words = tokenize(query);
+    if (!words.length) return [];
+
+    const matches = words.map((word, index) => this.matchWord(word, index === words.length - 1));
+    const terms = new Set(matches.flatMap((match) => [...match.terms]));
+
+    const results = [];
+    matches[0].scores.forEach((firstScore, id) => {
+      let score = firstScore;
+      for (const match of matches.slice(1)) {
+        if (!match.scores.has(id)) return;
+        score += match.scores.get(id);
+      }
+
+      const { recipe, texts } = this.docs.get(id);
+      if (category && recipe.category !== category) return;
+      results.push({ recipe, score, highlights: this.getHighlights(texts, terms) });
+    });
+
+    return results
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          String(a.recipe.name).localeCompare(String(b.recipe.name), "id")
+      )
+      .slice(0, limit);
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,126 @@
+import { API_ERROR_TYPES, getErrorMessage } from "../utils/apiError";
+
+export const TOAST_TYPES = {
+  SUCCESS: "success",
+  INFO: "info",
+  WARNING: "warning",
+  ERROR: "error",
+};
+
+// Milliseconds; errors stay longer so there is time to read them
+const DURATIONS = {
+  [TOAST_TYPES.SUCCESS]: 3000,
+  [TOAST_TYPES.INFO]: 4000,
+  [TOAST_TYPES.WARNING]: 5000,
+  [TOAST_TYPES.ERROR]: 6000,
+};
+const MAX_TOASTS = 4;
+
+/**
+ * Short notifications shown on top of every page (replacing alert()).
+ * Anything can call it, components render it through useToasts.
+ */
+class ToastService {
+  constructor() {
+    this.toasts = [];
+    this.timers = new Map();
+    this.listeners = new Set();
+    this.nextId = 1;
+  }
+
+  /**
+   * @returns {Array} Toasts currently shown, oldest first
+   */
+  getToasts() {
+    return this.toasts;
+  }
+
+  /**
+   * Subscribe to toasts being shown and dismissed
+   * @param {Function} listener - Called with the current toasts
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this.toasts));
+  }
+
+  /**
+   * Show a toast. The same message twice in a row is shown once.
+   * @param {Object} options
+   * @param {string} options.message - Text to show
+   * @param {string} options.type - One of TOAST_TYPES (default: info)
+   * @param {number} options.duration - Milliseconds before it closes; 0 keeps it open
+   * @param {Object} options.action - Optional button: { label, onClick }
+   * @returns {number} Toast ID
+   */
+  show({ message, type = TOAST_TYPES.INFO, duration = DURATIONS[type], action = null }) {
+    const existing = this.toasts.find(
+      (toast) => toast.message === message && toast.type === type
+    );
+    if (existing) {
+      this.schedule(existing.id, duration);
+      return existing.id;
+    }
+
+    const toast = { id: this.nextId++, type, message, action };
+    this.toasts = [...this.toasts, toast].slice(-MAX_TOASTS);
+    this.schedule(toast.id, duration);
+    this.notify();
+    return toast.id;
+  }
+
+  schedule(id, duration) {
+    clearTimeout(this.timers.get(id));
+    if (duration > 0) {
+      this.timers.set(id, setTimeout(() => this.dismiss(id), duration));
+    }
+  }
+
+  /**
+   * Close a toast
+   * @param {number} id - Toast ID
+   */
+  dismiss(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    if (!this.toasts.some((toast) => toast.id === id)) return;
+    this.toasts = this.toasts.filter((toast) => toast.id !== id);
+    this.notify();
+  }
+
+  success(message, options = {}) {
+    return this.show({ ...options, message, type: TOAST_TYPES.SUCCESS });
+  }
+
+  info(message, options = {}) {
+    return this.show({ ...options, message, type: TOAST_TYPES.INFO });
+  }
+
+  warning(message, options = {}) {
+    return this.show({ ...options, message, type: TOAST_TYPES.WARNING });
+  }
+
+  /**
+   * Show what went wrong. Connection problems are shown as warnings: they
+   * are not the user's fault and usually go away by themselves.
+   * @param {*} error - ApiError, Error or message
+   * @param {string} fallback - Message when the error has none
+   * @param {Object} options - Same as show()
+   * @returns {number} Toast ID
+   */
+  error(error, fallback, options = {}) {
+    const connection = [API_ERROR_TYPES.NETWORK, API_ERROR_TYPES.TIMEOUT].includes(error?.type);
+    return this.show({
+      ...options,
+      message: getErrorMessage(error, fallback),
+      type: connection ? TOAST_TYPES.WARNING : TOAST_TYPES.ERROR,
+    });
+  }
+}
+
+export default new ToastService();
@@ -1,5 +1,6 @@
-import axios from "axios";
-import { BASE_URL } from "../config/api";
+import { apiClient, UPLOAD_TIMEOUT } from "../config/api";
+import dataSourceService from "./dataSourceService";
+import localDataService from "./localDataService";
 class UploadService {
   /**
    * Upload recipe image to MinIO
@@ -28,17 +29,22 @@ class UploadService {
         throw new Error("File size exceeds 5MB limit");
       }
 
+      // No file server without the API: keep the image with the recipe
+      if (dataSourceService.isLocal()) {
+        return localDataService.uploadImage(file);
+      }
+
       // Create form data
       const formData = new FormData();
       formData.append("image", file);
       // Upload to server
-      const response = await axios.post(`${BASE_URL}/api/v1/upload`, formData, {
+      const response = await apiClient.post("/api/v1/upload", formData, {
         headers: {
           "Content-Type": "multipart/form-data",
         },
-        timeout: 30000, // 30 seconds for upload
+        timeout: UPLOAD_TIMEOUT,
       });
-      return response.data;
+      return response;
     } catch (error) {
       throw error;
     }
@@ -1,9 +1,11 @@
+import { getSession } from "../utils/authStorage";
+
 const USER_PROFILE_KEY = "user_profile";
 const USER_IDENTIFIER_KEY = "user_identifier";
 /**
- * Get or generate user identifier
+ * Get or generate the anonymous identifier of this device
  */
-export const getUserIdentifier = () => {
+export const getAnonymousIdentifier = () => {
   let userId = localStorage.getItem(USER_IDENTIFIER_KEY);
   if (!userId) {
     userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -11,6 +13,13 @@ export const getUserIdentifier = () => {
   }
   return userId;
 };
+/**
+ * Get user identifier: the account ID when logged in,
+ * otherwise the anonymous device identifier
+ */
+export const getUserIdentifier = () => {
+  return getSession()?.user?.id || getAnonymousIdentifier();
+};
 /**
  * Get user profile from localStorage
  */
@@ -77,6 +86,13 @@ export const updateUsername = (username) => {
     return { success: false, message: error.message };
   }
 };
+/**
+ * Name to show for the current user: the account name when logged in,
+ * otherwise the profile username
+ */
+export const getUserDisplayName = () => {
+  return getSession()?.user?.name || getUserProfile().username;
+};
 /**
  * Update bio
  */
@@ -90,10 +106,12 @@ export const updateBio = (bio) => {
   }
 };
 export default {
+  getAnonymousIdentifier,
   getUserIdentifier,
   getUserProfile,
   saveUserProfile,
   updateAvatar,
   updateUsername,
   updateBio,
+  getUserDisplayName,
 };
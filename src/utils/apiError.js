@@ -0,0 +1,165 @@
+/**
+ * What went wrong with an API request, as far as the UI cares
+ */
+export const API_ERROR_TYPES = {
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  CANCELED: "canceled",
+  VALIDATION: "validation",
+  UNAUTHORIZED: "unauthorized",
+  FORBIDDEN: "forbidden",
+  NOT_FOUND: "not_found",
+  CONFLICT: "conflict",
+  SERVER: "server",
+  UNKNOWN: "unknown",
+};
+
+const DEFAULT_MESSAGES = {
+  [API_ERROR_TYPES.NETWORK]: "Tidak dapat terhubung ke server. Periksa koneksi internet Anda.",
+  [API_ERROR_TYPES.TIMEOUT]: "Server terlalu lama merespons. Silakan coba lagi.",
+  [API_ERROR_TYPES.CANCELED]: "Permintaan dibatalkan.",
+  [API_ERROR_TYPES.VALIDATION]: "Data yang dikirim belum benar. Periksa kembali isian Anda.",
+  [API_ERROR_TYPES.UNAUTHORIZED]: "Sesi Anda telah berakhir. Silakan masuk kembali.",
+  [API_ERROR_TYPES.FORBIDDEN]: "Anda tidak memiliki izin untuk melakukan tindakan ini",
+  [API_ERROR_TYPES.NOT_FOUND]: "Data yang dicari tidak ditemukan.",
+  [API_ERROR_TYPES.CONFLICT]: "Data sudah diubah di tempat lain. Muat ulang lalu coba lagi.",
+  [API_ERROR_TYPES.SERVER]: "Terjadi kesalahan pada server. Silakan coba lagi nanti.",
+  [API_ERROR_TYPES.UNKNOWN]: "Terjadi kesalahan. Silakan coba lagi.",
+};
+
+const typeForStatus = (status) => {
+  if (status === 400 || status === 422) return API_ERROR_TYPES.VALIDATION;
+  if (status === 401) return API_ERROR_TYPES.UNAUTHORIZED;
+  if (status === 403) return API_ERROR_TYPES.FORBIDDEN;
+  if (status === 404 || status === 410) return API_ERROR_TYPES.NOT_FOUND;
+  if (status === 409 || status === 412) return API_ERROR_TYPES.CONFLICT;
+  if (status === 408 || status === 504) return API_ERROR_TYPES.TIMEOUT;
+  if (status >= 500) return API_ERROR_TYPES.SERVER;
+  return API_ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Bring field errors to one shape: { "name": "...", "ingredients.0.name": "..." }.
+ * Servers send { field: "msg" }, { field: ["msg", ...] } or
+ * [{ field, message }], with list items as "steps[2]" or "steps.2".
+ * @param {*} errors - Field errors from a response body
+ * @returns {Object} Field path -> first message
+ */
+export const normalizeFieldErrors = (errors) => {
+  const entries = Array.isArray(errors)
+    ? errors.map((item) => [item?.field ?? item?.path ?? item?.param, item?.message ?? item?.msg])
+    : Object.entries(errors || {});
+
+  return Object.fromEntries(
+    entries
+      .filter(([field, message]) => field && message)
+      .map(([field, message]) => [
+        String(field).replace(/\[(\d+)\]/g, ".$1").replace(/^\./, ""),
+        Array.isArray(message) ? String(message[0]) : String(message),
+      ])
+  );
+};
+
+/**
+ * Error thrown for every failed API request (and by the local data source),
+ * so callers can branch on `type` instead of digging through axios internals
+ */
+export class ApiError extends Error {
+  /**
+   * @param {Object} options
+   * @param {string} options.type - One of API_ERROR_TYPES
+   * @param {number} [options.status] - HTTP status, when the server answered
+   * @param {string} [options.message] - Message for the user (defaults per type)
+   * @param {Object} [options.errors] - Field errors (validation)
+   * @param {Object} [options.data] - Response body
+   * @param {string} [options.code] - Transport error code (axios)
+   * @param {*} [options.cause] - Original error
+   */
+  constructor({ type, status = null, message, errors, data = null, code = null, cause } = {}) {
+    const resolvedType = type || typeForStatus(status);
+    super(message || DEFAULT_MESSAGES[resolvedType], cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.type = resolvedType;
+    this.status = status;
+    this.errors = normalizeFieldErrors(errors);
+    this.data = data;
+    this.code = code;
+  }
+
+  /**
+   * Error for an error response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body ({ success, message, errors })
+   * @returns {ApiError}
+   */
+  static fromResponse(status, body) {
+    const data = body && typeof body === "object" ? body : null;
+    return new ApiError({
+      status,
+      message: data?.message || data?.error,
+      errors: data?.errors,
+      data,
+    });
+  }
+
+  /**
+   * Error for a failed axios request
+   * @param {Error} error - Axios error
+   * @returns {ApiError}
+   */
+  static fromAxiosError(error) {
+    if (error instanceof ApiError) return error;
+    if (error?.response) {
+      const apiError = ApiError.fromResponse(error.response.status, error.response.data);
+      apiError.cause = error;
+      return apiError;
+    }
+
+    let type = API_ERROR_TYPES.UNKNOWN;
+    if (error?.code === "ERR_CANCELED") type = API_ERROR_TYPES.CANCELED;
+    else if (error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT") type = API_ERROR_TYPES.TIMEOUT;
+    // No response at all: the request never reached the server
+    else if (error?.isAxiosError) type = API_ERROR_TYPES.NETWORK;
+
+    return new ApiError({
+      type,
+      code: error?.code || null,
+      message: type === API_ERROR_TYPES.UNKNOWN ? error?.message : undefined,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const isApiError = (error) => error instanceof ApiError;
+
+/**
+ * Check whether a request failed without reaching the server
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const isConnectionError = (error) =>
+  isApiError(error) &&
+  [API_ERROR_TYPES.NETWORK, API_ERROR_TYPES.TIMEOUT].includes(error.type);
+
+/**
+ * Field errors of a validation error
+ * @param {*} error
+ * @returns {Object} Field path -> message ({} for other errors)
+ */
+export const getFieldErrors = (error) =>
+  error?.type === API_ERROR_TYPES.VALIDATION ? error.errors : {};
+
+/**
+ * Message to show for any error
+ * @param {*} error - ApiError, Error or string
+ * @param {string} fallback - Used when the error has no message
+ * @returns {string}
+ */
+export const getErrorMessage = (error, fallback = DEFAULT_MESSAGES[API_ERROR_TYPES.UNKNOWN]) => {
+  if (typeof error === "string") return error || fallback;
+  return error?.message || fallback;
+};
@@ -0,0 +1,98 @@
+const AUTH_SESSION_KEY = "auth_session";
+
+const listeners = new Set();
+
+const notifyListeners = (session) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(session);
+    } catch (error) {
+      console.error("Auth session listener error:", error);
+    }
+  });
+};
+
+/**
+ * Get the stored session
+ * @returns {Object|null} { user, access_token, refresh_token, expires_at } or null
+ */
+export const getSession = () => {
+  try {
+    const session = localStorage.getItem(AUTH_SESSION_KEY);
+    return session ? JSON.parse(session) : null;
+  } catch (error) {
+    console.error("Error loading auth session:", error);
+    return null;
+  }
+};
+
+/**
+ * Store the session returned by login, register or refresh
+ * @param {Object} session - Session data
+ * @param {Object} session.user - Logged in user
+ * @param {string} session.access_token - Bearer token for API requests
+ * @param {string} session.refresh_token - Token used to get a new access token
+ * @param {number} session.expires_in - Access token lifetime in seconds
+ * @returns {Object} Stored session
+ */
+export const saveSession = ({ user, access_token, refresh_token, expires_in }) => {
+  const session = {
+    user,
+    access_token,
+    refresh_token,
+    expires_at: expires_in ? Date.now() + expires_in * 1000 : null,
+  };
+  localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify(session));
+  notifyListeners(session);
+  return session;
+};
+
+/**
+ * Replace the stored user without touching the tokens
+ * @param {Object} user - Updated user
+ */
+export const updateSessionUser = (user) => {
+  const session = getSession();
+  if (!session) return;
+  const updated = { ...session, user };
+  localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify(updated));
+  notifyListeners(updated);
+};
+
+/**
+ * Remove the stored session (logout or refresh failure)
+ */
+export const clearSession = () => {
+  localStorage.removeItem(AUTH_SESSION_KEY);
+  notifyListeners(null);
+};
+
+/**
+ * Get the current access token
+ * @returns {string|null}
+ */
+export const getAccessToken = () => getSession()?.access_token || null;
+
+/**
+ * Get the current refresh token
+ * @returns {string|null}
+ */
+export const getRefreshToken = () => getSession()?.refresh_token || null;
+
+/**
+ * Subscribe to session changes, including logins and logouts in other tabs
+ * @param {Function} listener - Called with the new session or null
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key === AUTH_SESSION_KEY) {
+      notifyListeners(getSession());
+    }
+  });
+}
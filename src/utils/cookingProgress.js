@@ -0,0 +1,49 @@
+const PROGRESS_KEY_PREFIX = "cooking_progress_";
+// Progress older than this is treated as a new cooking session
+const PROGRESS_MAX_AGE = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Load cooking mode progress for a recipe
+ * @param {string} recipeId - Recipe ID
+ * @returns {Object|null} { step, timers, updatedAt }
+ */
+export const loadCookingProgress = (recipeId) => {
+  try {
+    const saved = localStorage.getItem(`${PROGRESS_KEY_PREFIX}${recipeId}`);
+    if (!saved) return null;
+
+    const progress = JSON.parse(saved);
+    if (Date.now() - new Date(progress.updatedAt).getTime() > PROGRESS_MAX_AGE) {
+      clearCookingProgress(recipeId);
+      return null;
+    }
+    return progress;
+  } catch (error) {
+    console.error("Error loading cooking progress:", error);
+    return null;
+  }
+};
+
+/**
+ * Save cooking mode progress for a recipe
+ * @param {string} recipeId - Recipe ID
+ * @param {Object} progress - { step, timers }
+ */
+export const saveCookingProgress = (recipeId, progress) => {
+  try {
+    localStorage.setItem(
+      `${PROGRESS_KEY_PREFIX}${recipeId}`,
+      JSON.stringify({ ...progress, updatedAt: new Date().toISOString() })
+    );
+  } catch (error) {
+    console.error("Error saving cooking progress:", error);
+  }
+};
+
+/**
+ * Forget cooking mode progress for a recipe
+ * @param {string} recipeId - Recipe ID
+ */
+export const clearCookingProgress = (recipeId) => {
+  localStorage.removeItem(`${PROGRESS_KEY_PREFIX}${recipeId}`);
+};
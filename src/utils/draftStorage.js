@@ -3,6 +3,10 @@ const DRAFT_TIMESTAMP_KEY = "recipe_draft_timestamp";
 const USER_PROFILE_KEY = "user_profile";
 const REVIEWS_KEY = "recipe_reviews";
 const FAVORITES_KEY = "user_favorites";
+const SHOPPING_LIST_KEY = "shopping_list";
+const MEAL_PLANS_KEY = "meal_plans";
+const NUTRITION_OVERRIDES_KEY = "nutrition_overrides";
+const PANTRY_KEY = "pantry";
 
 /**
  * Save recipe draft to localStorage
@@ -141,6 +145,28 @@ export const loadFavorites = () => {
   }
 };
 
+/**
+ * Build the stored favorite entry for a recipe
+ * @param {Object} recipe - Recipe data
+ * @returns {Object} Favorite entry
+ */
+export const toFavoriteRecipe = (recipe) => ({
+  // Ensure all required fields have values with defaults
+  id: recipe.id || Date.now(),
+  name: recipe.name || "Unnamed Recipe",
+  description: recipe.description || "",
+  image_url: recipe.image_url || "",
+  category: recipe.category || "makanan",
+  prep_time: recipe.prep_time || recipe.cook_time || "15",
+  cook_time: recipe.cook_time || "15",
+  difficulty: recipe.difficulty || "mudah",
+  average_rating: recipe.average_rating || 0,
+  servings: recipe.servings || 4,
+  ingredients: recipe.ingredients || [],
+  steps: recipe.steps || [],
+  added_at: recipe.added_at || new Date().toISOString()
+});
+
 /**
  * Add recipe to favorites
  * @param {Object} recipe - Recipe data
@@ -148,23 +174,7 @@ export const loadFavorites = () => {
 export const addToFavorites = (recipe) => {
   try {
     const favorites = loadFavorites();
-    
-    // Ensure all required fields have values with defaults
-    const favoriteRecipe = {
-      id: recipe.id || Date.now(),
-      name: recipe.name || "Unnamed Recipe",
-      description: recipe.description || "",
-      image_url: recipe.image_url || "",
-      category: recipe.category || "makanan",
-      prep_time: recipe.prep_time || recipe.cook_time || "15",
-      cook_time: recipe.cook_time || "15",
-      difficulty: recipe.difficulty || "mudah",
-      average_rating: recipe.average_rating || 0,
-      servings: recipe.servings || 4,
-      ingredients: recipe.ingredients || [],
-      steps: recipe.steps || [],
-      added_at: new Date().toISOString()
-    };
+    const favoriteRecipe = toFavoriteRecipe(recipe);
     
     const existingIndex = favorites.findIndex(fav => fav.id === recipe.id);
     if (existingIndex === -1) {
@@ -330,3 +340,129 @@ export const formatDraftTime = (timestamp) => {
 
   return savedTime.toLocaleDateString("id-ID");
 };
+
+/**
+ * Load the shopping list
+ * @returns {Object} { recipes: [], checked: [] }
+ */
+export const loadShoppingList = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(SHOPPING_LIST_KEY) || "{}");
+    return {
+      recipes: Array.isArray(list.recipes) ? list.recipes : [],
+      checked: Array.isArray(list.checked) ? list.checked : [],
+    };
+  } catch (error) {
+    console.error("Error loading shopping list:", error);
+    return { recipes: [], checked: [] };
+  }
+};
+
+/**
+ * Save the shopping list
+ * @param {Object} list - { recipes, checked }
+ */
+export const saveShoppingList = (list) => {
+  try {
+    localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(list));
+    return true;
+  } catch (error) {
+    console.error("Error saving shopping list:", error);
+    return false;
+  }
+};
+
+/**
+ * Load all weekly meal plans
+ * @returns {Object} Plans keyed by week start date ("YYYY-MM-DD")
+ */
+export const loadMealPlans = () => {
+  try {
+    const plans = JSON.parse(localStorage.getItem(MEAL_PLANS_KEY) || "{}");
+    return plans && typeof plans === "object" && !Array.isArray(plans) ? plans : {};
+  } catch (error) {
+    console.error("Error loading meal plans:", error);
+    return {};
+  }
+};
+
+/**
+ * Save all weekly meal plans
+ * @param {Object} plans - Plans keyed by week start date
+ */
+export const saveMealPlans = (plans) => {
+  try {
+    localStorage.setItem(MEAL_PLANS_KEY, JSON.stringify(plans));
+    return true;
+  } catch (error) {
+    console.error("Error saving meal plans:", error);
+    return false;
+  }
+};
+
+/**
+ * Load the foods the user picked by hand for a recipe's ingredients
+ * @param {string} recipeId - Recipe ID
+ * @returns {Object} { [ingredientKey]: { foodId, grams } }
+ */
+export const loadNutritionOverrides = (recipeId) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(NUTRITION_OVERRIDES_KEY) || "{}");
+    return all[recipeId] || {};
+  } catch (error) {
+    console.error("Error loading nutrition overrides:", error);
+    return {};
+  }
+};
+
+/**
+ * Save the hand-picked foods for a recipe's ingredients
+ * @param {string} recipeId - Recipe ID
+ * @param {Object} overrides - { [ingredientKey]: { foodId, grams } }
+ */
+export const saveNutritionOverrides = (recipeId, overrides) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(NUTRITION_OVERRIDES_KEY) || "{}");
+    if (Object.keys(overrides).length) {
+      all[recipeId] = overrides;
+    } else {
+      delete all[recipeId];
+    }
+    localStorage.setItem(NUTRITION_OVERRIDES_KEY, JSON.stringify(all));
+    return true;
+  } catch (error) {
+    console.error("Error saving nutrition overrides:", error);
+    return false;
+  }
+};
+
+/**
+ * Load the ingredients the user has at home
+ * @returns {Object} { items: [], assumeStaples: true }
+ */
+export const loadPantry = () => {
+  try {
+    const pantry = JSON.parse(localStorage.getItem(PANTRY_KEY) || "{}");
+    return {
+      items: Array.isArray(pantry.items) ? pantry.items : [],
+      assumeStaples: pantry.assumeStaples !== false,
+    };
+  } catch (error) {
+    console.error("Error loading pantry:", error);
+    return { items: [], assumeStaples: true };
+  }
+};
+
+/**
+ * Save the ingredients the user has at home
+ * @param {Object} pantry - { items, assumeStaples }
+ */
+export const savePantry = (pantry) => {
+  try {
+    localStorage.setItem(PANTRY_KEY, JSON.stringify(pantry));
+    return true;
+  } catch (error) {
+    console.error("Error saving pantry:", error);
+    return false;
+  }
+};
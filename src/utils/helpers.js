@@ -1,3 +1,5 @@
+import { getCategory } from '../config/categories';
+
 /**
  * Format date to readable string
  * @param {string} dateString - ISO date string
@@ -81,11 +83,7 @@ export function getDifficultyColor(difficulty) {
  * @returns {string} - Emoji
  */
 export function getCategoryEmoji(category) {
-  const emojis = {
-    makanan: '🍲',
-    minuman: '🥤',
-  };
-  return emojis[category?.toLowerCase()] || '🍽️';
+  return getCategory(category)?.emoji || '🍽️';
 }
 
 /**
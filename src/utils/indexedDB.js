@@ -0,0 +1,186 @@
+const DB_NAME = "resep_nusantara";
+const DB_VERSION = 5;
+
+/**
+ * Object stores used by the app. Add a new entry here and bump DB_VERSION
+ * to create another store on the next open.
+ */
+export const STORES = {
+  OUTBOX: "outbox",
+  QUERY_CACHE: "query_cache",
+  PENDING_REVIEWS: "pending_reviews",
+  // Data of the local (no server) backend
+  LOCAL_RECIPES: "local_recipes",
+  LOCAL_REVIEWS: "local_reviews",
+  LOCAL_FAVORITES: "local_favorites",
+  RECIPE_REVISIONS: "recipe_revisions",
+};
+
+const STORE_OPTIONS = {
+  [STORES.OUTBOX]: { keyPath: "id", autoIncrement: true },
+  // Out-of-line keys: records are stored under an explicit key
+  [STORES.QUERY_CACHE]: {},
+  // Also read by the service worker (public/review-sync-sw.js)
+  [STORES.PENDING_REVIEWS]: { keyPath: "client_id" },
+  [STORES.LOCAL_RECIPES]: { keyPath: "id" },
+  [STORES.LOCAL_REVIEWS]: { keyPath: "id" },
+  // Keyed by "<user_identifier>:<recipe_id>"
+  [STORES.LOCAL_FAVORITES]: { keyPath: "id" },
+  // Keyed by "<recipe_id>:<version or updated_at>"
+  [STORES.RECIPE_REVISIONS]: { keyPath: "id" },
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not supported in this browser"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORE_OPTIONS).forEach(([storeName, options]) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, options);
+        }
+      });
+    };
+
+    // Another tab still has an older version open and hasn't closed it.
+    // Give up instead of waiting, so callers (e.g. the cache restore on
+    // startup) fail cleanly rather than hang.
+    let blocked = false;
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error("IndexedDB upgrade is blocked by another open tab"));
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if (blocked) {
+        // Opened after all once the other tab let go; a later call reopens
+        db.close();
+        return;
+      }
+      // Let newer versions opened in other tabs upgrade the database
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    // Allow a later call to try again
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+ * @param {Function} callback - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+const runRequest = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Get one record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<*>} Record or undefined
+ */
+export const getItem = (storeName, key) =>
+  runRequest(storeName, "readonly", (store) => store.get(key));
+
+/**
+ * Get all records of a store, ordered by key
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records
+ */
+export const getAllItems = (storeName) =>
+  runRequest(storeName, "readonly", (store) => store.getAll());
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record to store
+ * @param {IDBValidKey} key - Key for stores without a keyPath
+ * @returns {Promise<IDBValidKey>} Key of the stored record
+ */
+export const putItem = (storeName, value, key) =>
+  runRequest(storeName, "readwrite", (store) =>
+    key === undefined ? store.put(value) : store.put(value, key)
+  );
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ */
+export const deleteItem = (storeName, key) =>
+  runRequest(storeName, "readwrite", (store) => store.delete(key));
+
+/**
+ * Remove every record of a store
+ * @param {string} storeName - Object store name
+ */
+export const clearStore = (storeName) =>
+  runRequest(storeName, "readwrite", (store) => store.clear());
+
+/**
+ * Read, change and write one record in a single transaction, so other tabs
+ * or the service worker can't change it in between.
+ * Only for stores with a keyPath.
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @param {Function} updater - Receives the current record, returns the new
+ *   record or undefined to leave it untouched
+ * @returns {Promise<Object|undefined>} The written record, if any
+ */
+export const updateItem = async (storeName, key, updater) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, "readwrite");
+    const store = transaction.objectStore(storeName);
+    let written;
+
+    const request = store.get(key);
+    request.onsuccess = () => {
+      written = updater(request.result);
+      if (written !== undefined) {
+        store.put(written);
+      }
+    };
+
+    transaction.oncomplete = () => resolve(written);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,111 @@
+/**
+ * Helpers for the weekly meal planner. A plan is stored per week (keyed by the
+ * Monday's date) as { slots: { "<day>_<meal>": { recipe, servings } } }.
+ */
+
+export const MEAL_SLOTS = [
+  { id: "sarapan", label: "Sarapan", emoji: "🌅" },
+  { id: "makan_siang", label: "Makan Siang", emoji: "☀️" },
+  { id: "makan_malam", label: "Makan Malam", emoji: "🌙" },
+  { id: "minuman", label: "Minuman", emoji: "🥤" },
+];
+
+export const DAY_NAMES = ["Senin", "Selasa", "Rabu", "Kamis", "Jumat", "Sabtu", "Minggu"];
+
+/**
+ * Key of one cell in the planner
+ * @param {number} day - 0 (Senin) to 6 (Minggu)
+ * @param {string} meal - Meal slot id
+ * @returns {string}
+ */
+export const getSlotKey = (day, meal) => `${day}_${meal}`;
+
+const toDateKey = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+const fromDateKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Monday of the week containing a date
+ * @param {Date} date - Any date
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const getWeekStart = (date = new Date()) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return toDateKey(monday);
+};
+
+/**
+ * Move a week start by a number of weeks
+ * @param {string} weekStart - "YYYY-MM-DD"
+ * @param {number} weeks - Weeks to add (negative to go back)
+ * @returns {string}
+ */
+export const shiftWeek = (weekStart, weeks) => {
+  const date = fromDateKey(weekStart);
+  date.setDate(date.getDate() + weeks * 7);
+  return toDateKey(date);
+};
+
+/**
+ * The seven dates of a week
+ * @param {string} weekStart - "YYYY-MM-DD"
+ * @returns {Date[]}
+ */
+export const getWeekDates = (weekStart) =>
+  DAY_NAMES.map((_, index) => {
+    const date = fromDateKey(weekStart);
+    date.setDate(date.getDate() + index);
+    return date;
+  });
+
+/**
+ * The part of a recipe the planner keeps
+ * @param {Object} recipe - Recipe or favorite
+ * @returns {Object}
+ */
+export const toPlannedRecipe = (recipe) => ({
+  id: recipe.id,
+  name: recipe.name,
+  category: recipe.category || "makanan",
+  image_url: recipe.image_url || "",
+  prep_time: Number(recipe.prep_time) || 0,
+  cook_time: Number(recipe.cook_time) || 0,
+  servings: Number(recipe.servings) || 1,
+  ingredients: (recipe.ingredients || []).map(({ name, quantity }) => ({
+    name,
+    quantity,
+  })),
+});
+
+/**
+ * Total prep + cook minutes planned for a day
+ * @param {Object} slots - Plan slots
+ * @param {number} day - Day index
+ * @returns {number}
+ */
+export const getDayTotalMinutes = (slots, day) =>
+  MEAL_SLOTS.reduce((total, meal) => {
+    const recipe = slots[getSlotKey(day, meal.id)]?.recipe;
+    return total + (recipe ? recipe.prep_time + recipe.cook_time : 0);
+  }, 0);
+
+/**
+ * Format minutes as "1 jam 20 menit"
+ * @param {number} minutes - Minutes
+ * @returns {string}
+ */
+export const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} menit`;
+  return rest ? `${hours} jam ${rest} menit` : `${hours} jam`;
+};
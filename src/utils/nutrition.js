@@ -0,0 +1,110 @@
+import { FOODS, getFoodById } from "../data/nutritionTable";
+import { parseQuantity, UNITS } from "./quantityParser";
+import { normalizeIngredientName } from "./shoppingList";
+
+/**
+ * Estimate recipe nutrition from the bundled food composition table.
+ * Everything runs offline; numbers are estimates, not lab values.
+ */
+
+export const NUTRIENTS = [
+  { key: "kcal", label: "Energi", unit: "kkal" },
+  { key: "protein", label: "Protein", unit: "g" },
+  { key: "fat", label: "Lemak", unit: "g" },
+  { key: "carbs", label: "Karbohidrat", unit: "g" },
+  { key: "sugar", label: "Gula", unit: "g" },
+];
+
+// Longest aliases first so "bawang putih" wins over "bawang"
+const ALIASES = FOODS.flatMap((food) =>
+  food.aliases.map((alias) => ({ alias, food }))
+).sort((a, b) => b.alias.length - a.alias.length);
+
+const emptyTotals = () =>
+  Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient.key, 0]));
+
+/**
+ * Find the food an ingredient name refers to
+ * @param {string} name - Ingredient name
+ * @returns {Object|null} Food from the table
+ */
+export function matchFood(name) {
+  const words = ` ${normalizeIngredientName(name)} `;
+  const match = ALIASES.find(({ alias }) => words.includes(` ${alias} `));
+  return match?.food || null;
+}
+
+/**
+ * Convert a quantity to grams of a food
+ * @param {Object} parsed - Result of parseQuantity
+ * @param {Object} food - Food from the table
+ * @returns {number|null} Grams, or null when the amount can't be weighed
+ */
+export function toGrams(parsed, food) {
+  if (!parsed.parsed) return null;
+
+  const amount =
+    parsed.amountMax != null ? (parsed.amount + parsed.amountMax) / 2 : parsed.amount;
+  const unit = parsed.unit && UNITS[parsed.unit];
+
+  if (unit?.type === "mass") return amount * unit.base;
+  if (unit?.type === "volume") return amount * unit.base * (food.density || 1);
+
+  // Count units, including ones the parser doesn't know ("1 papan tempe")
+  const unitKey = parsed.unit || parsed.rest.split(/\s+/)[0]?.toLowerCase();
+  const pieceGrams = unitKey ? food.units?.[unitKey] : food.units?.default;
+  return pieceGrams != null ? amount * pieceGrams : null;
+}
+
+/**
+ * Estimate nutrition for a recipe
+ * @param {Object} recipe - Recipe with ingredients and servings
+ * @param {Object} overrides - Manual picks by ingredient key:
+ *   { [key]: { foodId, grams } } (grams optional)
+ * @returns {Object} {
+ *   perServing, total,
+ *   matched: [{ key, ingredient, food, grams, manual }],
+ *   unmatched: [{ key, ingredient, food, reason: 'food' | 'quantity' }],
+ *   skipped: [ingredient] (to-taste amounts such as "secukupnya")
+ * }
+ */
+export function estimateNutrition(recipe, overrides = {}) {
+  const total = emptyTotals();
+  const matched = [];
+  const unmatched = [];
+  const skipped = [];
+
+  (recipe?.ingredients || []).forEach((ingredient, index) => {
+    const key = `${index}_${normalizeIngredientName(ingredient.name)}`;
+    const override = overrides[key];
+    const parsed = parseQuantity(ingredient.quantity);
+    const food = (override?.foodId && getFoodById(override.foodId)) || matchFood(ingredient.name);
+
+    if (parsed.toTaste && !override?.grams) {
+      skipped.push(ingredient);
+      return;
+    }
+    if (!food) {
+      unmatched.push({ key, ingredient, food: null, reason: "food" });
+      return;
+    }
+
+    const grams = override?.grams > 0 ? Number(override.grams) : toGrams(parsed, food);
+    if (grams == null) {
+      unmatched.push({ key, ingredient, food, reason: "quantity" });
+      return;
+    }
+
+    NUTRIENTS.forEach(({ key: nutrient }) => {
+      total[nutrient] += (food.per100g[nutrient] * grams) / 100;
+    });
+    matched.push({ key, ingredient, food, grams, manual: Boolean(override) });
+  });
+
+  const servings = Number(recipe?.servings) > 0 ? Number(recipe.servings) : 1;
+  const perServing = Object.fromEntries(
+    Object.entries(total).map(([nutrient, value]) => [nutrient, value / servings])
+  );
+
+  return { perServing, total, matched, unmatched, skipped };
+}
@@ -0,0 +1,253 @@
+import { parseQuantity, UNITS } from "./quantityParser";
+import { normalizeIngredientName } from "./shoppingList";
+
+/**
+ * Match the ingredients someone has at home against recipe ingredients
+ * and rank recipes by how much of them is covered.
+ */
+
+/**
+ * Names that mean the same thing. The first entry is the one every other
+ * spelling is rewritten to.
+ */
+const SYNONYM_GROUPS = [
+  ["cabai", "cabe", "lombok"],
+  ["cabai rawit", "cabe rawit", "rawit", "lombok rawit"],
+  ["cabai merah", "cabe merah", "cabai merah besar", "cabe merah besar"],
+  ["telur", "telor", "telur ayam", "telor ayam"],
+  ["tauge", "toge", "kecambah"],
+  ["kubis", "kol"],
+  ["mi", "mie"],
+  ["bawang bombay", "bawang bombai", "bombay", "bombai"],
+  ["daun bawang", "bawang daun", "loncang"],
+  ["serai", "sereh"],
+  ["timun", "mentimun", "ketimun"],
+  ["gula merah", "gula jawa", "gula aren", "gula palem"],
+  ["gula", "gula pasir"],
+  ["saus", "saos"],
+  ["cokelat", "coklat"],
+  ["jeruk nipis", "nipis", "jeruk limau", "limau"],
+  ["merica", "lada", "lada bubuk", "merica bubuk"],
+  ["lengkuas", "laos"],
+  ["kunyit", "kunir"],
+  ["daging sapi", "sapi"],
+  ["daging kambing", "kambing"],
+  ["ayam", "daging ayam"],
+  ["tepung terigu", "terigu"],
+  ["tepung maizena", "maizena"],
+  ["air", "air putih", "air matang", "air mineral"],
+  ["es batu", "es"],
+  ["mentega", "margarin", "butter"],
+  ["minyak", "minyak goreng", "minyak sayur"],
+  ["nasi", "nasi putih"],
+  ["susu", "susu cair", "susu segar", "susu uht"],
+  ["susu kental manis", "skm"],
+  ["kemangi", "daun kemangi"],
+  ["daun salam", "salam"],
+  ["daun pandan", "pandan"],
+  ["daun jeruk", "daun jeruk purut"],
+  ["kacang panjang", "kacang panjang muda"],
+  ["kentang", "ubi kentang"],
+];
+
+/**
+ * Names that start with a more general word but are a different thing to
+ * buy. Having "bawang" doesn't mean having "bawang putih"; having
+ * "bawang merah" does.
+ */
+const DISTINCT_ITEMS = [
+  "bawang merah", "bawang putih", "bawang bombay", "daun bawang",
+  "gula merah", "air jeruk", "air kelapa", "air asam", "santan",
+  "tepung beras", "tepung ketan", "tepung maizena", "tepung tapioka",
+  "kecap manis", "kecap asin", "saus tiram", "saus tomat", "saus sambal",
+  "cabai rawit", "cabai merah", "cabai hijau", "jeruk nipis", "daun jeruk",
+  "daun salam", "daun pandan", "kacang tanah", "kacang hijau", "kacang panjang",
+  "susu kental manis", "minyak wijen", "daging sapi", "daging kambing",
+  "kaldu ayam", "kaldu sapi",
+];
+
+/**
+ * Ingredients most kitchens always have. Recipes aren't penalised for
+ * them unless the user turns that off.
+ */
+export const STAPLES = ["air", "garam", "gula", "minyak", "merica", "es batu"];
+
+// Size and state words that don't change what the ingredient is
+const DESCRIPTOR_WORDS = new Set([
+  "besar", "kecil", "sedang", "ukuran", "matang", "mentah", "dingin", "hangat",
+  "panas", "mendidih", "bersih", "yang", "sudah", "sisa", "instan", "bubuk",
+]);
+
+// Unit words sometimes end up in the name ("siung bawang putih")
+const UNIT_WORDS = new Set(
+  Object.entries(UNITS).flatMap(([key, unit]) => [key, ...unit.aliases])
+);
+
+// Longest spelling first so "cabe rawit" wins over "cabe"
+const VARIANTS = SYNONYM_GROUPS.flatMap(([canonical, ...variants]) =>
+  [canonical, ...variants].map((variant) => ({ words: variant.split(" "), canonical }))
+).sort((a, b) => b.words.length - a.words.length);
+
+/**
+ * Collapse reduplicated plurals: "telur-telur" -> "telur",
+ * "sayur-sayuran" -> "sayur", anything else hyphenated -> two words
+ */
+const singularize = (word) => {
+  const [first, second] = word.split("-");
+  if (second === undefined) return word;
+  if (!first) return second;
+  if (second === first || second.startsWith(first)) return first;
+  return `${first} ${second}`;
+};
+
+const rewriteSynonyms = (words) => {
+  const result = [];
+  let index = 0;
+  while (index < words.length) {
+    const match = VARIANTS.find(({ words: variant }) =>
+      variant.every((word, offset) => words[index + offset] === word)
+    );
+    if (match) {
+      result.push(match.canonical);
+      index += match.words.length;
+    } else {
+      result.push(words[index]);
+      index += 1;
+    }
+  }
+  return result.join(" ");
+};
+
+/**
+ * Reduce an ingredient name to a comparable key
+ * ("Telor-telor ayam kampung", "2 butir telur" -> "telur kampung", "telur")
+ * @param {string} name - Ingredient name, optionally with a quantity in front
+ * @returns {string}
+ */
+export function toPantryKey(name) {
+  const words = normalizeIngredientName(name)
+    .split(/\s+/)
+    .flatMap((word) => singularize(word).split(" "))
+    .filter((word) => word && !DESCRIPTOR_WORDS.has(word));
+
+  while (words.length > 1 && UNIT_WORDS.has(words[0])) words.shift();
+
+  return rewriteSynonyms(words);
+}
+
+const containsPhrase = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+/**
+ * Whether something in the pantry covers an ingredient
+ * @param {string} pantryKey - Result of toPantryKey for the pantry item
+ * @param {string} ingredientKey - Result of toPantryKey for the ingredient
+ * @returns {boolean}
+ */
+export function pantryCovers(pantryKey, ingredientKey) {
+  if (!pantryKey || !ingredientKey) return false;
+  if (pantryKey === ingredientKey) return true;
+
+  // "paha ayam" in the pantry is fine for a recipe that needs "ayam"
+  if (containsPhrase(pantryKey, ingredientKey)) return true;
+  if (!containsPhrase(ingredientKey, pantryKey)) return false;
+
+  // "ayam" covers "paha ayam", but "bawang" doesn't cover "bawang merah"
+  return !DISTINCT_ITEMS.some(
+    (item) =>
+      item !== pantryKey &&
+      containsPhrase(ingredientKey, item) &&
+      containsPhrase(item, pantryKey)
+  );
+}
+
+/**
+ * Split an ingredient into what the recipe needs. "garam dan merica" needs
+ * two things; "mentega atau margarin" needs one of two.
+ * @param {Object|string} ingredient - { name, quantity } or "2 butir telur"
+ * @returns {Array} [{ label, keys: [alternative keys] }]
+ */
+export function getIngredientNeeds(ingredient) {
+  let name = ingredient?.name;
+  if (typeof ingredient === "string") {
+    const parsed = parseQuantity(ingredient);
+    name = parsed.parsed ? parsed.rest : ingredient;
+  }
+  name = String(name || "").trim();
+  if (!name) return [];
+
+  return name
+    .split(/\s+(?:dan|serta)\s+|\s*&\s*|\s*\+\s*/i)
+    .map((part) => ({
+      label: part.trim(),
+      keys: part
+        .split(/\s+atau\s+|\s*\/\s*/i)
+        .map(toPantryKey)
+        .filter(Boolean),
+    }))
+    .filter((need) => need.label && need.keys.length);
+}
+
+const isStaple = (keys) => keys.some((key) => STAPLES.includes(key));
+
+/**
+ * Check one recipe against the pantry
+ * @param {Object} recipe - Recipe with ingredients
+ * @param {string[]} pantryKeys - Pantry items run through toPantryKey
+ * @param {Object} options - { assumeStaples: true }
+ * @returns {Object|null} { recipe, matched, missing, staples, coverage },
+ *   or null when the recipe has no ingredients to compare
+ */
+export function matchRecipe(recipe, pantryKeys, { assumeStaples = true } = {}) {
+  const needs = (recipe?.ingredients || []).flatMap(getIngredientNeeds);
+  if (!needs.length) return null;
+
+  const matched = [];
+  const missing = [];
+  const staples = [];
+
+  needs.forEach((need) => {
+    const covered = need.keys.some((key) =>
+      pantryKeys.some((pantryKey) => pantryCovers(pantryKey, key))
+    );
+    if (covered) {
+      matched.push(need.label);
+    } else if (assumeStaples && isStaple(need.keys)) {
+      staples.push(need.label);
+    } else {
+      missing.push(need.label);
+    }
+  });
+
+  const counted = matched.length + missing.length;
+  return {
+    recipe,
+    matched,
+    missing,
+    staples,
+    coverage: counted ? matched.length / counted : 1,
+  };
+}
+
+/**
+ * Rank recipes by how much of each the pantry covers. Recipes that use
+ * nothing from the pantry are left out.
+ * @param {Array} recipes - Recipes with ingredients
+ * @param {string[]} pantryItems - What the user has, as typed
+ * @param {Object} options - { assumeStaples: true }
+ * @returns {Array} Results of matchRecipe, best first
+ */
+export function rankRecipesByPantry(recipes, pantryItems, options = {}) {
+  const pantryKeys = pantryItems.map(toPantryKey).filter(Boolean);
+  if (!pantryKeys.length) return [];
+
+  return recipes
+    .map((recipe) => matchRecipe(recipe, pantryKeys, options))
+    .filter((result) => result && result.matched.length > 0)
+    .sort(
+      (a, b) =>
+        b.coverage - a.coverage ||
+        a.missing.length - b.missing.length ||
+        b.matched.length - a.matched.length ||
+        String(a.recipe.name).localeCompare(String(b.recipe.name), "id")
+    );
+}
@@ -0,0 +1,21 @@
+import { getUserIdentifier, getAnonymousIdentifier } from "../services/userService";
+
+/**
+ * Identifiers that count as "me" on this device: the account (when logged in)
+ * and the device's anonymous identifier, so recipes made before logging in
+ * stay editable here
+ * @returns {string[]}
+ */
+export const getOwnerIdentifiers = () => [
+  ...new Set([getUserIdentifier(), getAnonymousIdentifier()]),
+];
+
+/**
+ * Check whether the current user created a recipe.
+ * Recipes without a recorded creator belong to nobody.
+ * @param {Object} recipe - Recipe data
+ * @returns {boolean}
+ */
+export const isRecipeOwner = (recipe) =>
+  Boolean(recipe?.created_by) &&
+  getOwnerIdentifiers().includes(String(recipe.created_by));
@@ -0,0 +1,292 @@
+/**
+ * Parse, scale and format ingredient quantities written the Indonesian way,
+ * e.g. "2 siung", "500 gram", "1/2 sdt", "2-3 butir", "1,5 liter", "secukupnya".
+ */
+
+/**
+ * Known units. `base` converts one unit to millilitres (volume) or grams (mass);
+ * count units have no base. `step` is the smallest fraction worth showing.
+ */
+export const UNITS = {
+  sdm: { label: "sdm", type: "volume", base: 15, step: 0.25, aliases: ["sdm", "sendok makan", "tbsp"] },
+  sdt: { label: "sdt", type: "volume", base: 5, step: 0.25, aliases: ["sdt", "sendok teh", "tsp"] },
+  gelas: { label: "gelas", type: "volume", base: 250, step: 0.25, aliases: ["gelas", "cangkir", "cup"] },
+  ml: { label: "ml", type: "volume", base: 1, aliases: ["ml", "mililiter", "cc"] },
+  liter: { label: "liter", type: "volume", base: 1000, aliases: ["liter", "ltr", "l"] },
+  gram: { label: "gram", type: "mass", base: 1, aliases: ["gram", "gr", "g"] },
+  ons: { label: "ons", type: "mass", base: 100, step: 0.25, aliases: ["ons"] },
+  kg: { label: "kg", type: "mass", base: 1000, aliases: ["kg", "kilogram", "kilo"] },
+  siung: { label: "siung", type: "count", step: 0.5, aliases: ["siung"] },
+  butir: { label: "butir", type: "count", step: 0.5, aliases: ["butir"] },
+  buah: { label: "buah", type: "count", step: 0.5, aliases: ["buah", "bh"] },
+  lembar: { label: "lembar", type: "count", step: 1, aliases: ["lembar", "lbr", "helai"] },
+  batang: { label: "batang", type: "count", step: 0.5, aliases: ["batang", "btg"] },
+  ruas: { label: "ruas", type: "count", step: 0.5, aliases: ["ruas"] },
+  ikat: { label: "ikat", type: "count", step: 0.5, aliases: ["ikat"] },
+  bungkus: { label: "bungkus", type: "count", step: 0.5, aliases: ["bungkus", "bks", "sachet", "saset"] },
+  potong: { label: "potong", type: "count", step: 0.5, aliases: ["potong", "ptg"] },
+  ekor: { label: "ekor", type: "count", step: 0.5, aliases: ["ekor"] },
+  genggam: { label: "genggam", type: "count", step: 0.5, aliases: ["genggam"] },
+  piring: { label: "piring", type: "count", step: 0.5, aliases: ["piring"] },
+  mangkuk: { label: "mangkuk", type: "count", step: 0.5, aliases: ["mangkuk", "mangkok"] },
+  cm: { label: "cm", type: "count", step: 0.5, aliases: ["cm"] },
+};
+
+// Entries that are not amounts at all; they are never scaled
+const TO_TASTE_PATTERN = /^(secukupnya|sejumput|sesuai selera|selera|sedikit|opsional)\b/i;
+
+const WORD_NUMBERS = {
+  setengah: 0.5,
+  seperempat: 0.25,
+  sepertiga: 1 / 3,
+  satu: 1,
+  dua: 2,
+  tiga: 3,
+  empat: 4,
+  lima: 5,
+};
+
+const UNICODE_FRACTIONS = {
+  "½": 0.5,
+  "¼": 0.25,
+  "¾": 0.75,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅛": 0.125,
+};
+
+// Longest aliases first so "sendok makan" wins over shorter matches
+const UNIT_ALIASES = Object.entries(UNITS)
+  .flatMap(([key, unit]) => unit.aliases.map((alias) => ({ alias, key })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const NUMBER = String.raw`(?:\d+\s+\d+\s*/\s*\d+|\d+\s*/\s*\d+|\d+(?:[.,]\d+)?\s*[½¼¾⅓⅔⅛]?|[½¼¾⅓⅔⅛]|setengah|seperempat|sepertiga|satu|dua|tiga|empat|lima)`;
+const AMOUNT_PATTERN = new RegExp(
+  String.raw`^(${NUMBER})(?:\s*(?:-|–|s/d|sampai|hingga)\s*(${NUMBER}))?`,
+  "i"
+);
+
+/**
+ * Convert one number token ("1 1/2", "1/2", "1,5", "½", "setengah") to a number
+ * @param {string} token - Number text
+ * @returns {number} Value, or NaN
+ */
+export function parseNumber(token) {
+  const text = token.trim().toLowerCase();
+
+  if (text in WORD_NUMBERS) return WORD_NUMBERS[text];
+
+  // "1.000" is one thousand, not one
+  if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+    return Number(text.replace(/\./g, ""));
+  }
+
+  const mixed = text.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  if (mixed) {
+    return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  }
+
+  const fraction = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : NaN;
+  }
+
+  const withUnicode = text.match(/^(\d+(?:[.,]\d+)?)?\s*([½¼¾⅓⅔⅛])$/);
+  if (withUnicode) {
+    const whole = withUnicode[1] ? Number(withUnicode[1].replace(",", ".")) : 0;
+    return whole + UNICODE_FRACTIONS[withUnicode[2]];
+  }
+
+  return Number(text.replace(",", "."));
+}
+
+/**
+ * Find a unit at the start of a text
+ * @param {string} text - Text after the amount
+ * @returns {Object|null} { key, length }
+ */
+function matchUnit(text) {
+  const lower = text.toLowerCase();
+  for (const { alias, key } of UNIT_ALIASES) {
+    if (lower.startsWith(alias)) {
+      const next = lower.charAt(alias.length);
+      // Whole words only: "gr" must not match "granola"
+      if (!next || !/[a-z]/.test(next)) {
+        return { key, length: alias.length };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an ingredient quantity
+ * @param {string} quantity - Quantity as entered, e.g. "2-3 siung" or "secukupnya"
+ * @returns {Object} {
+ *   original, parsed, toTaste,
+ *   amount, amountMax (for ranges), unit (key of UNITS or null), rest (remaining text)
+ * }
+ */
+export function parseQuantity(quantity) {
+  const original = String(quantity ?? "").trim();
+  const result = {
+    original,
+    parsed: false,
+    toTaste: false,
+    amount: null,
+    amountMax: null,
+    unit: null,
+    rest: "",
+  };
+
+  if (!original) return result;
+
+  if (TO_TASTE_PATTERN.test(original)) {
+    return { ...result, toTaste: true };
+  }
+
+  const match = original.match(AMOUNT_PATTERN);
+  if (!match) return result;
+
+  const amount = parseNumber(match[1]);
+  const amountMax = match[2] ? parseNumber(match[2]) : null;
+  if (!Number.isFinite(amount) || (match[2] && !Number.isFinite(amountMax))) {
+    return result;
+  }
+
+  let remaining = original.slice(match[0].length).trim();
+  const unit = matchUnit(remaining);
+  if (unit) {
+    remaining = remaining.slice(unit.length).trim();
+  }
+
+  return {
+    ...result,
+    parsed: true,
+    amount,
+    amountMax,
+    unit: unit?.key || null,
+    rest: remaining,
+  };
+}
+
+const FRACTIONS = [
+  [0.25, "1/4"],
+  [1 / 3, "1/3"],
+  [0.5, "1/2"],
+  [2 / 3, "2/3"],
+  [0.75, "3/4"],
+];
+
+/**
+ * Format an amount in a kitchen-friendly way
+ * @param {number} value - Amount
+ * @param {number} step - Smallest fraction to show (e.g. 0.25 for spoons)
+ * @returns {string} e.g. "1 1/2", "250", "1,25"
+ */
+export function formatAmount(value, step) {
+  if (step) {
+    const allowed = step >= 1 ? [] : step >= 0.5 ? [[0.5, "1/2"]] : FRACTIONS;
+    const whole = Math.floor(value);
+    const part = value - whole;
+
+    // Closest of: whole number, whole + an allowed fraction, next whole number
+    let best = { diff: part, text: null, carry: 0 };
+    allowed.forEach(([fraction, text]) => {
+      const diff = Math.abs(part - fraction);
+      if (diff < best.diff) best = { diff, text, carry: 0 };
+    });
+    if (1 - part < best.diff) best = { diff: 1 - part, text: null, carry: 1 };
+
+    const wholeOut = whole + best.carry;
+    if (!best.text) {
+      // Never round a real amount down to nothing
+      return String(wholeOut || (value > 0 && allowed[0]?.[1]) || 1);
+    }
+    return wholeOut ? `${wholeOut} ${best.text}` : best.text;
+  }
+
+  // Metric amounts: fewer digits the bigger they get
+  let rounded;
+  if (value >= 100) rounded = Math.round(value / 5) * 5;
+  else if (value >= 10) rounded = Math.round(value);
+  else rounded = Math.round(value * 100) / 100;
+
+  return (rounded || Math.round(value * 1000) / 1000).toLocaleString("id-ID");
+}
+
+/**
+ * Switch gram/ml amounts to kg/liter (and back) when that reads better
+ * @param {number} value - Amount
+ * @param {string} unit - Unit key
+ * @returns {Object} { value, unit }
+ */
+function normalizeMetric(value, unit) {
+  if (unit === "gram" && value >= 1000) return { value: value / 1000, unit: "kg" };
+  if (unit === "ml" && value >= 1000) return { value: value / 1000, unit: "liter" };
+  if (unit === "kg" && value < 1) return { value: value * 1000, unit: "gram" };
+  if (unit === "liter" && value < 1) return { value: value * 1000, unit: "ml" };
+  return { value, unit };
+}
+
+/**
+ * Turn a parsed quantity back into text
+ * @param {Object} parsed - Result of parseQuantity (amount may be scaled)
+ * @returns {string}
+ */
+export function formatQuantity(parsed) {
+  if (!parsed.parsed) return parsed.original;
+
+  let { amount, amountMax, unit } = parsed;
+  if (unit === "gram" || unit === "ml" || unit === "kg" || unit === "liter") {
+    const normalized = normalizeMetric(amountMax ?? amount, unit);
+    const ratio = normalized.value / (amountMax ?? amount) || 1;
+    amount *= ratio;
+    amountMax = amountMax != null ? amountMax * ratio : null;
+    unit = normalized.unit;
+  }
+
+  const step = unit ? UNITS[unit].step : 0.25;
+  const amountText =
+    amountMax != null
+      ? `${formatAmount(amount, step)}-${formatAmount(amountMax, step)}`
+      : formatAmount(amount, step);
+
+  return [amountText, unit && UNITS[unit].label, parsed.rest]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Scale an ingredient quantity
+ * @param {string} quantity - Quantity as entered
+ * @param {number} factor - Multiplier (new servings / original servings)
+ * @returns {Object} { text, scaled, parsed }
+ *   scaled is false when the quantity was left alone (factor 1 or unparseable)
+ */
+export function scaleQuantity(quantity, factor) {
+  const parsed = parseQuantity(quantity);
+
+  if (!parsed.parsed || factor === 1) {
+    return { text: parsed.original, scaled: false, parsed };
+  }
+
+  const scaled = {
+    ...parsed,
+    amount: parsed.amount * factor,
+    amountMax: parsed.amountMax != null ? parsed.amountMax * factor : null,
+  };
+  return { text: formatQuantity(scaled), scaled: true, parsed: scaled };
+}
+
+/**
+ * Convert a parsed quantity to millilitres or grams
+ * @param {Object} parsed - Result of parseQuantity
+ * @returns {Object|null} { type: 'volume' | 'mass', value } or null for count units
+ */
+export function toBaseAmount(parsed) {
+  const unit = parsed?.unit && UNITS[parsed.unit];
+  if (!parsed?.parsed || !unit?.base) return null;
+  const amount = parsed.amountMax != null ? (parsed.amount + parsed.amountMax) / 2 : parsed.amount;
+  return { type: unit.type, value: amount * unit.base };
+}
@@ -0,0 +1,53 @@
+import { STORES, getItem, putItem, deleteItem } from "./indexedDB";
+
+/**
+ * Create a React Query persister that stores the dehydrated cache in IndexedDB.
+ * Writes are throttled: the cache changes on every fetch, so at most one
+ * write per throttleTime is made, holding the latest state.
+ * @param {string} key - Record key inside the query cache store
+ * @param {number} throttleTime - Minimum time between writes (ms)
+ * @returns {Object} - Persister for PersistQueryClientProvider
+ */
+export const createIndexedDBPersister = (key = "react-query", throttleTime = 1000) => {
+  let latestClient = null;
+  let timer = null;
+
+  const writeLatest = async () => {
+    timer = null;
+    const client = latestClient;
+    latestClient = null;
+    try {
+      await putItem(STORES.QUERY_CACHE, client, key);
+    } catch (error) {
+      console.error("Error persisting query cache:", error);
+    }
+  };
+
+  return {
+    persistClient: (client) => {
+      latestClient = client;
+      if (!timer) {
+        timer = setTimeout(writeLatest, throttleTime);
+      }
+    },
+    restoreClient: async () => {
+      try {
+        return await getItem(STORES.QUERY_CACHE, key);
+      } catch (error) {
+        console.error("Error restoring query cache:", error);
+        return undefined;
+      }
+    },
+    removeClient: async () => {
+      // A pending write would bring the removed cache back
+      clearTimeout(timer);
+      timer = null;
+      latestClient = null;
+      try {
+        await deleteItem(STORES.QUERY_CACHE, key);
+      } catch (error) {
+        console.error("Error removing query cache:", error);
+      }
+    },
+  };
+};
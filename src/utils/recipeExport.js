@@ -0,0 +1,188 @@
+/**
+ * Write recipes out for other apps: schema.org Recipe JSON-LD (what search
+ * engines and recipe managers read) and our own export file, which
+ * `parseRecipeImport` reads back in.
+ */
+import { RECIPE_EXPORT_FORMAT } from "./recipeImport";
+import { getCategoryOrDefault } from "../config/categories";
+
+const EXPORT_VERSION = 1;
+
+const DIFFICULTY_LABELS = {
+  mudah: "Mudah",
+  sedang: "Sedang",
+  sulit: "Sulit",
+};
+
+const minutesOf = (value) => {
+  const minutes = parseInt(value, 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+};
+
+/**
+ * ISO 8601 duration for a number of minutes (90 → "PT1H30M")
+ * @param {number|string} value - Minutes
+ * @returns {string|undefined}
+ */
+export function toIsoDuration(value) {
+  const minutes = minutesOf(value);
+  if (!minutes) return undefined;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ""}${rest ? `${rest}M` : ""}`;
+}
+
+/**
+ * One ingredient as a line of text ("2 butir telur")
+ * @param {Object|string} ingredient - { name, quantity } or text
+ * @returns {string}
+ */
+export const ingredientText = (ingredient) =>
+  typeof ingredient === "string"
+    ? ingredient.trim()
+    : [ingredient?.quantity, ingredient?.name].filter(Boolean).join(" ").trim();
+
+/**
+ * One step's instruction
+ * @param {Object|string} step - { step_number, instruction } or text
+ * @returns {string}
+ */
+export const stepText = (step) =>
+  (typeof step === "string" ? step : step?.instruction || "").trim();
+
+/**
+ * Steps in cooking order
+ * @param {Array} steps
+ * @returns {string[]}
+ */
+export const orderedSteps = (steps = []) =>
+  [...steps]
+    .sort((a, b) => (a?.step_number ?? 0) - (b?.step_number ?? 0))
+    .map(stepText)
+    .filter(Boolean);
+
+/**
+ * "Persiapan 15 menit · Memasak 20 menit · 4 porsi · Mudah"
+ * @param {Object} recipe
+ * @returns {string}
+ */
+export function recipeMetaLine(recipe) {
+  const prep = minutesOf(recipe.prep_time);
+  const cook = minutesOf(recipe.cook_time);
+  const servings = minutesOf(recipe.servings);
+  return [
+    prep && `Persiapan ${prep} menit`,
+    cook && `Memasak ${cook} menit`,
+    servings && `${servings} porsi`,
+    DIFFICULTY_LABELS[String(recipe.difficulty || "").toLowerCase()],
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * schema.org Recipe for a recipe
+ * @param {Object} recipe - Recipe from the API or local data
+ * @param {Object} options
+ * @param {string} options.url - Page of the recipe
+ * @returns {Object} JSON-LD object
+ */
+export function toSchemaRecipe(recipe, { url } = {}) {
+  const prep = minutesOf(recipe.prep_time);
+  const cook = minutesOf(recipe.cook_time);
+  const servings = minutesOf(recipe.servings);
+  const rating = Number(recipe.average_rating);
+  const reviewCount = Number(recipe.review_count);
+
+  const schema = {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    name: recipe.name,
+    description: recipe.description || undefined,
+    image: recipe.image_url ? [recipe.image_url] : undefined,
+    url,
+    recipeCategory: getCategoryOrDefault(recipe.category).label,
+    recipeCuisine: "Indonesia",
+    prepTime: toIsoDuration(prep),
+    cookTime: toIsoDuration(cook),
+    totalTime: toIsoDuration(prep + cook),
+    recipeYield: servings ? `${servings} porsi` : undefined,
+    datePublished: recipe.created_at || undefined,
+    recipeIngredient: (recipe.ingredients || []).map(ingredientText).filter(Boolean),
+    recipeInstructions: orderedSteps(recipe.steps).map((text, index) => ({
+      "@type": "HowToStep",
+      position: index + 1,
+      text,
+    })),
+    aggregateRating:
+      rating > 0 && reviewCount > 0
+        ? {
+            "@type": "AggregateRating",
+            ratingValue: Number(rating.toFixed(1)),
+            ratingCount: reviewCount,
+            bestRating: 5,
+            worstRating: 1,
+          }
+        : undefined,
+  };
+
+  // Leave out what we don't know instead of writing empty values
+  return JSON.parse(JSON.stringify(schema));
+}
+
+/**
+ * Recipe content only: ids, owner, ratings and timestamps stay with our copy
+ * @param {Object} recipe
+ * @returns {Object}
+ */
+const toExportedRecipe = (recipe) => ({
+  name: recipe.name,
+  category: recipe.category,
+  description: recipe.description || "",
+  prep_time: minutesOf(recipe.prep_time),
+  cook_time: minutesOf(recipe.cook_time),
+  servings: minutesOf(recipe.servings),
+  difficulty: recipe.difficulty,
+  image_url: recipe.image_url || "",
+  ingredients: (recipe.ingredients || []).map((ingredient) =>
+    typeof ingredient === "string"
+      ? { name: ingredient, quantity: "" }
+      : { name: ingredient.name, quantity: ingredient.quantity || "" }
+  ),
+  steps: orderedSteps(recipe.steps).map((instruction, index) => ({
+    step_number: index + 1,
+    instruction,
+  })),
+});
+
+/**
+ * Contents of an export file for one recipe or a list of recipes
+ * @param {Object|Array} recipes
+ * @returns {Object} { format, version, exported_at, recipe | recipes }
+ */
+export function toExportFile(recipes) {
+  const file = {
+    format: RECIPE_EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+  };
+  if (Array.isArray(recipes)) {
+    file.recipes = recipes.map(toExportedRecipe);
+  } else {
+    file.recipe = toExportedRecipe(recipes);
+  }
+  return file;
+}
+
+/**
+ * File name for a recipe ("Nasi Goreng Kampung" → "nasi-goreng-kampung")
+ * @param {string} name
+ * @returns {string}
+ */
+export const toFileName = (name) =>
+  String(name || "resep")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "resep";
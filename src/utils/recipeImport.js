@@ -0,0 +1,561 @@
+/**
+ * Turn recipes written elsewhere into our recipe shape: pasted free text,
+ * schema.org Recipe JSON-LD (as JSON or inside an HTML page) and files
+ * exported from this app. Everything here is best-effort; the result is
+ * meant to be reviewed before it is saved.
+ */
+import { parseQuantity } from "./quantityParser";
+import { CATEGORIES, DEFAULT_CATEGORY, getCategory } from "../config/categories";
+import { validateRecipe, summarizeRecipeErrors } from "./recipeSchema";
+
+// `format` of recipe files exported from this app
+export const RECIPE_EXPORT_FORMAT = "resep-nusantara/recipe";
+
+export const IMPORT_SOURCES = {
+  TEXT: "text",
+  SCHEMA_ORG: "schema.org",
+  EXPORT: "export",
+};
+
+const DIFFICULTIES = ["mudah", "sedang", "sulit"];
+
+const DIFFICULTY_WORDS = {
+  mudah: "mudah",
+  gampang: "mudah",
+  easy: "mudah",
+  sedang: "sedang",
+  medium: "sedang",
+  sulit: "sulit",
+  susah: "sulit",
+  hard: "sulit",
+};
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * An empty recipe in the shape of the create form
+ * @returns {Object}
+ */
+export const createEmptyRecipe = () => ({
+  name: "",
+  category: DEFAULT_CATEGORY.slug,
+  description: "",
+  prep_time: "",
+  cook_time: "",
+  servings: "",
+  difficulty: "mudah",
+  image_url: "",
+  ingredients: [],
+  steps: [],
+});
+
+const decodeEntities = (text) =>
+  String(text).replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value =
+        code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+/**
+ * Readable text of an HTML fragment, one block element per line
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return decodeEntities(
+    String(html || "")
+      .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/?(p|div|li|ol|ul|h[1-6]|tr|section|article|header|footer)\b[^>]*>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+const cleanText = (value) => (value == null ? "" : htmlToText(String(value)).replace(/\n+/g, " "));
+
+/**
+ * Minutes in an ISO-8601 duration ("PT1H30M" -> 90, "P1DT2H" -> 1560)
+ * @param {string} value - Duration
+ * @returns {number|null} Whole minutes (rounded up), or null when not a duration
+ */
+export function parseIsoDuration(value) {
+  const match = String(value || "")
+    .trim()
+    .match(
+      /^P(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i
+    );
+  if (!match || !match.slice(1).some(Boolean)) return null;
+
+  const [weeks, days, hours, minutes, seconds] = match
+    .slice(1)
+    .map((part) => (part ? Number(part.replace(",", ".")) : 0));
+  const total = weeks * 10080 + days * 1440 + hours * 60 + minutes + seconds / 60;
+  return total > 0 ? Math.ceil(total) : null;
+}
+
+/**
+ * Minutes in a written duration ("1 jam 30 menit", "45 min", "1,5 jam")
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseDurationText(text) {
+  const value = String(text || "").trim();
+  const iso = parseIsoDuration(value);
+  if (iso) return iso;
+
+  const match = value.match(
+    /^(?:(\d+(?:[.,]\d+)?)\s*(?:jam|hours?|hrs?|h|j)\.?)?\s*(?:(\d+)\s*(?:menit|mnt|minutes?|mins?|m)\.?)?$/i
+  );
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const total = (match[1] ? Number(match[1].replace(",", ".")) * 60 : 0) + Number(match[2] || 0);
+  return total > 0 ? Math.ceil(total) : null;
+}
+
+/**
+ * Category slug that fits a piece of text best (by registry keywords)
+ * @param {string} text - Category, keywords or name of a recipe
+ * @returns {string} Category slug
+ */
+export function guessCategory(text) {
+  const lower = ` ${String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ")} `;
+  const direct = getCategory(lower.trim());
+  if (direct) return direct.slug;
+
+  let best = DEFAULT_CATEGORY;
+  let bestScore = 0;
+  CATEGORIES.forEach((category) => {
+    const score = (category.keywords || []).filter((keyword) => lower.includes(` ${keyword} `)).length;
+    if (score > bestScore) {
+      best = category;
+      bestScore = score;
+    }
+  });
+  return best.slug;
+}
+
+// Bullets and numbering in front of list items
+const LIST_MARKER = /^\s*(?:[-*•·▪◦–]+|\(?\d+[.)]|(?:langkah|step)\s*\d+\s*[:.)-]?)\s*/i;
+
+const stripListMarker = (line) => line.replace(LIST_MARKER, "").trim();
+
+/**
+ * Split one ingredient line into quantity and name:
+ * "2 butir telur", "Telur 2 butir", "Telur: 2 butir", "Garam secukupnya"
+ * @param {string} line - Ingredient as written
+ * @returns {Object} { name, quantity } (quantity is "" when none was found)
+ */
+export function splitIngredientLine(line) {
+  const text = stripListMarker(cleanText(line));
+  if (!text) return { name: "", quantity: "" };
+
+  const isQuantity = (value) => {
+    const parsed = parseQuantity(value);
+    return parsed.toTaste || (parsed.parsed && !parsed.rest);
+  };
+
+  const colon = text.match(/^([^:]+):\s*(.+)$/);
+  if (colon && isQuantity(colon[2])) {
+    return { name: colon[1].trim(), quantity: colon[2].trim() };
+  }
+
+  const leading = parseQuantity(text);
+  if (leading.toTaste) {
+    const match = text.match(/^(\S+(?:\s+selera)?)\s+(.+)$/i);
+    if (match) return { name: match[2], quantity: match[1] };
+  }
+  if (leading.parsed && leading.rest) {
+    return {
+      name: leading.rest.replace(/^(?:of\s+)/i, ""),
+      quantity: text.slice(0, text.length - leading.rest.length).trim(),
+    };
+  }
+
+  const trailing = text.match(
+    /^(.+?)[\s,]+((?:secukupnya|sejumput|sesuai selera)|(?:\d|½|¼|¾)[\d\s/.,½¼¾-]*(?:\s*[a-z]+(?:\s+(?:makan|teh))?)?)$/i
+  );
+  if (trailing && isQuantity(trailing[2])) {
+    return { name: trailing[1].trim(), quantity: trailing[2].trim() };
+  }
+
+  return { name: text, quantity: "" };
+}
+
+const toIngredient = (value) =>
+  typeof value === "string"
+    ? splitIngredientLine(value)
+    : {
+        name: cleanText(value?.name),
+        quantity: cleanText(value?.quantity ?? value?.amount ?? ""),
+      };
+
+const toStepText = (value) =>
+  typeof value === "string" ? stripListMarker(cleanText(value)) : cleanText(value?.instruction ?? value?.text);
+
+const firstNumber = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  for (const item of values) {
+    const match = String(item ?? "").match(/\d+/);
+    if (match && Number(match[0]) > 0) return match[0];
+  }
+  return "";
+};
+
+// ---- schema.org JSON-LD ---------------------------------------------------
+
+const isRecipeNode = (node) =>
+  []
+    .concat(node?.["@type"] || [])
+    .some((type) => /(^|[:/])recipe$/i.test(String(type)));
+
+/**
+ * All schema.org Recipe nodes anywhere in parsed JSON-LD (arrays, @graph,
+ * mainEntity, ItemList...)
+ */
+const findRecipeNodes = (value, depth = 0) => {
+  if (!value || typeof value !== "object" || depth > 8) return [];
+  if (Array.isArray(value)) return value.flatMap((item) => findRecipeNodes(item, depth + 1));
+  if (isRecipeNode(value)) return [value];
+  return Object.values(value).flatMap((item) => findRecipeNodes(item, depth + 1));
+};
+
+/**
+ * Step texts from recipeInstructions, which may be a text, a list of texts,
+ * HowToStep objects or HowToSection objects holding steps
+ */
+const flattenInstructions = (value) => {
+  if (!value) return [];
+  if (typeof value === "string") {
+    return htmlToText(value)
+      .split(/\n+/)
+      .map(stripListMarker)
+      .filter(Boolean);
+  }
+  if (Array.isArray(value)) return value.flatMap(flattenInstructions);
+  if (value.itemListElement) return flattenInstructions(value.itemListElement);
+  const text = value.text || value.name || value.description;
+  return text ? flattenInstructions(String(text)) : [];
+};
+
+const firstImage = (value) => {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) return firstImage(value[0]);
+  return value.url || value.contentUrl || "";
+};
+
+/**
+ * Map a schema.org Recipe node to our recipe shape
+ * @param {Object} node - Recipe node
+ * @returns {Object} { recipe, source, notes }
+ */
+export function fromSchemaRecipe(node) {
+  const notes = [];
+  const prep = parseIsoDuration(node.prepTime);
+  let cook = parseIsoDuration(node.cookTime);
+  const total = parseIsoDuration(node.totalTime);
+
+  if (!cook && total) {
+    cook = prep && total > prep ? total - prep : total;
+    notes.push("Waktu memasak dihitung dari total waktu resep, periksa kembali.");
+  }
+
+  const ingredients = [].concat(node.recipeIngredient || node.ingredients || []).map(toIngredient);
+  const category = guessCategory(
+    [node.recipeCategory, node.keywords, node.name].flat().filter(Boolean).join(" ")
+  );
+
+  return {
+    source: IMPORT_SOURCES.SCHEMA_ORG,
+    notes,
+    recipe: {
+      ...createEmptyRecipe(),
+      name: cleanText(node.name),
+      category,
+      description: cleanText(node.description),
+      prep_time: prep ? String(prep) : "",
+      cook_time: cook ? String(cook) : "",
+      servings: firstNumber(node.recipeYield ?? node.yield),
+      image_url: firstImage(node.image),
+      ingredients: ingredients.filter((ingredient) => ingredient.name),
+      steps: flattenInstructions(node.recipeInstructions),
+    },
+  };
+}
+
+// ---- Files exported from this app ---------------------------------------
+
+const isOwnRecipe = (value) =>
+  Boolean(value) &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  typeof value.name === "string" &&
+  (Array.isArray(value.ingredients) || Array.isArray(value.steps));
+
+/**
+ * Map one of our own recipes (exported file or API response). Only recipe
+ * content is kept; ids, owner, ratings and timestamps belong to the copy it
+ * came from and are dropped.
+ * @param {Object} value - Recipe object
+ * @returns {Object} { recipe, source, notes }
+ */
+export function fromExportedRecipe(value) {
+  const notes = [];
+  const category = getCategory(value.category)?.slug;
+  if (!category) {
+    notes.push(`Kategori "${value.category || "-"}" tidak dikenal, silakan pilih kategori.`);
+  }
+
+  const difficulty = String(value.difficulty || "").toLowerCase();
+  const steps = [...(value.steps || [])].sort(
+    (a, b) => (a?.step_number ?? 0) - (b?.step_number ?? 0)
+  );
+
+  return {
+    source: IMPORT_SOURCES.EXPORT,
+    notes,
+    recipe: {
+      ...createEmptyRecipe(),
+      name: cleanText(value.name),
+      category: category || guessCategory(value.name),
+      description: cleanText(value.description),
+      prep_time: firstNumber(value.prep_time),
+      cook_time: firstNumber(value.cook_time),
+      servings: firstNumber(value.servings),
+      difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : "mudah",
+      image_url: typeof value.image_url === "string" ? value.image_url : "",
+      ingredients: (value.ingredients || []).map(toIngredient).filter((ingredient) => ingredient.name),
+      steps: steps.map(toStepText).filter(Boolean),
+    },
+  };
+}
+
+/**
+ * Our own recipes inside parsed JSON: an export file ({ format, recipe(s) }),
+ * an API response ({ data }) or plain recipe objects
+ */
+const findOwnRecipes = (value) => {
+  if (Array.isArray(value)) return value.flatMap(findOwnRecipes);
+  if (!value || typeof value !== "object") return [];
+  if (isOwnRecipe(value)) return [value];
+  return [value.recipe, value.recipes, value.data].filter(Boolean).flatMap(findOwnRecipes);
+};
+
+// ---- Free text ------------------------------------------------------------
+
+const SECTION_HEADINGS = [
+  {
+    section: "ingredients",
+    pattern: /^(?:bahan(?:-bahan)?|bumbu(?:-bumbu)?|ingredients?)(?:\s+[a-z]+){0,2}\s*:?\s*(.*)$/i,
+  },
+  {
+    section: "steps",
+    pattern:
+      /^(?:langkah(?:-langkah)?(?:\s+membuat)?|cara\s+(?:membuat|memasak|pembuatan|membuatnya|masak)|instruksi|petunjuk|instructions?|directions?|method|steps?)\s*:?\s*(.*)$/i,
+  },
+];
+
+const META_LINES = [
+  { field: "prep_time", pattern: /^(?:waktu\s+)?(?:persiapan|prep(?:aration)?(?:\s+time)?)\s*[:-]?\s*(.+)$/i, parse: parseDurationText },
+  { field: "cook_time", pattern: /^(?:waktu\s+)?(?:memasak|masak|cook(?:ing)?(?:\s+time)?)\s*[:-]?\s*(.+)$/i, parse: parseDurationText },
+  { field: "total_time", pattern: /^(?:total\s+waktu|waktu\s+total|total(?:\s+time)?)\s*[:-]?\s*(.+)$/i, parse: parseDurationText },
+  {
+    field: "servings",
+    pattern: /^(?:porsi|sajian|untuk|serves|servings|yield|hasil)\s*[:-]?\s*(\d+)(?:\s*(?:porsi|orang|servings?|people))?$/i,
+    parse: (value) => value,
+  },
+  { field: "servings", pattern: /^(\d+)\s*(?:porsi|orang|servings?)$/i, parse: (value) => value },
+  {
+    field: "difficulty",
+    pattern: /^(?:tingkat\s+kesulitan|kesulitan|difficulty)\s*[:-]?\s*([a-z]+)$/i,
+    parse: (value) => DIFFICULTY_WORDS[value.toLowerCase()] || null,
+  },
+  {
+    field: "category",
+    pattern: /^(?:kategori|category)\s*[:-]?\s*(.+)$/i,
+    parse: (value) => guessCategory(value),
+  },
+];
+
+const wordCount = (line) => line.split(/\s+/).filter(Boolean).length;
+
+const readMeta = (line) => {
+  for (const { field, pattern, parse } of META_LINES) {
+    const match = line.match(pattern);
+    const value = match && parse(match[1].trim());
+    if (value) return { field, value: String(value) };
+  }
+  return null;
+};
+
+const looksLikeIngredient = (line) => {
+  const text = stripListMarker(line);
+  if (wordCount(text) > 8 || /[.!?]$/.test(text)) return false;
+  return splitIngredientLine(text).quantity !== "";
+};
+
+const looksLikeStep = (line) => /^\s*(?:\(?\d+[.)]|(?:langkah|step)\s*\d+)/i.test(line) || wordCount(line) >= 6;
+
+/**
+ * Split free text into a recipe. Sections are found by headings ("Bahan",
+ * "Cara Membuat"...); without headings, lines that start or end with an
+ * amount count as ingredients and numbered or long lines as steps.
+ * @param {string} text - Pasted recipe
+ * @returns {Object} { recipe, source, notes }
+ */
+export function parseRecipeText(text) {
+  const notes = [];
+  // Category comes from a "Kategori:" line, otherwise it is guessed from the name
+  const recipe = { ...createEmptyRecipe(), category: "" };
+  const description = [];
+  let section = null;
+  let hasHeadings = false;
+  let totalTime = null;
+
+  const lines = String(text || "")
+    .replace(/\r/g, "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  lines.forEach((line) => {
+    const heading = SECTION_HEADINGS.find(({ pattern }) => pattern.test(line) && wordCount(line) <= 6);
+    if (heading) {
+      section = heading.section;
+      hasHeadings = true;
+      // "Bahan: telur, tepung, gula" lists everything on the heading line
+      const inline = line.match(heading.pattern)[1];
+      if (inline && section === "ingredients") {
+        inline.split(/[,;]/).forEach((item) => recipe.ingredients.push(splitIngredientLine(item)));
+      } else if (inline) {
+        recipe.steps.push(stripListMarker(inline));
+      }
+      return;
+    }
+
+    const meta = readMeta(line);
+    if (meta) {
+      if (meta.field === "total_time") totalTime = Number(meta.value);
+      else recipe[meta.field] = meta.value;
+      return;
+    }
+
+    // Sub-headings inside a section ("Bumbu halus:", "Untuk kuah:")
+    if (section && /:$/.test(line) && wordCount(line) <= 4) return;
+
+    if (!recipe.name && !section && !looksLikeIngredient(line) && wordCount(line) <= 10) {
+      recipe.name = stripListMarker(line);
+      return;
+    }
+
+    if (section === "ingredients") {
+      recipe.ingredients.push(splitIngredientLine(line));
+    } else if (section === "steps") {
+      recipe.steps.push(stripListMarker(line));
+    } else if (!hasHeadings && looksLikeIngredient(line)) {
+      recipe.ingredients.push(splitIngredientLine(line));
+    } else if (!hasHeadings && recipe.ingredients.length > 0 && looksLikeStep(line)) {
+      recipe.steps.push(stripListMarker(line));
+    } else {
+      description.push(line);
+    }
+  });
+
+  recipe.description = description.join(" ");
+  recipe.ingredients = recipe.ingredients.filter((ingredient) => ingredient.name);
+  recipe.steps = recipe.steps.filter(Boolean);
+
+  if (!recipe.cook_time && totalTime) {
+    const prep = Number(recipe.prep_time) || 0;
+    recipe.cook_time = String(totalTime > prep ? totalTime - prep : totalTime);
+    notes.push("Waktu memasak dihitung dari total waktu resep, periksa kembali.");
+  }
+  if (!hasHeadings) {
+    notes.push("Tidak ada judul bagian seperti \"Bahan\" atau \"Cara Membuat\", pembagian bahan dan langkah ditebak.");
+  }
+  recipe.category = recipe.category || guessCategory(recipe.name);
+
+  return { source: IMPORT_SOURCES.TEXT, notes, recipe };
+}
+
+// ---- Entry point ------------------------------------------------------------
+
+const LD_JSON_SCRIPT = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+const fromJson = (data) => {
+  const schemaRecipes = findRecipeNodes(data);
+  if (schemaRecipes.length) return schemaRecipes.map(fromSchemaRecipe);
+  return findOwnRecipes(data).map(fromExportedRecipe);
+};
+
+/**
+ * Recipes found in pasted or dropped content. JSON (schema.org or our own
+ * export), HTML pages with JSON-LD and plain text are recognised.
+ * @param {string} input - Pasted text or file contents
+ * @returns {Array} [{ recipe, source, notes }]
+ * @throws {Error} When nothing that looks like a recipe was found
+ */
+export function parseRecipeImport(input) {
+  const text = String(input || "").trim();
+  if (!text) throw new Error("Tempel resep atau pilih file terlebih dahulu");
+
+  if (/^[[{]/.test(text)) {
+    const data = parseJson(text);
+    if (data !== undefined) {
+      const results = fromJson(data);
+      if (!results.length) throw new Error("File JSON ini tidak berisi resep yang dikenali");
+      return results;
+    }
+    if (/[}\]]$/.test(text)) throw new Error("Format JSON tidak valid");
+  }
+
+  if (/<(html|head|body|script|div|article|p|ul|ol|li|h[1-6])[\s>]/i.test(text)) {
+    const results = [...text.matchAll(LD_JSON_SCRIPT)]
+      .map((match) => parseJson(decodeEntities(match[1].trim())) ?? parseJson(match[1].trim()))
+      .filter((data) => data !== undefined)
+      .flatMap((data) => findRecipeNodes(data).map(fromSchemaRecipe));
+    if (results.length) return results;
+
+    const fromPage = parseRecipeText(htmlToText(text));
+    fromPage.notes.unshift("Halaman ini tidak punya data resep terstruktur, isinya dibaca sebagai teks.");
+    return [fromPage];
+  }
+
+  const result = parseRecipeText(text);
+  if (!result.recipe.ingredients.length && !result.recipe.steps.length) {
+    throw new Error("Tidak menemukan bahan atau langkah di teks ini");
+  }
+  return [result];
+}
+
+/**
+ * What still needs attention in an imported recipe before it can be saved
+ * (checked against the recipe schema)
+ * @param {Object} recipe - Recipe in form shape
+ * @returns {string[]} Messages
+ */
+export function getImportWarnings(recipe) {
+  return summarizeRecipeErrors(validateRecipe(recipe));
+}
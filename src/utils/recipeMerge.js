@@ -0,0 +1,341 @@
+import { RECIPE_SCHEMA } from "./recipeSchema";
+import { getCategory } from "../config/categories";
+
+/**
+ * How a field changed between the copy an edit started from (base), the
+ * edit (mine) and what the server has now (theirs)
+ */
+export const CHANGE_STATUS = {
+  UNCHANGED: "unchanged",
+  MINE: "mine",
+  THEIRS: "theirs",
+  // Both changed it to the same value
+  SAME: "same",
+  CONFLICT: "conflict",
+};
+
+export const MERGE_SIDES = {
+  MINE: "mine",
+  THEIRS: "theirs",
+};
+
+const SCALAR_FIELDS = Object.keys(RECIPE_SCHEMA).filter(
+  (field) => RECIPE_SCHEMA[field].type !== "list"
+);
+
+/**
+ * Which version of a recipe a copy is. Servers that keep a `version`
+ * counter are compared by it, others by `updated_at`.
+ * @param {Object} recipe - Recipe
+ * @returns {Object} { version, updated_at }
+ */
+export const getRecipeRevision = (recipe) => ({
+  version: recipe?.version ?? null,
+  updated_at: recipe?.updated_at ?? null,
+});
+
+/**
+ * Whether two copies are the same version of a recipe. Copies without
+ * any revision are never reported as different.
+ * @param {Object} a - Recipe or revision
+ * @param {Object} b - Recipe or revision
+ * @returns {boolean}
+ */
+export const isSameRevision = (a, b) => {
+  const first = getRecipeRevision(a);
+  const second = getRecipeRevision(b);
+  if (first.version !== null && second.version !== null) {
+    return Number(first.version) === Number(second.version);
+  }
+  if (first.updated_at && second.updated_at) {
+    return new Date(first.updated_at).getTime() === new Date(second.updated_at).getTime();
+  }
+  return true;
+};
+
+// Values compared as text, so 15 and "15" or "Gula " and "Gula" are equal
+const textOf = (value) => String(value ?? "").trim();
+
+const ingredientKey = (ingredient) =>
+  ingredient ? `${textOf(ingredient.quantity)}\u0000${textOf(ingredient.name)}` : null;
+
+const stepText = (step) =>
+  step === undefined || step === null
+    ? null
+    : textOf(typeof step === "string" ? step : step.instruction);
+
+const statusOf = (base, mine, theirs) => {
+  if (mine === theirs) return mine === base ? CHANGE_STATUS.UNCHANGED : CHANGE_STATUS.SAME;
+  if (mine === base) return CHANGE_STATUS.THEIRS;
+  if (theirs === base) return CHANGE_STATUS.MINE;
+  return CHANGE_STATUS.CONFLICT;
+};
+
+const createChange = ({ key, field, index = null, label, values, compare }) => {
+  const [base, mine, theirs] = values;
+  return {
+    key,
+    field,
+    index,
+    label,
+    base,
+    mine,
+    theirs,
+    status: statusOf(compare(base), compare(mine), compare(theirs)),
+  };
+};
+
+/**
+ * Pairs of indexes (a, b) of equal rows in two lists, in order, as many as
+ * possible (longest common subsequence)
+ * @param {Array} a - Keys of the first list
+ * @param {Array} b - Keys of the second list
+ * @returns {Array} [[indexInA, indexInB], ...]
+ */
+const matchRows = (a, b) => {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Rows added on both sides at the same spot: each is a row of its own, so
+ * both can be kept, except the ones added identically on both sides
+ * @param {Array} mine - Indexes of the rows added in mine
+ * @param {Array} theirs - Indexes of the rows added in theirs
+ * @param {Array} keys - Comparable values of [base, mine, theirs]
+ * @returns {Array} [[null, mine, theirs], ...] row indexes
+ */
+const alignAdded = (mine, theirs, keys) => {
+  const pairs = matchRows(
+    mine.map((index) => keys[1][index]),
+    theirs.map((index) => keys[2][index])
+  );
+
+  const rows = [];
+  let start = [0, 0];
+  [...pairs, [mine.length, theirs.length]].forEach((pair, position) => {
+    theirs.slice(start[1], pair[1]).forEach((index) => rows.push([null, null, index]));
+    mine.slice(start[0], pair[0]).forEach((index) => rows.push([null, index, null]));
+    if (position < pairs.length) rows.push([null, mine[pair[0]], theirs[pair[1]]]);
+    start = [pair[0] + 1, pair[1] + 1];
+  });
+  return rows;
+};
+
+const range = (from, to) => Array.from({ length: Math.max(0, to - from) }, (_, i) => from + i);
+
+/**
+ * Line up the rows of three versions of a list. Rows kept unchanged on
+ * both sides anchor the lists; between two anchors, rows of the original
+ * are paired up by position with the rows that replaced them, so an edited
+ * row stays next to the row it came from. Rows beyond those were added and
+ * get rows of their own.
+ * @param {Array} lists - [base, mine, theirs]
+ * @param {Function} compare - Row -> comparable value
+ * @returns {Array} [[base, mine, theirs], ...] row indexes, null for a
+ *   missing row
+ */
+const alignRows = (lists, compare) => {
+  const keys = lists.map((list) => list.map(compare));
+  const inMine = new Map(matchRows(keys[0], keys[1]));
+  const inTheirs = new Map(matchRows(keys[0], keys[2]));
+
+  const anchors = lists[0]
+    .map((_, index) => index)
+    .filter((index) => inMine.has(index) && inTheirs.has(index))
+    .map((index) => [index, inMine.get(index), inTheirs.get(index)]);
+
+  const rows = [];
+  let start = [0, 0, 0];
+  const end = lists.map((list) => list.length);
+  [...anchors, end].forEach((anchor, position) => {
+    const edited = anchor[0] - start[0];
+    for (let offset = 0; offset < edited; offset++) {
+      rows.push(
+        anchor.map((index, side) => (start[side] + offset < index ? start[side] + offset : null))
+      );
+    }
+    rows.push(
+      ...alignAdded(
+        range(start[1] + edited, anchor[1]),
+        range(start[2] + edited, anchor[2]),
+        keys
+      )
+    );
+    if (position < anchors.length) rows.push(anchor);
+    start = anchor.map((index) => index + 1);
+  });
+
+  return rows;
+};
+
+/**
+ * Three-way comparison of a recipe, field by field and row by row.
+ * Ingredients and steps are matched by content rather than by ID, since
+ * the servers give rows new IDs on every save.
+ * @param {Object} base - Recipe the edit started from
+ * @param {Object} mine - Edited recipe (form data)
+ * @param {Object} theirs - Recipe as it is on the server now
+ * @returns {Array} Changes: { key, field, index, label, base, mine, theirs,
+ *   status }. `index` is the row's place in the merged list; rows missing
+ *   on one side have null there.
+ */
+export function diffRecipes(base, mine, theirs) {
+  const changes = SCALAR_FIELDS.map((field) =>
+    createChange({
+      key: field,
+      field,
+      label: RECIPE_SCHEMA[field].label,
+      values: [base?.[field], mine?.[field], theirs?.[field]],
+      compare: textOf,
+    })
+  );
+
+  [
+    ["ingredients", ingredientKey],
+    ["steps", stepText],
+  ].forEach(([field, compare]) => {
+    const lists = [base, mine, theirs].map((recipe) => recipe?.[field] || []);
+    alignRows(lists, compare).forEach((positions, index) => {
+      // Numbered as in the edit, then the latest version, then the original
+      const number = [1, 2, 0].map((side) => positions[side]).find((at) => at !== null);
+      changes.push(
+        createChange({
+          key: `${field}.${index}`,
+          field,
+          index,
+          label: `${RECIPE_SCHEMA[field].label} ${number + 1}`,
+          values: positions.map((at, side) => (at === null ? null : lists[side][at])),
+          compare,
+        })
+      );
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * What changed from one version of a recipe to another, matched the same
+ * way as diffRecipes
+ * @param {Object} before - Older recipe
+ * @param {Object} after - Newer recipe
+ * @returns {Array} Changes: { key, field, index, label, before, after }.
+ *   Added and removed list rows have null on the other side.
+ */
+export const compareRecipes = (before, after) =>
+  diffRecipes(before, after, before)
+    .filter((change) => change.status !== CHANGE_STATUS.UNCHANGED)
+    .map(({ key, field, index, label, base, mine }) => ({
+      key,
+      field,
+      index,
+      label,
+      before: base,
+      after: mine,
+    }));
+
+/**
+ * A compared value as text, for showing changes
+ * @param {Object} change - From diffRecipes or compareRecipes
+ * @param {*} value - One of its values
+ * @returns {string|null} null for a list row that isn't there
+ */
+export const describeValue = (change, value) => {
+  if (change.index !== null) {
+    if (value === null || value === undefined) return null;
+    return change.field === "ingredients"
+      ? `${textOf(value.quantity)} ${textOf(value.name)}`.trim()
+      : stepText(value);
+  }
+  if (change.field === "category") return getCategory(value)?.label || textOf(value);
+  return textOf(value);
+};
+
+/**
+ * Side a change takes when nobody picked one: the side that changed it.
+ * Conflicts have none and must be picked.
+ * @param {Object} change - From diffRecipes
+ * @returns {string|null} One of MERGE_SIDES
+ */
+export const getDefaultSide = (change) => {
+  if (change.status === CHANGE_STATUS.CONFLICT) return null;
+  return change.status === CHANGE_STATUS.THEIRS ? MERGE_SIDES.THEIRS : MERGE_SIDES.MINE;
+};
+
+/**
+ * Put a recipe together from the sides picked for each change
+ * @param {Object} mine - Edited recipe (form data); fields that aren't
+ *   compared are kept from it
+ * @param {Array} changes - From diffRecipes
+ * @param {Object} choices - Change key -> one of MERGE_SIDES; changes
+ *   missing here take getDefaultSide
+ * @returns {Object} Merged recipe in the shape of `mine`
+ */
+export function mergeRecipes(mine, changes, choices = {}) {
+  const merged = { ...mine, ingredients: [], steps: [] };
+
+  changes.forEach((change) => {
+    const side = choices[change.key] || getDefaultSide(change) || MERGE_SIDES.MINE;
+    const value = change[side];
+    if (change.index === null) {
+      merged[change.field] = value ?? "";
+    } else if (value !== null) {
+      // A row deleted on the picked side stays deleted
+      merged[change.field].push(value);
+    }
+  });
+
+  // Rows from both sides may share an ID (the local data source numbers
+  // them), and forms use IDs as keys
+  ["ingredients", "steps"].forEach((field) => {
+    const seen = new Set();
+    merged[field] = merged[field].map((item, index) => {
+      if (typeof item !== "object") return item;
+      const id = seen.has(item.id) ? `${item.id}-${index}` : item.id;
+      seen.add(id);
+      return field === "steps" ? { ...item, id, step_number: index + 1 } : { ...item, id };
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Count what still needs attention
+ * @param {Array} changes - From diffRecipes
+ * @param {Object} choices - Change key -> side
+ * @returns {Object} { changed, conflicts, unresolved }
+ */
+export const summarizeMerge = (changes, choices = {}) => {
+  const changed = changes.filter((change) => change.status !== CHANGE_STATUS.UNCHANGED);
+  const conflicts = changed.filter((change) => change.status === CHANGE_STATUS.CONFLICT);
+  return {
+    changed: changed.length,
+    conflicts: conflicts.length,
+    unresolved: conflicts.filter((change) => !choices[change.key]).length,
+  };
+};
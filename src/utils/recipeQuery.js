@@ -0,0 +1,78 @@
+/**
+ * Recipe list queries as the API answers them (filter, sort, page), for
+ * backends that keep recipes themselves. No imports, so this also runs
+ * outside the browser.
+ */
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 100;
+
+export const SORT_FIELDS = ["created_at", "updated_at", "name", "prep_time", "cook_time", "difficulty", "average_rating"];
+const DIFFICULTY_ORDER = { mudah: 1, sedang: 2, sulit: 3 };
+
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const sortValue = (recipe, field) => {
+  if (field === "difficulty") return DIFFICULTY_ORDER[recipe.difficulty] || 0;
+  if (field === "name") return String(recipe.name || "").toLowerCase();
+  if (field === "created_at" || field === "updated_at") return Date.parse(recipe[field]) || 0;
+  return Number(recipe[field]) || 0;
+};
+
+const matchesSearch = (recipe, search) => {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const text = `${recipe.name || ""} ${recipe.description || ""}`.toLowerCase();
+  return words.every((word) => text.includes(word));
+};
+
+/**
+ * Filter, sort and page recipes
+ * @param {Array} recipes - All recipes
+ * @param {Object} params - Same as the API: page, limit, category, difficulty,
+ *   search, sort_by, order, client_id
+ * @returns {Object} { data, pagination: { page, limit, total, total_pages } }
+ */
+export function queryRecipes(recipes, params = {}) {
+  const limit = Math.min(toPositiveInt(params.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const sortBy = SORT_FIELDS.includes(params.sort_by) ? params.sort_by : "created_at";
+  const direction = params.order === "asc" ? 1 : -1;
+
+  const matching = recipes
+    .filter((recipe) => !params.category || recipe.category === params.category)
+    .filter((recipe) => !params.difficulty || recipe.difficulty === params.difficulty)
+    .filter((recipe) => !params.search?.trim() || matchesSearch(recipe, params.search))
+    .filter((recipe) => !params.client_id || recipe.client_id === params.client_id)
+    .sort((a, b) => {
+      const valueA = sortValue(a, sortBy);
+      const valueB = sortValue(b, sortBy);
+      if (valueA < valueB) return -direction;
+      if (valueA > valueB) return direction;
+      return String(a.id).localeCompare(String(b.id));
+    });
+
+  const total = matching.length;
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const page = Math.min(toPositiveInt(params.page, 1), totalPages);
+
+  return {
+    data: matching.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, total, total_pages: totalPages },
+  };
+}
+
+/**
+ * Average rating and number of reviews of a recipe
+ * @param {Array} reviews - Reviews of that recipe
+ * @returns {Object} { average_rating, review_count }
+ */
+export function summarizeReviews(reviews) {
+  const ratings = reviews.map((review) => Number(review.rating)).filter((rating) => rating > 0);
+  const total = ratings.reduce((sum, rating) => sum + rating, 0);
+  return {
+    average_rating: ratings.length ? Math.round((total / ratings.length) * 10) / 10 : 0,
+    review_count: ratings.length,
+  };
+}
@@ -0,0 +1,190 @@
+import { CATEGORY_SLUGS } from "../config/categories";
+
+export const DIFFICULTY_LEVELS = ["mudah", "sedang", "sulit"];
+
+// A week, for recipes that ferment or marinate for days
+const MAX_MINUTES = 7 * 24 * 60;
+
+/**
+ * What a valid recipe looks like. The create and edit forms, recipeService
+ * (before any request), the local data source and the import and draft
+ * loaders all check recipes against this, so the rules live only here.
+ *
+ * Rule types: text (minLength, maxLength), integer (min, max, unit),
+ * choice (options), image (URL or data URL) and list (item, emptyMessage).
+ * List items whose texts are all empty are ignored, like blank form rows.
+ */
+export const RECIPE_SCHEMA = {
+  name: { label: "Nama resep", type: "text", required: true, minLength: 3, maxLength: 100 },
+  description: { label: "Deskripsi", type: "text", maxLength: 1000 },
+  category: { label: "Kategori", type: "choice", required: true, options: CATEGORY_SLUGS },
+  difficulty: {
+    label: "Tingkat kesulitan",
+    type: "choice",
+    required: true,
+    options: DIFFICULTY_LEVELS,
+  },
+  prep_time: {
+    label: "Waktu persiapan",
+    type: "integer",
+    required: true,
+    min: 0,
+    max: MAX_MINUTES,
+    unit: "menit",
+  },
+  cook_time: {
+    label: "Waktu memasak",
+    type: "integer",
+    required: true,
+    min: 0,
+    max: MAX_MINUTES,
+    unit: "menit",
+  },
+  servings: { label: "Jumlah porsi", type: "integer", required: true, min: 1, max: 100, unit: "porsi" },
+  image_url: { label: "Gambar", type: "image" },
+  ingredients: {
+    label: "Bahan",
+    type: "list",
+    required: true,
+    emptyMessage: "Minimal satu bahan harus ditambahkan",
+    item: {
+      name: { label: "Nama bahan", type: "text", required: true, maxLength: 100 },
+      quantity: { label: "Jumlah bahan", type: "text", required: true, maxLength: 50 },
+    },
+  },
+  steps: {
+    label: "Langkah",
+    type: "list",
+    required: true,
+    emptyMessage: "Minimal satu langkah harus ditambahkan",
+    // Steps are texts in forms and requests, { instruction } in responses
+    item: { label: "Langkah", type: "text", required: true, maxLength: 1000, from: "instruction" },
+  },
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// The value a rule checks: steps may be texts or { instruction }
+const valueFor = (rule, value) =>
+  rule.from && value && typeof value === "object" ? value[rule.from] : value;
+
+/**
+ * Check one value against a (non-list) rule
+ * @returns {string|null} Error message
+ */
+const checkValue = (rule, rawValue, partial) => {
+  const value = valueFor(rule, rawValue);
+  if (isEmpty(value)) {
+    return rule.required && !partial ? `${rule.label} wajib diisi` : null;
+  }
+
+  switch (rule.type) {
+    case "text": {
+      const length = String(value).trim().length;
+      if (rule.minLength && length < rule.minLength) {
+        return `${rule.label} minimal ${rule.minLength} karakter`;
+      }
+      if (rule.maxLength && length > rule.maxLength) {
+        return `${rule.label} maksimal ${rule.maxLength} karakter`;
+      }
+      return null;
+    }
+    case "integer": {
+      const number = Number(value);
+      const unit = rule.unit ? ` ${rule.unit}` : "";
+      if (!Number.isInteger(number)) return `${rule.label} harus berupa bilangan bulat`;
+      if (rule.min !== undefined && number < rule.min) return `${rule.label} minimal ${rule.min}${unit}`;
+      if (rule.max !== undefined && number > rule.max) return `${rule.label} maksimal ${rule.max}${unit}`;
+      return null;
+    }
+    case "choice":
+      return rule.options.includes(value) ? null : `${rule.label} tidak dikenal`;
+    case "image":
+      return /^(https?:\/\/|data:image\/|blob:|\/)/.test(String(value).trim())
+        ? null
+        : `${rule.label} harus berupa alamat gambar yang valid`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Whether a list item is a blank row (all its texts empty)
+ * @param {string} field - List field: "ingredients" or "steps"
+ * @param {*} item - List item
+ * @returns {boolean}
+ */
+export const isBlankItem = (field, item) => {
+  const { item: itemRule } = RECIPE_SCHEMA[field];
+  if (itemRule.type) return isEmpty(valueFor(itemRule, item));
+  return Object.keys(itemRule).every((key) => isEmpty(item?.[key]));
+};
+
+/**
+ * Check a recipe against RECIPE_SCHEMA
+ * @param {Object} recipe - Recipe in form, request or response shape
+ * @param {Object} options
+ * @param {boolean} options.partial - Skip missing fields and "required"
+ *   (partial updates and unfinished drafts)
+ * @returns {Object} Field -> message, e.g. { "ingredients.2.quantity": "..." };
+ *   empty when valid. List indexes are those of the given lists.
+ */
+export function validateRecipe(recipe, { partial = false } = {}) {
+  const errors = {};
+
+  Object.entries(RECIPE_SCHEMA).forEach(([field, rule]) => {
+    const value = recipe?.[field];
+    if (partial && value === undefined) return;
+
+    if (rule.type !== "list") {
+      const message = checkValue(rule, value, partial);
+      if (message) errors[field] = message;
+      return;
+    }
+
+    const items = Array.isArray(value) ? value : [];
+    let filled = 0;
+    items.forEach((item, index) => {
+      if (isBlankItem(field, item)) return;
+      filled += 1;
+      if (rule.item.type) {
+        const message = checkValue(rule.item, item, partial);
+        if (message) errors[`${field}.${index}`] = message;
+        return;
+      }
+      Object.entries(rule.item).forEach(([key, itemRule]) => {
+        const message = checkValue(itemRule, item?.[key], partial);
+        if (message) errors[`${field}.${index}.${key}`] = message;
+      });
+    });
+    if (!filled && rule.required && !partial) errors[field] = rule.emptyMessage;
+  });
+
+  return errors;
+}
+
+/**
+ * Short list of what's wrong, for places without a field to point at:
+ * one line per field, and one per list counting the items to fix
+ * @param {Object} errors - From validateRecipe
+ * @returns {string[]}
+ */
+export function summarizeRecipeErrors(errors) {
+  const messages = [];
+  const itemCounts = {};
+
+  Object.entries(errors).forEach(([key, message]) => {
+    const [field, index] = key.split(".");
+    if (index === undefined) {
+      messages.push(message);
+    } else {
+      itemCounts[field] = (itemCounts[field] || new Set()).add(index);
+    }
+  });
+  Object.entries(itemCounts).forEach(([field, indexes]) => {
+    messages.push(`${indexes.size} ${RECIPE_SCHEMA[field].label.toLowerCase()} belum lengkap atau belum benar`);
+  });
+
+  return messages;
+}
@@ -0,0 +1,244 @@
+import { scaleQuantity, formatQuantity, UNITS } from "./quantityParser";
+
+/**
+ * Turn the recipes on the shopping list into one merged, aisle-grouped list.
+ */
+
+/**
+ * Store sections in walking order. Sections are checked in this order, so
+ * "kaldu ayam" lands in Bumbu before "ayam" can claim it for Daging.
+ */
+export const AISLES = [
+  {
+    id: "bumbu",
+    label: "Bumbu & Rempah",
+    emoji: "🧂",
+    keywords: [
+      "garam", "gula", "merica", "lada", "ketumbar", "kemiri", "pala", "cengkeh",
+      "kayu manis", "kecap", "saus", "saos", "terasi", "kaldu", "penyedap",
+      "micin", "msg", "asam jawa", "jintan", "bunga lawang", "kapulaga",
+      "minyak", "cuka", "madu", "bumbu", "vanili", "baking powder", "ragi",
+    ],
+  },
+  {
+    id: "daging",
+    label: "Daging & Ikan",
+    emoji: "🥩",
+    keywords: [
+      "ayam", "daging", "sapi", "kambing", "ikan", "udang", "cumi", "kepiting",
+      "kerang", "bakso", "sosis", "hati", "ampela", "iga", "tetelan", "bebek",
+      "tongkol", "teri", "lele", "bandeng",
+    ],
+  },
+  {
+    id: "susu",
+    label: "Telur & Susu",
+    emoji: "🥚",
+    keywords: ["telur", "susu", "keju", "mentega", "margarin", "yogurt", "krim", "butter"],
+  },
+  {
+    id: "sayur",
+    label: "Sayur & Buah",
+    emoji: "🥬",
+    keywords: [
+      "bawang", "cabai", "cabe", "tomat", "wortel", "kentang", "kol", "kubis",
+      "sawi", "bayam", "kangkung", "seledri", "jeruk", "lemon", "nipis",
+      "timun", "mentimun", "terong", "jagung", "buncis", "tauge", "toge",
+      "jahe", "kunyit", "lengkuas", "serai", "sereh", "salam", "pandan",
+      "kemangi", "alpukat", "pisang", "mangga", "nanas", "stroberi", "apel",
+      "semangka", "melon", "kelapa", "labu", "pepaya", "selada", "brokoli",
+      "jamur", "daun",
+    ],
+  },
+  {
+    id: "pokok",
+    label: "Bahan Pokok",
+    emoji: "🌾",
+    keywords: [
+      "beras", "nasi", "tepung", "mie", "mi", "bihun", "soun", "pasta", "roti",
+      "tahu", "tempe", "santan", "kacang", "oncom", "kerupuk", "agar",
+      "gelatin", "maizena", "ketan", "lontong",
+    ],
+  },
+  {
+    id: "minuman",
+    label: "Minuman",
+    emoji: "🥤",
+    keywords: ["kopi", "teh", "cokelat", "coklat", "sirup", "soda", "es batu"],
+  },
+];
+
+export const OTHER_AISLE = { id: "lainnya", label: "Lainnya", emoji: "🛒" };
+
+// Preparation notes that don't change what you buy
+const PREPARATION_WORDS = new Set([
+  "cincang", "iris", "irisan", "haluskan", "dihaluskan", "halus", "geprek",
+  "memarkan", "dimemarkan", "parut", "diparut", "tipis", "kasar", "potong",
+  "dipotong", "segar", "kupas", "dikupas", "rajang", "secukupnya", "sesuai",
+  "selera", "untuk", "taburan", "opsional",
+]);
+
+/**
+ * Reduce an ingredient name to what you would buy, for merging
+ * ("Bawang Merah, iris tipis" and "bawang merah (cincang)" -> "bawang merah")
+ * @param {string} name - Ingredient name
+ * @returns {string}
+ */
+export function normalizeIngredientName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, " ")
+    .split(/[,;]/)[0]
+    .replace(/[^a-z\s-]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !PREPARATION_WORDS.has(word))
+    .join(" ")
+    .trim();
+}
+
+/**
+ * Find the store section for an ingredient
+ * @param {string} key - Normalized ingredient name
+ * @returns {Object} Aisle
+ */
+export function getAisle(key) {
+  const words = ` ${key} `;
+  return (
+    AISLES.find((aisle) =>
+      aisle.keywords.some((keyword) => words.includes(` ${keyword} `))
+    ) || OTHER_AISLE
+  );
+}
+
+/**
+ * Which amounts can be added together. gram/ons/kg add up as mass and
+ * ml/liter as volume; spoons and glasses only with themselves.
+ */
+const getSumGroup = (parsed) => {
+  if (!parsed.unit) return "count";
+  if (["gram", "ons", "kg"].includes(parsed.unit)) return "mass";
+  if (["ml", "liter"].includes(parsed.unit)) return "volume";
+  return parsed.unit;
+};
+
+/**
+ * Add up the quantities of one ingredient
+ * @param {Array} quantities - Parsed quantities (from parseQuantity)
+ * @returns {string[]} One text per group that could not be added together
+ */
+export function combineQuantities(quantities) {
+  const groups = new Map();
+  const texts = [];
+
+  quantities.forEach((parsed) => {
+    // "2 lembar daun salam" style leftovers can't be added safely
+    if (!parsed.parsed || parsed.rest) {
+      if (parsed.original && !texts.includes(parsed.original)) {
+        texts.push(parsed.original);
+      }
+      return;
+    }
+
+    const groupKey = getSumGroup(parsed);
+    const group = groups.get(groupKey) || [];
+    group.push(parsed);
+    groups.set(groupKey, group);
+  });
+
+  const sums = [...groups.entries()].map(([groupKey, group]) => {
+    const units = new Set(group.map((parsed) => parsed.unit));
+    const hasRange = group.some((parsed) => parsed.amountMax != null);
+    // Mixed gram/kg/ons are added up in the base unit
+    const toBase =
+      units.size > 1 && (groupKey === "mass" || groupKey === "volume");
+    const unit = toBase ? (groupKey === "mass" ? "gram" : "ml") : group[0].unit;
+    const factor = (parsed) => (toBase ? UNITS[parsed.unit].base : 1);
+
+    const amount = group.reduce((sum, parsed) => sum + parsed.amount * factor(parsed), 0);
+    const amountMax = hasRange
+      ? group.reduce(
+          (sum, parsed) => sum + (parsed.amountMax ?? parsed.amount) * factor(parsed),
+          0
+        )
+      : null;
+
+    return formatQuantity({ parsed: true, amount, amountMax, unit, rest: "" });
+  });
+
+  return [...sums, ...texts];
+}
+
+/**
+ * Merge the recipes on the list into grouped items
+ * @param {Object} list - { recipes, checked } from loadShoppingList
+ * @returns {Array} [{ aisle, items: [{ key, name, quantities, recipes, checked }] }]
+ *   in aisle order, items sorted by name
+ */
+export function buildShoppingList(list) {
+  const items = new Map();
+
+  list.recipes.forEach((recipe) => {
+    const factor =
+      recipe.baseServings > 0 ? recipe.servings / recipe.baseServings : 1;
+
+    (recipe.ingredients || []).forEach((ingredient) => {
+      const key = normalizeIngredientName(ingredient.name);
+      if (!key) return;
+
+      const item = items.get(key) || {
+        key,
+        name: key.charAt(0).toUpperCase() + key.slice(1),
+        parsed: [],
+        recipes: [],
+      };
+      item.parsed.push(scaleQuantity(ingredient.quantity, factor).parsed);
+      if (!item.recipes.includes(recipe.name)) item.recipes.push(recipe.name);
+      items.set(key, item);
+    });
+  });
+
+  const grouped = new Map();
+  [...items.values()]
+    .sort((a, b) => a.name.localeCompare(b.name, "id"))
+    .forEach(({ parsed, ...item }) => {
+      const aisle = getAisle(item.key);
+      const group = grouped.get(aisle.id) || { aisle, items: [] };
+      group.items.push({
+        ...item,
+        quantities: combineQuantities(parsed),
+        checked: list.checked.includes(item.key),
+      });
+      grouped.set(aisle.id, group);
+    });
+
+  return [...AISLES, OTHER_AISLE]
+    .map((aisle) => grouped.get(aisle.id))
+    .filter(Boolean);
+}
+
+/**
+ * Plain-text version of the list for sharing (chat apps, notes)
+ * @param {Array} groups - Result of buildShoppingList
+ * @param {Array} recipes - Recipes on the list
+ * @param {string} title - First line of the text
+ * @returns {string}
+ */
+export function shoppingListToText(groups, recipes = [], title = "Daftar Belanja") {
+  const lines = [`🛒 ${title}`];
+
+  if (recipes.length) {
+    lines.push(
+      `Untuk: ${recipes.map((recipe) => `${recipe.name} (${recipe.servings} porsi)`).join(", ")}`
+    );
+  }
+
+  groups.forEach(({ aisle, items }) => {
+    lines.push("", `${aisle.emoji} ${aisle.label}`);
+    items.forEach((item) => {
+      const quantity = item.quantities.length ? ` - ${item.quantities.join(" + ")}` : "";
+      lines.push(`${item.checked ? "☑" : "☐"} ${item.name}${quantity}`);
+    });
+  });
+
+  return lines.join("\n");
+}
@@ -0,0 +1,79 @@
+import { parseNumber } from "./quantityParser";
+
+/**
+ * Find durations in recipe steps ("rebus 10 menit", "diamkan 1 jam",
+ * "1 jam 30 menit", "setengah jam", "5-7 menit") so cooking mode can offer timers.
+ */
+
+const UNIT_SECONDS = {
+  detik: 1,
+  menit: 60,
+  jam: 3600,
+};
+
+const NUMBER = String.raw`\d+(?:[.,]\d+)?|setengah|seperempat|satu|dua|tiga|empat|lima`;
+const DURATION_PATTERN = new RegExp(
+  String.raw`\b(${NUMBER})(?:\s*(?:-|–|sampai|hingga)\s*(${NUMBER}))?\s*(detik|menit|jam)\b`,
+  "gi"
+);
+
+/**
+ * Detect timers in a step instruction
+ * @param {string} text - Step instruction
+ * @returns {Array} [{ label, seconds, index, length, unitSeconds }] where
+ *   index/length locate the phrase in the text. Ranges use the lower bound so the cook checks early.
+ */
+export function detectTimers(text) {
+  if (!text) return [];
+
+  const found = [];
+  for (const match of String(text).matchAll(DURATION_PATTERN)) {
+    const unitSeconds = UNIT_SECONDS[match[3].toLowerCase()];
+    const seconds = parseNumber(match[1]) * unitSeconds;
+    if (!Number.isFinite(seconds) || seconds <= 0) continue;
+
+    const previous = found[found.length - 1];
+    const between = previous
+      ? text.slice(previous.index + previous.length, match.index)
+      : null;
+
+    // "1 jam 30 menit" is one timer, not two
+    if (
+      previous &&
+      /^\s*(dan\s+)?$/i.test(between) &&
+      previous.unitSeconds > unitSeconds
+    ) {
+      previous.seconds += Math.round(seconds);
+      previous.length = match.index + match[0].length - previous.index;
+      previous.label = text.slice(previous.index, previous.index + previous.length);
+      previous.unitSeconds = unitSeconds;
+      continue;
+    }
+
+    found.push({
+      label: match[0],
+      seconds: Math.round(seconds),
+      index: match.index,
+      length: match[0].length,
+      unitSeconds,
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Format seconds as a countdown
+ * @param {number} seconds - Seconds left
+ * @returns {string} e.g. "9:05" or "1:00:00"
+ */
+export function formatCountdown(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+}
@@ -0,0 +1,192 @@
+/**
+ * Text helpers for the local recipe search: tokenizing, Indonesian
+ * stemming, typo distance and highlighted snippets.
+ */
+
+// Words too common to tell recipes apart
+const STOP_WORDS = new Set([
+  "dan", "yang", "di", "ke", "dari", "dengan", "untuk", "atau", "ini", "itu",
+  "juga", "agar", "hingga", "sampai", "lalu", "kemudian", "sambil", "pada",
+  "resep", "cara", "membuat", "bikin",
+]);
+
+const WORD_PATTERN = /[a-z0-9]+/g;
+const VOWELS = "aiueo";
+
+/**
+ * Split text into lowercase words, without stop words and single letters
+ * @param {string} text - Any text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text || "").toLowerCase().match(WORD_PATTERN) || []).filter(
+    (word) => word.length > 1 && !STOP_WORDS.has(word)
+  );
+}
+
+/**
+ * Possible roots of a word after removing suffixes. "-kan" may also be
+ * "-an" on a root ending in k ("masakan"), so both readings are returned.
+ */
+const stripSuffixes = (word) => {
+  let stem = word;
+  if (stem.length > 5) stem = stem.replace(/(lah|kah|pun)$/, "");
+  if (stem.length > 5) stem = stem.replace(/nya$/, "");
+  if (stem.length > 6 && stem.endsWith("kan")) return [stem.slice(0, -3), stem.slice(0, -2)];
+  if (stem.length > 5 && stem.endsWith("an")) return [stem.slice(0, -2)];
+  return [stem];
+};
+
+/**
+ * Possible roots of a word after removing a prefix. me- changes the first
+ * letter of the root, and "memasak" (masak) vs "memotong" (potong) can't be
+ * told apart by spelling, so both readings are returned.
+ */
+const stripPrefix = (word) => {
+  const isVowel = (index) => VOWELS.includes(word[index]);
+
+  if (word.startsWith("meny") && isVowel(4)) return [`s${word.slice(4)}`];
+  if (word.startsWith("meng")) {
+    return isVowel(4) ? [`k${word.slice(4)}`, word.slice(4)] : [word.slice(4)];
+  }
+  if (word.startsWith("mem")) {
+    if ("bpf".includes(word[3])) return [word.slice(3)];
+    if (isVowel(3)) return [`p${word.slice(3)}`, word.slice(2)];
+  }
+  if (word.startsWith("men")) {
+    if ("dcjtz".includes(word[3])) return [word.slice(3)];
+    if (isVowel(3)) return [`t${word.slice(3)}`, word.slice(2)];
+  }
+  if (word.startsWith("me") && "lrmnwy".includes(word[2])) return [word.slice(2)];
+  if (/^(di|ber|ter)/.test(word)) return [word.replace(/^(di|ber|ter)/, "")];
+  return [];
+};
+
+/**
+ * The word plus its likely roots ("menggoreng" -> goreng,
+ * "ditaburkan" -> tabur, "irisan" -> iris)
+ * @param {string} word - Lowercase word
+ * @returns {string[]}
+ */
+export function stemVariants(word) {
+  const variants = new Set([word]);
+  if (word.length < 5 || /\d/.test(word)) return [...variants];
+
+  const withoutSuffix = stripSuffixes(word);
+  [word, ...withoutSuffix].forEach((candidate) => {
+    variants.add(candidate);
+    stripPrefix(candidate).forEach((root) => {
+      variants.add(root);
+      stripSuffixes(root).forEach((stem) => variants.add(stem));
+    });
+  });
+
+  return [...variants].filter((variant) => variant.length >= 3);
+}
+
+/**
+ * Edit distance with swapped neighbours counted as one typo
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Stop early once the distance is above this
+ * @returns {number}
+ */
+export function typoDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (
+        previous2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How many typos a query word may contain
+ * @param {string} word
+ * @returns {number}
+ */
+export const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * Split text into plain and highlighted parts
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Index terms that matched the query
+ * @returns {Array} [{ text, match }]
+ */
+export function highlightText(text, terms) {
+  const segments = [];
+  const source = String(text || "");
+  let last = 0;
+
+  source.replace(/[A-Za-z0-9À-ɏ]+/g, (word, offset) => {
+    const isMatch = stemVariants(word.toLowerCase()).some((variant) => terms.has(variant));
+    if (!isMatch) return word;
+
+    if (offset > last) segments.push({ text: source.slice(last, offset), match: false });
+    segments.push({ text: word, match: true });
+    last = offset + word.length;
+    return word;
+  });
+
+  if (last < source.length) segments.push({ text: source.slice(last), match: false });
+  return segments;
+}
+
+/**
+ * A short window of text around the first match
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Index terms that matched the query
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {Array|null} Segments from highlightText, or null without a match
+ */
+export function makeSnippet(text, terms, radius = 40) {
+  const segments = highlightText(text, terms);
+  const firstMatch = segments.findIndex((segment) => segment.match);
+  if (firstMatch === -1) return null;
+
+  const result = [];
+  const before = segments.slice(0, firstMatch).map((segment) => segment.text).join("");
+  if (before) {
+    const start = Math.max(0, before.length - radius);
+    // Start on a word boundary
+    const cut = start > 0 ? before.slice(start).replace(/^\S*\s/, "") : before;
+    result.push({ text: start > 0 ? `…${cut}` : cut, match: false });
+  }
+
+  let room = radius * 2;
+  for (const segment of segments.slice(firstMatch)) {
+    if (!segment.match && segment.text.length > room) {
+      // End on a word boundary
+      const cut = segment.text.slice(0, room).replace(/\s\S*$/, "");
+      result.push({ text: `${cut}…`, match: false });
+      break;
+    }
+    result.push(segment);
+    room -= segment.text.length;
+  }
+
+  return result;
+}
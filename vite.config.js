@@ -7,9 +7,8 @@ import react from "@vitejs/plugin-react";
 export default defineConfig({
   plugins: [
     react(),
-    VitePWA(),
     tailwindcss(),
-    {
+    VitePWA({
       registerType: "autoUpdate",
       includeAssets: [
         "favicon.ico",
@@ -34,8 +33,7 @@ export default defineConfig({
               query: ["@tanstack/react-query"],
               // Split pages
               home: ["./src/pages/HomePage"],
-              makanan: ["./src/pages/MakananPage"],
-              minuman: ["./src/pages/MinumanPage"],
+              category: ["./src/pages/CategoryPage"],
               profile: ["./src/pages/ProfilePage"],
             },
           },
@@ -53,6 +51,16 @@ export default defineConfig({
         scope: "/",
         start_url: "/",
         orientation: "portrait",
+        // Recipes shared from other apps open the import flow
+        share_target: {
+          action: "/create",
+          method: "GET",
+          params: {
+            title: "title",
+            text: "text",
+            url: "url",
+          },
+        },
         icons: [
           {
             src: "/pwa-64x64.png",
@@ -83,6 +91,110 @@ export default defineConfig({
         globPatterns: ["**/*.{js,css,html,svg,png,ico}"],
         cleanupOutdatedCaches: true,
         clientsClaim: true,
+        // Background Sync handler for reviews written offline
+        importScripts: ["review-sync-sw.js"],
+        // Route callbacks are serialized into sw.js, so they can't use
+        // anything from this file's scope
+        runtimeCaching: [
+          // Recipe list, detail and review JSON: answer from cache, refresh in background
+          {
+            urlPattern: ({ url }) => url.pathname.startsWith("/api/v1/recipes"),
+            method: "GET",
+            handler: "StaleWhileRevalidate",
+            options: {
+              cacheName: "recipe-api",
+              expiration: {
+                maxEntries: 200,
+                maxAgeSeconds: 7 * 24 * 60 * 60, // 7 hari
+              },
+              cacheableResponse: {
+                statuses: [200],
+              },
+              // Tell the page which answers came from the cache and whether
+              // the server could be reached, so it can say when the recipes
+              // shown may be out of date (PWABadge)
+              plugins: [
+                {
+                  cachedResponseWillBeUsed: async ({ request, cachedResponse }) => {
+                    if (cachedResponse) {
+                      const windows = await self.clients.matchAll({ type: "window" });
+                      windows.forEach((client) =>
+                        client.postMessage({ type: "API_CACHE_HIT", url: request.url })
+                      );
+                    }
+                    return cachedResponse;
+                  },
+                  fetchDidFail: async ({ request }) => {
+                    const windows = await self.clients.matchAll({ type: "window" });
+                    windows.forEach((client) =>
+                      client.postMessage({ type: "API_UNREACHABLE", url: request.url })
+                    );
+                  },
+                  fetchDidSucceed: async ({ request, response }) => {
+                    const windows = await self.clients.matchAll({ type: "window" });
+                    windows.forEach((client) =>
+                      client.postMessage({
+                        type: response.status >= 500 ? "API_UNREACHABLE" : "API_REACHABLE",
+                        url: request.url,
+                      })
+                    );
+                    return response;
+                  },
+                },
+              ],
+            },
+          },
+          // Recipe images from Unsplash / MinIO
+          {
+            urlPattern: ({ request, url }) =>
+              request.destination === "image" &&
+              url.origin !== self.location.origin,
+            handler: "CacheFirst",
+            options: {
+              cacheName: "recipe-images",
+              expiration: {
+                maxEntries: 150,
+                maxAgeSeconds: 30 * 24 * 60 * 60, // 30 hari
+                purgeOnQuotaError: true,
+              },
+              cacheableResponse: {
+                // 0 = opaque response from a cross-origin <img>
+                statuses: [0, 200],
+              },
+            },
+          },
+          // Mutations must always reach the server (the outbox handles offline).
+          // Once one succeeds, the cached lists and the changed recipe (with
+          // its reviews) are dropped, so they aren't answered stale afterwards.
+          ...["POST", "PUT", "PATCH", "DELETE"].map((method) => ({
+            urlPattern: ({ url }) => url.pathname.startsWith("/api/v1/"),
+            method,
+            handler: "NetworkOnly",
+            options: {
+              plugins: [
+                {
+                  fetchDidSucceed: async ({ request, response }) => {
+                    const match = new URL(request.url).pathname.match(
+                      /^\/api\/v1\/recipes(?:\/([^/]+))?/
+                    );
+                    if (response.ok && match) {
+                      const cache = await caches.open("recipe-api");
+                      const stale = (await cache.keys()).filter((key) => {
+                        const path = new URL(key.url).pathname;
+                        return (
+                          path === "/api/v1/recipes" ||
+                          (match[1] && path.startsWith(`/api/v1/recipes/${match[1]}`))
+                        );
+                      });
+                      await Promise.all(stale.map((key) => cache.delete(key)));
+                    }
+                    return response;
+                  },
+                },
+              ],
+            },
+          })),
+        ],
       },
 
       devOptions: {
@@ -91,6 +203,6 @@ export default defineConfig({
         suppressWarnings: true,
         type: "module",
       },
-    },
+    }),
   ],
 });